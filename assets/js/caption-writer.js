@@ -40,6 +40,8 @@
                 generatedCaptions: [],
                 templates: [],
                 favorites: [],
+                activeTemplate: null,
+                templateValues: {},
                 finalCaption: config.finalCaption || '',
                 isGenerating: false,
                 activeTab: 'generator',
@@ -188,6 +190,7 @@
                 // Templates
                 templateCategory: container.querySelector('[data-template-category]'),
                 templatesGrid: container.querySelector('[data-templates-grid]'),
+                templateForm: container.querySelector('[data-template-form]'),
                 
                 // Favorites
                 favoritesList: container.querySelector('[data-favorites]'),
@@ -710,7 +713,342 @@
         }
         
         selectTemplate(template) {
-            this.selectCaption(template.template);
+            const variables = template.variables || [];
+            
+            // Nothing to fill in, so the template is already a caption
+            if (variables.length === 0 || !this.elements.templateForm) {
+                this.selectCaption(template.template);
+                return;
+            }
+            
+            // Start a "description" blank from the AI Generator's description
+            const templateValues = {};
+            const description = this.elements.descriptionInput?.value?.trim() || this.state.getState().description;
+            if (variables.includes('description') && description) {
+                templateValues.description = description;
+            }
+            
+            this.state.setState({ activeTemplate: template, templateValues });
+            this.renderTemplateForm(template);
+            
+            this.elements.templateForm.style.display = 'block';
+            this.scrollToElement(this.elements.templateForm);
+            this.elements.templateForm.querySelector('[data-template-variable]')?.focus();
+            this.announceToScreenReader(`${template.name} template selected. Fill in ${variables.length} fields.`);
+        }
+        
+        renderTemplateForm(template) {
+            const form = this.elements.templateForm;
+            const values = this.state.getState().templateValues;
+            
+            const fields = template.variables.map(variable => {
+                const label = this.escapeHtml(this.formatVariableLabel(variable));
+                
+                if (this.isHashtagVariable(variable)) {
+                    return `
+                        <div class="template-field template-field--hashtags">
+                            <label>
+                                <span class="template-field-label">${label}</span>
+                                <input type="text" data-template-variable="${variable}" placeholder="#hashtag #another">
+                            </label>
+                            <div class="hashtag-picker" data-hashtag-picker role="group" aria-label="Suggested hashtags"></div>
+                        </div>
+                    `;
+                }
+                
+                return `
+                    <div class="template-field">
+                        <label>
+                            <span class="template-field-label">${label}</span>
+                            <input type="text" data-template-variable="${variable}" placeholder="${label}">
+                        </label>
+                    </div>
+                `;
+            }).join('');
+            
+            form.innerHTML = `
+                <div class="template-form-header">
+                    <h4>${this.escapeHtml(template.name)}</h4>
+                    <button type="button" class="template-form-close" data-template-close aria-label="Close template">&times;</button>
+                </div>
+                <div class="template-form-fields">${fields}</div>
+                <div class="template-live-preview">
+                    <span class="template-live-preview-label">Preview</span>
+                    <div class="template-live-preview-text" data-template-preview></div>
+                </div>
+                <div class="template-form-actions">
+                    <button type="button" class="btn-secondary template-ai-fill-btn" data-template-ai-fill>
+                        ✨ Fill Blanks with AI
+                    </button>
+                    <button type="button" class="generate-btn template-insert-btn" data-template-insert>
+                        Insert Caption
+                    </button>
+                </div>
+            `;
+            
+            form.querySelectorAll('[data-template-variable]').forEach(input => {
+                input.value = values[input.dataset.templateVariable] || '';
+                input.addEventListener('input', (e) => {
+                    this.updateTemplateValue(e.target.dataset.templateVariable, e.target.value);
+                });
+            });
+            
+            form.querySelector('[data-template-close]').addEventListener('click', () => {
+                this.closeTemplateForm();
+            });
+            form.querySelector('[data-template-ai-fill]').addEventListener('click', () => {
+                this.fillTemplateWithAI();
+            });
+            form.querySelector('[data-template-insert]').addEventListener('click', () => {
+                this.insertTemplateCaption();
+            });
+            
+            this.updateTemplatePreview();
+            this.renderHashtagPicker();
+        }
+        
+        formatVariableLabel(variable) {
+            // "inspirational_message" -> "Inspirational message", "optionA" -> "Option A"
+            const words = variable
+                .replace(/_/g, ' ')
+                .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+                .toLowerCase();
+            
+            return words.charAt(0).toUpperCase() + words.slice(1).replace(/ ([a-z])$/, (match, letter) => ' ' + letter.toUpperCase());
+        }
+        
+        isHashtagVariable(variable) {
+            return variable.toLowerCase().includes('hashtag');
+        }
+        
+        updateTemplateValue(variable, value) {
+            const templateValues = { ...this.state.getState().templateValues, [variable]: value };
+            this.state.setState({ templateValues });
+            
+            this.updateTemplatePreview();
+            
+            // Suggestions follow the other answers, and chips follow the hashtags field
+            this.renderHashtagPicker();
+        }
+        
+        fillTemplate(template, values) {
+            return template.template.replace(/\{(\w+)\}/g, (placeholder, variable) => {
+                const value = (values[variable] || '').trim();
+                return value || placeholder;
+            });
+        }
+        
+        updateTemplatePreview() {
+            const { activeTemplate, templateValues } = this.state.getState();
+            const preview = this.elements.templateForm?.querySelector('[data-template-preview]');
+            if (!activeTemplate || !preview) return;
+            
+            // Blanks that are still empty stay visible as highlighted placeholders
+            preview.innerHTML = activeTemplate.template
+                .split(/(\{\w+\})/)
+                .map(part => {
+                    const match = part.match(/^\{(\w+)\}$/);
+                    if (!match) {
+                        return this.escapeHtml(part);
+                    }
+                    
+                    const value = (templateValues[match[1]] || '').trim();
+                    return value
+                        ? `<mark class="template-filled-value">${this.escapeHtml(value)}</mark>`
+                        : `<span class="template-empty-value">${this.escapeHtml(part)}</span>`;
+                })
+                .join('');
+        }
+        
+        getHashtagSuggestions(template, values) {
+            const categoryHashtags = {
+                business: ['smallbusiness', 'entrepreneur', 'newproduct', 'launchday', 'shopsmall'],
+                personal: ['behindthescenes', 'dayinthelife', 'creatorlife', 'storytime', 'realtalk'],
+                engagement: ['community', 'letstalk', 'mondaymotivation', 'motivation', 'yourturn']
+            };
+            
+            // Short answers like a product name make good tags of their own
+            const fromValues = template.variables
+                .filter(variable => !this.isHashtagVariable(variable))
+                .map(variable => (values[variable] || '').trim())
+                .filter(value => value && value.split(/\s+/).length <= 3)
+                .map(value => value.toLowerCase().replace(/[^a-z0-9]/g, ''))
+                .filter(tag => tag.length >= 3 && tag.length <= 30);
+            
+            const suggestions = [...fromValues, ...(categoryHashtags[template.category] || []), 'contentcreator'];
+            
+            return [...new Set(suggestions)].slice(0, 10);
+        }
+        
+        parseHashtags(text) {
+            return (text || '').split(/[\s,]+/)
+                .map(tag => tag.replace(/[^\p{L}\p{N}_]/gu, ''))
+                .filter(Boolean);
+        }
+        
+        renderHashtagPicker() {
+            const { activeTemplate, templateValues } = this.state.getState();
+            if (!activeTemplate || !this.elements.templateForm) return;
+            
+            this.elements.templateForm.querySelectorAll('.template-field--hashtags').forEach(field => {
+                const input = field.querySelector('[data-template-variable]');
+                const picker = field.querySelector('[data-hashtag-picker]');
+                const chosen = this.parseHashtags(input.value).map(tag => tag.toLowerCase());
+                
+                // Hashtags typed in or filled by AI show up as chosen chips too
+                const tags = [...new Set([
+                    ...this.parseHashtags(input.value),
+                    ...this.getHashtagSuggestions(activeTemplate, templateValues)
+                ].map(tag => tag.toLowerCase()))];
+                
+                picker.innerHTML = tags.map(tag => `
+                    <button type="button" class="hashtag-chip" data-hashtag="${this.escapeHtml(tag)}" aria-pressed="${chosen.includes(tag)}">
+                        #${this.escapeHtml(tag)}
+                    </button>
+                `).join('');
+                
+                picker.querySelectorAll('.hashtag-chip').forEach(chip => {
+                    chip.addEventListener('click', () => {
+                        this.toggleHashtag(input, chip.dataset.hashtag);
+                    });
+                });
+            });
+        }
+        
+        toggleHashtag(input, hashtag) {
+            const tags = this.parseHashtags(input.value);
+            const index = tags.findIndex(tag => tag.toLowerCase() === hashtag);
+            
+            if (index === -1) {
+                tags.push(hashtag);
+            } else {
+                tags.splice(index, 1);
+            }
+            
+            input.value = tags.map(tag => '#' + tag).join(' ');
+            this.updateTemplateValue(input.dataset.templateVariable, input.value);
+            
+            // Re-rendering the picker replaced the chip, so keep focus on its new copy
+            input.closest('.template-field--hashtags')
+                ?.querySelector(`.hashtag-chip[data-hashtag="${hashtag}"]`)
+                ?.focus();
+        }
+        
+        async fillTemplateWithAI() {
+            const state = this.state.getState();
+            const template = state.activeTemplate;
+            if (!template) return;
+            
+            const description = this.elements.descriptionInput?.value?.trim() || state.description;
+            
+            if (!description || description.length < 10) {
+                this.showError(rwpCaptionWriter.strings.templateNeedsDescription);
+                return;
+            }
+            
+            const fillBtn = this.elements.templateForm.querySelector('[data-template-ai-fill]');
+            const originalText = fillBtn.textContent;
+            fillBtn.textContent = rwpCaptionWriter.strings.templateFilling;
+            fillBtn.disabled = true;
+            this.hideError();
+            
+            try {
+                const response = await fetch(rwpCaptionWriter.restUrl + 'captions/fill-template', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-WP-Nonce': rwpCaptionWriter.nonce
+                    },
+                    body: JSON.stringify({
+                        template: template.template,
+                        variables: template.variables,
+                        description: description,
+                        tone: state.tone,
+                        platform: state.platforms[0] || 'instagram'
+                    })
+                });
+                
+                const result = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(result.message || 'Failed to fill in the template');
+                }
+                
+                if (!result.success || !result.data) {
+                    throw new Error(result.message || 'Unexpected response format');
+                }
+                
+                // Keep anything the user already typed, and only fill the empty
+                // blanks. Suggested hashtags are added to the ones already picked.
+                const templateValues = { ...this.state.getState().templateValues };
+                template.variables.forEach(variable => {
+                    const value = result.data[variable];
+                    const current = (templateValues[variable] || '').trim();
+                    
+                    if (!value) return;
+                    
+                    if (this.isHashtagVariable(variable)) {
+                        const tags = [...this.parseHashtags(current), ...this.parseHashtags(value)];
+                        const unique = tags.filter((tag, index) =>
+                            tags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index
+                        );
+                        templateValues[variable] = unique.map(tag => '#' + tag).join(' ');
+                    } else if (!current) {
+                        templateValues[variable] = value;
+                    }
+                });
+                
+                this.state.setState({ templateValues });
+                this.renderTemplateForm(template);
+                this.announceToScreenReader(rwpCaptionWriter.strings.templateFilled);
+                
+                if (result.meta && typeof result.meta.remaining_quota !== 'undefined') {
+                    this.showQuotaInfo(result.meta.remaining_quota);
+                }
+            } catch (error) {
+                console.error('Error filling template:', error);
+                this.showError(error.message || rwpCaptionWriter.strings.errorGeneral);
+                
+                fillBtn.textContent = originalText;
+                fillBtn.disabled = false;
+            }
+        }
+        
+        insertTemplateCaption() {
+            const { activeTemplate, templateValues } = this.state.getState();
+            if (!activeTemplate) return;
+            
+            // Hashtags are optional, every other blank needs an answer
+            const missing = activeTemplate.variables.filter(variable =>
+                !this.isHashtagVariable(variable) && !(templateValues[variable] || '').trim()
+            );
+            
+            if (missing.length > 0) {
+                const firstMissing = this.elements.templateForm.querySelector(`[data-template-variable="${missing[0]}"]`);
+                this.showValidationMessage(
+                    firstMissing,
+                    `${rwpCaptionWriter.strings.templateMissingValues} ${missing.map(variable => this.formatVariableLabel(variable)).join(', ')}`,
+                    'warning'
+                );
+                firstMissing?.focus();
+                return;
+            }
+            
+            const caption = this.fillTemplate(activeTemplate, templateValues)
+                .replace(/\{\w*hashtags?\w*\}/gi, '')
+                .trim();
+            
+            this.hideError();
+            this.selectCaption(caption);
+        }
+        
+        closeTemplateForm() {
+            this.state.setState({ activeTemplate: null, templateValues: {} });
+            
+            if (this.elements.templateForm) {
+                this.elements.templateForm.style.display = 'none';
+                this.elements.templateForm.innerHTML = '';
+            }
         }
         
         filterTemplates(category) {
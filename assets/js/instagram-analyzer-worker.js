@@ -0,0 +1,47 @@
+/**
+ * Instagram Analyzer Worker
+ *
+ * Runs ZIP extraction, export parsing and follower analysis off the main
+ * thread so large exports don't freeze the page. The analyzer sends the
+ * script URLs to load along with the file, and cancels by terminating the
+ * worker.
+ */
+
+self.addEventListener( 'message', async ( event ) => {
+	const { type, file, scripts } = event.data || {};
+
+	if ( type !== 'analyze' ) {
+		return;
+	}
+
+	try {
+		if (
+			typeof JSZip === 'undefined' ||
+			typeof InstagramExportParser === 'undefined'
+		) {
+			self.importScripts( ...( scripts || [] ) );
+		}
+	} catch ( error ) {
+		// Let the analyzer fall back to processing on the main thread
+		self.postMessage( {
+			type: 'error',
+			message: error.message,
+			fallback: true,
+		} );
+		return;
+	}
+
+	try {
+		const parser = new InstagramExportParser( {
+			onProgress: ( percentage, message ) => {
+				self.postMessage( { type: 'progress', percentage, message } );
+			},
+		} );
+
+		const data = await parser.analyzeExportFile( file );
+
+		self.postMessage( { type: 'result', data } );
+	} catch ( error ) {
+		self.postMessage( { type: 'error', message: error.message } );
+	}
+} );
@@ -1,7 +1,8 @@
 /**
  * Instagram Follower Analyzer App
  *
- * Client-side application for analyzing Instagram follower relationships.
+ * Client-side application for analyzing Instagram follower relationships,
+ * and those in TikTok and X data archives.
  */
 
 class InstagramAnalyzer {
@@ -21,15 +22,58 @@ class InstagramAnalyzer {
 			ajaxUrl: config.ajaxUrl || '',
 			nonce: config.nonce || '',
 			strings: config.strings || {},
+			maxSnapshots: 24,
+			// Snapshots per platform whose lists guests keep in the browser
+			maxLocalSnapshotLists: 2,
+			maxCleanupEntries: 5000,
+			dailyUnfollowLimit: 150,
 			...config,
 		};
 
+		this.platforms = {
+			instagram: 'Instagram',
+			tiktok: 'TikTok',
+			x: 'X',
+		};
+
+		this.whitelistCategories = {
+			friends: 'Friends',
+			brands: 'Brands',
+			celebrities: 'Celebrities',
+			collaborators: 'Collaborators',
+		};
+
 		this.state = {
 			isProcessing: false,
 			uploadProgress: 0,
 			analysisData: null,
 			whitelist: [],
-			viewedAccounts: []
+			whitelistDetails: {},
+			viewedAccounts: [],
+			snapshots: [],
+			snapshotLists: {},
+			activeTab: 'notFollowingBack',
+			activeView: 'followers',
+			searchTerm: '',
+			filters: null,
+			filterPreset: '',
+			cleanupActive: false,
+			cleanupLedger: { entries: [], updatedAt: null },
+			analyticsConsent: null,
+		};
+
+		// Cancel handle for the analysis in progress, if any
+		this.activeAnalysis = null;
+
+		// The active tab's accounts, and those left after the search. Only the
+		// rows scrolled into view are rendered, so lists of any size stay fast.
+		this.accountList = {
+			all: [],
+			visible: [],
+			rowHeight: 72,
+			overscan: 10,
+			range: null,
+			frame: null,
 		};
 
 		// Initialize state manager
@@ -38,6 +82,11 @@ class InstagramAnalyzer {
 			maxDataAge: 24 * 60 * 60 * 1000, // 24 hours
 		} );
 
+		this.state.filters = {
+			...this.getDefaultFilters(),
+			...( this.stateManager.getUserPreferences().filters || {} ),
+		};
+
 		this.init();
 	}
 
@@ -67,17 +116,20 @@ class InstagramAnalyzer {
 						'Upload Instagram Data'
 					}</h3>
                     <p class="blk-upload-description">
-                        Drag and drop your Instagram data export ZIP file here, or click to browse.
+                        Drag and drop your Instagram data export ZIP file here, or click to browse. Both HTML and JSON exports are supported, as are TikTok's user_data.json and X archive ZIPs.
                     </p>
                     <button type="button" class="blk-upload-button" id="file-browse-btn">
                         Browse Files
                     </button>
-                    <input type="file" id="file-input" accept=".zip" style="display: none;" />
+                    <input type="file" id="file-input" accept=".zip,.json" style="display: none;" />
                     <div class="blk-upload-progress" id="upload-progress" style="display: none;">
                         <div class="blk-progress-bar">
                             <div class="blk-progress-fill" id="progress-fill"></div>
                         </div>
                         <div class="blk-progress-text" id="progress-text">0%</div>
+                        <button type="button" class="blk-button blk-button--small blk-button--secondary" id="cancel-analysis-btn">
+                            Cancel
+                        </button>
                     </div>
                 </div>
                 <div class="blk-error-message" id="error-message" style="display: none;"></div>
@@ -125,6 +177,15 @@ class InstagramAnalyzer {
 			}
 		} );
 
+		// Cancel button click (kept from bubbling up to the upload zone)
+		const cancelBtn = this.container.querySelector(
+			'#cancel-analysis-btn'
+		);
+		cancelBtn.addEventListener( 'click', ( e ) => {
+			e.stopPropagation();
+			this.cancelAnalysis();
+		} );
+
 		// Browse button click
 		browseBtnContainer.addEventListener( 'click', () => {
 			fileInput.click();
@@ -149,24 +210,30 @@ class InstagramAnalyzer {
 		this.saveFormState();
 
 		try {
-			// Update progress
-			this.showProgress( 25 );
-
 			// Process the ZIP file
 			const analysisData = await this.processZipFile( file );
 
 			this.showProgress( 100 );
 			this.state.analysisData = analysisData;
+			this.loadPlatformState();
 
-			// Store data locally
+			// Store data locally and record it in the follower history,
+			// unless the follower lists couldn't be read reliably
 			this.saveDataLocally( analysisData );
+			if ( this.isFollowerDataComplete( analysisData ) ) {
+				await this.saveSnapshot( analysisData );
+			}
 
 			// Display results
 			await this.displayResults( analysisData );
 		} catch ( error ) {
+			if ( error.name === 'AbortError' ) {
+				return;
+			}
+
 			console.error( 'File processing error:', error );
 			this.showError(
-				"Failed to process the uploaded file. Please ensure it's a valid Instagram data export."
+				"Failed to process the uploaded file. Please ensure it's a valid Instagram, TikTok or X data export."
 			);
 		} finally {
 			this.state.isProcessing = false;
@@ -177,10 +244,10 @@ class InstagramAnalyzer {
 	}
 
 	validateFile( file ) {
-		// Check file type
-		if ( ! file.name.toLowerCase().endsWith( '.zip' ) ) {
+		// Check file type (TikTok exports may also be a single JSON file)
+		if ( ! /\.(zip|json)$/.test( file.name.toLowerCase() ) ) {
 			this.showError(
-				'Please upload a ZIP file containing your Instagram data export.'
+				"Please upload a ZIP file containing your Instagram or X data export, or TikTok's user_data.json."
 			);
 			return false;
 		}
@@ -198,348 +265,120 @@ class InstagramAnalyzer {
 	}
 
 	async processZipFile( file ) {
-		return new Promise( async ( resolve, reject ) => {
-			try {
-				// Check if JSZip is available
-				if ( typeof JSZip === 'undefined' ) {
-					throw new Error( 'JSZip library not loaded' );
-				}
-
-				this.showProgress( 25 );
-
-				// Load ZIP file
-				const zip = new JSZip();
-				const zipContent = await zip.loadAsync( file );
-
-				this.showProgress( 50 );
-
-				// Extract followers and following data
-				const followersData =
-					await this.extractFollowersData( zipContent );
-				const followingData =
-					await this.extractFollowingData( zipContent );
-
-				this.showProgress( 75 );
-
-				// Analyze the data
-				const analysisResult = this.analyzeFollowerData(
-					followersData,
-					followingData
-				);
-
-				this.showProgress( 100 );
-
-				resolve( analysisResult );
-			} catch ( error ) {
-				console.error( 'ZIP processing error:', error );
-				reject( error );
-			}
-		} );
-	}
-
-	async extractFollowersData( zipContent ) {
-		const followers = [];
-		const followersFiles = [];
-
-		// Look for followers files (followers.html, followers_1.html, followers_2.html, etc.)
-		zipContent.forEach( ( relativePath, zipEntry ) => {
-			const filename = relativePath.toLowerCase();
-			const basename = filename.split( '/' ).pop(); // Get just the filename without path
-
-			if (
-				filename.endsWith( '.html' ) &&
-				( basename === 'followers.html' ||
-					basename.startsWith( 'followers_' ) )
-			) {
-				followersFiles.push( zipEntry );
-			}
-		} );
-
-		// Process each followers file
-		for ( const file of followersFiles ) {
+		if ( this.canUseWorker() ) {
 			try {
-				const content = await file.async( 'text' );
-				const fileFollowers = this.parseInstagramHTML(
-					content,
-					'followers'
-				);
-				followers.push( ...fileFollowers );
+				return await this.processZipInWorker( file );
 			} catch ( error ) {
-				console.warn(
-					'Error processing followers file:',
-					file.name,
-					error
-				);
-			}
-		}
-
-		return followers;
-	}
-
-	async extractFollowingData( zipContent ) {
-		const following = [];
-		const followingFiles = [];
-
-		// Look for following files (following.html, following_1.html, following_2.html, etc.)
-		zipContent.forEach( ( relativePath, zipEntry ) => {
-			const filename = relativePath.toLowerCase();
-			const basename = filename.split( '/' ).pop(); // Get just the filename without path
-
-			if (
-				filename.endsWith( '.html' ) &&
-				( basename === 'following.html' ||
-					basename.startsWith( 'following_' ) )
-			) {
-				followingFiles.push( zipEntry );
-			}
-		} );
+				if ( ! error.fallback ) {
+					throw error;
+				}
 
-		// Process each following file
-		for ( const file of followingFiles ) {
-			try {
-				const content = await file.async( 'text' );
-				const fileFollowing = this.parseInstagramHTML(
-					content,
-					'following'
-				);
-				following.push( ...fileFollowing );
-			} catch ( error ) {
 				console.warn(
-					'Error processing following file:',
-					file.name,
-					error
+					'Analyzer worker unavailable, processing on the main thread:',
+					error.message
 				);
 			}
 		}
 
-		return following;
+		return this.processZipOnMainThread( file );
 	}
 
-	parseInstagramHTML( htmlContent, type ) {
-		const accounts = [];
-
-		try {
-			// Create a DOM parser
-			const parser = new DOMParser();
-			const doc = parser.parseFromString( htmlContent, 'text/html' );
-
-			// Instagram export HTML structure varies, but generally contains lists with account info
-			// Look for common patterns in Instagram data exports
-			const accountElements = this.findAccountElements( doc, type );
-
-			accountElements.forEach( ( element ) => {
-				const account = this.extractAccountInfo( element );
-				if ( account ) {
-					accounts.push( account );
-				}
-			} );
-		} catch ( error ) {
-			console.error( 'Error parsing Instagram HTML:', error );
-		}
-
-		return accounts;
+	canUseWorker() {
+		return typeof Worker !== 'undefined' && !! this.config.workerUrl;
 	}
 
-	findAccountElements( doc, type ) {
-		// Try multiple selectors as Instagram export format can vary
-		const selectors = [
-			// Common patterns in Instagram exports
-			'div[role="cell"]',
-			'.x1i10hfl',
-			'a[href*="instagram.com"]',
-			'div:has(a[href*="instagram.com"])',
-			// Fallback to any div containing links
-			'div a[href]',
-		];
-
-		let elements = [];
+	processZipInWorker( file ) {
+		return new Promise( ( resolve, reject ) => {
+			let worker;
 
-		for ( const selector of selectors ) {
 			try {
-				const found = doc.querySelectorAll( selector );
-				if ( found.length > 0 ) {
-					elements = Array.from( found );
-					break;
-				}
+				worker = new Worker( this.config.workerUrl );
 			} catch ( error ) {
-				// Continue to next selector if this one fails
-				continue;
+				error.fallback = true;
+				reject( error );
+				return;
 			}
-		}
-
-		// If no structured elements found, try parsing text content
-		if ( elements.length === 0 ) {
-			elements = this.parseTextContent( doc );
-		}
 
-		return elements;
-	}
-
-	extractAccountInfo( element ) {
-		let username = '';
-		let profileUrl = '';
-		let timestamp = '';
+			const finish = () => {
+				worker.terminate();
+				this.activeAnalysis = null;
+			};
 
-		try {
-			// Try to find username from link
-			const link =
-				element.querySelector( 'a[href*="instagram.com"]' ) ||
-				( element.href && element.href.includes( 'instagram.com' )
-					? element
-					: null );
-
-			if ( link ) {
-				profileUrl = link.href;
-				// Extract username from URL
-				const urlMatch = profileUrl.match( /instagram\.com\/([^/?]+)/ );
-				if ( urlMatch ) {
-					username = urlMatch[ 1 ];
-				}
-			}
+			// Cancelling terminates the worker, even mid-file
+			this.activeAnalysis = {
+				cancel: () => {
+					finish();
+					reject(
+						new DOMException( 'Analysis cancelled', 'AbortError' )
+					);
+				},
+			};
 
-			// Try to find username from text content if not found in URL
-			if ( ! username ) {
-				const textContent =
-					element.textContent || element.innerText || '';
-				const usernameMatch = textContent.match( /@?([a-zA-Z0-9_.]+)/ );
-				if ( usernameMatch ) {
-					username = usernameMatch[ 1 ];
-					// Construct profile URL if not found
-					if ( ! profileUrl ) {
-						profileUrl = `https://instagram.com/${ username }`;
+			worker.addEventListener( 'message', ( event ) => {
+				const message = event.data || {};
+
+				switch ( message.type ) {
+					case 'progress':
+						this.showProgress(
+							message.percentage,
+							message.message
+						);
+						break;
+					case 'result':
+						finish();
+						resolve( message.data );
+						break;
+					case 'error': {
+						finish();
+						const error = new Error( message.message );
+						error.fallback = !! message.fallback;
+						reject( error );
+						break;
 					}
 				}
-			}
-
-			// Try to find timestamp
-			const timeElement =
-				element.querySelector( 'time' ) ||
-				element.querySelector( '[datetime]' ) ||
-				element.querySelector( '.timestamp' );
-
-			if ( timeElement ) {
-				timestamp =
-					timeElement.getAttribute( 'datetime' ) ||
-					timeElement.textContent ||
-					timeElement.getAttribute( 'title' );
-			}
-
-			// Clean up username (remove @ if present)
-			username = username.replace( /^@/, '' );
-
-			// Only return if we have a valid username
-			if ( username && username.length > 0 ) {
-				return {
-					username: this.sanitizeString( username ),
-					profileUrl:
-						profileUrl || `https://instagram.com/${ username }`,
-					timestamp: timestamp || new Date().toISOString(),
-				};
-			}
-		} catch ( error ) {
-			console.warn( 'Error extracting account info:', error );
-		}
-
-		return null;
-	}
-
-	parseTextContent( doc ) {
-		const elements = [];
-		const textContent = doc.body.textContent || doc.body.innerText || '';
-
-		// Look for Instagram username patterns in text
-		const usernameRegex = /@?([a-zA-Z0-9_.]{1,30})/g;
-		let match;
-
-		while ( ( match = usernameRegex.exec( textContent ) ) !== null ) {
-			const username = match[ 1 ];
-
-			// Skip very short or very common words
-			if (
-				username.length < 3 ||
-				/^(the|and|for|you|are|with|com|www)$/i.test( username )
-			) {
-				continue;
-			}
-
-			// Create a pseudo-element for consistent processing
-			const pseudoElement = {
-				textContent: `@${ username }`,
-				querySelector: () => null,
-			};
-
-			elements.push( pseudoElement );
-		}
+			} );
 
-		return elements;
-	}
+			// Script load failures surface here rather than as messages
+			worker.addEventListener( 'error', ( event ) => {
+				event.preventDefault();
+				finish();
+				const error = new Error(
+					event.message || 'Analyzer worker failed to start'
+				);
+				error.fallback = true;
+				reject( error );
+			} );
 
-	sanitizeString( str ) {
-		// Remove potentially dangerous characters and trim
-		return str
-			.replace( /[<>\"'&]/g, '' )
-			.trim()
-			.substring( 0, 50 );
+			worker.postMessage( {
+				type: 'analyze',
+				file,
+				scripts: this.config.workerScripts || [],
+			} );
+		} );
 	}
 
-	analyzeFollowerData( followers, following ) {
-		// Remove duplicates and create lookup maps
-		const uniqueFollowers = this.removeDuplicates( followers );
-		const uniqueFollowing = this.removeDuplicates( following );
-
-		// Create a Set of follower usernames for fast lookup
-		const followerSet = new Set(
-			uniqueFollowers.map( ( account ) => account.username.toLowerCase() )
-		);
-
-		// Find accounts you're following that don't follow you back
-		const notFollowingBack = uniqueFollowing.filter( ( account ) => {
-			return ! followerSet.has( account.username.toLowerCase() );
+	async processZipOnMainThread( file ) {
+		const parser = new InstagramExportParser( {
+			onProgress: ( percentage, message ) =>
+				this.showProgress( percentage, message ),
 		} );
 
-		// Sort accounts by username for consistent display
-		uniqueFollowers.sort( ( a, b ) =>
-			a.username.localeCompare( b.username )
-		);
-		uniqueFollowing.sort( ( a, b ) =>
-			a.username.localeCompare( b.username )
-		);
-		notFollowingBack.sort( ( a, b ) =>
-			a.username.localeCompare( b.username )
-		);
+		this.activeAnalysis = { cancel: () => parser.cancel() };
 
-		return {
-			followers: uniqueFollowers,
-			following: uniqueFollowing,
-			notFollowingBack: notFollowingBack,
-			stats: {
-				totalFollowers: uniqueFollowers.length,
-				totalFollowing: uniqueFollowing.length,
-				notFollowingBackCount: notFollowingBack.length,
-				mutualCount: uniqueFollowing.length - notFollowingBack.length,
-				followerToFollowingRatio:
-					uniqueFollowers.length > 0
-						? (
-								uniqueFollowing.length / uniqueFollowers.length
-						  ).toFixed( 2 )
-						: 0,
-			},
-		};
+		try {
+			return await parser.analyzeExportFile( file );
+		} catch ( error ) {
+			console.error( 'ZIP processing error:', error );
+			throw error;
+		} finally {
+			this.activeAnalysis = null;
+		}
 	}
 
-	removeDuplicates( accounts ) {
-		const seen = new Set();
-		const unique = [];
-
-		for ( const account of accounts ) {
-			const key = account.username.toLowerCase();
-			if ( ! seen.has( key ) ) {
-				seen.add( key );
-				unique.push( account );
-			}
+	cancelAnalysis() {
+		if ( this.activeAnalysis ) {
+			this.activeAnalysis.cancel();
 		}
-
-		return unique;
 	}
 
 	async displayResults( data ) {
@@ -559,19 +398,113 @@ class InstagramAnalyzer {
 
 		// Show results
 		resultsContainer.style.display = 'block';
+		this.renderResults( data );
+	}
+
+	renderResults( data ) {
+		const resultsContainer =
+			this.container.querySelector( '#results-container' );
+
 		resultsContainer.innerHTML = this.createResultsHTML( data );
 
 		// Bind events and restore preferences
 		this.bindResultsEvents();
 		this.restoreUserPreferences();
+
+		// Snapshot lists are only fetched once a comparison is shown
+		if ( this.container.querySelector( '.blk-snapshot-loading' ) ) {
+			this.updateSnapshotComparison();
+		}
+
+		if ( this.state.activeView === 'posts' ) {
+			this.checkAnalyticsConsent();
+		}
 	}
 
 	createResultsHTML( data ) {
+		const showPosts =
+			data.postInsights && this.state.activeView === 'posts';
+
+		return `
+            ${ this.createDiagnosticsWarningHTML( data.diagnostics ) }
+
+            ${ this.createViewSwitch( data ) }
+
+            ${
+				showPosts
+					? this.createPostInsightsHTML( data.postInsights )
+					: this.createFollowerResultsHTML( data )
+			}
+
+            ${ this.createDiagnosticsHTML( data.diagnostics ) }
+
+            <div class="blk-results-footer">
+                <button type="button" class="blk-button blk-button--secondary" id="reset-analyzer-btn">
+                    Upload New File
+                </button>
+            </div>
+        `;
+	}
+
+	createViewSwitch( data ) {
+		if ( ! data.postInsights ) {
+			return '';
+		}
+
+		const views = [
+			[ 'followers', 'Followers' ],
+			[ 'posts', 'Posting Insights' ],
+		];
+
+		return `
+            <div class="blk-view-switch" role="tablist">
+                ${ views
+					.map(
+						( [ key, label ] ) => `
+                    <button type="button" role="tab" class="blk-view-tab ${
+						key === this.state.activeView
+							? 'blk-view-tab--active'
+							: ''
+					}" data-view="${ key }" aria-selected="${
+						key === this.state.activeView
+					}">${ label }</button>
+                `
+					)
+					.join( '' ) }
+            </div>
+        `;
+	}
+
+	createFollowerResultsHTML( data ) {
 		const stats = data.stats;
 
+		if ( ! this.isFollowerDataComplete( data ) ) {
+			return `
+            <div class="blk-results-body">
+                <div class="blk-empty-state">
+                    <p>Your followers and following lists couldn't both be read reliably, so no comparison is shown. Check the import details below, and make sure you uploaded the full export.</p>
+                </div>
+            </div>
+
+            ${ this.createHistorySection() }
+        `;
+		}
+
+		let body = this.createTeaserResults( data );
+		if ( this.config.isLoggedIn ) {
+			body = this.state.cleanupActive
+				? this.createCleanupSessionHTML( data )
+				: this.createFullResults( data );
+		}
+
 		return `
             <div class="blk-results-header">
-                <h2 class="blk-results-title">Analysis Complete</h2>
+                <h2 class="blk-results-title">
+                    Analysis Complete
+                    <span class="blk-platform-badge blk-platform-badge--${ this.getPlatform() }">${
+						this.platforms[ this.getPlatform() ]
+					}</span>
+                </h2>
                 <div class="blk-stats-grid">
                     <div class="blk-stat-card blk-stat-card--primary">
                         <div class="blk-stat-number">${
@@ -593,50 +526,152 @@ class InstagramAnalyzer {
 						}</div>
                         <div class="blk-stat-label">Following</div>
                     </div>
+                    <div class="blk-stat-card blk-stat-card--small">
+                        <div class="blk-stat-number">${
+							stats.fansCount ?? '–'
+						}</div>
+                        <div class="blk-stat-label">Fans</div>
+                    </div>
+                    <div class="blk-stat-card blk-stat-card--small">
+                        <div class="blk-stat-number">${
+							stats.mutualCount
+						}</div>
+                        <div class="blk-stat-label">Mutuals</div>
+                    </div>
                 </div>
             </div>
             
             <div class="blk-results-body">
-                ${
-					this.config.isLoggedIn
-						? this.createFullResults( data )
-						: this.createTeaserResults( data )
-				}
+                ${ body }
             </div>
+
+            ${ this.config.isLoggedIn ? this.createWhitelistSection() : '' }
             
-            <div class="blk-results-footer">
-                <button type="button" class="blk-button blk-button--secondary" id="reset-analyzer-btn">
-                    Upload New File
-                </button>
-            </div>
+            ${ this.createHistorySection() }
         `;
 	}
 
-	createFullResults( data ) {
-		// Sort accounts alphabetically with whitelisted accounts at the bottom
-		const sortedAccounts = [ ...data.notFollowingBack ].sort( ( a, b ) => {
-			const aWhitelisted = this.state.whitelist.includes( a.username );
-			const bWhitelisted = this.state.whitelist.includes( b.username );
-
-			// If whitelist status is different, non-whitelisted comes first
-			if ( aWhitelisted !== bWhitelisted ) {
-				return aWhitelisted ? 1 : -1;
-			}
+	getResultTabs( data ) {
+		const tabs = [
+			{
+				key: 'notFollowingBack',
+				label: 'Not Following Back',
+				heading: 'Accounts Not Following You Back',
+				empty: '🎉 Great news! All the accounts you follow also follow you back.',
+			},
+			{
+				key: 'fans',
+				label: 'Fans',
+				heading: "Fans You Don't Follow Back",
+				empty: 'You follow back everyone who follows you.',
+			},
+			{
+				key: 'mutuals',
+				label: 'Mutuals',
+				heading: 'Mutual Followers',
+				empty: 'No mutual followers found in this export.',
+			},
+			{
+				key: 'closeFriends',
+				label: 'Close Friends',
+				heading: 'Close Friends',
+			},
+			{
+				key: 'pendingRequests',
+				label: 'Pending Requests',
+				heading: "Follow Requests You've Sent",
+			},
+			{
+				key: 'recentRequests',
+				label: 'Follow Requests',
+				heading: 'Recent Follow Requests',
+			},
+			{
+				key: 'recentlyUnfollowed',
+				label: 'Recently Unfollowed',
+				heading: 'Accounts You Recently Unfollowed',
+			},
+			{
+				key: 'blocked',
+				label: 'Blocked',
+				heading: 'Blocked Accounts',
+			},
+			{
+				key: 'restricted',
+				label: 'Restricted',
+				heading: 'Restricted Accounts',
+			},
+			{
+				key: 'neverEngaged',
+				label: 'Never Engaged',
+				heading: "Accounts You Follow But Haven't Engaged With",
+				description: this.getEngagementDescription( data ),
+				empty: 'You have interacted with every account you follow.',
+			},
+			{
+				key: 'engagedFollowing',
+				label: 'Most Engaged',
+				heading: 'Accounts You Engage With Most',
+				description: this.getEngagementDescription( data ),
+				empty: 'Your export has no likes, comments or story interactions with accounts you follow.',
+				sortOrder: 'engagement',
+			},
+		];
 
-			// If same whitelist status, sort alphabetically
-			return a.username.localeCompare( b.username );
-		} );
+		// Core tabs are always shown, the others only when the export has them
+		return tabs.filter( ( tab ) =>
+			tab.empty
+				? Array.isArray( data[ tab.key ] )
+				: Array.isArray( data[ tab.key ] ) && data[ tab.key ].length > 0
+		);
+	}
 
-		const nonMutualList = sortedAccounts
-			.map( ( account ) => this.createAccountItem( account ) )
-			.join( '' );
+	createFullResults( data ) {
+		const tabs = this.getResultTabs( data );
+		const activeTab =
+			tabs.find( ( tab ) => tab.key === this.state.activeTab ) ||
+			tabs[ 0 ];
+		const preferences = this.stateManager.getUserPreferences();
+		const accounts = this.sortAccounts(
+			data[ activeTab.key ],
+			activeTab.sortOrder || preferences.sortOrder
+		);
+
+		// Rows are rendered into the list once it is in the page
+		this.accountList.all = accounts;
+		this.accountList.visible = accounts;
 
 		return `
             <div class="blk-full-results">
+                ${
+					tabs.length > 1
+						? `
+                    <div class="blk-result-tabs" role="tablist">
+                        ${ tabs
+							.map(
+								( tab ) => `
+                            <button type="button" role="tab" class="blk-result-tab ${
+								tab.key === activeTab.key
+									? 'blk-result-tab--active'
+									: ''
+							}" data-tab="${ tab.key }" aria-selected="${
+								tab.key === activeTab.key
+							}">
+                                ${ tab.label }
+                                <span class="blk-result-tab-count">${
+									data[ tab.key ].length
+								}</span>
+                            </button>
+                        `
+							)
+							.join( '' ) }
+                    </div>
+                `
+						: ''
+				}
+
                 <div class="blk-section-header">
-                    <h3>Accounts Not Following You Back (${
-						data.stats.notFollowingBackCount
-					})</h3>
+                    <h3>${ activeTab.heading } (${ accounts.length })</h3>
                     <div class="blk-filter-controls">
                         <input 
                             type="text" 
@@ -644,30 +679,85 @@ class InstagramAnalyzer {
                             placeholder="Search accounts..." 
                             class="blk-search-input"
                         />
+                        <select id="search-mode" class="blk-sort-select" aria-label="Username matching">
+                            ${ [
+								[ 'contains', 'Contains' ],
+								[ 'fuzzy', 'Fuzzy' ],
+								[ 'regex', 'Regex' ],
+							]
+								.map(
+									( [ value, label ] ) =>
+										`<option value="${ value }" ${
+											this.state.filters.matchMode ===
+											value
+												? 'selected'
+												: ''
+										}>${ label }</option>`
+								)
+								.join( '' ) }
+                        </select>
+                        <select ${
+							activeTab.sortOrder ? 'hidden' : ''
+						} id="account-sort" class="blk-sort-select" aria-label="Sort accounts">
+                            <option value="username" ${
+								preferences.sortOrder === 'username'
+									? 'selected'
+									: ''
+							}>A–Z</option>
+                            <option value="newest" ${
+								preferences.sortOrder === 'newest'
+									? 'selected'
+									: ''
+							}>Newest first</option>
+                            <option value="oldest" ${
+								preferences.sortOrder === 'oldest'
+									? 'selected'
+									: ''
+							}>Oldest first</option>
+                        </select>
                     </div>
                 </div>
+                ${
+					activeTab.description
+						? `<p class="blk-tab-description">${ activeTab.description }</p>`
+						: ''
+				}
                 
                 ${
-					data.stats.notFollowingBackCount > 0
+					accounts.length > 0
 						? `
-                    <div class="blk-accounts-list" id="non-mutual-list">
-                        ${ nonMutualList }
-                    </div>
                     ${
-						data.stats.notFollowingBackCount > 20
-							? `
-                        <div class="blk-pagination">
-                            <button class="blk-button blk-button--secondary" id="load-more-btn">
-                                Load More
-                            </button>
-                        </div>
-                    `
+						activeTab.key === 'notFollowingBack'
+							? this.createCleanupPromptHTML( data )
 							: ''
 					}
+                    ${ this.createFilterBarHTML( preferences ) }
+                    <div class="blk-export-actions">
+                        <select id="export-scope" class="blk-sort-select" aria-label="Export scope">
+                            <option value="view">Current view</option>
+                            <option value="category">Whole list</option>
+                        </select>
+                        <button type="button" class="blk-button blk-button--small blk-button--secondary blk-export-btn" data-format="csv">
+                            Export CSV
+                        </button>
+                        <button type="button" class="blk-button blk-button--small blk-button--secondary blk-export-btn" data-format="json">
+                            Export JSON
+                        </button>
+                        <button type="button" class="blk-button blk-button--small blk-button--secondary blk-export-btn" data-format="clipboard">
+                            Copy Usernames
+                        </button>
+                    </div>
+                    <div class="blk-accounts-list blk-accounts-list--virtual" id="accounts-list">
+                        <div class="blk-accounts-viewport">
+                            <div class="blk-accounts-window" role="list"></div>
+                        </div>
+                    </div>
                 `
 						: `
                     <div class="blk-empty-state">
-                        <p>🎉 Great news! All the accounts you follow also follow you back.</p>
+                        <p>${
+							activeTab.empty || 'No accounts in this list.'
+						}</p>
                     </div>
                 `
 				}
@@ -676,33 +766,493 @@ class InstagramAnalyzer {
         `;
 	}
 
-	createAccountItem( account ) {
-		const isWhitelisted = this.state.whitelist.includes( account.username );
-		const isViewed = this.state.viewedAccounts.includes( account.username );
+	createCleanupPromptHTML( data ) {
+		const remaining = this.getCleanupQueue( data ).length;
+		const started = this.state.cleanupLedger.entries.length > 0;
 
 		return `
-            <div class="blk-account-item ${
-				isWhitelisted ? 'blk-account-item--whitelisted' : ''
-			} ${
-				isViewed ? 'blk-account-item--viewed' : ''
-			}" data-username="${ account.username }">
-                <div class="blk-account-avatar">
+            <div class="blk-cleanup-prompt">
+                <p>${
+					remaining > 0
+						? `Go through this list one account at a time and keep track of who you've unfollowed. ${ remaining } left to review.`
+						: "You've reviewed every account in this list."
+				}</p>
+                <button type="button" id="start-cleanup-btn" class="blk-button blk-button--small" ${
+					remaining > 0 ? '' : 'disabled'
+				}>
                     ${
-						isViewed ? '<div class="blk-viewed-indicator">👁</div>' : ''
+						started
+							? 'Resume Cleanup Session'
+							: 'Start Cleanup Session'
 					}
+                </button>
+            </div>
+        `;
+	}
+
+	createCleanupSessionHTML( data ) {
+		const queue = this.getCleanupQueue( data );
+		const account = queue[ 0 ];
+		const decisions = this.getCleanupDecisions();
+		const whitelist = new Set( this.state.whitelist );
+
+		// Accounts whitelisted outside the session were never part of it
+		const accounts = ( data.notFollowingBack || [] ).filter(
+			( item ) =>
+				decisions.has( item.username ) ||
+				! whitelist.has( item.username )
+		);
+		const counts = { unfollowed: 0, keep: 0, skip: 0 };
+		accounts.forEach( ( item ) => {
+			const decision = decisions.get( item.username );
+			if ( decision ) {
+				counts[ decision.action ]++;
+			}
+		} );
+
+		const reviewed = counts.unfollowed + counts.keep + counts.skip;
+		const progress = accounts.length
+			? Math.round( ( reviewed / accounts.length ) * 100 )
+			: 100;
+		const entries = this.state.cleanupLedger.entries;
+		const lastEntry = entries[ entries.length - 1 ];
+		const actionLabels = {
+			unfollowed: 'Unfollowed',
+			keep: 'Keep',
+			skip: 'Skip',
+		};
+
+		return `
+            <div class="blk-cleanup-session" id="cleanup-session">
+                <div class="blk-section-header">
+                    <h3>Cleanup Session</h3>
+                    <button type="button" id="end-cleanup-btn" class="blk-button blk-button--small blk-button--secondary">
+                        End Session
+                    </button>
                 </div>
-                <div class="blk-account-info">
-                    <div class="blk-account-username">
-                        <a href="${
-							account.profileUrl
-						}" target="_blank" rel="noopener noreferrer" class="blk-profile-link" data-username="${
-			account.username
-		}">
-                            ${ account.username }
-                        </a>
+
+                <div class="blk-cleanup-progress">
+                    <div class="blk-cleanup-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${ progress }">
+                        <div class="blk-cleanup-progress-fill" style="width: ${ progress }%"></div>
+                    </div>
+                    <p>${ reviewed } of ${ accounts.length } reviewed · ${
+						counts.unfollowed
+					} unfollowed · ${ counts.keep } kept · ${
+						counts.skip
+					} skipped</p>
+                </div>
+
+                ${ this.createUnfollowLimitHTML() }
+
+                ${
+					account
+						? `
+                    <div class="blk-cleanup-card">
+                        <div class="blk-cleanup-account">
+                            <div class="blk-account-username">@${ this.escapeHtml(
+								account.username
+							) }</div>
+                            <div class="blk-account-meta">
+                                ${
+									account.timestamp
+										? `<span class="blk-timestamp">Added ${ this.formatDate(
+												account.timestamp
+										  ) }</span>`
+										: ''
+								}
+                                ${
+									decisions.has( account.username )
+										? '<span class="blk-viewed-badge">Skipped before</span>'
+										: ''
+								}
+                            </div>
+                        </div>
+                        <a href="${ this.escapeHtml(
+							this.getProfileUrl( account.username )
+						) }" target="_blank" rel="noopener noreferrer" class="blk-button blk-button--secondary blk-cleanup-profile" data-username="${ this.escapeHtml(
+							account.username
+						) }">
+                            Open Profile
+                        </a>
+                        <div class="blk-cleanup-actions">
+                            ${ [ 'unfollowed', 'keep', 'skip' ]
+								.map(
+									( action ) => `
+                                <button type="button" class="blk-button blk-cleanup-action blk-cleanup-action--${ action }" data-action="${ action }" data-username="${ this.escapeHtml(
+									account.username
+								) }">
+                                    ${ actionLabels[ action ] }
+                                </button>
+                            `
+								)
+								.join( '' ) }
+                        </div>
+                        <p class="blk-cleanup-hint">Unfollow on the profile, then mark it here. Keep adds the account to your whitelist; skipped accounts come back at the end.</p>
+                    </div>
+                `
+						: `
+                    <div class="blk-empty-state">
+                        <p>You've been through the whole list. Upload a new export later to see who still isn't following back.</p>
+                    </div>
+                `
+				}
+
+                ${
+					lastEntry
+						? `
+                    <button type="button" id="undo-cleanup-btn" class="blk-button blk-button--small blk-button--secondary blk-cleanup-undo">
+                        Undo ${
+							actionLabels[ lastEntry.action ]
+						} for @${ this.escapeHtml( lastEntry.username ) }
+                    </button>
+                `
+						: ''
+				}
+            </div>
+        `;
+	}
+
+	createUnfollowLimitHTML() {
+		const count = this.getRecentUnfollowCount();
+		const limit = this.config.dailyUnfollowLimit;
+		const platform = this.platforms[ this.getPlatform() ];
+
+		let modifier = '';
+		let message = '';
+		if ( count >= limit ) {
+			modifier = 'blk-cleanup-limit--reached';
+			message = `Stop for today. Going past about ${ limit } unfollows a day can get your account temporarily blocked by ${ platform }.`;
+		} else if ( count >= limit * 0.8 ) {
+			modifier = 'blk-cleanup-limit--warning';
+			message = `You're close to ${ platform }'s daily action limit. Slow down to avoid a temporary block.`;
+		}
+
+		return `
+            <div class="blk-cleanup-limit ${ modifier }" role="status">
+                <strong>${ count } / ${ limit }</strong> unfollows in the last 24 hours
+                ${ message ? `<p>${ message }</p>` : '' }
+            </div>
+        `;
+	}
+
+	getCleanupDecisions() {
+		// The latest decision for each account
+		const decisions = new Map();
+		this.state.cleanupLedger.entries.forEach( ( entry ) => {
+			decisions.set( entry.username, entry );
+		} );
+
+		return decisions;
+	}
+
+	getCleanupQueue( data ) {
+		// Undecided accounts first, then skipped ones in the order they were
+		// skipped. Unfollowed and kept (whitelisted) accounts are done.
+		const decisions = this.getCleanupDecisions();
+		const whitelist = new Set( this.state.whitelist );
+		const accounts = this.sortAccounts(
+			data.notFollowingBack || [],
+			this.stateManager.getUserPreferences().sortOrder
+		);
+		const pending = [];
+		const skipped = [];
+
+		accounts.forEach( ( account ) => {
+			if ( whitelist.has( account.username ) ) {
+				return;
+			}
+
+			const decision = decisions.get( account.username );
+
+			if ( ! decision ) {
+				pending.push( account );
+			} else if ( decision.action === 'skip' ) {
+				skipped.push( { account, at: decision.at } );
+			}
+		} );
+
+		skipped.sort( ( a, b ) => ( a.at < b.at ? -1 : 1 ) );
+
+		return pending.concat( skipped.map( ( item ) => item.account ) );
+	}
+
+	getRecentUnfollowCount() {
+		const since = Date.now() - 24 * 60 * 60 * 1000;
+
+		return this.state.cleanupLedger.entries.filter(
+			( entry ) =>
+				entry.action === 'unfollowed' && Date.parse( entry.at ) > since
+		).length;
+	}
+
+	startCleanupSession() {
+		this.state.cleanupActive = true;
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	endCleanupSession() {
+		this.state.cleanupActive = false;
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	recordCleanupDecision( username, action ) {
+		// Keeping an account whitelists it, and undo needs to know whether
+		// that was this decision's doing
+		let addedToWhitelist = false;
+		if (
+			action === 'keep' &&
+			! this.state.whitelist.includes( username )
+		) {
+			this.toggleWhitelist( username );
+			addedToWhitelist = true;
+		}
+
+		const now = new Date().toISOString();
+		this.state.cleanupLedger = {
+			entries: [
+				...this.state.cleanupLedger.entries,
+				{ username, action, at: now, addedToWhitelist },
+			].slice( -this.config.maxCleanupEntries ),
+			updatedAt: now,
+		};
+		this.saveCleanupLedger();
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	undoCleanupDecision() {
+		const entries = [ ...this.state.cleanupLedger.entries ];
+		const entry = entries.pop();
+		if ( ! entry ) {
+			return;
+		}
+
+		if (
+			entry.addedToWhitelist &&
+			this.state.whitelist.includes( entry.username )
+		) {
+			this.toggleWhitelist( entry.username );
+		}
+
+		this.state.cleanupLedger = {
+			entries,
+			updatedAt: new Date().toISOString(),
+		};
+		this.saveCleanupLedger();
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	saveCleanupLedger() {
+		if (
+			! this.stateManager.saveCleanupLedger(
+				this.state.cleanupLedger,
+				this.getPlatform()
+			)
+		) {
+			console.warn( 'Could not save cleanup progress locally' );
+		}
+
+		// Logged-in users pick the session up on any device
+		if ( this.config.isLoggedIn ) {
+			this.syncCleanupLedgerWithServer();
+		}
+	}
+
+	async syncCleanupLedgerWithServer() {
+		try {
+			const response = await fetch( this.config.ajaxUrl, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/x-www-form-urlencoded',
+				},
+				body: new URLSearchParams( {
+					action: 'rwp_save_instagram_cleanup',
+					nonce: this.config.nonce,
+					platform: this.getPlatform(),
+					ledger: JSON.stringify( this.state.cleanupLedger ),
+				} ),
+			} );
+
+			const result = await response.json();
+			if ( ! result.success ) {
+				console.error(
+					'Failed to sync cleanup ledger:',
+					result.message
+				);
+			}
+		} catch ( error ) {
+			console.error( 'Network error syncing cleanup ledger:', error );
+		}
+	}
+
+	async loadServerCleanupLedger() {
+		const platform = this.getPlatform();
+		const response = await fetch( this.config.ajaxUrl, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/x-www-form-urlencoded',
+			},
+			body: new URLSearchParams( {
+				action: 'rwp_get_instagram_cleanup',
+				nonce: this.config.nonce,
+				platform,
+			} ),
+		} );
+
+		const result = await response.json();
+		const ledger = result.success && result.data;
+		if ( ! ledger || ! Array.isArray( ledger.entries ) ) {
+			return;
+		}
+
+		// Whichever copy was changed last wins
+		const local = this.state.cleanupLedger;
+		if (
+			! local.updatedAt ||
+			Date.parse( ledger.updatedAt ) > Date.parse( local.updatedAt )
+		) {
+			this.state.cleanupLedger = ledger;
+			this.stateManager.saveCleanupLedger( ledger, platform );
+		} else if (
+			Date.parse( ledger.updatedAt ) < Date.parse( local.updatedAt )
+		) {
+			this.syncCleanupLedgerWithServer();
+		}
+	}
+
+	createFilterBarHTML( preferences ) {
+		const filters = this.state.filters;
+		const presets = preferences.filterPresets || [];
+		const toggle = ( key, label, options ) => `
+            <label class="blk-filter-field">
+                <span>${ label }</span>
+                <select class="blk-sort-select blk-filter-toggle" data-filter="${ key }">
+                    ${ options
+						.map(
+							( [ value, text ] ) =>
+								`<option value="${ value }" ${
+									filters[ key ] === value ? 'selected' : ''
+								}>${ text }</option>`
+						)
+						.join( '' ) }
+                </select>
+            </label>
+        `;
+
+		return `
+            <div class="blk-filter-bar" id="filter-bar">
+                <div class="blk-filter-group">
+                    <label class="blk-filter-field">
+                        <span>Followed from</span>
+                        <input type="date" class="blk-filter-date" data-filter="from" value="${ this.escapeHtml(
+							filters.from
+						) }" />
+                    </label>
+                    <label class="blk-filter-field">
+                        <span>to</span>
+                        <input type="date" class="blk-filter-date" data-filter="to" value="${ this.escapeHtml(
+							filters.to
+						) }" />
+                    </label>
+                </div>
+                <div class="blk-filter-group">
+                    ${ toggle( 'whitelisted', 'Whitelisted', [
+						[ 'any', 'Any' ],
+						[ 'only', 'Only' ],
+						[ 'hide', 'Hide' ],
+					] ) }
+                    ${ toggle( 'viewed', 'Viewed', [
+						[ 'any', 'Any' ],
+						[ 'only', 'Only' ],
+						[ 'hide', 'Hide' ],
+					] ) }
+                    ${ toggle( 'verified', 'Verified-looking', [
+						[ 'any', 'Any' ],
+						[ 'only', 'Only' ],
+						[ 'hide', 'Hide' ],
+					] ) }
+                    ${ toggle( 'category', 'Whitelist category', [
+						[ 'any', 'Any' ],
+						...Object.entries( this.whitelistCategories ),
+						[ 'none', 'Uncategorized' ],
+					] ) }
+                </div>
+                <div class="blk-filter-group blk-filter-presets">
+                    <select id="filter-preset" class="blk-sort-select" aria-label="Saved filters">
+                        <option value="">Saved filters…</option>
+                        ${ presets
+							.map(
+								( preset ) =>
+									`<option value="${ this.escapeHtml(
+										preset.name
+									) }" ${
+										preset.name === this.state.filterPreset
+											? 'selected'
+											: ''
+									}>${ this.escapeHtml(
+										preset.name
+									) }</option>`
+							)
+							.join( '' ) }
+                    </select>
+                    <input type="text" id="filter-preset-name" class="blk-search-input blk-filter-preset-name" placeholder="Preset name" maxlength="40" />
+                    <button type="button" id="save-filter-preset" class="blk-button blk-button--small blk-button--secondary">
+                        Save
+                    </button>
+                    <button type="button" id="delete-filter-preset" class="blk-button blk-button--small blk-button--secondary" ${
+						this.state.filterPreset ? '' : 'disabled'
+					}>
+                        Delete
+                    </button>
+                    <button type="button" id="clear-filters" class="blk-button blk-button--small blk-button--secondary">
+                        Clear filters
+                    </button>
+                </div>
+            </div>
+        `;
+	}
+
+	createAccountItem( account ) {
+		const isWhitelisted = this.state.whitelist.includes( account.username );
+		const isViewed = this.state.viewedAccounts.includes( account.username );
+		const username = this.escapeHtml( account.username );
+		// Built from the username rather than trusting a link from the export
+		const profileUrl = this.escapeHtml(
+			this.getProfileUrl( account.username )
+		);
+
+		return `
+            <div role="listitem" class="blk-account-item ${
+				isWhitelisted ? 'blk-account-item--whitelisted' : ''
+			} ${
+				isViewed ? 'blk-account-item--viewed' : ''
+			}" data-username="${ username }">
+                <div class="blk-account-avatar">
+                    ${
+						isViewed ? '<div class="blk-viewed-indicator">👁</div>' : ''
+					}
+                </div>
+                <div class="blk-account-info">
+                    <div class="blk-account-username">
+                        <a href="${ profileUrl }" target="_blank" rel="noopener noreferrer" class="blk-profile-link" data-username="${ username }">
+                            ${ username }
+                        </a>
                         ${
 							isWhitelisted
-								? '<span class="blk-whitelist-badge">Whitelisted</span>'
+								? `<span class="blk-whitelist-badge">${ this.getWhitelistBadgeText(
+										account.username
+								  ) }</span>`
 								: ''
 						}
                         ${
@@ -719,6 +1269,13 @@ class InstagramAnalyzer {
 								  ) }</span>`
 								: ''
 						}
+                        ${
+							account.interactions
+								? `<span class="blk-engagement">${ this.formatInteractions(
+										account
+								  ) }</span>`
+								: ''
+						}
                     </div>
                 </div>
                 <div class="blk-account-actions">
@@ -727,9 +1284,7 @@ class InstagramAnalyzer {
 							? `
                         <button class="blk-button blk-button--small ${
 							isWhitelisted ? 'blk-button--secondary' : ''
-						} blk-whitelist-btn" data-username="${
-							account.username
-						}">
+						} blk-whitelist-btn" data-username="${ username }">
                             ${
 								isWhitelisted
 									? 'Remove from Whitelist'
@@ -739,11 +1294,7 @@ class InstagramAnalyzer {
                     `
 							: ''
 					}
-                    <a href="${
-						account.profileUrl
-					}" target="_blank" class="blk-button blk-button--small blk-button--secondary blk-view-profile-btn" data-username="${
-			account.username
-		}">
+                    <a href="${ profileUrl }" target="_blank" rel="noopener noreferrer" class="blk-button blk-button--small blk-button--secondary blk-view-profile-btn" data-username="${ username }">
                         View Profile
                     </a>
                 </div>
@@ -751,6 +1302,133 @@ class InstagramAnalyzer {
         `;
 	}
 
+	formatInteractions( account ) {
+		const parts = [
+			[ account.likes, 'like', 'likes' ],
+			[ account.comments, 'comment', 'comments' ],
+			[
+				account.storyInteractions,
+				'story interaction',
+				'story interactions',
+			],
+		]
+			.filter( ( [ count ] ) => count > 0 )
+			.map(
+				( [ count, singular, plural ] ) =>
+					`${ count } ${ count === 1 ? singular : plural }`
+			);
+
+		return account.lastInteraction
+			? `${ parts.join( ', ' ) } · last ${ this.formatDate(
+					account.lastInteraction
+			  ) }`
+			: parts.join( ', ' );
+	}
+
+	getEngagementDescription( data ) {
+		if ( ! data.engagement ) {
+			return '';
+		}
+
+		return `You have liked, commented on or reacted to stories from ${ data.engagement.engagedCount } of the ${ data.stats.totalFollowing } accounts you follow (${ data.engagement.engagementRate }%). Instagram's export only records your own activity, so it can't show which of your followers engage with your posts.`;
+	}
+
+	isFollowerDataComplete( data ) {
+		// Results saved before diagnostics existed are taken as they are
+		return ! data.diagnostics || data.diagnostics.complete;
+	}
+
+	createDiagnosticsWarningHTML( diagnostics ) {
+		if ( ! diagnostics || diagnostics.warnings.length === 0 ) {
+			return '';
+		}
+
+		return `
+            <div class="blk-diagnostics-warning" role="alert">
+                <strong>Some of your export couldn't be read reliably</strong>
+                <ul>
+                    ${ diagnostics.warnings
+						.map(
+							( warning ) =>
+								`<li>${ this.escapeHtml( warning ) }</li>`
+						)
+						.join( '' ) }
+                </ul>
+            </div>
+        `;
+	}
+
+	createDiagnosticsHTML( diagnostics ) {
+		if ( ! diagnostics ) {
+			return '';
+		}
+
+		const skipped = diagnostics.files.filter(
+			( file ) => file.status === 'skipped'
+		).length;
+		const statusLabels = {
+			parsed: 'Read',
+			empty: 'Empty',
+			skipped: 'Skipped',
+		};
+
+		return `
+            <details class="blk-diagnostics">
+                <summary>
+                    Import details: ${
+						diagnostics.files.length
+					} files found, ${ skipped } skipped
+                </summary>
+                <table class="blk-diagnostics-table">
+                    <thead>
+                        <tr>
+                            <th>File</th>
+                            <th>Parser</th>
+                            <th>Confidence</th>
+                            <th>Entries</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${ diagnostics.files
+							.map(
+								( file ) => `
+                            <tr class="blk-diagnostics-row--${ file.status }">
+                                <td>${ this.escapeHtml( file.file ) }</td>
+                                <td>${ this.escapeHtml(
+									file.parser || '–'
+								) }</td>
+                                <td>${ file.confidence || '–' }</td>
+                                <td>${ file.count }</td>
+                                <td title="${ this.escapeHtml(
+									file.reason
+								) }">${ statusLabels[ file.status ] }</td>
+                            </tr>
+                        `
+							)
+							.join( '' ) }
+                    </tbody>
+                </table>
+                ${
+					diagnostics.ignoredFiles > 0
+						? `<p class="blk-tab-description">${ diagnostics.ignoredFiles } other files in the ZIP aren't used by the analyzer.</p>`
+						: ''
+				}
+            </details>
+        `;
+	}
+
+	escapeHtml( text ) {
+		const map = {
+			'&': '&amp;',
+			'<': '&lt;',
+			'>': '&gt;',
+			'"': '&quot;',
+			"'": '&#039;',
+		};
+		return String( text ).replace( /[&<>"']/g, ( m ) => map[ m ] );
+	}
+
 	formatDate( dateString ) {
 		try {
 			const date = new Date( dateString );
@@ -878,11 +1556,12 @@ class InstagramAnalyzer {
 
 	async loadStoredData() {
 		try {
+			this.state.snapshots = this.stateManager.getSnapshots();
+
 			const storedData = this.stateManager.getAnalysisData();
 			if ( storedData ) {
 				this.state.analysisData = storedData;
-				this.state.whitelist = this.stateManager.getWhitelist();
-				this.state.viewedAccounts = this.stateManager.getViewedAccounts();
+				this.loadPlatformState();
 				await this.displayResults( storedData );
 				return true;
 			}
@@ -892,6 +1571,47 @@ class InstagramAnalyzer {
 		return false;
 	}
 
+	getPlatform() {
+		// Results from before other platforms were supported are Instagram's
+		return (
+			( this.state.analysisData && this.state.analysisData.platform ) ||
+			'instagram'
+		);
+	}
+
+	loadPlatformState() {
+		// Whitelists and viewed accounts are kept separately per platform
+		this.state.whitelist = this.stateManager.getWhitelist(
+			this.getPlatform()
+		);
+		this.state.whitelistDetails = this.stateManager.getWhitelistDetails(
+			this.getPlatform()
+		);
+		this.state.viewedAccounts = this.stateManager.getViewedAccounts(
+			this.getPlatform()
+		);
+		this.state.cleanupLedger = this.stateManager.getCleanupLedger(
+			this.getPlatform()
+		);
+	}
+
+	getProfileUrl( username, platform = this.getPlatform() ) {
+		switch ( platform ) {
+			case 'tiktok':
+				return `https://www.tiktok.com/@${ encodeURIComponent(
+					username
+				) }`;
+			case 'x':
+				return `https://x.com/i/user/${ encodeURIComponent(
+					username
+				) }`;
+			default:
+				return `https://instagram.com/${ encodeURIComponent(
+					username
+				) }`;
+		}
+	}
+
 	saveFormState() {
 		// Save current form state for recovery
 		const formState = {
@@ -940,94 +1660,690 @@ class InstagramAnalyzer {
 			} );
 		}
 
-		// Load more functionality
-		const loadMoreBtn = this.container.querySelector( '#load-more-btn' );
-		if ( loadMoreBtn ) {
-			loadMoreBtn.addEventListener( 'click', () => {
-				this.loadMoreAccounts();
+		// Cleanup session
+		const startCleanupBtn =
+			this.container.querySelector( '#start-cleanup-btn' );
+		if ( startCleanupBtn ) {
+			startCleanupBtn.addEventListener( 'click', () => {
+				this.startCleanupSession();
+			} );
+		}
+
+		const endCleanupBtn =
+			this.container.querySelector( '#end-cleanup-btn' );
+		if ( endCleanupBtn ) {
+			endCleanupBtn.addEventListener( 'click', () => {
+				this.endCleanupSession();
 			} );
 		}
 
-		// Whitelist buttons
-		const whitelistBtns =
-			this.container.querySelectorAll( '.blk-whitelist-btn' );
-		whitelistBtns.forEach( ( btn ) => {
-			btn.addEventListener( 'click', ( e ) => {
-				this.toggleWhitelist( e.target.dataset.username );
+		const cleanupActionBtns = this.container.querySelectorAll(
+			'.blk-cleanup-action'
+		);
+		cleanupActionBtns.forEach( ( btn ) => {
+			btn.addEventListener( 'click', () => {
+				this.recordCleanupDecision(
+					btn.dataset.username,
+					btn.dataset.action
+				);
 			} );
 		} );
 
-		// Whitelist management buttons
-		const clearWhitelistBtn = this.container.querySelector(
-			'#clear-whitelist-btn'
+		const undoCleanupBtn =
+			this.container.querySelector( '#undo-cleanup-btn' );
+		if ( undoCleanupBtn ) {
+			undoCleanupBtn.addEventListener( 'click', () => {
+				this.undoCleanupDecision();
+			} );
+		}
+
+		const cleanupProfileLink = this.container.querySelector(
+			'.blk-cleanup-profile'
 		);
-		if ( clearWhitelistBtn ) {
-			clearWhitelistBtn.addEventListener( 'click', async () => {
-				await this.clearWhitelist();
+		if ( cleanupProfileLink ) {
+			cleanupProfileLink.addEventListener( 'click', () => {
+				this.markAccountAsViewed( cleanupProfileLink.dataset.username );
+			} );
+		}
+
+		// Filter bar
+		const searchMode = this.container.querySelector( '#search-mode' );
+		if ( searchMode ) {
+			searchMode.addEventListener( 'change', ( e ) => {
+				this.updateFilters( { matchMode: e.target.value } );
 			} );
 		}
 
-		const removeWhitelistBtns = this.container.querySelectorAll(
-			'.blk-remove-whitelist-btn'
+		const filterInputs = this.container.querySelectorAll(
+			'.blk-filter-date, .blk-filter-toggle'
 		);
-		removeWhitelistBtns.forEach( ( btn ) => {
-			btn.addEventListener( 'click', ( e ) => {
-				this.toggleWhitelist( e.target.dataset.username );
+		filterInputs.forEach( ( input ) => {
+			input.addEventListener( 'change', ( e ) => {
+				this.updateFilters( {
+					[ e.target.dataset.filter ]: e.target.value,
+				} );
 			} );
 		} );
 
-		// Reset analyzer button
-		const resetBtn = this.container.querySelector( '#reset-analyzer-btn' );
-		if ( resetBtn ) {
-			resetBtn.addEventListener( 'click', () => {
-				this.resetAnalyzer();
+		const presetSelect = this.container.querySelector( '#filter-preset' );
+		if ( presetSelect ) {
+			presetSelect.addEventListener( 'change', ( e ) => {
+				this.applyFilterPreset( e.target.value );
+			} );
+		}
+
+		const savePresetBtn = this.container.querySelector(
+			'#save-filter-preset'
+		);
+		if ( savePresetBtn ) {
+			savePresetBtn.addEventListener( 'click', () => {
+				const nameInput = this.container.querySelector(
+					'#filter-preset-name'
+				);
+				this.saveFilterPreset( nameInput ? nameInput.value : '' );
+			} );
+		}
+
+		const deletePresetBtn = this.container.querySelector(
+			'#delete-filter-preset'
+		);
+		if ( deletePresetBtn ) {
+			deletePresetBtn.addEventListener( 'click', () => {
+				this.deleteFilterPreset( this.state.filterPreset );
+			} );
+		}
+
+		const clearFiltersBtn =
+			this.container.querySelector( '#clear-filters' );
+		if ( clearFiltersBtn ) {
+			clearFiltersBtn.addEventListener( 'click', () => {
+				this.clearFilters();
 			} );
 		}
 
-		// Profile link clicks (username links)
-		const profileLinks = this.container.querySelectorAll( '.blk-profile-link' );
-		profileLinks.forEach( ( link ) => {
-			link.addEventListener( 'click', ( e ) => {
-				this.markAccountAsViewed( e.target.dataset.username );
+		// Result tabs
+		const tabBtns = this.container.querySelectorAll( '.blk-result-tab' );
+		tabBtns.forEach( ( btn ) => {
+			btn.addEventListener( 'click', () => {
+				this.switchResultTab( btn.dataset.tab );
 			} );
 		} );
 
-		// View profile button clicks
-		const viewProfileBtns = this.container.querySelectorAll( '.blk-view-profile-btn' );
-		viewProfileBtns.forEach( ( btn ) => {
-			btn.addEventListener( 'click', ( e ) => {
-				this.markAccountAsViewed( e.target.dataset.username );
+		// Followers / posting insights views
+		const viewTabs = this.container.querySelectorAll( '.blk-view-tab' );
+		viewTabs.forEach( ( btn ) => {
+			btn.addEventListener( 'click', () => {
+				this.switchResultView( btn.dataset.view );
 			} );
 		} );
-	}
 
-	filterAccounts( searchTerm ) {
-		const accountItems =
-			this.container.querySelectorAll( '.blk-account-item' );
-		const normalizedSearch = searchTerm.toLowerCase().trim();
-
-		let visibleCount = 0;
-		accountItems.forEach( ( item ) => {
-			const username = item.dataset.username.toLowerCase();
-			const isVisible = username.includes( normalizedSearch );
-			item.style.display = isVisible ? 'flex' : 'none';
-			if ( isVisible ) visibleCount++;
+		// Sort order
+		const sortSelect = this.container.querySelector( '#account-sort' );
+		if ( sortSelect ) {
+			sortSelect.addEventListener( 'change', ( e ) => {
+				this.applySorting( e.target.value );
+			} );
+		}
+
+		// Export actions
+		const exportScope = this.container.querySelector( '#export-scope' );
+		const exportBtns = this.container.querySelectorAll( '.blk-export-btn' );
+		exportBtns.forEach( ( btn ) => {
+			btn.addEventListener( 'click', () => {
+				const scope = exportScope ? exportScope.value : 'view';
+
+				if ( btn.dataset.format === 'clipboard' ) {
+					this.copyUsernames( scope, btn );
+				} else {
+					this.exportAccounts( btn.dataset.format, scope );
+				}
+			} );
 		} );
 
-		// Update results count
-		this.updateResultsCount( visibleCount, searchTerm );
+		// Account rows come and go as the list scrolls, so their buttons and
+		// links are handled on the list itself
+		const accountList = this.container.querySelector( '#accounts-list' );
+		if ( accountList ) {
+			accountList.addEventListener( 'scroll', () => {
+				this.scheduleAccountRows();
+			} );
 
-		// Save search preference
-		const preferences = this.stateManager.getUserPreferences();
-		preferences.lastSearch = searchTerm;
-		this.stateManager.saveUserPreferences( preferences );
-	}
+			accountList.addEventListener( 'click', ( e ) => {
+				const target = e.target.closest( '[data-username]' );
+				if ( ! target ) {
+					return;
+				}
 
-	updateResultsCount( count, searchTerm ) {
-		let countDisplay = this.container.querySelector( '.blk-results-count' );
-		if ( ! countDisplay ) {
-			countDisplay = document.createElement( 'div' );
-			countDisplay.className = 'blk-results-count';
+				if ( target.classList.contains( 'blk-whitelist-btn' ) ) {
+					this.toggleWhitelist( target.dataset.username );
+				} else if (
+					target.classList.contains( 'blk-profile-link' ) ||
+					target.classList.contains( 'blk-view-profile-btn' )
+				) {
+					this.markAccountAsViewed( target.dataset.username );
+				}
+			} );
+		}
+
+		// Whitelist management. The section is redrawn as entries change,
+		// so its controls are handled on the section itself
+		const whitelistSection =
+			this.container.querySelector( '#whitelist-section' );
+		if ( whitelistSection ) {
+			whitelistSection.addEventListener( 'click', async ( e ) => {
+				const button = e.target.closest( 'button' );
+				if ( ! button ) {
+					return;
+				}
+
+				if ( button.id === 'clear-whitelist-btn' ) {
+					await this.clearWhitelist();
+				} else if ( button.id === 'whitelist-bulk-add' ) {
+					this.addBulkWhitelist();
+				} else if (
+					button.classList.contains( 'blk-remove-whitelist-btn' )
+				) {
+					this.toggleWhitelist( button.dataset.username );
+				} else if (
+					button.classList.contains( 'blk-whitelist-export-btn' )
+				) {
+					this.exportWhitelist( button.dataset.format );
+				}
+			} );
+
+			whitelistSection.addEventListener( 'change', ( e ) => {
+				const target = e.target;
+
+				if ( target.id === 'whitelist-import' ) {
+					if ( target.files && target.files[ 0 ] ) {
+						this.importWhitelist( target.files[ 0 ] );
+					}
+				} else if (
+					target.classList.contains( 'blk-whitelist-category' )
+				) {
+					this.updateWhitelistDetails( target.dataset.username, {
+						category: target.value,
+					} );
+				} else if (
+					target.classList.contains( 'blk-whitelist-note' )
+				) {
+					this.updateWhitelistDetails( target.dataset.username, {
+						note: target.value,
+					} );
+				}
+			} );
+		}
+
+		// Snapshot comparison selectors
+		const snapshotSelects = this.container.querySelectorAll(
+			'.blk-snapshot-select'
+		);
+		snapshotSelects.forEach( ( select ) => {
+			select.addEventListener( 'change', () => {
+				this.updateSnapshotComparison();
+			} );
+		} );
+
+		// Reset analyzer button
+		const resetBtn = this.container.querySelector( '#reset-analyzer-btn' );
+		if ( resetBtn ) {
+			resetBtn.addEventListener( 'click', () => {
+				this.resetAnalyzer();
+			} );
+		}
+	}
+
+	filterAccounts( searchTerm ) {
+		this.state.searchTerm = searchTerm;
+
+		const { test, error } = this.getAccountFilter();
+		this.accountList.visible = this.accountList.all.filter( test );
+
+		this.renderAccountRows( true );
+
+		const searchInput = this.container.querySelector( '#account-search' );
+		if ( searchInput ) {
+			searchInput.classList.toggle(
+				'blk-search-input--invalid',
+				!! error
+			);
+			searchInput.setAttribute(
+				'aria-invalid',
+				error ? 'true' : 'false'
+			);
+		}
+
+		// Update results count
+		this.updateResultsCount(
+			this.accountList.visible.length,
+			this.accountList.all.length,
+			error
+		);
+
+		// Save search preference
+		const preferences = this.stateManager.getUserPreferences();
+		preferences.lastSearch = searchTerm;
+		this.stateManager.saveUserPreferences( preferences );
+	}
+
+	matchesSearch( username, searchTerm ) {
+		return username
+			.toLowerCase()
+			.includes( ( searchTerm || '' ).toLowerCase().trim() );
+	}
+
+	getDefaultFilters() {
+		return {
+			from: '',
+			to: '',
+			whitelisted: 'any',
+			viewed: 'any',
+			verified: 'any',
+			category: 'any',
+			matchMode: 'contains',
+		};
+	}
+
+	hasActiveFilters() {
+		const defaults = this.getDefaultFilters();
+
+		return Object.keys( defaults ).some(
+			( key ) =>
+				key !== 'matchMode' &&
+				this.state.filters[ key ] !== defaults[ key ]
+		);
+	}
+
+	getAccountFilter() {
+		// Builds one test for the search and every filter, so the list, the
+		// results count and exports always agree on what is shown
+		const filters = this.state.filters;
+		const matcher = this.createUsernameMatcher(
+			this.state.searchTerm,
+			filters.matchMode
+		);
+		if ( matcher.error ) {
+			return { test: () => false, error: matcher.error };
+		}
+
+		const whitelist = new Set( this.state.whitelist );
+		const viewed = new Set( this.state.viewedAccounts );
+		const from = filters.from
+			? new Date( `${ filters.from }T00:00:00` ).getTime()
+			: null;
+		const to = filters.to
+			? new Date( `${ filters.to }T23:59:59.999` ).getTime()
+			: null;
+		const matchesToggle = ( setting, value ) =>
+			setting === 'any' || ( setting === 'only' ) === value;
+
+		const test = ( account ) => {
+			if ( matcher.test && ! matcher.test( account.username ) ) {
+				return false;
+			}
+
+			if ( from !== null || to !== null ) {
+				// Accounts without a follow date can't be placed in a range
+				const time = Date.parse( account.timestamp );
+				if (
+					Number.isNaN( time ) ||
+					( from !== null && time < from ) ||
+					( to !== null && time > to )
+				) {
+					return false;
+				}
+			}
+
+			if (
+				filters.category !== 'any' &&
+				( ! whitelist.has( account.username ) ||
+					( this.getWhitelistCategory( account.username ) ||
+						'none' ) !== filters.category )
+			) {
+				return false;
+			}
+
+			return (
+				matchesToggle(
+					filters.whitelisted,
+					whitelist.has( account.username )
+				) &&
+				matchesToggle(
+					filters.viewed,
+					viewed.has( account.username )
+				) &&
+				matchesToggle(
+					filters.verified,
+					this.looksVerified( account.username )
+				)
+			);
+		};
+
+		return { test, error: null };
+	}
+
+	createUsernameMatcher( searchTerm, matchMode ) {
+		const term = ( searchTerm || '' ).trim();
+		if ( ! term ) {
+			return { test: null };
+		}
+
+		if ( matchMode === 'regex' ) {
+			try {
+				const pattern = new RegExp( term, 'i' );
+				return { test: ( username ) => pattern.test( username ) };
+			} catch ( error ) {
+				return { error: error.message };
+			}
+		}
+
+		if ( matchMode === 'fuzzy' ) {
+			// The search letters in order, with anything in between
+			const letters = term.toLowerCase().replace( /\s+/g, '' );
+			return {
+				test: ( username ) => {
+					const name = username.toLowerCase();
+					let position = 0;
+
+					for ( const letter of letters ) {
+						position = name.indexOf( letter, position );
+						if ( position === -1 ) {
+							return false;
+						}
+						position++;
+					}
+
+					return true;
+				},
+			};
+		}
+
+		return { test: ( username ) => this.matchesSearch( username, term ) };
+	}
+
+	looksVerified( username ) {
+		// Exports don't say who is verified, so this only goes by handles
+		// that name themselves as an official or headquarters account
+		return /official|hq$/.test( username.toLowerCase() );
+	}
+
+	updateFilters( changes ) {
+		this.state.filters = { ...this.state.filters, ...changes };
+		this.state.filterPreset = '';
+
+		const preferences = this.stateManager.getUserPreferences();
+		preferences.filters = this.state.filters;
+		this.stateManager.saveUserPreferences( preferences );
+
+		const presetSelect = this.container.querySelector( '#filter-preset' );
+		if ( presetSelect ) {
+			presetSelect.value = '';
+		}
+
+		const deletePresetBtn = this.container.querySelector(
+			'#delete-filter-preset'
+		);
+		if ( deletePresetBtn ) {
+			deletePresetBtn.disabled = true;
+		}
+
+		this.filterAccounts( this.state.searchTerm );
+	}
+
+	saveFilterPreset( name ) {
+		const presetName = ( name || '' ).trim().slice( 0, 40 );
+		if ( ! presetName ) {
+			return;
+		}
+
+		// Saving under an existing name replaces that preset
+		const preferences = this.stateManager.getUserPreferences();
+		preferences.filterPresets = ( preferences.filterPresets || [] )
+			.filter( ( preset ) => preset.name !== presetName )
+			.concat( {
+				name: presetName,
+				searchTerm: this.state.searchTerm || '',
+				filters: { ...this.state.filters },
+			} );
+		this.stateManager.saveUserPreferences( preferences );
+
+		this.state.filterPreset = presetName;
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	applyFilterPreset( name ) {
+		const preferences = this.stateManager.getUserPreferences();
+		const preset = ( preferences.filterPresets || [] ).find(
+			( item ) => item.name === name
+		);
+		if ( ! preset ) {
+			return;
+		}
+
+		this.state.filters = {
+			...this.getDefaultFilters(),
+			...preset.filters,
+		};
+		this.state.filterPreset = preset.name;
+
+		preferences.filters = this.state.filters;
+		preferences.lastSearch = preset.searchTerm || '';
+		this.stateManager.saveUserPreferences( preferences );
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	deleteFilterPreset( name ) {
+		const preferences = this.stateManager.getUserPreferences();
+		preferences.filterPresets = ( preferences.filterPresets || [] ).filter(
+			( preset ) => preset.name !== name
+		);
+		this.stateManager.saveUserPreferences( preferences );
+
+		this.state.filterPreset = '';
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	clearFilters() {
+		this.state.filters = this.getDefaultFilters();
+		this.state.filterPreset = '';
+
+		const preferences = this.stateManager.getUserPreferences();
+		preferences.filters = this.state.filters;
+		preferences.lastSearch = '';
+		this.stateManager.saveUserPreferences( preferences );
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	getCategoryAccounts() {
+		const data = this.state.analysisData;
+		if ( ! data || ! Array.isArray( data[ this.state.activeTab ] ) ) {
+			return [];
+		}
+
+		const activeTab = this.getResultTabs( data ).find(
+			( tab ) => tab.key === this.state.activeTab
+		);
+
+		return this.sortAccounts(
+			data[ this.state.activeTab ],
+			( activeTab && activeTab.sortOrder ) ||
+				this.stateManager.getUserPreferences().sortOrder
+		);
+	}
+
+	getCurrentViewAccounts() {
+		// The active tab as displayed: sorted, then narrowed by the search
+		// and filters
+		return this.getCategoryAccounts().filter(
+			this.getAccountFilter().test
+		);
+	}
+
+	exportAccounts( format, scope ) {
+		// Exports are part of the full results, which guests don't get
+		if ( ! this.config.isLoggedIn ) {
+			return;
+		}
+
+		const accounts =
+			scope === 'category'
+				? this.getCategoryAccounts()
+				: this.getCurrentViewAccounts();
+
+		if ( accounts.length === 0 ) {
+			this.showError( 'There are no accounts to export.' );
+			return;
+		}
+
+		const rows = accounts.map( ( account ) => ( {
+			username: account.username,
+			profileUrl: this.getProfileUrl( account.username ),
+			followedAt: account.timestamp || '',
+			whitelisted: this.state.whitelist.includes( account.username ),
+			whitelistCategory: this.getWhitelistCategory( account.username ),
+			viewed: this.state.viewedAccounts.includes( account.username ),
+		} ) );
+		const date = new Date().toISOString().split( 'T' )[ 0 ];
+		const filename = `${ this.getPlatform() }-${
+			this.state.activeTab
+		}-${ date }`;
+
+		if ( format === 'csv' ) {
+			this.downloadFile(
+				this.createCSV( rows ),
+				`${ filename }.csv`,
+				'text/csv;charset=utf-8'
+			);
+		} else {
+			this.downloadFile(
+				JSON.stringify( rows, null, 2 ),
+				`${ filename }.json`,
+				'application/json'
+			);
+		}
+	}
+
+	createCSV(
+		rows,
+		columns = [
+			[ 'username', 'username' ],
+			[ 'profile_url', 'profileUrl' ],
+			[ 'followed_at', 'followedAt' ],
+			[ 'whitelisted', 'whitelisted' ],
+			[ 'whitelist_category', 'whitelistCategory' ],
+			[ 'viewed', 'viewed' ],
+		]
+	) {
+		const escapeValue = ( value ) => {
+			// Spreadsheets run cells starting with these as formulas, and
+			// notes, categories and usernames all come from user input
+			const text = String( value ).replace( /^[=+\-@\t\r]/, "'$&" );
+			return /[",\r\n]/.test( text )
+				? `"${ text.replace( /"/g, '""' ) }"`
+				: text;
+		};
+
+		return [
+			columns.map( ( [ header ] ) => header ).join( ',' ),
+			...rows.map( ( row ) =>
+				columns
+					.map( ( [ , key ] ) => escapeValue( row[ key ] ) )
+					.join( ',' )
+			),
+		].join( '\r\n' );
+	}
+
+	downloadFile( content, filename, mimeType ) {
+		const blob = new Blob( [ content ], { type: mimeType } );
+		const url = URL.createObjectURL( blob );
+		const link = document.createElement( 'a' );
+
+		link.href = url;
+		link.download = filename;
+		link.style.display = 'none';
+
+		document.body.appendChild( link );
+		link.click();
+
+		// Clean up after a short delay
+		setTimeout( () => {
+			document.body.removeChild( link );
+			URL.revokeObjectURL( url );
+		}, 100 );
+	}
+
+	async copyUsernames( scope, button ) {
+		if ( ! this.config.isLoggedIn ) {
+			return;
+		}
+
+		const accounts =
+			scope === 'category'
+				? this.getCategoryAccounts()
+				: this.getCurrentViewAccounts();
+		const text = accounts
+			.map( ( account ) => account.username )
+			.join( '\n' );
+
+		if ( ! text ) {
+			this.showError( 'There are no accounts to copy.' );
+			return;
+		}
+
+		try {
+			if ( navigator.clipboard && window.isSecureContext ) {
+				await navigator.clipboard.writeText( text );
+			} else {
+				// Fallback for older browsers or non-secure contexts
+				this.fallbackCopyToClipboard( text );
+			}
+
+			const originalText = button.textContent;
+			button.textContent = `Copied ${ accounts.length }`;
+			setTimeout( () => {
+				button.textContent = originalText;
+			}, 2000 );
+		} catch ( error ) {
+			console.error( 'Copy failed:', error );
+			this.showError( 'Failed to copy usernames to the clipboard.' );
+		}
+	}
+
+	fallbackCopyToClipboard( text ) {
+		// Create a temporary textarea element
+		const textArea = document.createElement( 'textarea' );
+		textArea.value = text;
+		textArea.style.position = 'fixed';
+		textArea.style.left = '-999999px';
+		textArea.style.top = '-999999px';
+		document.body.appendChild( textArea );
+		textArea.focus();
+		textArea.select();
+
+		try {
+			document.execCommand( 'copy' );
+		} finally {
+			document.body.removeChild( textArea );
+		}
+	}
+
+	updateResultsCount( count, total, error ) {
+		let countDisplay = this.container.querySelector( '.blk-results-count' );
+		if ( ! countDisplay ) {
+			countDisplay = document.createElement( 'div' );
+			countDisplay.className = 'blk-results-count';
 			const header = this.container.querySelector(
 				'.blk-section-header h3'
 			);
@@ -1039,22 +2355,86 @@ class InstagramAnalyzer {
 			}
 		}
 
-		if ( searchTerm ) {
-			countDisplay.textContent = `Showing ${ count } accounts matching "${ searchTerm }"`;
+		const searchTerm = ( this.state.searchTerm || '' ).trim();
+
+		if ( error ) {
+			countDisplay.textContent = error;
+			countDisplay.style.display = 'block';
+		} else if ( searchTerm || this.hasActiveFilters() ) {
+			countDisplay.textContent = `Showing ${ count } of ${ total } accounts${
+				searchTerm ? ` matching "${ searchTerm }"` : ''
+			}`;
 			countDisplay.style.display = 'block';
 		} else {
 			countDisplay.style.display = 'none';
 		}
 	}
 
-	loadMoreAccounts() {
-		const preferences = this.stateManager.getUserPreferences();
-		preferences.itemsPerPage += 20;
-		this.stateManager.saveUserPreferences( preferences );
+	scheduleAccountRows() {
+		// Render at most once per frame while scrolling
+		if ( this.accountList.frame ) {
+			return;
+		}
 
-		// Re-render results with new page size
-		if ( this.state.analysisData ) {
-			this.displayResults( this.state.analysisData );
+		this.accountList.frame = window.requestAnimationFrame( () => {
+			this.accountList.frame = null;
+			this.renderAccountRows();
+		} );
+	}
+
+	renderAccountRows( reset = false ) {
+		const list = this.container.querySelector( '#accounts-list' );
+		if ( ! list ) {
+			return;
+		}
+
+		const { visible, overscan } = this.accountList;
+
+		if ( reset ) {
+			list.scrollTop = 0;
+			this.accountList.range = null;
+		}
+
+		const rowHeight = this.accountList.rowHeight;
+		const start = Math.max(
+			0,
+			Math.floor( list.scrollTop / rowHeight ) - overscan
+		);
+		const end = Math.min(
+			visible.length,
+			Math.ceil( ( list.scrollTop + list.clientHeight ) / rowHeight ) +
+				overscan
+		);
+		const range = this.accountList.range;
+
+		if ( range && range.start === start && range.end === end ) {
+			return;
+		}
+
+		const viewport = list.querySelector( '.blk-accounts-viewport' );
+		const rowsWindow = list.querySelector( '.blk-accounts-window' );
+
+		this.accountList.range = { start, end };
+		viewport.style.height = `${ visible.length * rowHeight }px`;
+		rowsWindow.style.transform = `translateY(${ start * rowHeight }px)`;
+		rowsWindow.innerHTML = visible
+			.slice( start, end )
+			.map( ( account ) => this.createAccountItem( account ) )
+			.join( '' );
+
+		// Rows have a fixed height set by the stylesheet, which can differ
+		// between screen sizes, so measure it from the first rendered row
+		const firstRow = rowsWindow.firstElementChild;
+		if ( firstRow ) {
+			const measured =
+				firstRow.offsetHeight +
+				parseFloat( window.getComputedStyle( firstRow ).marginBottom );
+
+			if ( measured > 0 && Math.abs( measured - rowHeight ) > 0.5 ) {
+				this.accountList.rowHeight = measured;
+				this.accountList.range = null;
+				this.renderAccountRows();
+			}
 		}
 	}
 
@@ -1062,7 +2442,10 @@ class InstagramAnalyzer {
 		// Add to viewed accounts state
 		if ( ! this.state.viewedAccounts.includes( username ) ) {
 			this.state.viewedAccounts.push( username );
-			this.stateManager.markAccountAsViewed( username );
+			this.stateManager.markAccountAsViewed(
+				username,
+				this.getPlatform()
+			);
 
 			// Update UI immediately
 			this.updateViewedUI( username, true );
@@ -1071,7 +2454,7 @@ class InstagramAnalyzer {
 
 	updateViewedUI( username, isViewed ) {
 		const accountItem = this.container.querySelector(
-			`[data-username="${ username }"]`
+			`.blk-account-item[data-username="${ username }"]`
 		);
 		if ( accountItem ) {
 			// Add viewed class
@@ -1105,20 +2488,26 @@ class InstagramAnalyzer {
 	}
 
 	toggleWhitelist( username ) {
-		let whitelist = this.stateManager.getWhitelist();
+		const whitelist = this.stateManager.getWhitelist( this.getPlatform() );
 		const index = whitelist.indexOf( username );
 
 		if ( index > -1 ) {
 			whitelist.splice( index, 1 );
+			delete this.state.whitelistDetails[ username ];
+			this.stateManager.saveWhitelistDetails(
+				this.state.whitelistDetails,
+				this.getPlatform()
+			);
 		} else {
 			whitelist.push( username );
 		}
 
-		this.stateManager.saveWhitelist( whitelist );
+		this.stateManager.saveWhitelist( whitelist, this.getPlatform() );
 		this.state.whitelist = whitelist;
 
 		// Update UI
 		this.updateWhitelistUI( username, index === -1 );
+		this.updateWhitelistSection();
 
 		// If user is logged in, sync with server
 		if ( this.config.isLoggedIn ) {
@@ -1128,7 +2517,7 @@ class InstagramAnalyzer {
 
 	updateWhitelistUI( username, isWhitelisted ) {
 		const accountItem = this.container.querySelector(
-			`[data-username="${ username }"]`
+			`.blk-account-item[data-username="${ username }"]`
 		);
 		if ( accountItem ) {
 			const btn = accountItem.querySelector( '.blk-whitelist-btn' );
@@ -1147,96 +2536,608 @@ class InstagramAnalyzer {
 		}
 	}
 
-	async syncWhitelistWithServer() {
-		const whitelist = this.stateManager.getWhitelist();
+	createWhitelistSection( message = '' ) {
+		return `
+            <div class="blk-whitelist-section" id="whitelist-section">
+                ${ this.createWhitelistContentHTML( message ) }
+            </div>
+        `;
+	}
 
-		try {
-			const response = await fetch( this.config.ajaxUrl, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/x-www-form-urlencoded',
-				},
-				body: new URLSearchParams( {
-					action: 'rwp_sync_instagram_whitelist',
-					nonce: this.config.nonce,
-					whitelist: JSON.stringify( whitelist ),
-				} ),
-			} );
+	createWhitelistContentHTML( message = '' ) {
+		const whitelist = [ ...this.state.whitelist ].sort();
+		const categoryOptions = ( selected ) =>
+			[
+				[ '', 'No category' ],
+				...Object.entries( this.whitelistCategories ),
+			]
+				.map(
+					( [ value, label ] ) =>
+						`<option value="${ value }" ${
+							value === selected ? 'selected' : ''
+						}>${ label }</option>`
+				)
+				.join( '' );
 
-			const result = await response.json();
-			if ( ! result.success ) {
-				console.error( 'Failed to sync whitelist:', result.data );
-			}
-		} catch ( error ) {
-			console.error( 'Network error syncing whitelist:', error );
-		}
+		return `
+            <div class="blk-section-header">
+                <h3>Whitelist (${ whitelist.length })</h3>
+                <div class="blk-filter-controls">
+                    <button type="button" class="blk-button blk-button--small blk-button--secondary blk-whitelist-export-btn" data-format="csv" ${
+						whitelist.length ? '' : 'disabled'
+					}>
+                        Export CSV
+                    </button>
+                    <button type="button" class="blk-button blk-button--small blk-button--secondary blk-whitelist-export-btn" data-format="json" ${
+						whitelist.length ? '' : 'disabled'
+					}>
+                        Export JSON
+                    </button>
+                    <label class="blk-button blk-button--small blk-button--secondary blk-whitelist-import">
+                        Import
+                        <input type="file" id="whitelist-import" accept=".csv,.json,text/csv,application/json" hidden />
+                    </label>
+                </div>
+            </div>
+
+            <div class="blk-whitelist-bulk">
+                <textarea id="whitelist-bulk-input" rows="3" placeholder="${
+					this.getPlatform() === 'x'
+						? 'Paste account IDs, profile links or handles, one per line or separated by commas'
+						: 'Paste usernames or profile links, one per line or separated by commas'
+				}" aria-label="Usernames to whitelist"></textarea>
+                <div class="blk-whitelist-bulk-actions">
+                    <select id="whitelist-bulk-category" class="blk-sort-select" aria-label="Category for pasted usernames">
+                        ${ categoryOptions( '' ) }
+                    </select>
+                    <button type="button" id="whitelist-bulk-add" class="blk-button blk-button--small">
+                        Add to Whitelist
+                    </button>
+                </div>
+            </div>
+
+            ${
+				message
+					? `<p class="blk-whitelist-message" role="status">${ this.escapeHtml(
+							message
+					  ) }</p>`
+					: ''
+			}
+
+            ${
+				whitelist.length
+					? `
+                <div class="blk-whitelist-list">
+                    ${ whitelist
+						.map( ( username ) => {
+							const name = this.escapeHtml( username );
+							const details =
+								this.state.whitelistDetails[ username ] || {};
+
+							return `
+                        <div class="blk-whitelist-item">
+                            <span class="blk-whitelist-username">${ name }</span>
+                            <div class="blk-whitelist-actions">
+                                <select class="blk-sort-select blk-whitelist-category" data-username="${ name }" aria-label="Category for ${ name }">
+                                    ${ categoryOptions(
+										details.category || ''
+									) }
+                                </select>
+                                <input type="text" class="blk-whitelist-note" data-username="${ name }" value="${ this.escapeHtml(
+									details.note || ''
+								) }" placeholder="Note" maxlength="200" aria-label="Note for ${ name }" />
+                                <button type="button" class="blk-button blk-button--small blk-button--secondary blk-remove-whitelist-btn" data-username="${ name }">
+                                    Remove
+                                </button>
+                            </div>
+                        </div>
+                    `;
+						} )
+						.join( '' ) }
+                </div>
+                <div class="blk-whitelist-export">
+                    <button type="button" id="clear-whitelist-btn" class="blk-button blk-button--small blk-button--secondary">
+                        Clear Whitelist
+                    </button>
+                </div>
+            `
+					: '<p class="blk-whitelist-empty">Whitelisted accounts are kept out of cleanup and moved to the bottom of every list.</p>'
+			}
+        `;
 	}
 
-	restoreUserPreferences() {
-		const preferences = this.stateManager.getUserPreferences();
+	updateWhitelistSection( message = '' ) {
+		const section = this.container.querySelector( '#whitelist-section' );
+		if ( section ) {
+			section.innerHTML = this.createWhitelistContentHTML( message );
+		}
+	}
+
+	getWhitelistCategory( username ) {
+		const details = this.state.whitelistDetails[ username ];
+		return ( details && details.category ) || '';
+	}
 
-		// Restore search term
-		if ( preferences.lastSearch ) {
-			const searchInput =
-				this.container.querySelector( '#account-search' );
-			if ( searchInput ) {
-				searchInput.value = preferences.lastSearch;
-				this.filterAccounts( preferences.lastSearch );
+	getWhitelistBadgeText( username ) {
+		const category =
+			this.whitelistCategories[ this.getWhitelistCategory( username ) ];
+		return category ? `Whitelisted · ${ category }` : 'Whitelisted';
+	}
+
+	updateWhitelistDetails( username, changes ) {
+		if ( ! this.state.whitelist.includes( username ) ) {
+			return;
+		}
+
+		const details = {
+			...this.state.whitelistDetails[ username ],
+			...changes,
+		};
+		details.note = ( details.note || '' ).trim().slice( 0, 200 );
+		Object.keys( details ).forEach( ( key ) => {
+			if ( ! details[ key ] ) {
+				delete details[ key ];
 			}
+		} );
+
+		if ( Object.keys( details ).length ) {
+			this.state.whitelistDetails[ username ] = details;
+		} else {
+			delete this.state.whitelistDetails[ username ];
 		}
 
-		// Apply other preferences as needed
-		if ( preferences.sortOrder !== 'username' ) {
-			this.applySorting( preferences.sortOrder );
+		this.saveWhitelistChanges();
+
+		// Category filters and badges depend on the details
+		this.accountList.range = null;
+		if ( this.state.filters.category !== 'any' ) {
+			this.filterAccounts( this.state.searchTerm );
+		} else {
+			this.renderAccountRows();
 		}
 	}
 
-	applySorting( sortOrder ) {
-		if ( ! this.state.analysisData ) return;
+	addToWhitelist( entries ) {
+		// Adds new accounts and updates the category and note of existing
+		// ones, leaving blank fields as they were
+		const whitelist = [ ...this.state.whitelist ];
+		const known = new Set( whitelist );
+		let added = 0;
+
+		entries.forEach( ( { username, category, note } ) => {
+			if ( ! known.has( username ) ) {
+				known.add( username );
+				whitelist.push( username );
+				added++;
+			}
 
-		const sortedData = { ...this.state.analysisData };
+			const details = { ...this.state.whitelistDetails[ username ] };
+			if ( this.whitelistCategories[ category ] ) {
+				details.category = category;
+			}
+			if ( note ) {
+				details.note = note.trim().slice( 0, 200 );
+			}
+			if ( Object.keys( details ).length ) {
+				this.state.whitelistDetails[ username ] = details;
+			}
+		} );
 
-		// Always sort with whitelisted accounts at the bottom
-		const sortWithWhitelistAtBottom = ( primarySort ) => {
-			sortedData.notFollowingBack.sort( ( a, b ) => {
-				const aWhitelisted = this.state.whitelist.includes(
-					a.username
-				);
-				const bWhitelisted = this.state.whitelist.includes(
-					b.username
+		this.state.whitelist = whitelist;
+		this.saveWhitelistChanges();
+
+		this.accountList.range = null;
+		this.filterAccounts( this.state.searchTerm );
+
+		return added;
+	}
+
+	addBulkWhitelist() {
+		const input = this.container.querySelector( '#whitelist-bulk-input' );
+		if ( ! input ) {
+			return;
+		}
+
+		const values = input.value.split( /[\s,;]+/ ).filter( Boolean );
+		const usernames = values
+			.map( ( value ) => this.normalizeUsername( value ) )
+			.filter( Boolean );
+		const unmatched = this.getUnmatchedWhitelistNote(
+			values.length - usernames.length
+		);
+		if ( usernames.length === 0 ) {
+			this.updateWhitelistSection(
+				`No usernames found to add.${ unmatched }`
+			);
+			return;
+		}
+
+		const categorySelect = this.container.querySelector(
+			'#whitelist-bulk-category'
+		);
+		const category = categorySelect ? categorySelect.value : '';
+		const added = this.addToWhitelist(
+			usernames.map( ( username ) => ( { username, category } ) )
+		);
+
+		this.updateWhitelistSection(
+			`Added ${ added } account${
+				added === 1 ? '' : 's'
+			} to your whitelist.${ unmatched }`
+		);
+	}
+
+	getUnmatchedWhitelistNote( count ) {
+		if ( count === 0 || this.getPlatform() !== 'x' ) {
+			return '';
+		}
+
+		return ` ${ count } could not be matched: X archives list accounts by ID, and only the handles of accounts you have mentioned or replied to are known. Use account IDs or x.com/i/user/ links for the rest.`;
+	}
+
+	normalizeUsername( value ) {
+		const text = String( value || '' ).trim();
+
+		// X archives key accounts by numeric ID
+		if ( this.getPlatform() === 'x' ) {
+			return this.resolveXAccountId( text );
+		}
+
+		// Accepts @handles and profile links as well as bare usernames
+		const username = text
+			.replace( /^(https?:\/\/)?(www\.)?[a-z0-9.-]+\.[a-z]+\//i, '' )
+			.replace( /^@/, '' )
+			.split( /[/?#]/ )[ 0 ]
+			.toLowerCase();
+
+		return /^[a-z0-9._]{1,30}$/.test( username ) ? username : '';
+	}
+
+	resolveXAccountId( value ) {
+		// Accepts IDs, x.com/i/user/ID and intent?user_id=ID links, and
+		// handles the archive pairs with an ID
+		const link = value.match( /(?:\/i\/user\/|[?&]user_id=)(\d{1,30})\b/ );
+		if ( link ) {
+			return link[ 1 ];
+		}
+		if ( /^\d{1,30}$/.test( value ) ) {
+			return value;
+		}
+
+		const handle = value
+			.replace(
+				/^(https?:\/\/)?(www\.|mobile\.)?(x|twitter)\.com\//i,
+				''
+			)
+			.replace( /^@/, '' )
+			.split( /[/?#]/ )[ 0 ]
+			.toLowerCase();
+		const handles =
+			( this.state.analysisData &&
+				this.state.analysisData.accountHandles ) ||
+			{};
+
+		return (
+			Object.keys( handles ).find(
+				( accountId ) => handles[ accountId ] === handle
+			) || ''
+		);
+	}
+
+	async importWhitelist( file ) {
+		try {
+			const text = await file.text();
+			const parsed = /\.json$/i.test( file.name )
+				? this.parseWhitelistJSON( text )
+				: this.parseWhitelistCSV( text );
+			const entries = parsed.filter( Boolean );
+			const unmatched = this.getUnmatchedWhitelistNote(
+				parsed.length - entries.length
+			);
+
+			if ( entries.length === 0 ) {
+				this.updateWhitelistSection(
+					`No usernames were found in that file.${ unmatched }`
 				);
+				return;
+			}
+
+			const added = this.addToWhitelist( entries );
+			this.updateWhitelistSection(
+				`Imported ${ entries.length } entries, ${ added } new.${ unmatched }`
+			);
+		} catch ( error ) {
+			console.error( 'Whitelist import failed:', error );
+			this.updateWhitelistSection(
+				'That file could not be read. Use a CSV or JSON whitelist export.'
+			);
+		}
+	}
+
+	parseWhitelistJSON( text ) {
+		const data = JSON.parse( text );
+		const items = Array.isArray( data ) ? data : data.whitelist || [];
+
+		return items
+			.map( ( item ) =>
+				typeof item === 'string'
+					? { username: item }
+					: {
+							username: item && item.username,
+							category: item && item.category,
+							note: item && item.note,
+					  }
+			)
+			.filter( ( item ) => item.username )
+			.map( ( item ) => this.normalizeWhitelistEntry( item ) );
+	}
+
+	parseWhitelistCSV( text ) {
+		const rows = this.parseCSV( text );
+		if ( rows.length === 0 ) {
+			return [];
+		}
+
+		// Use the header row when there is one, otherwise assume
+		// username, category, note
+		const header = rows[ 0 ].map( ( cell ) => cell.trim().toLowerCase() );
+		const hasHeader = header.includes( 'username' );
+		const column = ( name, fallback ) =>
+			hasHeader ? header.indexOf( name ) : fallback;
+		const columns = {
+			username: column( 'username', 0 ),
+			category: column(
+				header.includes( 'category' )
+					? 'category'
+					: 'whitelist_category',
+				1
+			),
+			note: column( 'note', 2 ),
+		};
+		// Drops the quote createCSV() puts before formula-like values
+		const cell = ( row, index ) =>
+			String( row[ index ] || '' ).replace( /^'(?=[=+\-@\t\r])/, '' );
+
+		// Entries that can't be matched come back as null so the import can
+		// report them
+		return rows
+			.slice( hasHeader ? 1 : 0 )
+			.filter( ( row ) => String( row[ columns.username ] || '' ).trim() )
+			.map( ( row ) =>
+				this.normalizeWhitelistEntry( {
+					username: cell( row, columns.username ),
+					category: cell( row, columns.category ),
+					note: cell( row, columns.note ),
+				} )
+			);
+	}
+
+	normalizeWhitelistEntry( { username, category, note } ) {
+		const name = this.normalizeUsername( username );
+		if ( ! name ) {
+			return null;
+		}
+
+		// Categories may be given by key or by label
+		const categoryText = String( category || '' )
+			.trim()
+			.toLowerCase();
+		const categoryKey = Object.keys( this.whitelistCategories ).find(
+			( key ) =>
+				key === categoryText ||
+				this.whitelistCategories[ key ].toLowerCase() === categoryText
+		);
+
+		return {
+			username: name,
+			category: categoryKey || '',
+			note: typeof note === 'string' ? note : '',
+		};
+	}
 
-				// If whitelist status is different, non-whitelisted comes first
-				if ( aWhitelisted !== bWhitelisted ) {
-					return aWhitelisted ? 1 : -1;
+	parseCSV( text ) {
+		const rows = [];
+		let row = [];
+		let value = '';
+		let quoted = false;
+
+		for ( let i = 0; i < text.length; i++ ) {
+			const char = text[ i ];
+
+			if ( quoted ) {
+				if ( char === '"' && text[ i + 1 ] === '"' ) {
+					value += '"';
+					i++;
+				} else if ( char === '"' ) {
+					quoted = false;
+				} else {
+					value += char;
 				}
+			} else if ( char === '"' ) {
+				quoted = true;
+			} else if ( char === ',' ) {
+				row.push( value );
+				value = '';
+			} else if ( char === '\n' || char === '\r' ) {
+				if ( char === '\r' && text[ i + 1 ] === '\n' ) {
+					i++;
+				}
+				row.push( value );
+				rows.push( row );
+				row = [];
+				value = '';
+			} else {
+				value += char;
+			}
+		}
+
+		if ( value || row.length ) {
+			row.push( value );
+			rows.push( row );
+		}
+
+		return rows.filter( ( cells ) =>
+			cells.some( ( cell ) => cell.trim() )
+		);
+	}
+
+	exportWhitelist( format ) {
+		if ( this.state.whitelist.length === 0 ) {
+			return;
+		}
+
+		const rows = [ ...this.state.whitelist ].sort().map( ( username ) => ( {
+			username,
+			category: this.getWhitelistCategory( username ),
+			note: ( this.state.whitelistDetails[ username ] || {} ).note || '',
+		} ) );
+		const date = new Date().toISOString().split( 'T' )[ 0 ];
+		const filename = `${ this.getPlatform() }-whitelist-${ date }`;
+
+		if ( format === 'csv' ) {
+			this.downloadFile(
+				this.createCSV( rows, [
+					[ 'username', 'username' ],
+					[ 'category', 'category' ],
+					[ 'note', 'note' ],
+				] ),
+				`${ filename }.csv`,
+				'text/csv;charset=utf-8'
+			);
+		} else {
+			this.downloadFile(
+				JSON.stringify( rows, null, 2 ),
+				`${ filename }.json`,
+				'application/json'
+			);
+		}
+	}
+
+	saveWhitelistChanges() {
+		this.stateManager.saveWhitelist(
+			this.state.whitelist,
+			this.getPlatform()
+		);
+		this.stateManager.saveWhitelistDetails(
+			this.state.whitelistDetails,
+			this.getPlatform()
+		);
+
+		if ( this.config.isLoggedIn ) {
+			this.syncWhitelistWithServer();
+		}
+	}
 
-				// If same whitelist status, apply primary sort
-				return primarySort( a, b );
+	async syncWhitelistWithServer() {
+		const platform = this.getPlatform();
+		const whitelist = this.stateManager.getWhitelist( platform );
+
+		try {
+			const response = await fetch( this.config.ajaxUrl, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/x-www-form-urlencoded',
+				},
+				body: new URLSearchParams( {
+					action: 'rwp_sync_instagram_whitelist',
+					nonce: this.config.nonce,
+					platform,
+					whitelist: JSON.stringify( whitelist ),
+					details: JSON.stringify( this.state.whitelistDetails ),
+				} ),
 			} );
+
+			const result = await response.json();
+			if ( ! result.success ) {
+				console.error( 'Failed to sync whitelist:', result.data );
+			}
+		} catch ( error ) {
+			console.error( 'Network error syncing whitelist:', error );
+		}
+	}
+
+	restoreUserPreferences() {
+		const preferences = this.stateManager.getUserPreferences();
+
+		// Restore search term (sort order is applied while rendering), then
+		// fill the account list
+		const searchInput = this.container.querySelector( '#account-search' );
+		if ( searchInput ) {
+			searchInput.value = preferences.lastSearch || '';
+			this.filterAccounts( searchInput.value );
+		}
+	}
+
+	switchResultTab( tabKey ) {
+		this.state.activeTab = tabKey;
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	applySorting( sortOrder ) {
+		const preferences = this.stateManager.getUserPreferences();
+		preferences.sortOrder = sortOrder;
+		this.stateManager.saveUserPreferences( preferences );
+
+		// Re-render with sorted data
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	sortAccounts( accounts, sortOrder ) {
+		// Large lists run the comparison over a million times, so whitelist
+		// status and dates are worked out once per account up front
+		const whitelist = new Set( this.state.whitelist );
+		const rows = accounts.map( ( account ) => ( {
+			account,
+			name: account.username.toLowerCase(),
+			whitelisted: whitelist.has( account.username ),
+			time: Date.parse( account.timestamp ) || 0,
+		} ) );
+
+		// Usernames are plain ASCII, so a code point comparison orders them
+		// alphabetically without the cost of a locale-aware one
+		const compareNames = ( a, b ) => {
+			if ( a.name === b.name ) {
+				return 0;
+			}
+			return a.name < b.name ? -1 : 1;
 		};
 
+		// Always sort with whitelisted accounts at the bottom
+		const sortWithWhitelistAtBottom = ( primarySort ) =>
+			rows
+				.sort( ( a, b ) => {
+					// If whitelist status is different, non-whitelisted comes first
+					if ( a.whitelisted !== b.whitelisted ) {
+						return a.whitelisted ? 1 : -1;
+					}
+
+					// If same whitelist status, apply primary sort
+					return primarySort( a, b );
+				} )
+				.map( ( row ) => row.account );
+
 		switch ( sortOrder ) {
-			case 'newest':
-				sortWithWhitelistAtBottom(
+			case 'engagement':
+				return sortWithWhitelistAtBottom(
 					( a, b ) =>
-						new Date( b.timestamp ) - new Date( a.timestamp )
+						( b.account.interactions || 0 ) -
+							( a.account.interactions || 0 ) ||
+						compareNames( a, b )
 				);
-				break;
+			case 'newest':
+				return sortWithWhitelistAtBottom( ( a, b ) => b.time - a.time );
 			case 'oldest':
-				sortWithWhitelistAtBottom(
-					( a, b ) =>
-						new Date( a.timestamp ) - new Date( b.timestamp )
-				);
-				break;
+				return sortWithWhitelistAtBottom( ( a, b ) => a.time - b.time );
 			default: // username
-				sortWithWhitelistAtBottom( ( a, b ) =>
-					a.username.localeCompare( b.username )
+				return sortWithWhitelistAtBottom( ( a, b ) =>
+					compareNames( a, b )
 				);
 		}
-
-		// Re-render with sorted data
-		this.displayResults( sortedData );
 	}
 
 	async loadServerData() {
@@ -1245,7 +3146,8 @@ class InstagramAnalyzer {
 		}
 
 		try {
-			// Load whitelist from server
+			// Load the whitelist for the current platform from server
+			const platform = this.getPlatform();
 			const response = await fetch( this.config.ajaxUrl, {
 				method: 'POST',
 				headers: {
@@ -1254,20 +3156,735 @@ class InstagramAnalyzer {
 				body: new URLSearchParams( {
 					action: 'rwp_get_instagram_whitelist',
 					nonce: this.config.nonce,
+					platform,
 				} ),
 			} );
 
 			const result = await response.json();
-			if ( result.success ) {
-				this.state.whitelist = result.data || [];
+			if ( result.success && result.data ) {
+				this.state.whitelist = result.data.whitelist || [];
+				this.state.whitelistDetails = result.data.details || {};
 				// Also save to local storage for consistency
-				this.stateManager.saveWhitelist( this.state.whitelist );
+				this.stateManager.saveWhitelist(
+					this.state.whitelist,
+					platform
+				);
+				this.stateManager.saveWhitelistDetails(
+					this.state.whitelistDetails,
+					platform
+				);
 			}
+
+			await this.loadServerSnapshots();
+			await this.loadServerCleanupLedger();
 		} catch ( error ) {
 			console.error( 'Failed to load server data:', error );
 		}
 	}
 
+	async loadServerSnapshots() {
+		const response = await fetch( this.config.ajaxUrl, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/x-www-form-urlencoded',
+			},
+			body: new URLSearchParams( {
+				action: 'rwp_get_instagram_snapshots',
+				nonce: this.config.nonce,
+			} ),
+		} );
+
+		const result = await response.json();
+		if ( result.success ) {
+			// Dates and counts only. Merged with local history so snapshots
+			// taken offline are kept.
+			this.state.snapshots = this.mergeSnapshots(
+				this.state.snapshots,
+				result.data || []
+			);
+			this.stateManager.saveSnapshots( this.state.snapshots );
+		}
+	}
+
+	async loadSnapshotLists( snapshot ) {
+		// Kept in memory once loaded, from this browser for snapshots that
+		// aren't on the server, or fetched from the server
+		const cached = this.state.snapshotLists[ snapshot.id ];
+		if ( cached ) {
+			return cached;
+		}
+
+		let lists = this.stateManager.getSnapshotLists( snapshot.id );
+		if ( ! lists && this.config.isLoggedIn ) {
+			try {
+				const response = await fetch( this.config.ajaxUrl, {
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/x-www-form-urlencoded',
+					},
+					body: new URLSearchParams( {
+						action: 'rwp_get_instagram_snapshot',
+						nonce: this.config.nonce,
+						snapshot_id: snapshot.id,
+					} ),
+				} );
+
+				const result = await response.json();
+				if ( result.success ) {
+					lists = {
+						followers: result.data.followers || [],
+						following: result.data.following || [],
+					};
+				}
+			} catch ( error ) {
+				console.error( 'Failed to load snapshot:', error );
+			}
+		}
+
+		if ( lists ) {
+			this.state.snapshotLists[ snapshot.id ] = lists;
+		}
+
+		return lists;
+	}
+
+	getSnapshotSummary( snapshot ) {
+		return {
+			id: snapshot.id,
+			createdAt: snapshot.createdAt,
+			platform: snapshot.platform,
+			followersCount: snapshot.followers.length,
+			followingCount: snapshot.following.length,
+		};
+	}
+
+	saveLocalSnapshotLists( snapshot ) {
+		const lists = {
+			followers: snapshot.followers,
+			following: snapshot.following,
+		};
+		if ( ! this.stateManager.saveSnapshotLists( snapshot.id, lists ) ) {
+			console.warn( 'Could not save follower snapshot locally' );
+		}
+
+		// Older lists are dropped so a large account can't fill the
+		// browser's storage. The dates and counts stay.
+		this.getPlatformSnapshots()
+			.slice( 0, -this.config.maxLocalSnapshotLists )
+			.forEach( ( { id } ) => {
+				this.stateManager.removeSnapshotLists( id );
+			} );
+	}
+
+	createSnapshot( data ) {
+		const now = new Date();
+
+		return {
+			id: `snapshot_${ now.getTime() }`,
+			createdAt: now.toISOString(),
+			platform: this.getPlatform(),
+			followers: data.followers.map( ( account ) => account.username ),
+			following: data.following.map( ( account ) => account.username ),
+		};
+	}
+
+	async saveSnapshot( data ) {
+		const snapshot = this.createSnapshot( data );
+
+		this.state.snapshotLists[ snapshot.id ] = {
+			followers: snapshot.followers,
+			following: snapshot.following,
+		};
+		this.state.snapshots = this.mergeSnapshots( this.state.snapshots, [
+			this.getSnapshotSummary( snapshot ),
+		] );
+
+		if ( ! this.stateManager.saveSnapshots( this.state.snapshots ) ) {
+			console.warn( 'Could not save follower snapshot locally' );
+		}
+
+		// The server keeps logged-in users' lists, so the browser only
+		// needs them for guests or when the sync fails
+		const synced =
+			this.config.isLoggedIn &&
+			( await this.syncSnapshotWithServer( snapshot ) );
+		if ( ! synced ) {
+			this.saveLocalSnapshotLists( snapshot );
+		}
+
+		return snapshot;
+	}
+
+	async syncSnapshotWithServer( snapshot ) {
+		try {
+			const response = await fetch( this.config.ajaxUrl, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/x-www-form-urlencoded',
+				},
+				body: new URLSearchParams( {
+					action: 'rwp_save_instagram_snapshot',
+					nonce: this.config.nonce,
+					snapshot: JSON.stringify( snapshot ),
+				} ),
+			} );
+
+			const result = await response.json();
+			if ( ! result.success ) {
+				console.error( 'Failed to sync snapshot:', result.message );
+			}
+			return !! result.success;
+		} catch ( error ) {
+			console.error( 'Network error syncing snapshot:', error );
+			return false;
+		}
+	}
+
+	mergeSnapshots( ...snapshotLists ) {
+		const byId = new Map();
+
+		snapshotLists.flat().forEach( ( snapshot ) => {
+			if ( snapshot && snapshot.id && snapshot.createdAt ) {
+				byId.set( snapshot.id, snapshot );
+			}
+		} );
+
+		// Oldest first, keeping only the most recent snapshots
+		return Array.from( byId.values() )
+			.sort(
+				( a, b ) => new Date( a.createdAt ) - new Date( b.createdAt )
+			)
+			.slice( -this.config.maxSnapshots );
+	}
+
+	compareSnapshots( older, newer ) {
+		const difference = ( list, exclude ) => {
+			const excluded = new Set(
+				exclude.map( ( username ) => username.toLowerCase() )
+			);
+			return list
+				.filter(
+					( username ) => ! excluded.has( username.toLowerCase() )
+				)
+				.sort( ( a, b ) => a.localeCompare( b ) );
+		};
+
+		return {
+			newFollowers: difference( newer.followers, older.followers ),
+			lostFollowers: difference( older.followers, newer.followers ),
+			unfollowed: difference( older.following, newer.following ),
+			netGrowth: newer.followers.length - older.followers.length,
+		};
+	}
+
+	getPlatformSnapshots() {
+		// Only snapshots from the same platform can be compared
+		return this.state.snapshots.filter(
+			( snapshot ) =>
+				( snapshot.platform || 'instagram' ) === this.getPlatform()
+		);
+	}
+
+	createHistorySection() {
+		const snapshots = this.getPlatformSnapshots();
+
+		if ( snapshots.length < 2 ) {
+			return `
+            <div class="blk-history-section">
+                <div class="blk-section-header">
+                    <h3>Follower History</h3>
+                </div>
+                <p class="blk-history-empty">
+                    Each analysis is saved as a dated snapshot. Upload a new export later to see who followed and unfollowed you in between.
+                </p>
+            </div>
+        `;
+		}
+
+		const fromIndex = snapshots.length - 2;
+		const toIndex = snapshots.length - 1;
+		const fromLists = this.state.snapshotLists[ snapshots[ fromIndex ].id ];
+		const toLists = this.state.snapshotLists[ snapshots[ toIndex ].id ];
+
+		return `
+            <div class="blk-history-section">
+                <div class="blk-section-header">
+                    <h3>Follower History</h3>
+                    <div class="blk-filter-controls">
+                        <select class="blk-snapshot-select" id="snapshot-from" aria-label="Compare from snapshot">
+                            ${ this.createSnapshotOptions( fromIndex ) }
+                        </select>
+                        <select class="blk-snapshot-select" id="snapshot-to" aria-label="Compare to snapshot">
+                            ${ this.createSnapshotOptions( toIndex ) }
+                        </select>
+                    </div>
+                </div>
+                <div class="blk-snapshot-comparison" id="snapshot-comparison">
+                    ${
+						fromLists && toLists
+							? this.createSnapshotComparisonHTML(
+									{ ...snapshots[ fromIndex ], ...fromLists },
+									{ ...snapshots[ toIndex ], ...toLists }
+							  )
+							: '<p class="blk-history-empty blk-snapshot-loading">Loading comparison…</p>'
+					}
+                </div>
+            </div>
+        `;
+	}
+
+	createSnapshotOptions( selectedIndex ) {
+		return this.getPlatformSnapshots()
+			.map(
+				( snapshot, index ) => `
+                <option value="${ snapshot.id }" ${
+					index === selectedIndex ? 'selected' : ''
+				}>
+                    ${ this.formatDate( snapshot.createdAt ) } (${
+						snapshot.followersCount
+					} followers)
+                </option>
+            `
+			)
+			.join( '' );
+	}
+
+	createSnapshotComparisonHTML( fromSnapshot, toSnapshot ) {
+		// Always compare in chronological order, whichever way round they were picked
+		const [ older, newer ] =
+			new Date( fromSnapshot.createdAt ) <=
+			new Date( toSnapshot.createdAt )
+				? [ fromSnapshot, toSnapshot ]
+				: [ toSnapshot, fromSnapshot ];
+		const comparison = this.compareSnapshots( older, newer );
+		const netGrowth =
+			comparison.netGrowth > 0
+				? `+${ comparison.netGrowth }`
+				: comparison.netGrowth;
+
+		return `
+            <div class="blk-snapshot-stats">
+                <div class="blk-stat-card blk-stat-card--small">
+                    <div class="blk-stat-number">${ netGrowth }</div>
+                    <div class="blk-stat-label">Net Growth</div>
+                </div>
+                <div class="blk-stat-card blk-stat-card--small">
+                    <div class="blk-stat-number">${
+						comparison.newFollowers.length
+					}</div>
+                    <div class="blk-stat-label">New Followers</div>
+                </div>
+                <div class="blk-stat-card blk-stat-card--small">
+                    <div class="blk-stat-number">${
+						comparison.lostFollowers.length
+					}</div>
+                    <div class="blk-stat-label">Lost Followers</div>
+                </div>
+                <div class="blk-stat-card blk-stat-card--small">
+                    <div class="blk-stat-number">${
+						comparison.unfollowed.length
+					}</div>
+                    <div class="blk-stat-label">You Unfollowed</div>
+                </div>
+            </div>
+            ${ this.createSnapshotListHTML(
+				'Who Unfollowed You',
+				comparison.lostFollowers
+			) }
+            ${ this.createSnapshotListHTML(
+				'New Followers',
+				comparison.newFollowers
+			) }
+            ${ this.createSnapshotListHTML(
+				'Accounts You Unfollowed',
+				comparison.unfollowed
+			) }
+        `;
+	}
+
+	createSnapshotListHTML( title, usernames ) {
+		if ( usernames.length === 0 ) {
+			return '';
+		}
+
+		// Guests get counts and masked names, as with the main results
+		const items = usernames
+			.map( ( username ) =>
+				this.config.isLoggedIn
+					? `<a href="${ this.escapeHtml(
+							this.getProfileUrl( username )
+					  ) }" target="_blank" rel="noopener noreferrer" class="blk-snapshot-username">${ this.escapeHtml(
+							username
+					  ) }</a>`
+					: `<span class="blk-snapshot-username">${ this.escapeHtml(
+							this.maskUsername( username )
+					  ) }</span>`
+			)
+			.join( '' );
+
+		return `
+            <details class="blk-snapshot-list">
+                <summary>${ title } (${ usernames.length })</summary>
+                <div class="blk-snapshot-usernames">${ items }</div>
+            </details>
+        `;
+	}
+
+	async updateSnapshotComparison() {
+		const fromSelect = this.container.querySelector( '#snapshot-from' );
+		const toSelect = this.container.querySelector( '#snapshot-to' );
+		const comparisonContainer = this.container.querySelector(
+			'#snapshot-comparison'
+		);
+		if ( ! fromSelect || ! toSelect || ! comparisonContainer ) {
+			return;
+		}
+
+		const findSnapshot = ( id ) =>
+			this.getPlatformSnapshots().find(
+				( snapshot ) => snapshot.id === id
+			);
+		const fromSnapshot = findSnapshot( fromSelect.value );
+		const toSnapshot = findSnapshot( toSelect.value );
+
+		if ( ! fromSnapshot || ! toSnapshot ) {
+			return;
+		}
+
+		const [ fromLists, toLists ] = await Promise.all( [
+			this.loadSnapshotLists( fromSnapshot ),
+			this.loadSnapshotLists( toSnapshot ),
+		] );
+
+		// Another pair may have been picked while these loaded
+		if (
+			fromSelect.value !== fromSnapshot.id ||
+			toSelect.value !== toSnapshot.id
+		) {
+			return;
+		}
+
+		comparisonContainer.innerHTML =
+			fromLists && toLists
+				? this.createSnapshotComparisonHTML(
+						{ ...fromSnapshot, ...fromLists },
+						{ ...toSnapshot, ...toLists }
+				  )
+				: `<p class="blk-history-empty">The follower lists for this snapshot are no longer kept in this browser. Log in to keep your full history.</p>`;
+	}
+
+	createPostInsightsHTML( insights ) {
+		if ( insights.totalPosts === 0 ) {
+			return `
+            <div class="blk-post-insights">
+                <div class="blk-empty-state">
+                    <p>Your export includes a posts file, but no posts could be read from it.</p>
+                </div>
+            </div>
+        `;
+		}
+
+		const busiest = insights.busiest
+			? `You post most often on ${
+					insights.busiest.day
+			  }s around ${ this.formatHour( insights.busiest.hour ) }.`
+			: '';
+
+		return `
+            <div class="blk-post-insights">
+                <div class="blk-results-header">
+                    <h2 class="blk-results-title">Posting Insights</h2>
+                    <p class="blk-tab-description">
+                        ${ insights.totalPosts } posts from ${ this.formatDate(
+							insights.firstPost
+						) } to ${ this.formatDate( insights.lastPost ) }.
+                    </p>
+                    <div class="blk-stats-secondary">
+                        <div class="blk-stat-card blk-stat-card--small">
+                            <div class="blk-stat-number">${
+								insights.totalPosts
+							}</div>
+                            <div class="blk-stat-label">Posts</div>
+                        </div>
+                        <div class="blk-stat-card blk-stat-card--small">
+                            <div class="blk-stat-number">${
+								insights.postsPerMonth
+							}</div>
+                            <div class="blk-stat-label">Per Month</div>
+                        </div>
+                        <div class="blk-stat-card blk-stat-card--small">
+                            <div class="blk-stat-number">${
+								insights.averageCaptionLength
+							}</div>
+                            <div class="blk-stat-label">Avg. Caption</div>
+                        </div>
+                        <div class="blk-stat-card blk-stat-card--small">
+                            <div class="blk-stat-number">${
+								insights.uniqueHashtags
+							}</div>
+                            <div class="blk-stat-label">Hashtags Used</div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="blk-insight-section">
+                    <h3>Posting Frequency</h3>
+                    ${ this.createBarChartHTML(
+						insights.frequency,
+						'posts',
+						( point ) =>
+							`${ this.formatMonth( point.month ) }: ${
+								point.posts
+							} ${ point.posts === 1 ? 'post' : 'posts' }`
+					) }
+                </div>
+
+                <div class="blk-insight-section">
+                    <h3>When You Post</h3>
+                    ${
+						busiest
+							? `<p class="blk-tab-description">${ busiest }</p>`
+							: ''
+					}
+                    ${ this.createHeatmapHTML( insights.heatmap ) }
+                </div>
+
+                <div class="blk-insight-section">
+                    <h3>Caption Length</h3>
+                    <p class="blk-tab-description">Average caption length in characters for each month.</p>
+                    ${ this.createBarChartHTML(
+						insights.frequency,
+						'averageCaptionLength',
+						( point ) =>
+							`${ this.formatMonth( point.month ) }: ${
+								point.averageCaptionLength
+							} characters`
+					) }
+                </div>
+
+                <div class="blk-insight-section">
+                    <h3>Your Most-Used Hashtags</h3>
+                    ${
+						insights.topHashtags.length > 0
+							? `
+                        <div class="blk-hashtag-list">
+                            ${ insights.topHashtags
+								.map(
+									( item ) => `
+                                <span class="blk-hashtag-chip">
+                                    #${ item.hashtag }
+                                    <span class="blk-hashtag-count">${ item.count }</span>
+                                </span>
+                            `
+								)
+								.join( '' ) }
+                        </div>
+                        <div class="blk-hashtag-push" id="hashtag-push"></div>
+                    `
+							: `<p class="blk-tab-description">None of your captions include hashtags.</p>`
+					}
+                </div>
+            </div>
+        `;
+	}
+
+	createBarChartHTML( points, valueKey, describe ) {
+		const max = Math.max(
+			1,
+			...points.map( ( point ) => point[ valueKey ] )
+		);
+
+		return `
+            <div class="blk-bar-chart">
+                ${ points
+					.map(
+						( point ) => `
+                    <div class="blk-bar" title="${ describe( point ) }">
+                        <span class="blk-bar-fill" style="height: ${
+							( point[ valueKey ] / max ) * 100
+						}%"></span>
+                    </div>
+                `
+					)
+					.join( '' ) }
+            </div>
+            <div class="blk-bar-chart-range">
+                <span>${ this.formatMonth( points[ 0 ].month ) }</span>
+                <span>${ this.formatMonth(
+					points[ points.length - 1 ].month
+				) }</span>
+            </div>
+        `;
+	}
+
+	createHeatmapHTML( heatmap ) {
+		const max = Math.max( 1, ...heatmap.flat() );
+		const days = [ 'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat' ];
+
+		return `
+            <div class="blk-heatmap">
+                ${ heatmap
+					.map(
+						( hours, day ) => `
+                    <div class="blk-heatmap-row">
+                        <span class="blk-heatmap-label">${ days[ day ] }</span>
+                        ${ hours
+							.map(
+								( count, hour ) => `
+                            <span class="blk-heatmap-cell" title="${
+								days[ day ]
+							} ${ this.formatHour( hour ) }: ${ count } ${
+								count === 1 ? 'post' : 'posts'
+							}"><span class="blk-heatmap-fill" style="opacity: ${
+								count / max
+							}"></span></span>
+                        `
+							)
+							.join( '' ) }
+                    </div>
+                `
+					)
+					.join( '' ) }
+                <div class="blk-heatmap-row blk-heatmap-hours">
+                    <span class="blk-heatmap-label"></span>
+                    <span>12am</span>
+                    <span>6am</span>
+                    <span>12pm</span>
+                    <span>6pm</span>
+                </div>
+            </div>
+        `;
+	}
+
+	formatHour( hour ) {
+		const suffix = hour < 12 ? 'am' : 'pm';
+		return `${ hour % 12 || 12 }${ suffix }`;
+	}
+
+	formatMonth( month ) {
+		const [ year, monthIndex ] = month.split( '-' ).map( Number );
+		return new Date( year, monthIndex - 1, 1 ).toLocaleDateString(
+			undefined,
+			{ month: 'short', year: 'numeric' }
+		);
+	}
+
+	switchResultView( view ) {
+		this.state.activeView = view;
+
+		if ( this.state.analysisData ) {
+			this.renderResults( this.state.analysisData );
+		}
+	}
+
+	async checkAnalyticsConsent() {
+		// The consent endpoint decides, so ask once per page load
+		if ( this.state.analyticsConsent === null && this.config.restUrl ) {
+			try {
+				const response = await fetch(
+					`${ this.config.restUrl }consent`,
+					{
+						headers: { 'X-WP-Nonce': this.config.restNonce },
+						credentials: 'same-origin',
+					}
+				);
+				const result = await response.json();
+				this.state.analyticsConsent = result.consented === true;
+			} catch ( error ) {
+				console.warn( 'Failed to check analytics consent:', error );
+				this.state.analyticsConsent = false;
+			}
+		}
+
+		this.updateHashtagPushUI();
+	}
+
+	updateHashtagPushUI( message = '' ) {
+		const container = this.container.querySelector( '#hashtag-push' );
+		if ( ! container ) {
+			return;
+		}
+
+		if ( ! this.state.analyticsConsent ) {
+			container.innerHTML = `
+                <p class="blk-tab-description">
+                    Allow anonymous analytics to add these hashtags to your Insights dashboard.
+                </p>
+            `;
+			return;
+		}
+
+		container.innerHTML = `
+            <button type="button" class="blk-button blk-button--small blk-button--secondary" id="push-hashtags-btn">
+                Add to Hashtag Tracker
+            </button>
+            ${
+				message
+					? `<span class="blk-hashtag-push-status">${ message }</span>`
+					: ''
+			}
+        `;
+
+		container
+			.querySelector( '#push-hashtags-btn' )
+			.addEventListener( 'click', () => {
+				this.pushHashtagsToTracker();
+			} );
+	}
+
+	async pushHashtagsToTracker() {
+		const insights =
+			this.state.analysisData && this.state.analysisData.postInsights;
+		if ( ! insights || ! this.state.analyticsConsent ) {
+			return;
+		}
+
+		const button = this.container.querySelector( '#push-hashtags-btn' );
+
+		if ( button ) {
+			button.disabled = true;
+			button.textContent = 'Adding...';
+		}
+
+		// The tracker only accepts plain letters, numbers and underscores
+		const hashtags = insights.topHashtags
+			.map( ( item ) => item.hashtag )
+			.filter( ( hashtag ) => /^[a-z0-9_]+$/.test( hashtag ) );
+		let tracked = 0;
+
+		for ( const hashtag of hashtags ) {
+			try {
+				const response = await fetch(
+					`${ this.config.restUrl }analytics/track-hashtag`,
+					{
+						method: 'POST',
+						headers: {
+							'Content-Type': 'application/json',
+							'X-WP-Nonce': this.config.restNonce,
+						},
+						credentials: 'same-origin',
+						body: JSON.stringify( {
+							hashtag,
+							platform: 'instagram',
+							feature: 'instagram_analyzer',
+							source: 'export_history',
+						} ),
+					}
+				);
+				const result = await response.json();
+				if ( result.success ) {
+					tracked++;
+				}
+			} catch ( error ) {
+				console.warn( 'Failed to track hashtag:', hashtag, error );
+			}
+		}
+
+		this.updateHashtagPushUI(
+			`Added ${ tracked } of ${ hashtags.length } hashtags.`
+		);
+	}
+
 	async clearWhitelist() {
 		if (
 			! confirm(
@@ -1278,7 +3895,9 @@ class InstagramAnalyzer {
 		}
 
 		this.state.whitelist = [];
-		this.stateManager.saveWhitelist( [] );
+		this.state.whitelistDetails = {};
+		this.stateManager.saveWhitelist( [], this.getPlatform() );
+		this.stateManager.saveWhitelistDetails( {}, this.getPlatform() );
 
 		if ( this.config.isLoggedIn ) {
 			this.syncWhitelistWithServer();
@@ -1293,6 +3912,9 @@ class InstagramAnalyzer {
 	resetAnalyzer() {
 		// Clear current state
 		this.state.analysisData = null;
+		this.state.activeTab = 'notFollowingBack';
+		this.state.activeView = 'followers';
+		this.state.cleanupActive = false;
 		this.state.isProcessing = false;
 		this.state.uploadProgress = 0;
 
@@ -1320,7 +3942,7 @@ class InstagramAnalyzer {
 		this.hideProgress();
 	}
 
-	showProgress( percentage ) {
+	showProgress( percentage, message = '' ) {
 		const progressContainer =
 			this.container.querySelector( '#upload-progress' );
 		const progressFill = this.container.querySelector( '#progress-fill' );
@@ -1328,7 +3950,9 @@ class InstagramAnalyzer {
 
 		progressContainer.style.display = 'block';
 		progressFill.style.width = `${ percentage }%`;
-		progressText.textContent = `${ Math.round( percentage ) }%`;
+		progressText.textContent = message
+			? `${ Math.round( percentage ) }% · ${ message }`
+			: `${ Math.round( percentage ) }%`;
 	}
 
 	hideProgress() {
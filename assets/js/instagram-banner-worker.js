@@ -0,0 +1,67 @@
+/**
+ * Instagram Banner Worker
+ *
+ * Draws the full-size banner and cuts it into panels on an OffscreenCanvas,
+ * so large photos don't freeze the page. The banner creator sends its script
+ * URL along with the job, and the worker runs the creator's own drawing
+ * methods on a copy of its drawing state.
+ */
+
+self.addEventListener( 'message', ( event ) => {
+	const { id, type, scripts, state, image } = event.data || {};
+
+	try {
+		if ( typeof InstagramBannerCreator === 'undefined' ) {
+			self.importScripts( ...( scripts || [] ) );
+		}
+	} catch ( error ) {
+		// Let the banner creator fall back to drawing on the main thread
+		self.postMessage( {
+			id,
+			type: 'error',
+			message: error.message,
+			fallback: true,
+		} );
+		return;
+	}
+
+	try {
+		// A creator without an interface, holding only what drawing reads
+		const renderer = Object.assign(
+			Object.create( InstagramBannerCreator.prototype ),
+			state
+		);
+
+		if ( type === 'crop' ) {
+			const result = renderer
+				.renderCroppedCanvas()
+				.transferToImageBitmap();
+
+			self.postMessage( { id, type: 'result', image: result }, [
+				result,
+			] );
+			return;
+		}
+
+		if ( type === 'split' ) {
+			const { outputWidth, outputHeight } = renderer.specs;
+			const images = renderer.getPanels().map( ( panel ) => {
+				const canvas = new OffscreenCanvas( outputWidth, outputHeight );
+				renderer.drawPanel( canvas.getContext( '2d' ), image, panel );
+				return canvas.transferToImageBitmap();
+			} );
+			image.close();
+
+			self.postMessage( { id, type: 'result', images }, images );
+			return;
+		}
+
+		self.postMessage( {
+			id,
+			type: 'error',
+			message: `Unknown job type: ${ type }`,
+		} );
+	} catch ( error ) {
+		self.postMessage( { id, type: 'error', message: error.message } );
+	}
+} );
@@ -2,7 +2,10 @@
  * Instagram Banner Creator App
  *
  * Client-side application for creating Instagram banner images from uploaded images.
- * Splits a 3248x1440 image into three 1080x1440 images with 4px gaps.
+ * Splits an image into a row of 2–10 panels or a 3×2 / 3×3 profile grid puzzle,
+ * with a configurable gap and panel aspect ratio. The default layout is three
+ * 1080x1440 panels cut from a 3248x1440 image with 4px gaps. In carousel mode
+ * a panorama is sliced into consecutive 1080x1350 slides with no gap.
  */
 
 class InstagramBannerCreator {
@@ -25,48 +28,471 @@ class InstagramBannerCreator {
 			...config,
 		};
 
-		// Canvas and image specifications
+		// Panel sizes for each supported aspect ratio
+		this.aspectRatios = {
+			'4:5': { label: 'Portrait 4:5', width: 1080, height: 1350 },
+			'3:4': { label: 'Portrait 3:4', width: 1080, height: 1440 },
+			'1:1': { label: 'Square 1:1', width: 1080, height: 1080 },
+		};
+
+		// Download formats. Quality and the size target only apply to the
+		// lossy ones.
+		this.exportFormats = {
+			jpeg: {
+				label: 'JPEG',
+				mimeType: 'image/jpeg',
+				extension: 'jpg',
+				lossy: true,
+			},
+			png: {
+				label: 'PNG',
+				mimeType: 'image/png',
+				extension: 'png',
+				lossy: false,
+			},
+			webp: {
+				label: 'WebP',
+				mimeType: 'image/webp',
+				extension: 'webp',
+				lossy: true,
+			},
+		};
+
+		// How the image fills the frame. Cover crops it; the others fit the
+		// whole image and generate a backdrop for the space around it.
+		this.fitModes = {
+			cover: 'Fill the frame (crop)',
+			blur: 'Fit on a blurred background',
+			color: 'Fit on a solid color',
+			gradient: 'Fit on a gradient',
+			mirror: 'Fit with mirrored edges',
+		};
+
+		// Collage photos are placed freely, so only the backdrops apply
+		this.collageFillModes = [ 'blur', 'color', 'gradient' ];
+
+		// Non-destructive adjustments, applied whenever the crop is drawn
+		this.adjustmentControls = {
+			brightness: { label: 'Brightness', min: -100, max: 100 },
+			contrast: { label: 'Contrast', min: -100, max: 100 },
+			saturation: { label: 'Saturation', min: -100, max: 100 },
+			warmth: { label: 'Warmth', min: -100, max: 100 },
+			vignette: { label: 'Vignette', min: 0, max: 100 },
+		};
+		this.adjustmentPresets = {
+			none: {
+				label: 'Original',
+				values: {},
+			},
+			vivid: {
+				label: 'Vivid',
+				values: { brightness: 5, contrast: 20, saturation: 35 },
+			},
+			warm: {
+				label: 'Warm',
+				values: {
+					brightness: 5,
+					contrast: 5,
+					saturation: 10,
+					warmth: 40,
+				},
+			},
+			cool: {
+				label: 'Cool',
+				values: { contrast: 10, warmth: -40 },
+			},
+			faded: {
+				label: 'Faded',
+				values: {
+					brightness: 10,
+					contrast: -30,
+					saturation: -25,
+					warmth: 10,
+				},
+			},
+			mono: {
+				label: 'Mono',
+				values: { contrast: 20, saturation: -100, vignette: 20 },
+			},
+			dramatic: {
+				label: 'Dramatic',
+				values: {
+					brightness: -10,
+					contrast: 40,
+					saturation: -10,
+					vignette: 45,
+				},
+			},
+		};
+
+		// Fonts for text overlays, and ready-made stickers placed as text
+		this.overlayFonts = {
+			sans: {
+				label: 'Sans Serif',
+				family: '"Helvetica Neue", Arial, sans-serif',
+			},
+			serif: {
+				label: 'Serif',
+				family: 'Georgia, "Times New Roman", serif',
+			},
+			display: {
+				label: 'Display',
+				family: 'Impact, "Arial Black", sans-serif',
+			},
+			mono: { label: 'Monospace', family: '"Courier New", monospace' },
+			script: { label: 'Script', family: '"Brush Script MT", cursive' },
+		};
+		this.stickers = [ 'Swipe →', '→', '👉', '⭐', '❤️', '✨', '🔥', '📍' ];
+
+		// A single row of 2–10 panels, or a grid puzzle filling whole
+		// profile rows
+		this.layouts = {};
+		for ( let panels = 2; panels <= 10; panels++ ) {
+			this.layouts[ `row-${ panels }` ] = {
+				label: `${ panels } panels in a row`,
+				columns: panels,
+				rows: 1,
+			};
+		}
+		this.layouts[ 'grid-3x2' ] = {
+			label: '3 × 2 grid',
+			columns: 3,
+			rows: 2,
+		};
+		this.layouts[ 'grid-3x3' ] = {
+			label: '3 × 3 grid',
+			columns: 3,
+			rows: 3,
+		};
+
+		// Canvas and image specifications. The sizes are worked out from the
+		// chosen layout by applySettings().
 		this.specs = {
-			targetWidth: 3248,
-			targetHeight: 1440,
-			outputWidth: 1080,
-			outputHeight: 1440,
-			gapSize: 4,
-			maxFileSize: 10 * 1024 * 1024, // 10MB
+			maxGapSize: 40,
+			maxZoom: 5,
+			minFitZoom: 0.2,
+			maxRotation: 45,
+			snapDistance: 8,
+			minSlides: 2,
+			maxSlides: 10,
+			maxFileSize: 10 * 1024 * 1024, // 10MB, or the block's lower limit
+			// Larger photos are scaled down after decoding. Mobile Safari
+			// refuses canvases over about 16.7 million pixels, and the crop
+			// step stays responsive with a lighter copy.
+			maxSourcePixels: 16 * 1000 * 1000,
+			maxEditPixels: 4 * 1000 * 1000,
+			minExportQuality: 0.3,
+			// The profile grid shows the centre of each post at 3:4
+			thumbnailAspect: 3 / 4,
+			minOverlaySize: 12,
+			maxOverlaySize: 600,
+			maxOverlayStroke: 40,
+			minCollageWidth: 0.05,
+			maxCollageBorder: 40,
+			collageHandleSize: 12,
 			supportedFormats: [ 'image/jpeg', 'image/png', 'image/webp' ],
 		};
 
 		this.state = {
 			uploadedImage: null,
+			baseImageData: null, // cropped image without overlays
 			croppedImageData: null,
-			currentStep: 'upload', // upload, crop, preview, download
+			currentStep: 'upload', // upload, crop, overlay, preview, download
 			isProcessing: false,
 		};
 
+		// Text, sticker and logo elements placed over the cropped image.
+		// Positions are fractions of the output size; sizes are output pixels.
+		this.overlays = [];
+		this.overlayImages = {};
+		this.selectedOverlayId = null;
+
+		// Photos arranged across the banner when several are uploaded.
+		// Positions and widths are fractions of the output size; borders are
+		// output pixels. Later photos are drawn on top.
+		this.collage = [];
+		this.collageImages = {};
+		this.selectedCollageId = null;
+
+		this.cropFill = this.getDefaultCropFill();
+		this.adjustments = this.getDefaultAdjustments();
+
+		// Projects saved to the server for logged-in users. The current
+		// project is the one Save Project updates.
+		this.projects = [];
+		this.currentProject = null;
+
+		// The full-size banner is drawn in a worker when the browser supports
+		// OffscreenCanvas. Jobs wait here for the worker's reply.
+		this.renderWorker = null;
+		this.renderWorkerDisabled = false;
+		this.renderJobs = new Map();
+		this.renderJobId = 0;
+
 		// Initialize state manager
 		this.stateManager = new StateManager( {
 			storagePrefix: 'rwp_instagram_banner_',
 			maxDataAge: 24 * 60 * 60 * 1000, // 24 hours
 		} );
 
+		// Options chosen in the block's settings sidebar
+		this.blockSettings = this.getBlockSettings();
+		this.specs.maxFileSize = this.blockSettings.maxUploadSize * 1024 * 1024;
+
+		const preferences = this.stateManager.getUserPreferences();
+		this.applySettings( preferences.bannerSettings );
+		this.applyExportSettings( preferences.bannerExport );
+
 		this.init();
 	}
 
 	async init() {
+		// Guests get a login wall instead of the creator when the block asks
+		// for one
+		if ( this.requiresLogin() ) {
+			this.container.innerHTML = this.createLoginWallHTML();
+			return;
+		}
+
 		this.createInterface();
 		this.bindEvents();
 		await this.restoreState();
+		this.loadProjects();
+	}
+
+	getBlockSettings() {
+		// Saved on the container as JSON by the block. Anything missing or
+		// out of range falls back to the standard settings.
+		let saved = {};
+		try {
+			saved = JSON.parse( this.container.dataset.config || '{}' ) || {};
+		} catch ( error ) {
+			console.warn( 'Invalid banner block settings:', error );
+		}
+
+		const gapSize = parseInt( saved.gapSize, 10 );
+		const slides = parseInt( saved.slides, 10 );
+		const maxUploadSize = parseFloat( saved.maxUploadSize );
+		const exportFormats = Array.isArray( saved.exportFormats )
+			? saved.exportFormats.filter(
+					( format ) => this.exportFormats[ format ]
+			  )
+			: [];
+
+		return {
+			mode: saved.mode === 'carousel' ? 'carousel' : 'grid',
+			layout: this.layouts[ saved.layout ] ? saved.layout : 'row-3',
+			aspect: this.aspectRatios[ saved.aspect ] ? saved.aspect : '3:4',
+			gapSize: Number.isNaN( gapSize )
+				? 4
+				: Math.max( 0, Math.min( gapSize, this.specs.maxGapSize ) ),
+			slides: Number.isNaN( slides )
+				? 3
+				: Math.max(
+						this.specs.minSlides,
+						Math.min( slides, this.specs.maxSlides )
+				  ),
+			exportFormats: exportFormats.length
+				? exportFormats
+				: Object.keys( this.exportFormats ),
+			// Megabytes, never above the limit saved projects accept
+			maxUploadSize:
+				maxUploadSize > 0 ? Math.min( maxUploadSize, 10 ) : 10,
+			guestAccess: saved.guestAccess === 'login' ? 'login' : 'teaser',
+		};
+	}
+
+	requiresLogin() {
+		return (
+			! this.config.isLoggedIn &&
+			this.blockSettings.guestAccess === 'login'
+		);
+	}
+
+	getDefaultSettings() {
+		// The block picks the starting layout. Visitors can still change it,
+		// and their own choice is remembered over the block's.
+		const { mode, layout, aspect, gapSize, slides } = this.blockSettings;
+
+		return { mode, layout, aspect, gapSize, slides };
+	}
+
+	applySettings( settings = {} ) {
+		const defaults = this.getDefaultSettings();
+		const requestedGap = parseInt( settings.gapSize, 10 );
+		const requestedSlides = parseInt( settings.slides, 10 );
+
+		this.settings = {
+			mode: [ 'grid', 'carousel' ].includes( settings.mode )
+				? settings.mode
+				: defaults.mode,
+			layout: this.layouts[ settings.layout ]
+				? settings.layout
+				: defaults.layout,
+			aspect: this.aspectRatios[ settings.aspect ]
+				? settings.aspect
+				: defaults.aspect,
+			gapSize: Number.isNaN( requestedGap )
+				? defaults.gapSize
+				: Math.max(
+						0,
+						Math.min( requestedGap, this.specs.maxGapSize )
+				  ),
+			slides: Number.isNaN( requestedSlides )
+				? defaults.slides
+				: Math.max(
+						this.specs.minSlides,
+						Math.min( requestedSlides, this.specs.maxSlides )
+				  ),
+		};
+
+		// The source image covers every panel plus the gaps between them.
+		// Carousels are one continuous panorama of 4:5 slides, so nothing is
+		// cut out between them.
+		const isCarousel = this.settings.mode === 'carousel';
+		const layout = isCarousel
+			? { columns: this.settings.slides, rows: 1 }
+			: this.layouts[ this.settings.layout ];
+		const panel =
+			this.aspectRatios[ isCarousel ? '4:5' : this.settings.aspect ];
+		const gapSize = isCarousel ? 0 : this.settings.gapSize;
+
+		Object.assign( this.specs, {
+			mode: this.settings.mode,
+			columns: layout.columns,
+			rows: layout.rows,
+			panelCount: layout.columns * layout.rows,
+			outputWidth: panel.width,
+			outputHeight: panel.height,
+			gapSize,
+			targetWidth:
+				layout.columns * panel.width + ( layout.columns - 1 ) * gapSize,
+			targetHeight:
+				layout.rows * panel.height + ( layout.rows - 1 ) * gapSize,
+		} );
+	}
+
+	getAllowedExportFormats() {
+		// The block's formats that this browser can encode. Every browser
+		// can make JPEGs, so that is the last resort.
+		const formats = this.blockSettings.exportFormats.filter(
+			( format ) => format !== 'webp' || this.supportsWebPExport()
+		);
+
+		return formats.length ? formats : [ 'jpeg' ];
+	}
+
+	getDefaultExportSettings() {
+		const formats = this.getAllowedExportFormats();
+
+		return {
+			format: formats.includes( 'jpeg' ) ? 'jpeg' : formats[ 0 ],
+			quality: 0.9,
+			maxFileSize: 0, // KB, 0 for no limit
+		};
+	}
+
+	applyExportSettings( settings = {} ) {
+		const defaults = this.getDefaultExportSettings();
+		const quality = parseFloat( settings.quality );
+		const maxFileSize = parseInt( settings.maxFileSize, 10 );
+		const format = this.getAllowedExportFormats().includes(
+			settings.format
+		)
+			? settings.format
+			: defaults.format;
+
+		this.exportSettings = {
+			format,
+			quality: Number.isNaN( quality )
+				? defaults.quality
+				: Math.max(
+						this.specs.minExportQuality,
+						Math.min( quality, 1 )
+				  ),
+			maxFileSize:
+				Number.isNaN( maxFileSize ) || maxFileSize < 0
+					? defaults.maxFileSize
+					: maxFileSize,
+		};
+	}
+
+	updateExportSettings( changes ) {
+		this.applyExportSettings( { ...this.exportSettings, ...changes } );
+
+		// Remember the export options for next time
+		const preferences = this.stateManager.getUserPreferences();
+		preferences.bannerExport = this.exportSettings;
+		this.stateManager.saveUserPreferences( preferences );
+
+		this.syncExportControls();
+	}
+
+	supportsWebPExport() {
+		// Browsers that can't encode WebP quietly fall back to PNG
+		if ( this.webPExportSupported === undefined ) {
+			const canvas = document.createElement( 'canvas' );
+			canvas.width = 1;
+			canvas.height = 1;
+
+			try {
+				this.webPExportSupported = canvas
+					.toDataURL( 'image/webp' )
+					.startsWith( 'data:image/webp' );
+			} catch ( error ) {
+				this.webPExportSupported = false;
+			}
+		}
+
+		return this.webPExportSupported;
+	}
+
+	canShareFiles() {
+		// Sharing to the Instagram app is offered on touch devices only
+		if (
+			! navigator.canShare ||
+			! window.matchMedia ||
+			! window.matchMedia( '(pointer: coarse)' ).matches
+		) {
+			return false;
+		}
+
+		try {
+			return navigator.canShare( {
+				files: [
+					new File( [ '' ], 'test.jpg', { type: 'image/jpeg' } ),
+				],
+			} );
+		} catch ( error ) {
+			return false;
+		}
+	}
+
+	getPanels() {
+		// Panels in reading order: left to right, then top to bottom
+		const { columns, panelCount, outputWidth, outputHeight, gapSize } =
+			this.specs;
+
+		return Array.from( { length: panelCount }, ( _, index ) => ( {
+			index: index + 1,
+			x: ( index % columns ) * ( outputWidth + gapSize ),
+			y: Math.floor( index / columns ) * ( outputHeight + gapSize ),
+		} ) );
 	}
 
 	createInterface() {
 		const interfaceHTML = `
             <div class="blk-banner-creator">
+                ${ this.config.isLoggedIn ? this.createProjectBarHTML() : '' }
                 <div class="blk-creator-step" data-step="upload">
                     ${ this.createUploadInterface() }
                 </div>
                 <div class="blk-creator-step" data-step="crop" style="display: none;">
                     ${ this.createCropInterface() }
                 </div>
+                <div class="blk-creator-step" data-step="overlay" style="display: none;">
+                    ${ this.createOverlayInterface() }
+                </div>
                 <div class="blk-creator-step" data-step="preview" style="display: none;">
                     ${ this.createPreviewInterface() }
                 </div>
@@ -89,12 +515,12 @@ class InstagramBannerCreator {
                     </div>
                     <div class="blk-upload-content">
                         <h3 class="blk-upload-title">Drop your image here</h3>
-                        <p class="blk-upload-subtitle">or click to browse files</p>
+                        <p class="blk-upload-subtitle">or click to browse files. Choose several to make a collage.</p>
                         <div class="blk-file-info">
-                            Supports: JPEG, PNG, WebP • Max size: 10MB
+                            Supports: JPEG, PNG, WebP • Max size: ${ this.getMaxUploadLabel() } • Photos over ${ this.getMaxSourceLabel() } are scaled down to ${ this.getMaxSourceLabel() }
                         </div>
                     </div>
-                    <input type="file" id="file-input" accept="image/jpeg,image/png,image/webp" style="display: none;" />
+                    <input type="file" id="file-input" accept="image/jpeg,image/png,image/webp" multiple style="display: none;" />
                 </div>
                 
                 <div class="blk-upload-progress" id="upload-progress" style="display: none;">
@@ -105,10 +531,69 @@ class InstagramBannerCreator {
                 </div>
                 
                 <div class="blk-error-message" id="error-message" style="display: none;"></div>
+
+                ${
+					this.config.isLoggedIn
+						? `<div class="blk-projects" id="banner-projects" hidden>
+                    <h3 class="blk-projects-title">Your Projects</h3>
+                    <ul class="blk-project-list" id="project-list"></ul>
+                </div>`
+						: ''
+				}
+            </div>
+        `;
+	}
+
+	createProjectBarHTML() {
+		return `
+            <div class="blk-project-bar" id="project-bar" hidden>
+                <label class="blk-control-label" for="project-name">Project</label>
+                <input type="text" id="project-name" class="blk-control-input" maxlength="80" placeholder="Untitled banner" />
+                <button type="button" class="blk-button blk-button--secondary" id="save-project-btn">
+                    Save Project
+                </button>
+                <span class="blk-project-status" id="project-status" role="status"></span>
             </div>
         `;
 	}
 
+	createProjectListHTML() {
+		return this.projects
+			.map(
+				( project ) => `
+            <li class="blk-project-item">
+                ${
+					project.thumbnail
+						? `<img class="blk-project-thumbnail" src="${ this.escapeHtml(
+								project.thumbnail
+						  ) }" alt="" />`
+						: ''
+				}
+                <div class="blk-project-details">
+                    <span class="blk-project-name">${ this.escapeHtml(
+						project.name
+					) }</span>
+                    <span class="blk-project-date">Saved ${ new Date(
+						project.updatedAt
+					).toLocaleString() }</span>
+                </div>
+                <div class="blk-project-actions">
+                    <button type="button" class="blk-button blk-button--primary" data-project-action="open" data-project-id="${
+						project.id
+					}">Open</button>
+                    <button type="button" class="blk-button blk-button--secondary" data-project-action="duplicate" data-project-id="${
+						project.id
+					}">Duplicate</button>
+                    <button type="button" class="blk-button blk-button--secondary" data-project-action="delete" data-project-id="${
+						project.id
+					}">Delete</button>
+                </div>
+            </li>
+        `
+			)
+			.join( '' );
+	}
+
 	createCropInterface() {
 		return `
             <div class="blk-crop-section">
@@ -122,18 +607,346 @@ class InstagramBannerCreator {
                     
                     <div class="blk-crop-controls">
                         <div class="blk-control-group">
-                            <label class="blk-control-label">Aspect Ratio</label>
-                            <div class="blk-aspect-info">3248 × 1440 (locked)</div>
+                            <label class="blk-control-label" for="banner-mode">Output</label>
+                            <select id="banner-mode" class="blk-control-select">
+                                <option value="grid" ${
+									this.settings.mode === 'grid'
+										? 'selected'
+										: ''
+								}>Profile banner</option>
+                                <option value="carousel" ${
+									this.settings.mode === 'carousel'
+										? 'selected'
+										: ''
+								}>Panoramic carousel</option>
+                            </select>
+                        </div>
+
+                        <div class="blk-control-group" data-mode="carousel" ${
+							this.settings.mode === 'carousel' ? '' : 'hidden'
+						}>
+                            <label class="blk-control-label" for="carousel-slides">Slides</label>
+                            <select id="carousel-slides" class="blk-control-select">
+                                ${ Array.from(
+									{
+										length:
+											this.specs.maxSlides -
+											this.specs.minSlides +
+											1,
+									},
+									( _, index ) => index + this.specs.minSlides
+								)
+									.map(
+										( count ) =>
+											`<option value="${ count }" ${
+												count === this.settings.slides
+													? 'selected'
+													: ''
+											}>${ count } slides</option>`
+									)
+									.join( '' ) }
+                            </select>
+                            <p class="blk-control-help">Each slide is 1080 × 1350 with no gap, so the swipe looks continuous.</p>
+                        </div>
+
+                        <div class="blk-control-group" data-mode="grid" ${
+							this.settings.mode === 'grid' ? '' : 'hidden'
+						}>
+                            <label class="blk-control-label" for="banner-layout">Layout</label>
+                            <select id="banner-layout" class="blk-control-select">
+                                ${ Object.entries( this.layouts )
+									.map(
+										( [ key, layout ] ) =>
+											`<option value="${ key }" ${
+												key === this.settings.layout
+													? 'selected'
+													: ''
+											}>${ layout.label }</option>`
+									)
+									.join( '' ) }
+                            </select>
+                        </div>
+
+                        <div class="blk-control-group" data-mode="grid" ${
+							this.settings.mode === 'grid' ? '' : 'hidden'
+						}>
+                            <label class="blk-control-label" for="banner-aspect">Panel Shape</label>
+                            <select id="banner-aspect" class="blk-control-select">
+                                ${ Object.entries( this.aspectRatios )
+									.map(
+										( [ key, aspect ] ) =>
+											`<option value="${ key }" ${
+												key === this.settings.aspect
+													? 'selected'
+													: ''
+											}>${ aspect.label } (${
+												aspect.width
+											} × ${ aspect.height })</option>`
+									)
+									.join( '' ) }
+                            </select>
+                        </div>
+
+                        <div class="blk-control-group" data-mode="grid" ${
+							this.settings.mode === 'grid' ? '' : 'hidden'
+						}>
+                            <label class="blk-control-label" for="banner-gap">Gap Between Panels (px)</label>
+                            <input type="number" id="banner-gap" class="blk-control-input" min="0" max="${
+								this.specs.maxGapSize
+							}" step="1" value="${ this.settings.gapSize }" />
+                        </div>
+
+                        <div class="blk-control-group">
+                            <label class="blk-control-label">Photos</label>
+                            <button type="button" class="blk-button blk-button--secondary blk-control-button" id="collage-add-btn">
+                                Add Photos
+                            </button>
+                            <input type="file" id="collage-input" accept="${ this.specs.supportedFormats.join(
+								','
+							) }" multiple hidden />
+                            <p class="blk-control-help" data-crop-source="single" ${
+								this.isCollage() ? 'hidden' : ''
+							}>Add more photos to arrange them across the banner as a collage.</p>
+                            <div class="blk-collage-editor" id="collage-editor" data-crop-source="collage" ${
+								this.isCollage() ? '' : 'hidden'
+							}>
+                                ${ this.createCollageEditorHTML() }
+                            </div>
+                        </div>
+
+                        <div class="blk-control-group">
+                            <label class="blk-control-label" for="crop-fit">
+                                <span data-crop-source="single" ${
+									this.isCollage() ? 'hidden' : ''
+								}>Fit</span>
+                                <span data-crop-source="collage" ${
+									this.isCollage() ? '' : 'hidden'
+								}>Background</span>
+                            </label>
+                            <select id="crop-fit" class="blk-control-select">
+                                ${ Object.entries( this.fitModes )
+									.map(
+										( [ key, label ] ) =>
+											`<option value="${ key }" ${
+												key === this.cropFill.mode
+													? 'selected'
+													: ''
+											} ${
+												this.collageFillModes.includes(
+													key
+												)
+													? ''
+													: 'data-crop-source="single"'
+											}>${ label }</option>`
+									)
+									.join( '' ) }
+                            </select>
+                            <div class="blk-control-row blk-fill-colors">
+                                <label class="blk-control-label" data-fill-modes="color gradient" ${
+									[ 'color', 'gradient' ].includes(
+										this.cropFill.mode
+									)
+										? ''
+										: 'hidden'
+								}>
+                                    Color
+                                    <input type="color" id="crop-fill-color" class="blk-control-color" value="${
+										this.cropFill.color
+									}" />
+                                </label>
+                                <label class="blk-control-label" data-fill-modes="gradient" ${
+									this.cropFill.mode === 'gradient'
+										? ''
+										: 'hidden'
+								}>
+                                    To
+                                    <input type="color" id="crop-fill-gradient-end" class="blk-control-color" value="${
+										this.cropFill.gradientEnd
+									}" />
+                                </label>
+                            </div>
+                        </div>
+
+                        <div class="blk-control-group" data-crop-source="single" ${
+							this.isCollage() ? 'hidden' : ''
+						}>
+                            <label class="blk-control-label" for="crop-zoom">
+                                Zoom <span class="blk-control-value" id="crop-zoom-value">100%</span>
+                            </label>
+                            <input type="range" id="crop-zoom" class="blk-control-range" min="1" max="${
+								this.specs.maxZoom
+							}" step="0.01" value="1" />
+                        </div>
+
+                        <div class="blk-control-group" data-crop-source="single" ${
+							this.isCollage() ? 'hidden' : ''
+						}>
+                            <label class="blk-control-label" for="crop-rotation">
+                                Straighten <span class="blk-control-value" id="crop-rotation-value">0°</span>
+                            </label>
+                            <input type="range" id="crop-rotation" class="blk-control-range" min="-${
+								this.specs.maxRotation
+							}" max="${
+								this.specs.maxRotation
+							}" step="0.5" value="0" />
+                            <button type="button" class="blk-button blk-button--secondary blk-control-button" id="rotate-crop-btn">
+                                Rotate 90°
+                            </button>
+                            <p class="blk-control-help">Drag to position, scroll or pinch to zoom, and use the arrow keys to nudge (Shift for 10px).</p>
+                        </div>
+
+                        ${ this.createAdjustmentsHTML() }
+
+                        <div class="blk-control-group">
+                            <label class="blk-control-label">Crop Size</label>
+                            <div class="blk-aspect-info" id="banner-size-info">${ this.getSizeInfo() }</div>
                         </div>
                         
                         <div class="blk-control-actions">
                             <button type="button" class="blk-button blk-button--secondary" id="reset-crop-btn">
-                                Reset Position
+                                Reset Crop
                             </button>
                             <button type="button" class="blk-button blk-button--secondary" id="back-to-upload-btn">
                                 Back
                             </button>
                             <button type="button" class="blk-button blk-button--primary" id="continue-to-preview-btn">
+                                Continue
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+	}
+
+	createCollageEditorHTML() {
+		const photo = this.getSelectedCollagePhoto();
+
+		if ( ! photo ) {
+			return `<p class="blk-control-help">Select a photo to resize, layer or frame it. Drag to move it, drag its corner, scroll or pinch to resize it, and use the arrow keys to nudge it.</p>`;
+		}
+
+		const index = this.collage.indexOf( photo );
+
+		return `
+            <div class="blk-control-group">
+                <label class="blk-control-label" for="collage-width">Size</label>
+                <input type="range" id="collage-width" class="blk-control-range" data-collage-field="width" min="${
+					this.specs.minCollageWidth
+				}" max="1" step="0.01" value="${ photo.width }" />
+            </div>
+
+            <div class="blk-control-group">
+                <label class="blk-control-label" for="collage-border">Border</label>
+                <input type="range" id="collage-border" class="blk-control-range" data-collage-field="border" min="0" max="${
+					this.specs.maxCollageBorder
+				}" step="1" value="${ photo.border }" />
+                <label class="blk-control-label">
+                    Border Color
+                    <input type="color" class="blk-control-color" data-collage-field="borderColor" value="${
+						photo.borderColor
+					}" />
+                </label>
+            </div>
+
+            <div class="blk-overlay-buttons">
+                <button type="button" class="blk-button blk-button--secondary" data-collage-action="backward" ${
+					index === 0 ? 'disabled' : ''
+				}>Send Backward</button>
+                <button type="button" class="blk-button blk-button--secondary" data-collage-action="forward" ${
+					index === this.collage.length - 1 ? 'disabled' : ''
+				}>Bring Forward</button>
+            </div>
+
+            ${
+				this.collage.length > 1
+					? `<button type="button" class="blk-button blk-button--secondary" data-collage-action="delete">
+                Remove Photo
+            </button>`
+					: ''
+			}
+        `;
+	}
+
+	createAdjustmentsHTML() {
+		// Rendered in both the crop and preview steps, so the controls are
+		// found by data attribute rather than id
+		const activePreset = this.getActiveAdjustmentPreset();
+
+		return `
+            <details class="blk-adjustments">
+                <summary class="blk-control-label">Adjustments</summary>
+                <div class="blk-adjustment-presets">
+                    ${ Object.entries( this.adjustmentPresets )
+						.map(
+							( [ key, preset ] ) =>
+								`<button type="button" class="blk-adjustment-preset ${
+									key === activePreset
+										? 'blk-adjustment-preset--active'
+										: ''
+								}" data-adjustment-preset="${ key }">${
+									preset.label
+								}</button>`
+						)
+						.join( '' ) }
+                </div>
+                ${ Object.entries( this.adjustmentControls )
+					.map(
+						( [ key, control ] ) => `
+                    <div class="blk-control-group">
+                        <label class="blk-control-label">
+                            ${ control.label } <span class="blk-control-value" data-adjustment-value="${ key }">${ this.adjustments[ key ] }</span>
+                            <input type="range" class="blk-control-range" data-adjustment="${ key }" min="${ control.min }" max="${ control.max }" step="1" value="${ this.adjustments[ key ] }" />
+                        </label>
+                    </div>
+                `
+					)
+					.join( '' ) }
+            </details>
+        `;
+	}
+
+	createOverlayInterface() {
+		return `
+            <div class="blk-overlay-section">
+                <div class="blk-crop-container">
+                    <div class="blk-crop-canvas-container">
+                        <canvas id="overlay-canvas" class="blk-crop-canvas"></canvas>
+                    </div>
+
+                    <div class="blk-crop-controls">
+                        <div class="blk-control-group">
+                            <label class="blk-control-label">Add</label>
+                            <div class="blk-overlay-buttons">
+                                <button type="button" class="blk-button blk-button--secondary" data-add-overlay="text">Text</button>
+                                <button type="button" class="blk-button blk-button--secondary" data-add-overlay="watermark">Watermark</button>
+                                <button type="button" class="blk-button blk-button--secondary" data-add-overlay="logo">Logo</button>
+                            </div>
+                            <input type="file" id="overlay-logo-input" accept="${ this.specs.supportedFormats.join(
+								','
+							) }" hidden />
+                            <select id="overlay-sticker" class="blk-control-select">
+                                <option value="">Add a sticker…</option>
+                                ${ this.stickers
+									.map(
+										( sticker ) =>
+											`<option value="${ sticker }">${ sticker }</option>`
+									)
+									.join( '' ) }
+                            </select>
+                        </div>
+
+                        <div class="blk-overlay-editor" id="overlay-editor">
+                            ${ this.createOverlayEditorHTML() }
+                        </div>
+
+                        <ul class="blk-overlay-warnings" id="overlay-warnings" hidden></ul>
+
+                        <div class="blk-control-actions">
+                            <button type="button" class="blk-button blk-button--secondary" id="overlay-back-btn">
+                                Back to Crop
+                            </button>
+                            <button type="button" class="blk-button blk-button--primary" id="overlay-continue-btn">
                                 Continue to Preview
                             </button>
                         </div>
@@ -143,25 +956,117 @@ class InstagramBannerCreator {
         `;
 	}
 
+	createOverlayEditorHTML() {
+		const overlay = this.getSelectedOverlay();
+
+		if ( ! overlay ) {
+			return `<p class="blk-control-help">Select an element on the image to edit it, drag to move it, and use the arrow keys to nudge it.</p>`;
+		}
+
+		const range = ( field, label, min, max, step, value ) => `
+            <div class="blk-control-group">
+                <label class="blk-control-label" for="overlay-${ field }">${ label }</label>
+                <input type="range" id="overlay-${ field }" class="blk-control-range" data-overlay-field="${ field }" min="${ min }" max="${ max }" step="${ step }" value="${ value }" />
+            </div>
+        `;
+
+		const fields =
+			overlay.type === 'image'
+				? range(
+						'width',
+						'Width',
+						50,
+						this.specs.targetWidth,
+						10,
+						overlay.width
+				  )
+				: `
+            <div class="blk-control-group">
+                <label class="blk-control-label" for="overlay-text">Text</label>
+                <input type="text" id="overlay-text" class="blk-control-input" data-overlay-field="text" value="${ this.escapeHtml(
+					overlay.text
+				) }" />
+            </div>
+
+            <div class="blk-control-group">
+                <label class="blk-control-label" for="overlay-font">Font</label>
+                <select id="overlay-font" class="blk-control-select" data-overlay-field="font">
+                    ${ Object.entries( this.overlayFonts )
+						.map(
+							( [ key, font ] ) =>
+								`<option value="${ key }" ${
+									key === overlay.font ? 'selected' : ''
+								}>${ font.label }</option>`
+						)
+						.join( '' ) }
+                </select>
+                <label class="blk-control-checkbox">
+                    <input type="checkbox" data-overlay-field="bold" ${
+						overlay.bold ? 'checked' : ''
+					} /> Bold
+                </label>
+            </div>
+
+            ${ range(
+				'size',
+				'Size',
+				this.specs.minOverlaySize,
+				this.specs.maxOverlaySize,
+				1,
+				overlay.size
+			) }
+
+            <div class="blk-control-group blk-control-row">
+                <label class="blk-control-label">
+                    Color
+                    <input type="color" class="blk-control-color" data-overlay-field="color" value="${
+						overlay.color
+					}" />
+                </label>
+                <label class="blk-control-label">
+                    Stroke
+                    <input type="color" class="blk-control-color" data-overlay-field="strokeColor" value="${
+						overlay.strokeColor
+					}" />
+                </label>
+            </div>
+
+            ${ range(
+				'strokeWidth',
+				'Stroke Width',
+				0,
+				this.specs.maxOverlayStroke,
+				1,
+				overlay.strokeWidth
+			) }
+
+            <div class="blk-control-group">
+                <label class="blk-control-checkbox">
+                    <input type="checkbox" data-overlay-field="shadow" ${
+						overlay.shadow ? 'checked' : ''
+					} /> Drop shadow
+                </label>
+            </div>
+        `;
+
+		return `
+            ${ fields }
+            ${ range( 'opacity', 'Opacity', 0.1, 1, 0.05, overlay.opacity ) }
+            <button type="button" class="blk-button blk-button--secondary" data-overlay-action="delete">
+                Remove Element
+            </button>
+        `;
+	}
+
 	createPreviewInterface() {
 		return `
             <div class="blk-preview-section">
                 <div class="blk-preview-container">
-                    <div class="blk-banner-preview" id="banner-preview">
-                        <div class="blk-banner-image" id="banner-image-1">
-                            <canvas id="preview-canvas-1"></canvas>
-                            <div class="blk-image-label">Image 1</div>
-                        </div>
-                        <div class="blk-banner-gap"></div>
-                        <div class="blk-banner-image" id="banner-image-2">
-                            <canvas id="preview-canvas-2"></canvas>
-                            <div class="blk-image-label">Image 2</div>
-                        </div>
-                        <div class="blk-banner-gap"></div>
-                        <div class="blk-banner-image" id="banner-image-3">
-                            <canvas id="preview-canvas-3"></canvas>
-                            <div class="blk-image-label">Image 3</div>
-                        </div>
+                    ${ this.createBannerPreviewHTML() }
+                    <p class="blk-posting-order" id="posting-order">${ this.getPostingOrderText() }</p>
+
+                    <div class="blk-preview-adjustments">
+                        ${ this.createAdjustmentsHTML() }
                     </div>
                     
                     ${
@@ -172,8 +1077,8 @@ class InstagramBannerCreator {
                 </div>
                 
                 <div class="blk-preview-controls">
-                    <button type="button" class="blk-button blk-button--secondary" id="back-to-crop-btn">
-                        Back to Crop
+                    <button type="button" class="blk-button blk-button--secondary" id="back-to-overlay-btn">
+                        Back to Overlays
                     </button>
                     <button type="button" class="blk-button blk-button--secondary" id="start-over-btn">
                         Start Over
@@ -186,6 +1091,8 @@ class InstagramBannerCreator {
 	createDownloadInterface() {
 		return `
             <div class="blk-download-section">
+                ${ this.createExportOptionsHTML() }
+
                 <div class="blk-download-controls">
                     <button type="button" class="blk-button blk-button--primary blk-button--large" id="download-all-btn">
                         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -194,98 +1101,308 @@ class InstagramBannerCreator {
                             <line x1="12" y1="15" x2="12" y2="3"/>
                         </svg>
                         ${
-							this.config.strings.download ||
-							'Download All Images'
+							this.config.strings.download || 'Download All (ZIP)'
 						}
                     </button>
+                    <button type="button" class="blk-button blk-button--secondary blk-button--large" id="share-images-btn" ${
+						this.canShareFiles() ? '' : 'hidden'
+					}>
+                        ${ this.config.strings.share || 'Share to Instagram' }
+                    </button>
                     
                     <div class="blk-individual-downloads">
-                        <button type="button" class="blk-button blk-button--small" data-image="1">
-                            Download Image 1
-                        </button>
-                        <button type="button" class="blk-button blk-button--small" data-image="2">
-                            Download Image 2
-                        </button>
-                        <button type="button" class="blk-button blk-button--small" data-image="3">
-                            Download Image 3
-                        </button>
+                        ${ this.createDownloadButtonsHTML() }
                     </div>
                 </div>
             </div>
         `;
 	}
 
-	createGuestInterface() {
+	createExportOptionsHTML() {
+		const { format, quality, maxFileSize } = this.exportSettings;
+		const isLossy = this.exportFormats[ format ].lossy;
+
 		return `
-            <div class="blk-teaser-results">
-                <div class="blk-teaser-overlay">
-                    <div class="blk-teaser-content">
-                        <div class="blk-teaser-icon">🔒</div>
-                        <h3>Create Account to Download</h3>
-                        <p>Your banner images are ready! <strong>Create a free account</strong> to download them.</p>
-                        
-                        <div class="blk-teaser-benefits">
-                            <div class="blk-benefit-item">
-                                <span class="blk-benefit-icon">✅</span>
-                                <span>Download high-quality images</span>
-                            </div>
-                            <div class="blk-benefit-item">
-                                <span class="blk-benefit-icon">✅</span>
-                                <span>Save your work automatically</span>
-                            </div>
-                            <div class="blk-benefit-item">
-                                <span class="blk-benefit-icon">✅</span>
-                                <span>Access all creator tools</span>
-                            </div>
-                        </div>
-                        
-                        <div class="blk-teaser-cta">
-                            <a href="${ this.getRegistrationUrl() }" class="blk-button blk-button--primary blk-button--large">
-                                Create Free Account
-                            </a>
-                            <p class="blk-teaser-note">
-                                Already have an account? <a href="${ this.getLoginUrl() }">Login here</a>
-                            </p>
-                        </div>
-                    </div>
+            <div class="blk-export-options">
+                <div class="blk-control-group">
+                    <label class="blk-control-label" for="export-format">Format</label>
+                    <select id="export-format" class="blk-control-select">
+                        ${ this.getAllowedExportFormats()
+							.map(
+								( key ) =>
+									`<option value="${ key }" ${
+										key === format ? 'selected' : ''
+									}>${
+										this.exportFormats[ key ].label
+									}</option>`
+							)
+							.join( '' ) }
+                    </select>
                 </div>
-                
-                <div class="blk-teaser-preview">
-                    <div class="blk-banner-preview" id="banner-preview">
-                        <div class="blk-banner-image" id="banner-image-1">
-                            <canvas id="preview-canvas-1"></canvas>
-                            <div class="blk-image-label">Image 1</div>
-                        </div>
-                        <div class="blk-banner-gap"></div>
-                        <div class="blk-banner-image" id="banner-image-2">
-                            <canvas id="preview-canvas-2"></canvas>
-                            <div class="blk-image-label">Image 2</div>
-                        </div>
-                        <div class="blk-banner-gap"></div>
-                        <div class="blk-banner-image" id="banner-image-3">
-                            <canvas id="preview-canvas-3"></canvas>
-                            <div class="blk-image-label">Image 3</div>
-                        </div>
-                    </div>
+
+                <div class="blk-control-group">
+                    <label class="blk-control-label" for="export-quality">
+                        Quality <span class="blk-control-value" id="export-quality-value">${ Math.round(
+							quality * 100
+						) }%</span>
+                    </label>
+                    <input type="range" id="export-quality" class="blk-control-range" min="${
+						this.specs.minExportQuality
+					}" max="1" step="0.05" value="${ quality }" ${
+						isLossy ? '' : 'disabled'
+					} />
+                </div>
+
+                <div class="blk-control-group">
+                    <label class="blk-control-label" for="export-max-size">Max File Size (KB)</label>
+                    <input type="number" id="export-max-size" class="blk-control-input" min="0" step="50" placeholder="No limit" value="${
+						maxFileSize || ''
+					}" ${ isLossy ? '' : 'disabled' } />
+                    <p class="blk-control-help">Lowers the quality of any image over the limit. JPEG and WebP only.</p>
                 </div>
             </div>
         `;
 	}
 
-	bindEvents() {
-		// Upload events
-		const uploadZone = this.container.querySelector( '#upload-zone' );
-		const fileInput = this.container.querySelector( '#file-input' );
+	syncExportControls() {
+		const { format, quality, maxFileSize } = this.exportSettings;
+		const isLossy = this.exportFormats[ format ].lossy;
+		const formatSelect = this.container.querySelector( '#export-format' );
+		const qualityInput = this.container.querySelector( '#export-quality' );
+		const qualityValue = this.container.querySelector(
+			'#export-quality-value'
+		);
+		const maxSizeInput = this.container.querySelector( '#export-max-size' );
 
-		if ( uploadZone && fileInput ) {
-			// Drag and drop events
-			uploadZone.addEventListener( 'dragover', ( e ) =>
-				this.handleDragOver( e )
-			);
-			uploadZone.addEventListener( 'dragleave', ( e ) =>
-				this.handleDragLeave( e )
-			);
-			uploadZone.addEventListener( 'drop', ( e ) =>
+		if ( formatSelect ) {
+			formatSelect.value = format;
+		}
+		if ( qualityInput ) {
+			qualityInput.value = quality;
+			qualityInput.disabled = ! isLossy;
+		}
+		if ( qualityValue ) {
+			qualityValue.textContent = `${ Math.round( quality * 100 ) }%`;
+		}
+		if ( maxSizeInput ) {
+			maxSizeInput.value = maxFileSize || '';
+			maxSizeInput.disabled = ! isLossy;
+		}
+	}
+
+	createBannerPreviewHTML() {
+		const isCarousel = this.specs.mode === 'carousel';
+
+		return `
+            <div class="blk-banner-preview-wrap">
+                <div class="blk-banner-preview ${
+					isCarousel ? 'blk-banner-preview--carousel' : ''
+				}" id="banner-preview" style="--banner-columns: ${
+					this.specs.columns
+				}">
+                    ${ this.createPreviewPanelsHTML() }
+                </div>
+                ${
+					isCarousel
+						? `
+                    <div class="blk-carousel-nav">
+                        <button type="button" class="blk-carousel-arrow" data-slide-step="-1" aria-label="Previous slide">‹</button>
+                        <div class="blk-carousel-dots">
+                            ${ this.getPanels()
+								.map(
+									( panel ) =>
+										`<button type="button" class="blk-carousel-dot ${
+											panel.index === 1
+												? 'blk-carousel-dot--active'
+												: ''
+										}" data-slide="${
+											panel.index - 1
+										}" aria-label="Slide ${
+											panel.index
+										}"></button>`
+								)
+								.join( '' ) }
+                        </div>
+                        <button type="button" class="blk-carousel-arrow" data-slide-step="1" aria-label="Next slide">›</button>
+                    </div>
+                `
+						: ''
+				}
+            </div>
+        `;
+	}
+
+	createPreviewPanelsHTML() {
+		return this.getPanels()
+			.map(
+				( panel ) => `
+                <div class="blk-banner-image" id="banner-image-${ panel.index }">
+                    <canvas id="preview-canvas-${ panel.index }"></canvas>
+                    <div class="blk-image-label">Image ${ panel.index }</div>
+                </div>
+            `
+			)
+			.join( '' );
+	}
+
+	createDownloadButtonsHTML() {
+		return this.getPanels()
+			.map(
+				( panel ) => `
+                <button type="button" class="blk-button blk-button--small" data-image="${ panel.index }">
+                    Download Image ${ panel.index }
+                </button>
+            `
+			)
+			.join( '' );
+	}
+
+	getSizeInfo() {
+		const { targetWidth, targetHeight, panelCount } = this.specs;
+		const unit = this.specs.mode === 'carousel' ? 'slides' : 'panels';
+		return `${ targetWidth } × ${ targetHeight } (${ panelCount } ${ unit })`;
+	}
+
+	getPostingOrderText() {
+		if ( this.specs.mode === 'carousel' ) {
+			return `Upload all ${ this.specs.panelCount } slides in order, starting with Image 1, as a single carousel post.`;
+		}
+
+		// New posts appear first on the profile, so the last panel goes up
+		// first and the first panel last
+		return `Post Image ${ this.specs.panelCount } first and Image 1 last so the panels line up on your profile.`;
+	}
+
+	renderLayout() {
+		// Redraw everything that depends on the panel count and shape
+		this.container
+			.querySelectorAll( '.blk-banner-preview-wrap' )
+			.forEach( ( preview ) => {
+				preview.outerHTML = this.createBannerPreviewHTML();
+			} );
+
+		this.container.querySelectorAll( '[data-mode]' ).forEach( ( group ) => {
+			group.hidden = group.dataset.mode !== this.specs.mode;
+		} );
+
+		const downloads = this.container.querySelector(
+			'.blk-individual-downloads'
+		);
+		if ( downloads ) {
+			downloads.innerHTML = this.createDownloadButtonsHTML();
+		}
+
+		const sizeInfo = this.container.querySelector( '#banner-size-info' );
+		if ( sizeInfo ) {
+			sizeInfo.textContent = this.getSizeInfo();
+		}
+
+		const postingOrder = this.container.querySelector( '#posting-order' );
+		if ( postingOrder ) {
+			postingOrder.textContent = this.getPostingOrderText();
+		}
+	}
+
+	async updateSettings( changes ) {
+		this.applySettings( { ...this.settings, ...changes } );
+
+		// Remember the layout for next time
+		const preferences = this.stateManager.getUserPreferences();
+		preferences.bannerSettings = this.settings;
+		this.stateManager.saveUserPreferences( preferences );
+
+		this.renderLayout();
+
+		// The crop area follows the new shape, starting from the center again
+		if ( this.state.uploadedImage ) {
+			this.cropTransform = null;
+			await this.initializeCropInterface( this.state.uploadedImage );
+		}
+
+		this.saveState();
+	}
+
+	createLoginWallHTML() {
+		return `
+            <div class="blk-banner-creator">
+                <div class="blk-teaser-results blk-login-wall">
+                    <div class="blk-teaser-overlay">
+                        <div class="blk-teaser-content">
+                            <div class="blk-teaser-icon">🔒</div>
+                            <h3>Log In to Create Banners</h3>
+                            <p>Turn your photos into seamless banners, grid puzzles and carousels. <strong>Create a free account</strong> to get started.</p>
+
+                            <div class="blk-teaser-cta">
+                                <a href="${ this.getRegistrationUrl() }" class="blk-button blk-button--primary blk-button--large">
+                                    Create Free Account
+                                </a>
+                                <p class="blk-teaser-note">
+                                    Already have an account? <a href="${ this.getLoginUrl() }">Login here</a>
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+	}
+
+	createGuestInterface() {
+		return `
+            <div class="blk-teaser-results">
+                <div class="blk-teaser-overlay">
+                    <div class="blk-teaser-content">
+                        <div class="blk-teaser-icon">🔒</div>
+                        <h3>Create Account to Download</h3>
+                        <p>Your banner images are ready! <strong>Create a free account</strong> to download them.</p>
+                        
+                        <div class="blk-teaser-benefits">
+                            <div class="blk-benefit-item">
+                                <span class="blk-benefit-icon">✅</span>
+                                <span>Download high-quality images</span>
+                            </div>
+                            <div class="blk-benefit-item">
+                                <span class="blk-benefit-icon">✅</span>
+                                <span>Save your work automatically</span>
+                            </div>
+                            <div class="blk-benefit-item">
+                                <span class="blk-benefit-icon">✅</span>
+                                <span>Access all creator tools</span>
+                            </div>
+                        </div>
+                        
+                        <div class="blk-teaser-cta">
+                            <a href="${ this.getRegistrationUrl() }" class="blk-button blk-button--primary blk-button--large">
+                                Create Free Account
+                            </a>
+                            <p class="blk-teaser-note">
+                                Already have an account? <a href="${ this.getLoginUrl() }">Login here</a>
+                            </p>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="blk-teaser-preview">
+                    ${ this.createBannerPreviewHTML() }
+                </div>
+            </div>
+        `;
+	}
+
+	bindEvents() {
+		// Upload events
+		const uploadZone = this.container.querySelector( '#upload-zone' );
+		const fileInput = this.container.querySelector( '#file-input' );
+
+		if ( uploadZone && fileInput ) {
+			// Drag and drop events
+			uploadZone.addEventListener( 'dragover', ( e ) =>
+				this.handleDragOver( e )
+			);
+			uploadZone.addEventListener( 'dragleave', ( e ) =>
+				this.handleDragLeave( e )
+			);
+			uploadZone.addEventListener( 'drop', ( e ) =>
 				this.handleDrop( e )
 			);
 			uploadZone.addEventListener( 'click', () => fileInput.click() );
@@ -299,11 +1416,20 @@ class InstagramBannerCreator {
 		// Crop events
 		this.bindCropEvents();
 
+		// Adjustment events
+		this.bindAdjustmentEvents();
+
+		// Overlay events
+		this.bindOverlayEvents();
+
 		// Preview and download events
 		this.bindPreviewEvents();
 
 		// Navigation events
 		this.bindNavigationEvents();
+
+		// Saved project events
+		this.bindProjectEvents();
 	}
 
 	bindCropEvents() {
@@ -317,393 +1443,2933 @@ class InstagramBannerCreator {
 			resetCropBtn.addEventListener( 'click', () => this.resetCrop() );
 		}
 
-		if ( continueBtn ) {
-			continueBtn.addEventListener( 'click', () =>
-				this.processCroppedImage()
+		// Fit mode and backdrop colors
+		const fitSelect = this.container.querySelector( '#crop-fit' );
+		const fillColorInput =
+			this.container.querySelector( '#crop-fill-color' );
+		const gradientEndInput = this.container.querySelector(
+			'#crop-fill-gradient-end'
+		);
+
+		if ( fitSelect ) {
+			fitSelect.addEventListener( 'change', ( e ) =>
+				this.updateCropFill( { mode: e.target.value } )
 			);
 		}
-	}
 
-	bindPreviewEvents() {
-		const downloadAllBtn =
-			this.container.querySelector( '#download-all-btn' );
-		const individualBtns =
-			this.container.querySelectorAll( '[data-image]' );
+		if ( fillColorInput ) {
+			fillColorInput.addEventListener( 'input', ( e ) =>
+				this.updateCropFill( { color: e.target.value } )
+			);
+		}
 
-		if ( downloadAllBtn ) {
-			downloadAllBtn.addEventListener( 'click', () =>
-				this.downloadAllImages()
+		if ( gradientEndInput ) {
+			gradientEndInput.addEventListener( 'input', ( e ) =>
+				this.updateCropFill( { gradientEnd: e.target.value } )
 			);
 		}
 
-		individualBtns.forEach( ( btn ) => {
-			btn.addEventListener( 'click', ( e ) => {
-				const imageIndex = parseInt( e.target.dataset.image );
-				this.downloadSingleImage( imageIndex );
+		// Collage photos
+		const addPhotosBtn = this.container.querySelector( '#collage-add-btn' );
+		const collageInput = this.container.querySelector( '#collage-input' );
+		const collageEditor = this.container.querySelector( '#collage-editor' );
+
+		if ( addPhotosBtn && collageInput ) {
+			addPhotosBtn.addEventListener( 'click', () =>
+				collageInput.click()
+			);
+			collageInput.addEventListener( 'change', async ( e ) => {
+				const files = [ ...e.target.files ];
+				e.target.value = '';
+				if ( files.length ) {
+					await this.addCollageFiles( files );
+				}
 			} );
-		} );
-	}
+		}
 
-	bindNavigationEvents() {
-		const backToUploadBtn = this.container.querySelector(
-			'#back-to-upload-btn'
-		);
-		const backToCropBtn =
-			this.container.querySelector( '#back-to-crop-btn' );
-		const startOverBtn = this.container.querySelector( '#start-over-btn' );
+		// The editor is redrawn for each selection, so its fields are
+		// handled here
+		if ( collageEditor ) {
+			const handleField = ( e ) => {
+				const field = e.target.dataset.collageField;
+				if ( ! field ) {
+					return;
+				}
 
-		if ( backToUploadBtn ) {
-			backToUploadBtn.addEventListener( 'click', async () => {
-				await this.goToStep( 'upload' );
-			});
+				const value =
+					e.target.type === 'range'
+						? parseFloat( e.target.value )
+						: e.target.value;
+				this.updateSelectedCollagePhoto( { [ field ]: value } );
+			};
+
+			collageEditor.addEventListener( 'input', handleField );
+			collageEditor.addEventListener( 'change', ( e ) => {
+				handleField( e );
+				this.saveState();
+			} );
+			collageEditor.addEventListener( 'click', ( e ) => {
+				const button = e.target.closest( '[data-collage-action]' );
+				if ( ! button ) {
+					return;
+				}
+
+				if ( button.dataset.collageAction === 'delete' ) {
+					this.removeSelectedCollagePhoto();
+				} else {
+					this.moveSelectedCollagePhoto(
+						button.dataset.collageAction === 'forward' ? 1 : -1
+					);
+				}
+			} );
 		}
 
-		if ( backToCropBtn ) {
-			backToCropBtn.addEventListener( 'click', async () => {
-				await this.goToStep( 'crop' );
-			});
+		// Zoom and rotation
+		const zoomInput = this.container.querySelector( '#crop-zoom' );
+		const rotationInput = this.container.querySelector( '#crop-rotation' );
+		const rotateBtn = this.container.querySelector( '#rotate-crop-btn' );
+
+		if ( zoomInput ) {
+			zoomInput.addEventListener( 'input', ( e ) => {
+				if ( this.cropTransform ) {
+					this.zoomCrop( parseFloat( e.target.value ) );
+					this.updateCrop();
+				}
+			} );
+			zoomInput.addEventListener( 'change', () => this.saveState() );
 		}
 
-		if ( startOverBtn ) {
-			startOverBtn.addEventListener( 'click', async () => {
-				await this.startOver();
-			});
+		if ( rotationInput ) {
+			rotationInput.addEventListener( 'input', ( e ) => {
+				if ( this.cropTransform ) {
+					this.cropTransform.rotation = parseFloat( e.target.value );
+					this.updateCrop();
+				}
+			} );
+			rotationInput.addEventListener( 'change', () => this.saveState() );
 		}
-	}
 
-	// Event handlers
-	handleDragOver( e ) {
-		e.preventDefault();
-		e.currentTarget.classList.add( 'blk-upload-zone--dragover' );
-	}
+		if ( rotateBtn ) {
+			rotateBtn.addEventListener( 'click', () => {
+				if ( this.cropTransform ) {
+					this.cropTransform.quarterTurns += 1;
+					this.updateCrop();
+					this.saveState();
+				}
+			} );
+		}
 
-	handleDragLeave( e ) {
-		e.preventDefault();
-		e.currentTarget.classList.remove( 'blk-upload-zone--dragover' );
-	}
+		// Layout settings
+		const modeSelect = this.container.querySelector( '#banner-mode' );
+		const slidesSelect = this.container.querySelector( '#carousel-slides' );
+		const layoutSelect = this.container.querySelector( '#banner-layout' );
+		const aspectSelect = this.container.querySelector( '#banner-aspect' );
+		const gapInput = this.container.querySelector( '#banner-gap' );
 
-	handleDrop( e ) {
-		e.preventDefault();
-		e.currentTarget.classList.remove( 'blk-upload-zone--dragover' );
+		if ( modeSelect ) {
+			modeSelect.addEventListener( 'change', ( e ) =>
+				this.updateSettings( { mode: e.target.value } )
+			);
+		}
 
-		const files = e.dataTransfer.files;
-		if ( files.length > 0 ) {
-			this.handleImageUpload( files[ 0 ] );
+		if ( slidesSelect ) {
+			slidesSelect.addEventListener( 'change', ( e ) =>
+				this.updateSettings( { slides: e.target.value } )
+			);
 		}
-	}
 
-	handleFileSelect( e ) {
-		if ( e.target.files.length > 0 ) {
-			this.handleImageUpload( e.target.files[ 0 ] );
+		if ( layoutSelect ) {
+			layoutSelect.addEventListener( 'change', ( e ) =>
+				this.updateSettings( { layout: e.target.value } )
+			);
+		}
+
+		if ( aspectSelect ) {
+			aspectSelect.addEventListener( 'change', ( e ) =>
+				this.updateSettings( { aspect: e.target.value } )
+			);
+		}
+
+		if ( gapInput ) {
+			gapInput.addEventListener( 'change', ( e ) => {
+				this.updateSettings( { gapSize: e.target.value } );
+				e.target.value = this.settings.gapSize;
+			} );
+		}
+
+		if ( continueBtn ) {
+			continueBtn.addEventListener( 'click', () =>
+				this.processCroppedImage()
+			);
 		}
 	}
 
-	// Core functionality methods
-	async handleImageUpload( file ) {
-		if ( ! this.validateFile( file ) ) {
-			return;
+	bindAdjustmentEvents() {
+		// The panel appears in more than one step, so its events are handled
+		// on the container
+		this.container.addEventListener( 'input', ( e ) => {
+			const key = e.target.dataset.adjustment;
+			if ( key ) {
+				this.updateAdjustments( {
+					[ key ]: parseInt( e.target.value, 10 ),
+				} );
+			}
+		} );
+
+		this.container.addEventListener( 'change', ( e ) => {
+			if ( e.target.dataset.adjustment ) {
+				this.saveState();
+			}
+		} );
+
+		this.container.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( '[data-adjustment-preset]' );
+			const preset =
+				button &&
+				this.adjustmentPresets[ button.dataset.adjustmentPreset ];
+
+			if ( preset ) {
+				this.updateAdjustments( {
+					...this.getDefaultAdjustments(),
+					...preset.values,
+				} );
+				this.saveState();
+			}
+		} );
+	}
+
+	bindOverlayEvents() {
+		const addButtons =
+			this.container.querySelectorAll( '[data-add-overlay]' );
+		const logoInput = this.container.querySelector( '#overlay-logo-input' );
+		const stickerSelect =
+			this.container.querySelector( '#overlay-sticker' );
+		const editor = this.container.querySelector( '#overlay-editor' );
+		const backBtn = this.container.querySelector( '#overlay-back-btn' );
+		const continueBtn = this.container.querySelector(
+			'#overlay-continue-btn'
+		);
+
+		addButtons.forEach( ( button ) => {
+			button.addEventListener( 'click', () => {
+				if ( button.dataset.addOverlay === 'logo' ) {
+					logoInput.click();
+				} else {
+					this.addOverlay( button.dataset.addOverlay );
+				}
+			} );
+		} );
+
+		if ( logoInput ) {
+			logoInput.addEventListener( 'change', async ( e ) => {
+				const file = e.target.files[ 0 ];
+				e.target.value = '';
+				if ( file ) {
+					await this.addLogoOverlay( file );
+				}
+			} );
 		}
 
-		this.state.isProcessing = true;
-		this.showProgress( 0 );
-		this.hideError();
+		if ( stickerSelect ) {
+			stickerSelect.addEventListener( 'change', ( e ) => {
+				if ( e.target.value ) {
+					this.addOverlay( 'sticker', e.target.value );
+					e.target.value = '';
+				}
+			} );
+		}
 
-		try {
-			this.showProgress( 25 );
+		// The editor is redrawn for each selection, so its fields are
+		// handled here
+		if ( editor ) {
+			const handleField = ( e ) => {
+				const field = e.target.dataset.overlayField;
+				if ( ! field ) {
+					return;
+				}
 
-			// Load the image
-			const imageData = await this.loadImageFile( file );
-			this.state.uploadedImage = imageData;
+				let value = e.target.value;
+				if ( e.target.type === 'checkbox' ) {
+					value = e.target.checked;
+				} else if ( e.target.type === 'range' ) {
+					value = parseFloat( value );
+				}
+
+				this.updateSelectedOverlay( { [ field ]: value } );
+			};
+
+			editor.addEventListener( 'input', handleField );
+			editor.addEventListener( 'change', ( e ) => {
+				handleField( e );
+				this.saveState();
+			} );
+			editor.addEventListener( 'click', ( e ) => {
+				if ( e.target.closest( '[data-overlay-action="delete"]' ) ) {
+					this.removeSelectedOverlay();
+				}
+			} );
+		}
+
+		if ( backBtn ) {
+			backBtn.addEventListener( 'click', async () => {
+				await this.goToStep( 'crop' );
+			} );
+		}
+
+		if ( continueBtn ) {
+			continueBtn.addEventListener( 'click', () => this.applyOverlays() );
+		}
+	}
+
+	bindPreviewEvents() {
+		const downloadAllBtn =
+			this.container.querySelector( '#download-all-btn' );
+		const individualDownloads = this.container.querySelector(
+			'.blk-individual-downloads'
+		);
+
+		const shareBtn = this.container.querySelector( '#share-images-btn' );
+		const formatSelect = this.container.querySelector( '#export-format' );
+		const qualityInput = this.container.querySelector( '#export-quality' );
+		const maxSizeInput = this.container.querySelector( '#export-max-size' );
+
+		if ( downloadAllBtn ) {
+			downloadAllBtn.addEventListener( 'click', () =>
+				this.downloadAllImages()
+			);
+		}
+
+		if ( shareBtn ) {
+			shareBtn.addEventListener( 'click', () => this.shareImages() );
+		}
+
+		// Export options
+		if ( formatSelect ) {
+			formatSelect.addEventListener( 'change', ( e ) =>
+				this.updateExportSettings( { format: e.target.value } )
+			);
+		}
+
+		if ( qualityInput ) {
+			qualityInput.addEventListener( 'input', ( e ) =>
+				this.updateExportSettings( { quality: e.target.value } )
+			);
+		}
+
+		if ( maxSizeInput ) {
+			maxSizeInput.addEventListener( 'change', ( e ) =>
+				this.updateExportSettings( { maxFileSize: e.target.value } )
+			);
+		}
+
+		this.bindCarouselPreview();
+
+		// The buttons change with the layout, so clicks are handled here
+		if ( individualDownloads ) {
+			individualDownloads.addEventListener( 'click', ( e ) => {
+				const btn = e.target.closest( '[data-image]' );
+				if ( btn ) {
+					this.downloadSingleImage(
+						parseInt( btn.dataset.image, 10 )
+					);
+				}
+			} );
+		}
+	}
+
+	bindCarouselPreview() {
+		// The carousel preview is redrawn with the layout, so its events are
+		// handled on the container. Touch and trackpads swipe natively with
+		// scroll snapping; mouse drags and the arrows and dots are simulated.
+		let drag = null;
+
+		this.container.addEventListener( 'click', ( e ) => {
+			const control = e.target.closest(
+				'[data-slide], [data-slide-step]'
+			);
+			const wrap =
+				control && control.closest( '.blk-banner-preview-wrap' );
+			if ( ! wrap ) {
+				return;
+			}
+
+			const track = wrap.querySelector( '.blk-banner-preview--carousel' );
+			const target =
+				control.dataset.slide !== undefined
+					? parseInt( control.dataset.slide, 10 )
+					: this.getCurrentSlide( track ) +
+					  parseInt( control.dataset.slideStep, 10 );
+
+			this.goToSlide( track, target );
+		} );
+
+		this.container.addEventListener( 'pointerdown', ( e ) => {
+			const track = e.target.closest( '.blk-banner-preview--carousel' );
+			if ( ! track || e.pointerType !== 'mouse' ) {
+				return;
+			}
+
+			drag = { track, startX: e.clientX, scrollLeft: track.scrollLeft };
+			track.classList.add( 'blk-banner-preview--dragging' );
+			e.preventDefault();
+		} );
+
+		document.addEventListener( 'pointermove', ( e ) => {
+			if ( drag ) {
+				drag.track.scrollLeft =
+					drag.scrollLeft - ( e.clientX - drag.startX );
+			}
+		} );
+
+		document.addEventListener( 'pointerup', () => {
+			if ( ! drag ) {
+				return;
+			}
+
+			const { track } = drag;
+			drag = null;
+			track.classList.remove( 'blk-banner-preview--dragging' );
+			this.goToSlide( track, this.getCurrentSlide( track ) );
+		} );
+
+		// Scroll events don't bubble, so listen while capturing
+		this.container.addEventListener(
+			'scroll',
+			( e ) => {
+				if (
+					e.target.classList &&
+					e.target.classList.contains(
+						'blk-banner-preview--carousel'
+					)
+				) {
+					this.updateCarouselDots( e.target );
+				}
+			},
+			true
+		);
+	}
+
+	getCurrentSlide( track ) {
+		return track.clientWidth
+			? Math.round( track.scrollLeft / track.clientWidth )
+			: 0;
+	}
+
+	goToSlide( track, index ) {
+		if ( ! track ) {
+			return;
+		}
+
+		const slide = Math.max(
+			0,
+			Math.min( index, this.specs.panelCount - 1 )
+		);
+		track.scrollTo( {
+			left: slide * track.clientWidth,
+			behavior: 'smooth',
+		} );
+		this.updateCarouselDots( track, slide );
+	}
+
+	updateCarouselDots( track, slide = this.getCurrentSlide( track ) ) {
+		const wrap = track.closest( '.blk-banner-preview-wrap' );
+		if ( ! wrap ) {
+			return;
+		}
+
+		wrap.querySelectorAll( '.blk-carousel-dot' ).forEach( ( dot ) => {
+			dot.classList.toggle(
+				'blk-carousel-dot--active',
+				parseInt( dot.dataset.slide, 10 ) === slide
+			);
+		} );
+	}
+
+	bindNavigationEvents() {
+		const backToUploadBtn = this.container.querySelector(
+			'#back-to-upload-btn'
+		);
+		const backToOverlayBtn = this.container.querySelector(
+			'#back-to-overlay-btn'
+		);
+		const startOverBtn = this.container.querySelector( '#start-over-btn' );
+
+		if ( backToUploadBtn ) {
+			backToUploadBtn.addEventListener( 'click', async () => {
+				await this.goToStep( 'upload' );
+			});
+		}
+
+		if ( backToOverlayBtn ) {
+			backToOverlayBtn.addEventListener( 'click', async () => {
+				await this.goToStep( 'overlay' );
+			} );
+		}
+
+		if ( startOverBtn ) {
+			startOverBtn.addEventListener( 'click', async () => {
+				await this.startOver();
+			});
+		}
+	}
+
+	bindProjectEvents() {
+		const saveBtn = this.container.querySelector( '#save-project-btn' );
+		const projectList = this.container.querySelector( '#project-list' );
+
+		if ( saveBtn ) {
+			saveBtn.addEventListener( 'click', () => this.saveProject() );
+		}
+
+		// The list is redrawn whenever the projects change, so its buttons
+		// are handled here
+		if ( projectList ) {
+			projectList.addEventListener( 'click', ( e ) => {
+				const button = e.target.closest( '[data-project-action]' );
+				if ( ! button || this.state.isProcessing ) {
+					return;
+				}
+
+				const { projectAction, projectId } = button.dataset;
+
+				if ( projectAction === 'open' ) {
+					this.openProject( projectId );
+				} else if ( projectAction === 'duplicate' ) {
+					this.duplicateProject( projectId );
+				} else if ( projectAction === 'delete' ) {
+					// Ask again on the button itself before deleting
+					if ( ! button.dataset.confirming ) {
+						button.dataset.confirming = 'true';
+						button.textContent = 'Confirm Delete';
+						return;
+					}
+					this.deleteProject( projectId );
+				}
+			} );
+		}
+	}
+
+	// Event handlers
+	handleDragOver( e ) {
+		e.preventDefault();
+		e.currentTarget.classList.add( 'blk-upload-zone--dragover' );
+	}
+
+	handleDragLeave( e ) {
+		e.preventDefault();
+		e.currentTarget.classList.remove( 'blk-upload-zone--dragover' );
+	}
+
+	handleDrop( e ) {
+		e.preventDefault();
+		e.currentTarget.classList.remove( 'blk-upload-zone--dragover' );
+
+		const files = e.dataTransfer.files;
+		if ( files.length > 0 ) {
+			this.handleFiles( files );
+		}
+	}
+
+	handleFileSelect( e ) {
+		if ( e.target.files.length > 0 ) {
+			this.handleFiles( e.target.files );
+		}
+	}
+
+	handleFiles( files ) {
+		// Several images start a collage; a single one is cropped as usual
+		if ( files.length > 1 ) {
+			this.handleCollageUpload( [ ...files ] );
+		} else {
+			this.handleImageUpload( files[ 0 ] );
+		}
+	}
+
+	// Core functionality methods
+	async handleImageUpload( file ) {
+		if ( ! this.validateFile( file ) ) {
+			return;
+		}
+
+		this.state.isProcessing = true;
+		this.showProgress( 0 );
+		this.hideError();
+
+		try {
+			this.showProgress( 25 );
+
+			// Load the image. A single image replaces any collage.
+			const imageData = await this.loadImageFile( file );
+			this.state.uploadedImage = imageData;
+			this.clearCollage();
+			this.setCurrentProject( null );
+
+			this.showProgress( 50 );
+			
+			// Move to crop step first
+			await this.goToStep( 'crop' );
+
+			this.showProgress( 75 );
+
+			// Initialize crop interface after step transition
+			await this.initializeCropInterface( imageData );
+
+			this.showProgress( 100 );
+
+			// Hide progress after short delay
+			setTimeout( () => {
+				this.hideProgress();
+			}, 300 );
+		} catch ( error ) {
+			console.error( 'Image upload error:', error );
+			this.showError(
+				'Failed to process the uploaded image. Please try a different image.'
+			);
+		} finally {
+			this.state.isProcessing = false;
+		}
+	}
+
+	async handleCollageUpload( files ) {
+		this.hideError();
+
+		// Files that can't be used are reported and left out
+		const validFiles = files.filter( ( file ) =>
+			this.validateFile( file )
+		);
+		if ( ! validFiles.length ) {
+			return;
+		}
+
+		this.state.isProcessing = true;
+		this.showProgress( 0 );
+
+		try {
+			this.showProgress( 25 );
+
+			const images = await Promise.all(
+				validFiles.map( ( file ) => this.loadImageFile( file ) )
+			);
+
+			// The first photo stands in as the uploaded image for the steps
+			// that only need one
+			this.state.uploadedImage = images[ 0 ];
+			this.clearCollage();
+			this.addCollagePhotos( images );
+			this.setCurrentProject( null );
+
+			this.showProgress( 50 );
+
+			await this.goToStep( 'crop' );
+
+			this.showProgress( 75 );
+
+			await this.initializeCropInterface( images[ 0 ] );
+
+			this.showProgress( 100 );
+
+			setTimeout( () => {
+				this.hideProgress();
+			}, 300 );
+		} catch ( error ) {
+			console.error( 'Collage upload error:', error );
+			this.showError(
+				'Failed to process the uploaded images. Please try different images.'
+			);
+		} finally {
+			this.state.isProcessing = false;
+		}
+	}
+
+	getMaxUploadLabel() {
+		return `${ this.blockSettings.maxUploadSize }MB`;
+	}
+
+	getMaxSourceLabel() {
+		return `${ Math.round( this.specs.maxSourcePixels / 1000000 ) }MP`;
+	}
+
+	validateFile( file ) {
+		// Check file type
+		if ( ! this.specs.supportedFormats.includes( file.type ) ) {
+			this.showError( 'Please upload a JPEG, PNG, or WebP image.' );
+			return false;
+		}
+
+		// Check file size
+		if ( file.size > this.specs.maxFileSize ) {
+			this.showError(
+				`File size is too large. Please upload an image under ${ this.getMaxUploadLabel() }.`
+			);
+			return false;
+		}
+
+		return true;
+	}
+
+	async loadImageFile( file ) {
+		// The data URL keeps the original file for saving, while drawing
+		// uses the upright, size-limited copy
+		const [ src, fullImage ] = await Promise.all( [
+			this.readBlob( file, 'readAsDataURL' ),
+			this.decodeImage( file, this.specs.maxSourcePixels ),
+		] );
+
+		return this.createSourceImage( src, fullImage );
+	}
+
+	async loadSourceFromDataUrl( dataUrl ) {
+		// Saved originals are decoded the same way as new uploads
+		const blob = await this.dataUrlToBlob( dataUrl );
+
+		return this.createSourceImage(
+			dataUrl,
+			await this.decodeImage( blob, this.specs.maxSourcePixels )
+		);
+	}
+
+	async createSourceImage( src, fullImage ) {
+		// The crop step draws the lighter copy. The export draws the full
+		// image at the same size, so only its sharpness differs.
+		return {
+			src,
+			width: fullImage.width,
+			height: fullImage.height,
+			image: await this.resizeImage(
+				fullImage,
+				this.specs.maxEditPixels
+			),
+			fullImage,
+		};
+	}
+
+	readBlob( blob, method ) {
+		return new Promise( ( resolve, reject ) => {
+			const reader = new FileReader();
+			reader.onload = () => resolve( reader.result );
+			reader.onerror = reject;
+			reader[ method ]( blob );
+		} );
+	}
+
+	async dataUrlToBlob( dataUrl ) {
+		const response = await fetch( dataUrl );
+		return response.blob();
+	}
+
+	async decodeImage( blob, maxPixels ) {
+		const [ decoded, orientation, orientationApplied ] = await Promise.all(
+			[
+				this.decodeImageBlob( blob ),
+				this.getExifOrientation( blob ),
+				this.decoderAppliesOrientation(),
+			]
+		);
+
+		const image = await this.resizeImage(
+			decoded,
+			maxPixels,
+			orientationApplied ? 1 : orientation
+		);
+
+		// Free the full decode as soon as a smaller copy replaces it
+		if ( image !== decoded && decoded.close ) {
+			decoded.close();
+		}
+
+		return image;
+	}
+
+	async decodeImageBlob( blob ) {
+		// createImageBitmap decodes without blocking the page and can turn
+		// the photo upright itself
+		if ( typeof window.createImageBitmap === 'function' ) {
+			try {
+				return await window.createImageBitmap( blob, {
+					imageOrientation: 'from-image',
+				} );
+			} catch ( error ) {
+				// Older versions reject the options, so use an image instead
+			}
+		}
+
+		return new Promise( ( resolve, reject ) => {
+			const url = URL.createObjectURL( blob );
+			const img = new Image();
+
+			img.onload = () => {
+				URL.revokeObjectURL( url );
+				resolve( img );
+			};
+			img.onerror = ( error ) => {
+				URL.revokeObjectURL( url );
+				reject( error );
+			};
+			img.src = url;
+		} );
+	}
+
+	async getExifOrientation( blob ) {
+		// Reads the orientation tag (1–8) from a JPEG's EXIF header. Other
+		// formats, and photos without the tag, are already upright.
+		if ( blob.type !== 'image/jpeg' ) {
+			return 1;
+		}
+
+		try {
+			const view = new DataView(
+				await this.readBlob(
+					blob.slice( 0, 128 * 1024 ),
+					'readAsArrayBuffer'
+				)
+			);
+
+			if ( view.getUint16( 0 ) !== 0xffd8 ) {
+				return 1;
+			}
+
+			let offset = 2;
+			while ( offset + 4 <= view.byteLength ) {
+				const marker = view.getUint16( offset );
+
+				// Segments end where the image data starts
+				if ( marker < 0xff00 || marker === 0xffda ) {
+					break;
+				}
+
+				// APP1 starting with "Exif"
+				if (
+					marker === 0xffe1 &&
+					view.getUint32( offset + 4 ) === 0x45786966
+				) {
+					const tiff = offset + 10;
+					const littleEndian = view.getUint16( tiff ) === 0x4949;
+					const directory =
+						tiff + view.getUint32( tiff + 4, littleEndian );
+					const entries = view.getUint16( directory, littleEndian );
+
+					for ( let entry = 0; entry < entries; entry++ ) {
+						const position = directory + 2 + entry * 12;
+						if (
+							view.getUint16( position, littleEndian ) === 0x0112
+						) {
+							return view.getUint16( position + 8, littleEndian );
+						}
+					}
+
+					return 1;
+				}
+
+				offset += 2 + view.getUint16( offset + 2 );
+			}
+		} catch ( error ) {
+			// Headers cut short by the slice are treated as upright
+		}
+
+		return 1;
+	}
+
+	decoderAppliesOrientation() {
+		// Most browsers now turn photos upright while decoding, and turning
+		// them again would undo it. Decoding a 2 × 1 JPEG tagged as rotated
+		// 90° shows which kind this browser is: it comes back 1 × 2 when the
+		// tag was applied.
+		if ( ! this.orientationCheck ) {
+			this.orientationCheck = ( async () => {
+				try {
+					const canvas = this.createCanvas( 2, 1 );
+					canvas.getContext( '2d' ).fillRect( 0, 0, 2, 1 );
+					const jpeg = await this.canvasToBlob(
+						canvas,
+						'image/jpeg',
+						0.9
+					);
+					const exif = new Uint8Array( [
+						// APP1 marker, length, "Exif" and padding
+						0xff, 0xe1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00,
+						0x00,
+						// Big-endian TIFF header, first directory at 8
+						0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+						// One entry: orientation (short) = 6
+						0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00,
+						0x01, 0x00, 0x06, 0x00, 0x00,
+						// No further directories
+						0x00, 0x00, 0x00, 0x00,
+					] );
+					const tagged = new Blob(
+						[ jpeg.slice( 0, 2 ), exif, jpeg.slice( 2 ) ],
+						{ type: 'image/jpeg' }
+					);
+					const image = await this.decodeImageBlob( tagged );
+
+					return image.width === 1 && image.height === 2;
+				} catch ( error ) {
+					// Assume a current browser rather than risk double turns
+					return true;
+				}
+			} )();
+		}
+
+		return this.orientationCheck;
+	}
+
+	async resizeImage( image, maxPixels, orientation = 1 ) {
+		// Turns the image upright and scales it down in a single draw,
+		// returning it untouched when neither is needed
+		const scale = Math.min(
+			1,
+			Math.sqrt( maxPixels / ( image.width * image.height ) )
+		);
+		if ( orientation === 1 && scale === 1 ) {
+			return image;
+		}
+
+		const width = Math.max( 1, Math.round( image.width * scale ) );
+		const height = Math.max( 1, Math.round( image.height * scale ) );
+		const swapAxes = orientation >= 5;
+		const canvas = this.createCanvas(
+			swapAxes ? height : width,
+			swapAxes ? width : height
+		);
+		const ctx = canvas.getContext( '2d' );
+
+		// Maps the stored pixels onto the upright canvas
+		const transforms = {
+			2: [ -1, 0, 0, 1, width, 0 ],
+			3: [ -1, 0, 0, -1, width, height ],
+			4: [ 1, 0, 0, -1, 0, height ],
+			5: [ 0, 1, 1, 0, 0, 0 ],
+			6: [ 0, 1, -1, 0, height, 0 ],
+			7: [ 0, -1, -1, 0, height, width ],
+			8: [ 0, -1, 1, 0, 0, width ],
+		};
+		if ( transforms[ orientation ] ) {
+			ctx.setTransform( ...transforms[ orientation ] );
+		}
+
+		ctx.imageSmoothingQuality = 'high';
+		ctx.drawImage( image, 0, 0, width, height );
+
+		// Bitmaps can be posted to the render worker, canvases can't
+		if ( typeof window.createImageBitmap !== 'function' ) {
+			return canvas;
+		}
+
+		try {
+			return await window.createImageBitmap( canvas );
+		} catch ( error ) {
+			return canvas;
+		}
+	}
+
+	createCanvas( width, height ) {
+		// The render worker has no document, only OffscreenCanvas
+		if ( typeof document === 'undefined' ) {
+			return new OffscreenCanvas( width, height );
+		}
+
+		const canvas = document.createElement( 'canvas' );
+		canvas.width = width;
+		canvas.height = height;
+		return canvas;
+	}
+
+	async initializeCropInterface( imageData ) {
+		// Wait for the crop interface to be rendered
+		await new Promise( ( resolve ) => setTimeout( resolve, 200 ) );
+
+		const canvas = this.container.querySelector( '#crop-canvas' );
+		if ( ! canvas ) {
+			console.error( 'Crop canvas not found in container:', this.container );
+			throw new Error( 'Crop canvas not found' );
+		}
+
+		// The crop canvas is a scaled-down view of the output image. The
+		// transform is kept in output pixels so the export can replay it.
+		this.cropImageInfo = {
+			originalImage: imageData.image,
+			fullImage: imageData.fullImage,
+			originalWidth: imageData.width,
+			originalHeight: imageData.height,
+			viewScale: this.fitCanvasToLayout( canvas ),
+		};
+
+		// Restored images (from page refresh) keep the position they were left in
+		if ( ! imageData.isRestored || ! this.cropTransform ) {
+			this.cropTransform = this.getDefaultCropTransform();
+		}
+
+		this.syncCropSourceControls();
+		this.updateCrop();
+
+		// Make image draggable - users should be able to adjust crop position even for restored images.
+		// The canvas is set up again when the layout changes, but only needs its listeners once.
+		if ( ! canvas.dataset.draggable ) {
+			canvas.dataset.draggable = 'true';
+			this.makeImageDraggable( canvas );
+		}
+	}
+
+	fitCanvasToLayout( canvas ) {
+		// Set canvas size based on the layout's aspect ratio. Tall grids are
+		// fitted to the window height rather than the full width.
+		const containerWidth = canvas.parentElement.clientWidth || 800;
+		const aspectRatio = this.specs.targetWidth / this.specs.targetHeight;
+		const maxHeight = Math.max( 320, window.innerHeight * 0.7 );
+		const canvasWidth = Math.min( containerWidth, maxHeight * aspectRatio );
+		const canvasHeight = canvasWidth / aspectRatio;
+
+		// Set canvas to exact aspect ratio
+		canvas.width = Math.round( canvasWidth );
+		canvas.height = Math.round( canvasHeight );
+
+		// Scale from output pixels to canvas pixels
+		return canvas.width / this.specs.targetWidth;
+	}
+
+	getDefaultCropTransform() {
+		// Centered, just covering the frame, not rotated
+		return {
+			x: this.specs.targetWidth / 2,
+			y: this.specs.targetHeight / 2,
+			zoom: 1,
+			rotation: 0,
+			quarterTurns: 0,
+		};
+	}
+
+	getDefaultCropFill() {
+		return {
+			mode: 'cover',
+			color: '#ffffff',
+			gradientEnd: '#d1d5db',
+		};
+	}
+
+	isFitMode() {
+		return this.cropFill.mode !== 'cover';
+	}
+
+	getCropAngle() {
+		const { rotation, quarterTurns } = this.cropTransform;
+		return ( ( quarterTurns * 90 + rotation ) * Math.PI ) / 180;
+	}
+
+	getCropCoverage() {
+		// Size of the output frame measured along the rotated image's axes
+		const angle = this.getCropAngle();
+		const cos = Math.abs( Math.cos( angle ) );
+		const sin = Math.abs( Math.sin( angle ) );
+		const { targetWidth, targetHeight } = this.specs;
+
+		return {
+			width: targetWidth * cos + targetHeight * sin,
+			height: targetWidth * sin + targetHeight * cos,
+		};
+	}
+
+	getCropScale() {
+		const { originalWidth, originalHeight } = this.cropImageInfo;
+
+		// When fitting, zoom 1 shows the whole rotated image inside the frame
+		if ( this.isFitMode() ) {
+			const angle = this.getCropAngle();
+			const cos = Math.abs( Math.cos( angle ) );
+			const sin = Math.abs( Math.sin( angle ) );
+
+			return (
+				Math.min(
+					this.specs.targetWidth /
+						( originalWidth * cos + originalHeight * sin ),
+					this.specs.targetHeight /
+						( originalWidth * sin + originalHeight * cos )
+				) * this.cropTransform.zoom
+			);
+		}
+
+		// At zoom 1 the image is just large enough to cover the frame at its
+		// current rotation, so straightening never leaves empty corners
+		const coverage = this.getCropCoverage();
+
+		return (
+			Math.max(
+				coverage.width / originalWidth,
+				coverage.height / originalHeight
+			) * this.cropTransform.zoom
+		);
+	}
+
+	constrainCropTransform() {
+		const transform = this.cropTransform;
+		const { targetWidth, targetHeight, maxZoom, maxRotation } = this.specs;
+
+		transform.zoom = Math.max(
+			this.getMinCropZoom(),
+			Math.min( transform.zoom, maxZoom )
+		);
+		transform.rotation = Math.max(
+			-maxRotation,
+			Math.min( transform.rotation, maxRotation )
+		);
+		transform.quarterTurns = ( ( transform.quarterTurns % 4 ) + 4 ) % 4;
+
+		// A fitted image can sit anywhere, as long as its center stays in
+		// the frame
+		if ( this.isFitMode() ) {
+			transform.x = Math.max( 0, Math.min( transform.x, targetWidth ) );
+			transform.y = Math.max( 0, Math.min( transform.y, targetHeight ) );
+			return;
+		}
+
+		// Keep the frame inside the image. Along the image's own axes the
+		// image is a plain rectangle, so the offset can be clamped there.
+		const angle = this.getCropAngle();
+		const cos = Math.cos( angle );
+		const sin = Math.sin( angle );
+		const scale = this.getCropScale();
+		const coverage = this.getCropCoverage();
+		const maxX = Math.max(
+			0,
+			( this.cropImageInfo.originalWidth * scale - coverage.width ) / 2
+		);
+		const maxY = Math.max(
+			0,
+			( this.cropImageInfo.originalHeight * scale - coverage.height ) / 2
+		);
+
+		const offsetX = transform.x - targetWidth / 2;
+		const offsetY = transform.y - targetHeight / 2;
+		const localX = Math.max(
+			-maxX,
+			Math.min( offsetX * cos + offsetY * sin, maxX )
+		);
+		const localY = Math.max(
+			-maxY,
+			Math.min( offsetY * cos - offsetX * sin, maxY )
+		);
+
+		transform.x = targetWidth / 2 + localX * cos - localY * sin;
+		transform.y = targetHeight / 2 + localX * sin + localY * cos;
+	}
+
+	getMinCropZoom() {
+		return this.isFitMode() ? this.specs.minFitZoom : 1;
+	}
+
+	updateCropFill( changes ) {
+		const previousMode = this.cropFill.mode;
+		const mode = this.fitModes[ changes.mode ]
+			? changes.mode
+			: previousMode;
+
+		this.cropFill = { ...this.cropFill, ...changes, mode };
+
+		// Zoom means something different once the mode changes between
+		// cropping and fitting, so start that mode from its zoom 1
+		if ( this.cropTransform && mode !== previousMode ) {
+			this.cropTransform.zoom = 1;
+		}
+
+		this.syncCropFillControls();
+		this.updateCrop();
+		this.saveState();
+	}
+
+	syncCropFillControls() {
+		const { mode, color, gradientEnd } = this.cropFill;
+		const values = {
+			'#crop-fit': mode,
+			'#crop-fill-color': color,
+			'#crop-fill-gradient-end': gradientEnd,
+		};
+
+		Object.entries( values ).forEach( ( [ selector, value ] ) => {
+			const control = this.container.querySelector( selector );
+			if ( control ) {
+				control.value = value;
+			}
+		} );
+
+		// Only show the colors the chosen mode uses
+		this.container
+			.querySelectorAll( '[data-fill-modes]' )
+			.forEach( ( control ) => {
+				control.hidden = ! control.dataset.fillModes
+					.split( ' ' )
+					.includes( mode );
+			} );
+	}
+
+	zoomCrop( zoom, anchor = null ) {
+		// Zoom about the anchor (the pointer or pinch midpoint) so the point
+		// under it stays put; the frame's center is used otherwise
+		const point = anchor || {
+			x: this.specs.targetWidth / 2,
+			y: this.specs.targetHeight / 2,
+		};
+		const previousScale = this.getCropScale();
+
+		this.cropTransform.zoom = Math.max(
+			this.getMinCropZoom(),
+			Math.min( zoom, this.specs.maxZoom )
+		);
+
+		const ratio = this.getCropScale() / previousScale;
+		this.cropTransform.x =
+			point.x + ( this.cropTransform.x - point.x ) * ratio;
+		this.cropTransform.y =
+			point.y + ( this.cropTransform.y - point.y ) * ratio;
+	}
+
+	snapCropToCenter() {
+		// Pull the image's center onto the frame's center lines when it is
+		// within a few screen pixels of them
+		const threshold =
+			this.specs.snapDistance / this.cropImageInfo.viewScale;
+		const centerX = this.specs.targetWidth / 2;
+		const centerY = this.specs.targetHeight / 2;
+
+		if ( Math.abs( this.cropTransform.x - centerX ) < threshold ) {
+			this.cropTransform.x = centerX;
+		}
+		if ( Math.abs( this.cropTransform.y - centerY ) < threshold ) {
+			this.cropTransform.y = centerY;
+		}
+	}
+
+	updateCrop( { showGuides = false } = {} ) {
+		if ( ! this.cropImageInfo || ! this.cropTransform ) {
+			return;
+		}
+
+		if ( showGuides ) {
+			this.snapCropToCenter();
+		}
+		this.constrainCropTransform();
+
+		// Guides only show while dragging, on the axes that are centered
+		this.cropGuides = showGuides
+			? {
+					vertical:
+						Math.abs(
+							this.cropTransform.x - this.specs.targetWidth / 2
+						) < 0.5,
+					horizontal:
+						Math.abs(
+							this.cropTransform.y - this.specs.targetHeight / 2
+						) < 0.5,
+			  }
+			: null;
+
+		this.syncCropControls();
+		this.redrawCropCanvas();
+	}
+
+	syncCropControls() {
+		const { zoom, rotation } = this.cropTransform;
+		const zoomInput = this.container.querySelector( '#crop-zoom' );
+		const rotationInput = this.container.querySelector( '#crop-rotation' );
+		const zoomValue = this.container.querySelector( '#crop-zoom-value' );
+		const rotationValue = this.container.querySelector(
+			'#crop-rotation-value'
+		);
+
+		if ( zoomInput ) {
+			zoomInput.min = this.getMinCropZoom();
+			zoomInput.value = zoom;
+		}
+		if ( rotationInput ) {
+			rotationInput.value = rotation;
+		}
+		if ( zoomValue ) {
+			zoomValue.textContent = `${ Math.round( zoom * 100 ) }%`;
+		}
+		if ( rotationValue ) {
+			rotationValue.textContent = `${ rotation }°`;
+		}
+	}
+
+	drawCropImage( ctx, viewScale, fullResolution = false ) {
+		// Shared by the crop canvas and the export so both show the same
+		// crop. The export draws the full image, itself capped at
+		// maxSourcePixels, in place of the lighter editing copy.
+		if ( this.isCollage() ) {
+			this.drawCollage( ctx, viewScale );
+			return;
+		}
+
+		const { originalImage, fullImage, originalWidth, originalHeight } =
+			this.cropImageInfo;
+		const image = ( fullResolution && fullImage ) || originalImage;
+		const scale = this.getCropScale();
+
+		if (
+			this.cropFill.mode !== 'cover' &&
+			this.cropFill.mode !== 'mirror'
+		) {
+			this.drawCropBackdrop( ctx, viewScale );
+		}
+
+		ctx.save();
+		ctx.scale( viewScale, viewScale );
+		ctx.translate( this.cropTransform.x, this.cropTransform.y );
+		ctx.rotate( this.getCropAngle() );
+		ctx.scale( scale, scale );
+
+		if ( this.cropFill.mode === 'mirror' ) {
+			this.drawMirroredTiles( ctx, scale, image );
+		} else {
+			ctx.drawImage(
+				image,
+				-originalWidth / 2,
+				-originalHeight / 2,
+				originalWidth,
+				originalHeight
+			);
+		}
+
+		ctx.restore();
+	}
+
+	drawCropBackdrop( ctx, viewScale ) {
+		const { mode, color, gradientEnd } = this.cropFill;
+		const { targetWidth, targetHeight } = this.specs;
+
+		ctx.save();
+		ctx.scale( viewScale, viewScale );
+
+		if ( mode === 'blur' ) {
+			ctx.imageSmoothingEnabled = true;
+			ctx.imageSmoothingQuality = 'high';
+			ctx.drawImage(
+				this.getBlurredBackdrop(),
+				0,
+				0,
+				targetWidth,
+				targetHeight
+			);
+		} else if ( mode === 'gradient' ) {
+			const gradient = ctx.createLinearGradient( 0, 0, targetWidth, 0 );
+			gradient.addColorStop( 0, color );
+			gradient.addColorStop( 1, gradientEnd );
+			ctx.fillStyle = gradient;
+			ctx.fillRect( 0, 0, targetWidth, targetHeight );
+		} else {
+			ctx.fillStyle = color;
+			ctx.fillRect( 0, 0, targetWidth, targetHeight );
+		}
+
+		ctx.restore();
+	}
+
+	getBlurredBackdrop() {
+		// Shrinking a cover-sized copy to a few dozen pixels and stretching it
+		// back up blurs it the same way in every browser, on screen and in
+		// the export
+		const { originalImage, originalWidth, originalHeight } =
+			this.getBackdropSource();
+		const { targetWidth, targetHeight } = this.specs;
+		const cached = this.backdropCache;
+
+		if (
+			cached &&
+			cached.image === originalImage &&
+			cached.width === targetWidth &&
+			cached.height === targetHeight
+		) {
+			return cached.canvas;
+		}
+
+		const canvas = this.createCanvas(
+			Math.max( 1, Math.round( targetWidth / 48 ) ),
+			Math.max( 1, Math.round( targetHeight / 48 ) )
+		);
+
+		const scale = Math.max(
+			canvas.width / originalWidth,
+			canvas.height / originalHeight
+		);
+		canvas
+			.getContext( '2d' )
+			.drawImage(
+				originalImage,
+				( canvas.width - originalWidth * scale ) / 2,
+				( canvas.height - originalHeight * scale ) / 2,
+				originalWidth * scale,
+				originalHeight * scale
+			);
+
+		this.backdropCache = {
+			image: originalImage,
+			width: targetWidth,
+			height: targetHeight,
+			canvas,
+		};
+
+		return canvas;
+	}
+
+	getBackdropSource() {
+		// A collage is blurred from its bottom photo
+		const photo = this.collage[ 0 ];
+		const image = photo && this.collageImages[ photo.id ];
+
+		if ( image ) {
+			return {
+				originalImage: image,
+				originalWidth: image.width,
+				originalHeight: image.height,
+			};
+		}
+
+		return this.cropImageInfo;
+	}
+
+	drawMirroredTiles( ctx, scale, image ) {
+		// Surround the image with flipped copies so its edges carry on
+		// outwards. Drawn in the image's own (rotated, scaled) space, where
+		// tile (column, row) sits at column × width, row × height.
+		const { originalWidth, originalHeight } = this.cropImageInfo;
+		const { targetWidth, targetHeight } = this.specs;
+		const angle = this.getCropAngle();
+		const cos = Math.cos( angle );
+		const sin = Math.sin( angle );
+
+		// The frame's corners in image space tell which tiles are visible
+		const corners = [
+			[ 0, 0 ],
+			[ targetWidth, 0 ],
+			[ 0, targetHeight ],
+			[ targetWidth, targetHeight ],
+		].map( ( [ x, y ] ) => {
+			const offsetX = x - this.cropTransform.x;
+			const offsetY = y - this.cropTransform.y;
+			return {
+				x: ( offsetX * cos + offsetY * sin ) / scale,
+				y: ( offsetY * cos - offsetX * sin ) / scale,
+			};
+		} );
+		const tileRange = ( values, size ) => [
+			Math.floor( Math.min( ...values ) / size + 0.5 ),
+			Math.floor( Math.max( ...values ) / size + 0.5 ),
+		];
+		const [ firstColumn, lastColumn ] = tileRange(
+			corners.map( ( corner ) => corner.x ),
+			originalWidth
+		);
+		const [ firstRow, lastRow ] = tileRange(
+			corners.map( ( corner ) => corner.y ),
+			originalHeight
+		);
+
+		for ( let row = firstRow; row <= lastRow; row++ ) {
+			for ( let column = firstColumn; column <= lastColumn; column++ ) {
+				ctx.save();
+				ctx.translate( column * originalWidth, row * originalHeight );
+				ctx.scale( column % 2 ? -1 : 1, row % 2 ? -1 : 1 );
+				ctx.drawImage(
+					image,
+					-originalWidth / 2,
+					-originalHeight / 2,
+					originalWidth,
+					originalHeight
+				);
+				ctx.restore();
+			}
+		}
+	}
+
+	redrawCropCanvas() {
+		const canvas = this.container.querySelector( '#crop-canvas' );
+		if (
+			! canvas ||
+			! this.cropImageInfo ||
+			! this.cropImageInfo.viewScale ||
+			! this.cropTransform
+		) {
+			return;
+		}
+
+		const ctx = canvas.getContext( '2d' );
+
+		// Clear canvas
+		ctx.clearRect( 0, 0, canvas.width, canvas.height );
+
+		this.drawCropImage( ctx, this.cropImageInfo.viewScale );
+		this.applyAdjustments( ctx, canvas.width, canvas.height );
+		this.drawPanelOverlay( ctx, this.cropImageInfo.viewScale );
+		this.drawCollageSelection( ctx, this.cropImageInfo.viewScale );
+		this.drawSnapGuides( ctx );
+	}
+
+	drawPanelOverlay( ctx, view ) {
+		// Outline each panel and shade the gaps that get cut away, so users
+		// can see where faces or text will be split
+		const width = this.specs.outputWidth * view;
+		const height = this.specs.outputHeight * view;
+		const panels = this.getPanels();
+
+		ctx.save();
+
+		ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+		ctx.beginPath();
+		ctx.rect( 0, 0, ctx.canvas.width, ctx.canvas.height );
+		panels.forEach( ( panel ) => {
+			ctx.rect( panel.x * view, panel.y * view, width, height );
+		} );
+		ctx.fill( 'evenodd' );
+
+		ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+		ctx.lineWidth = 1;
+		ctx.setLineDash( [ 6, 4 ] );
+		panels.forEach( ( panel ) => {
+			ctx.strokeRect(
+				panel.x * view + 0.5,
+				panel.y * view + 0.5,
+				width - 1,
+				height - 1
+			);
+		} );
+
+		ctx.restore();
+	}
+
+	drawSnapGuides( ctx ) {
+		if ( ! this.cropGuides ) {
+			return;
+		}
+
+		const { width, height } = ctx.canvas;
+
+		ctx.save();
+		ctx.strokeStyle = '#3b82f6';
+		ctx.lineWidth = 1;
+		ctx.beginPath();
+
+		if ( this.cropGuides.vertical ) {
+			ctx.moveTo( width / 2, 0 );
+			ctx.lineTo( width / 2, height );
+		}
+		if ( this.cropGuides.horizontal ) {
+			ctx.moveTo( 0, height / 2 );
+			ctx.lineTo( width, height / 2 );
+		}
+
+		ctx.stroke();
+		ctx.restore();
+	}
+
+	getOutputPoint( canvas, e ) {
+		// Convert a pointer position on the scaled canvas to output pixels
+		const rect = canvas.getBoundingClientRect();
+		const displayScale = rect.width ? canvas.width / rect.width : 1;
+		const view = this.cropImageInfo.viewScale;
+
+		return {
+			x: ( ( e.clientX - rect.left ) * displayScale ) / view,
+			y: ( ( e.clientY - rect.top ) * displayScale ) / view,
+		};
+	}
+
+	makeImageDraggable( canvas ) {
+		// Pointer events cover mouse, pen and touch. One pointer drags the
+		// image; two pinch to zoom about their midpoint.
+		const pointers = new Map();
+		let gesture = null;
+
+		const getGesturePoints = () => {
+			const points = [ ...pointers.values() ];
+			const center = {
+				x:
+					points.reduce( ( sum, point ) => sum + point.x, 0 ) /
+					points.length,
+				y:
+					points.reduce( ( sum, point ) => sum + point.y, 0 ) /
+					points.length,
+			};
+			const distance =
+				points.length > 1
+					? Math.hypot(
+							points[ 0 ].x - points[ 1 ].x,
+							points[ 0 ].y - points[ 1 ].y
+					  )
+					: 0;
+
+			return { center, distance };
+		};
+
+		// In a collage the gesture moves or resizes the selected photo
+		// instead of the crop
+		let resizing = false;
+
+		const startGesture = () => {
+			const photo = this.getSelectedCollagePhoto();
+
+			gesture = pointers.size
+				? {
+						...getGesturePoints(),
+						transform: { ...this.cropTransform },
+						photo: photo ? { ...photo } : null,
+				  }
+				: null;
+		};
+
+		// Set cursor style and make the canvas focusable for arrow-key nudging
+		canvas.style.cursor = 'grab';
+		canvas.tabIndex = 0;
+
+		canvas.addEventListener( 'pointerdown', ( e ) => {
+			if ( ! this.cropTransform ) {
+				return;
+			}
+
+			const point = this.getOutputPoint( canvas, e );
+
+			// The first finger picks the photo, or its resize handle
+			if ( this.isCollage() && ! pointers.size ) {
+				const handle = this.getCollageHandleAt( point );
+				const photo = handle || this.getCollagePhotoAt( point );
+
+				this.selectCollagePhoto( photo ? photo.id : null );
+				canvas.focus();
+
+				if ( ! photo ) {
+					return;
+				}
+				resizing = !! handle;
+			}
+
+			if ( canvas.setPointerCapture ) {
+				canvas.setPointerCapture( e.pointerId );
+			}
+			pointers.set( e.pointerId, point );
+			startGesture();
+
+			canvas.style.cursor = 'grabbing';
+			canvas.focus();
+			e.preventDefault();
+		} );
+
+		canvas.addEventListener( 'pointermove', ( e ) => {
+			if ( ! gesture || ! pointers.has( e.pointerId ) ) {
+				if ( this.isCollage() && this.cropTransform ) {
+					const point = this.getOutputPoint( canvas, e );
+					if ( this.getCollageHandleAt( point ) ) {
+						canvas.style.cursor = 'nwse-resize';
+					} else {
+						canvas.style.cursor = this.getCollagePhotoAt( point )
+							? 'grab'
+							: 'default';
+					}
+				}
+				return;
+			}
+
+			pointers.set( e.pointerId, this.getOutputPoint( canvas, e ) );
+			const { center, distance } = getGesturePoints();
+
+			if ( gesture.photo ) {
+				const { photo } = gesture;
+				const { targetWidth, targetHeight } = this.specs;
+
+				if ( resizing ) {
+					// Scale about the photo's center by how far the handle
+					// has moved from it
+					const centerX = photo.x * targetWidth;
+					const centerY = photo.y * targetHeight;
+
+					this.updateSelectedCollagePhoto( {
+						width:
+							( photo.width *
+								Math.hypot(
+									center.x - centerX,
+									center.y - centerY
+								) ) /
+							Math.hypot(
+								gesture.center.x - centerX,
+								gesture.center.y - centerY
+							),
+					} );
+				} else {
+					this.updateSelectedCollagePhoto( {
+						x:
+							photo.x +
+							( center.x - gesture.center.x ) / targetWidth,
+						y:
+							photo.y +
+							( center.y - gesture.center.y ) / targetHeight,
+						width:
+							distance && gesture.distance
+								? ( photo.width * distance ) / gesture.distance
+								: photo.width,
+					} );
+				}
+				return;
+			}
+
+			// Move by how far the pointers' midpoint has travelled
+			this.cropTransform = {
+				...gesture.transform,
+				x: gesture.transform.x + center.x - gesture.center.x,
+				y: gesture.transform.y + center.y - gesture.center.y,
+			};
+
+			if ( distance && gesture.distance ) {
+				this.zoomCrop(
+					( gesture.transform.zoom * distance ) / gesture.distance,
+					center
+				);
+			}
+
+			this.updateCrop( { showGuides: true } );
+		} );
+
+		const endPointer = ( e ) => {
+			if ( ! pointers.delete( e.pointerId ) ) {
+				return;
+			}
+
+			// Carry on with the remaining finger after a pinch
+			startGesture();
+
+			if ( ! gesture ) {
+				resizing = false;
+				canvas.style.cursor = 'grab';
+				this.updateCrop();
+				// Save the updated position to localStorage
+				this.saveState();
+			}
+		};
+
+		canvas.addEventListener( 'pointerup', endPointer );
+		canvas.addEventListener( 'pointercancel', endPointer );
+
+		canvas.addEventListener(
+			'wheel',
+			( e ) => {
+				if ( ! this.cropTransform ) {
+					return;
+				}
+
+				if ( this.isCollage() ) {
+					const photo = this.getSelectedCollagePhoto();
+					if ( photo ) {
+						e.preventDefault();
+						this.updateSelectedCollagePhoto( {
+							width: photo.width * Math.exp( -e.deltaY * 0.002 ),
+						} );
+					}
+					return;
+				}
+
+				e.preventDefault();
+				this.zoomCrop(
+					this.cropTransform.zoom * Math.exp( -e.deltaY * 0.002 ),
+					this.getOutputPoint( canvas, e )
+				);
+				this.updateCrop();
+			},
+			{ passive: false }
+		);
+
+		// Arrow keys nudge by one output pixel, or ten with Shift
+		const nudges = {
+			ArrowLeft: [ -1, 0 ],
+			ArrowRight: [ 1, 0 ],
+			ArrowUp: [ 0, -1 ],
+			ArrowDown: [ 0, 1 ],
+		};
+
+		canvas.addEventListener( 'keydown', ( e ) => {
+			const photo = this.isCollage() && this.getSelectedCollagePhoto();
+
+			if ( photo ) {
+				if ( e.key === 'Delete' || e.key === 'Backspace' ) {
+					e.preventDefault();
+					this.removeSelectedCollagePhoto();
+				} else if ( nudges[ e.key ] ) {
+					e.preventDefault();
+					const distance = e.shiftKey ? 10 : 1;
+					this.updateSelectedCollagePhoto( {
+						x:
+							photo.x +
+							( nudges[ e.key ][ 0 ] * distance ) /
+								this.specs.targetWidth,
+						y:
+							photo.y +
+							( nudges[ e.key ][ 1 ] * distance ) /
+								this.specs.targetHeight,
+					} );
+				}
+				return;
+			}
+
+			if (
+				this.isCollage() ||
+				! nudges[ e.key ] ||
+				! this.cropTransform
+			) {
+				return;
+			}
+
+			e.preventDefault();
+			const distance = e.shiftKey ? 10 : 1;
+			this.cropTransform.x += nudges[ e.key ][ 0 ] * distance;
+			this.cropTransform.y += nudges[ e.key ][ 1 ] * distance;
+			this.updateCrop();
+		} );
+	}
+
+	resetCrop() {
+		if ( this.isCollage() ) {
+			// Put every photo back in its own panel
+			this.collage.forEach( ( photo, index ) => {
+				Object.assign(
+					photo,
+					this.getCollagePlacement( index, photo.aspect )
+				);
+			} );
+			this.renderCollageEditor();
+			this.redrawCropCanvas();
+			return;
+		}
+
+		if ( this.state.uploadedImage && this.cropImageInfo ) {
+			// Reset image to center position, zoom and rotation
+			this.cropTransform = this.getDefaultCropTransform();
+			this.updateCrop();
+		}
+	}
+
+	async processCroppedImage() {
+		this.state.isProcessing = true;
+		this.showProgress( 0 );
+
+		try {
+			this.showProgress( 25 );
+
+			// Create cropped image data. Overlays are drawn over a clean copy
+			// so they can be moved without leaving marks behind.
+			this.state.baseImageData = await this.createCroppedImage();
+			this.state.croppedImageData = this.composeOverlayImage();
+
+			this.showProgress( 100 );
+
+			// Save state
+			this.saveState();
+
+			// Move to overlay step
+			setTimeout( async () => {
+				await this.goToStep( 'overlay' );
+				this.hideProgress();
+			}, 500 );
+		} catch ( error ) {
+			console.error( 'Crop processing error:', error );
+			this.showError(
+				'Failed to process the cropped image. Please try again.'
+			);
+		} finally {
+			this.state.isProcessing = false;
+		}
+	}
+
+	// Collage methods
+	isCollage() {
+		return this.collage.length > 0;
+	}
+
+	clearCollage() {
+		this.collage = [];
+		this.collageImages = {};
+		this.selectedCollageId = null;
+	}
+
+	getCollagePlacement( index, aspect ) {
+		// Photos take a panel each, in order, fitted inside it
+		const { targetWidth, targetHeight, outputWidth, outputHeight } =
+			this.specs;
+		const panels = this.getPanels();
+		const panel = panels[ index % panels.length ];
+
+		return {
+			x: ( panel.x + outputWidth / 2 ) / targetWidth,
+			y: ( panel.y + outputHeight / 2 ) / targetHeight,
+			width: Math.min( outputWidth, outputHeight / aspect ) / targetWidth,
+		};
+	}
+
+	addCollagePhotos( images ) {
+		images.forEach( ( imageData ) => {
+			const aspect = imageData.height / imageData.width;
+			const photo = {
+				id: Math.random().toString( 36 ).slice( 2, 10 ),
+				src: imageData.src,
+				aspect,
+				...this.getCollagePlacement( this.collage.length, aspect ),
+				border: 0,
+				borderColor: '#ffffff',
+			};
+
+			this.collageImages[ photo.id ] = imageData.image;
+			this.collage.push( photo );
+		} );
+
+		// The photos sit on a backdrop rather than filling the frame
+		if ( ! this.collageFillModes.includes( this.cropFill.mode ) ) {
+			this.cropFill.mode = 'color';
+		}
+	}
+
+	async addCollageFiles( files ) {
+		this.hideError();
+
+		const validFiles = files.filter( ( file ) =>
+			this.validateFile( file )
+		);
+		if ( ! validFiles.length || ! this.state.uploadedImage ) {
+			return;
+		}
+
+		try {
+			const images = await Promise.all(
+				validFiles.map( ( file ) => this.loadImageFile( file ) )
+			);
+
+			// Adding to a single image makes it the collage's first photo
+			if ( ! this.isCollage() ) {
+				images.unshift( this.state.uploadedImage );
+			}
+
+			this.addCollagePhotos( images );
+			this.selectedCollageId = this.collage[ this.collage.length - 1 ].id;
+			this.syncCropSourceControls();
+			this.updateCrop();
+			this.saveState();
+		} catch ( error ) {
+			console.error( 'Collage photo error:', error );
+			this.showError(
+				'Failed to add the photos. Please try different images.'
+			);
+		}
+	}
+
+	async loadCollageImages() {
+		// Photos are stored as data URLs and need decoding again after a
+		// refresh
+		await Promise.all(
+			this.collage
+				.filter( ( photo ) => ! this.collageImages[ photo.id ] )
+				.map( async ( photo ) => {
+					this.collageImages[ photo.id ] =
+						await this.loadImageFromDataUrl( photo.src );
+				} )
+		);
+	}
+
+	syncCropSourceControls() {
+		// Show either the single image's crop controls or the collage's
+		const source = this.isCollage() ? 'collage' : 'single';
+
+		this.container
+			.querySelectorAll( '[data-crop-source]' )
+			.forEach( ( element ) => {
+				element.hidden = element.dataset.cropSource !== source;
+
+				// Some browsers still list hidden options
+				if ( element.tagName === 'OPTION' ) {
+					element.disabled = element.hidden;
+				}
+			} );
+
+		this.renderCollageEditor();
+		this.syncCropFillControls();
+	}
+
+	getSelectedCollagePhoto() {
+		return (
+			this.collage.find(
+				( photo ) => photo.id === this.selectedCollageId
+			) || null
+		);
+	}
+
+	selectCollagePhoto( id ) {
+		this.selectedCollageId = id;
+		this.renderCollageEditor();
+		this.redrawCropCanvas();
+	}
+
+	updateSelectedCollagePhoto( changes ) {
+		const photo = this.getSelectedCollagePhoto();
+		if ( ! photo ) {
+			return;
+		}
+
+		const clamp = ( value, min, max ) =>
+			Math.max( min, Math.min( value, max ) );
+
+		Object.assign( photo, changes );
+		photo.x = clamp( photo.x, 0, 1 );
+		photo.y = clamp( photo.y, 0, 1 );
+		photo.width = clamp( photo.width, this.specs.minCollageWidth, 1 );
+		photo.border = clamp( photo.border, 0, this.specs.maxCollageBorder );
+
+		// Keep the size slider in step with dragging and scrolling
+		const widthInput = this.container.querySelector(
+			'[data-collage-field="width"]'
+		);
+		if ( widthInput ) {
+			widthInput.value = photo.width;
+		}
+
+		this.redrawCropCanvas();
+	}
+
+	moveSelectedCollagePhoto( step ) {
+		// Later photos are drawn on top, so moving forward is moving later
+		const index = this.collage.findIndex(
+			( photo ) => photo.id === this.selectedCollageId
+		);
+		const target = index + step;
+		if ( index < 0 || target < 0 || target >= this.collage.length ) {
+			return;
+		}
+
+		const [ photo ] = this.collage.splice( index, 1 );
+		this.collage.splice( target, 0, photo );
+
+		this.renderCollageEditor();
+		this.redrawCropCanvas();
+		this.saveState();
+	}
+
+	removeSelectedCollagePhoto() {
+		// A collage keeps at least one photo
+		if ( this.collage.length < 2 ) {
+			return;
+		}
+
+		this.collage = this.collage.filter(
+			( photo ) => photo.id !== this.selectedCollageId
+		);
+		delete this.collageImages[ this.selectedCollageId ];
+		this.selectCollagePhoto( null );
+		this.saveState();
+	}
+
+	renderCollageEditor() {
+		const editor = this.container.querySelector( '#collage-editor' );
+		if ( editor ) {
+			editor.innerHTML = this.createCollageEditorHTML();
+		}
+	}
+
+	getCollageBounds( photo ) {
+		// Bounds in output pixels, not counting the border
+		const width = photo.width * this.specs.targetWidth;
+		const height = width * photo.aspect;
+
+		return {
+			x: photo.x * this.specs.targetWidth - width / 2,
+			y: photo.y * this.specs.targetHeight - height / 2,
+			width,
+			height,
+		};
+	}
+
+	getCollagePhotoAt( point ) {
+		// Topmost photo first
+		return (
+			[ ...this.collage ].reverse().find( ( photo ) => {
+				const bounds = this.getCollageBounds( photo );
+				return (
+					point.x >= bounds.x - photo.border &&
+					point.x <= bounds.x + bounds.width + photo.border &&
+					point.y >= bounds.y - photo.border &&
+					point.y <= bounds.y + bounds.height + photo.border
+				);
+			} ) || null
+		);
+	}
+
+	getCollageHandleAt( point ) {
+		// The resize handle sits on the selected photo's bottom-right corner
+		const photo = this.getSelectedCollagePhoto();
+		if ( ! photo ) {
+			return null;
+		}
+
+		const bounds = this.getCollageBounds( photo );
+		const reach =
+			this.specs.collageHandleSize / this.cropImageInfo.viewScale;
+
+		return Math.abs( point.x - ( bounds.x + bounds.width ) ) <= reach &&
+			Math.abs( point.y - ( bounds.y + bounds.height ) ) <= reach
+			? photo
+			: null;
+	}
+
+	drawCollage( ctx, viewScale ) {
+		this.drawCropBackdrop( ctx, viewScale );
+
+		ctx.save();
+		ctx.scale( viewScale, viewScale );
+
+		this.collage.forEach( ( photo ) => {
+			const image = this.collageImages[ photo.id ];
+			const bounds = this.getCollageBounds( photo );
+
+			if ( photo.border > 0 ) {
+				ctx.fillStyle = photo.borderColor;
+				ctx.fillRect(
+					bounds.x - photo.border,
+					bounds.y - photo.border,
+					bounds.width + photo.border * 2,
+					bounds.height + photo.border * 2
+				);
+			}
+
+			if ( image ) {
+				ctx.drawImage(
+					image,
+					bounds.x,
+					bounds.y,
+					bounds.width,
+					bounds.height
+				);
+			}
+		} );
+
+		ctx.restore();
+	}
+
+	drawCollageSelection( ctx, viewScale ) {
+		// Only drawn on the crop canvas, never into the export
+		const photo = this.getSelectedCollagePhoto();
+		if ( ! photo ) {
+			return;
+		}
+
+		const bounds = this.getCollageBounds( photo );
+		const handle = this.specs.collageHandleSize;
+
+		ctx.save();
+		ctx.strokeStyle = '#3b82f6';
+		ctx.lineWidth = 2;
+		ctx.strokeRect(
+			bounds.x * viewScale,
+			bounds.y * viewScale,
+			bounds.width * viewScale,
+			bounds.height * viewScale
+		);
+		ctx.fillStyle = '#3b82f6';
+		ctx.fillRect(
+			( bounds.x + bounds.width ) * viewScale - handle / 2,
+			( bounds.y + bounds.height ) * viewScale - handle / 2,
+			handle,
+			handle
+		);
+		ctx.restore();
+	}
+
+	// Adjustment methods
+	getDefaultAdjustments() {
+		return {
+			brightness: 0,
+			contrast: 0,
+			saturation: 0,
+			warmth: 0,
+			vignette: 0,
+		};
+	}
+
+	getActiveAdjustmentPreset() {
+		return (
+			Object.keys( this.adjustmentPresets ).find( ( key ) => {
+				const values = {
+					...this.getDefaultAdjustments(),
+					...this.adjustmentPresets[ key ].values,
+				};
+				return Object.keys( values ).every(
+					( name ) => values[ name ] === this.adjustments[ name ]
+				);
+			} ) || null
+		);
+	}
+
+	updateAdjustments( changes ) {
+		const adjustments = { ...this.adjustments, ...changes };
+
+		Object.entries( this.adjustmentControls ).forEach(
+			( [ key, control ] ) => {
+				const value = parseInt( adjustments[ key ], 10 );
+				adjustments[ key ] = Number.isNaN( value )
+					? 0
+					: Math.max( control.min, Math.min( value, control.max ) );
+			}
+		);
+
+		this.adjustments = adjustments;
+		this.syncAdjustmentControls();
+		this.redrawCropCanvas();
+
+		if ( this.state.currentStep === 'preview' ) {
+			this.scheduleAdjustedRender();
+		}
+	}
+
+	syncAdjustmentControls() {
+		const activePreset = this.getActiveAdjustmentPreset();
+
+		this.container
+			.querySelectorAll( '[data-adjustment]' )
+			.forEach( ( input ) => {
+				input.value = this.adjustments[ input.dataset.adjustment ];
+			} );
+		this.container
+			.querySelectorAll( '[data-adjustment-value]' )
+			.forEach( ( value ) => {
+				value.textContent =
+					this.adjustments[ value.dataset.adjustmentValue ];
+			} );
+		this.container
+			.querySelectorAll( '[data-adjustment-preset]' )
+			.forEach( ( button ) => {
+				button.classList.toggle(
+					'blk-adjustment-preset--active',
+					button.dataset.adjustmentPreset === activePreset
+				);
+			} );
+	}
+
+	hasAdjustments() {
+		return Object.values( this.adjustments ).some( ( value ) => value );
+	}
+
+	applyAdjustments( ctx, width, height ) {
+		// Works on the drawn pixels, so the crop canvas and the export get the
+		// same result at any size
+		if ( ! this.hasAdjustments() ) {
+			return;
+		}
+
+		let imageData;
+		try {
+			imageData = ctx.getImageData( 0, 0, width, height );
+		} catch ( error ) {
+			console.warn( 'Could not apply adjustments:', error );
+			return;
+		}
+
+		const { brightness, contrast, saturation, warmth, vignette } =
+			this.adjustments;
+		const data = imageData.data;
+
+		// Brightness, warmth and contrast only depend on the channel value,
+		// so they are worked out once per channel
+		const contrastLevel = contrast * 2.55;
+		const contrastFactor =
+			( 259 * ( contrastLevel + 255 ) ) /
+			( 255 * ( 259 - contrastLevel ) );
+		const createLookup = ( offset ) =>
+			Array.from(
+				{ length: 256 },
+				( _, value ) =>
+					contrastFactor *
+						( value + brightness * 1.28 + offset - 128 ) +
+					128
+			);
+		const lookups = [
+			createLookup( warmth * 0.3 ),
+			createLookup( 0 ),
+			createLookup( -warmth * 0.3 ),
+		];
+		const saturationFactor = 1 + saturation / 100;
+		const centerX = width / 2;
+		const centerY = height / 2;
+
+		for ( let y = 0; y < height; y++ ) {
+			for ( let x = 0; x < width; x++ ) {
+				const index = ( y * width + x ) * 4;
+				let red = lookups[ 0 ][ data[ index ] ];
+				let green = lookups[ 1 ][ data[ index + 1 ] ];
+				let blue = lookups[ 2 ][ data[ index + 2 ] ];
+
+				if ( saturation ) {
+					const gray = 0.299 * red + 0.587 * green + 0.114 * blue;
+					red = gray + ( red - gray ) * saturationFactor;
+					green = gray + ( green - gray ) * saturationFactor;
+					blue = gray + ( blue - gray ) * saturationFactor;
+				}
+
+				if ( vignette ) {
+					// Darken towards the corners of the whole banner
+					const distance =
+						Math.hypot(
+							( x - centerX ) / centerX,
+							( y - centerY ) / centerY
+						) / Math.SQRT2;
+					const edge = Math.max(
+						0,
+						Math.min( 1, ( distance - 0.4 ) / 0.6 )
+					);
+					const shade =
+						1 -
+						( vignette / 100 ) *
+							0.8 *
+							edge *
+							edge *
+							( 3 - 2 * edge );
+					red *= shade;
+					green *= shade;
+					blue *= shade;
+				}
+
+				// The clamped array rounds and clips to 0–255
+				data[ index ] = red;
+				data[ index + 1 ] = green;
+				data[ index + 2 ] = blue;
+			}
+		}
+
+		ctx.putImageData( imageData, 0, 0 );
+	}
+
+	scheduleAdjustedRender() {
+		// Full-size renders are slow, so slider moves made during one are
+		// folded into a single follow-up render
+		if ( this.adjustedRender ) {
+			this.adjustedRender.pending = true;
+			return;
+		}
+
+		this.adjustedRender = { pending: false };
+
+		window.requestAnimationFrame( async () => {
+			try {
+				await this.renderAdjustedOutput();
+			} catch ( error ) {
+				console.error( 'Adjustment render error:', error );
+			}
+
+			const { pending } = this.adjustedRender;
+			this.adjustedRender = null;
+			if ( pending ) {
+				this.scheduleAdjustedRender();
+			}
+		} );
+	}
+
+	async renderAdjustedOutput() {
+		// Redraw the banner from the original image so adjustments never
+		// stack on top of each other
+		if ( ! this.cropImageInfo || ! this.cropTransform ) {
+			return;
+		}
+
+		this.state.baseImageData = await this.createCroppedImage();
+		this.state.croppedImageData = this.composeOverlayImage();
+		await this.generatePreviewImages( this.state.croppedImageData );
+	}
+
+	// Overlay methods
+	initializeOverlayInterface() {
+		const canvas = this.container.querySelector( '#overlay-canvas' );
+		if ( ! canvas ) {
+			return;
+		}
+
+		this.overlayViewScale = this.fitCanvasToLayout( canvas );
+		this.redrawOverlayCanvas();
+		this.renderOverlayEditor();
+		this.updateOverlayWarnings();
+
+		if ( ! canvas.dataset.draggable ) {
+			canvas.dataset.draggable = 'true';
+			this.makeOverlaysDraggable( canvas );
+		}
+	}
+
+	addOverlay( type, text = '' ) {
+		const { targetWidth } = this.specs;
+		const panels = this.getPanels();
+		const lastPanel = panels[ panels.length - 1 ];
+		const overlay = {
+			id: Math.random().toString( 36 ).slice( 2, 10 ),
+			type: 'text',
+			text: 'Your headline',
+			font: 'sans',
+			bold: true,
+			size: Math.round( this.specs.outputHeight / 10 ),
+			color: '#ffffff',
+			strokeColor: '#000000',
+			strokeWidth: 0,
+			shadow: true,
+			opacity: 1,
+			x: 0.5,
+			y: 0.5,
+		};
+
+		if ( type === 'sticker' ) {
+			Object.assign( overlay, {
+				text,
+				size: Math.round( this.specs.outputHeight / 8 ),
+				x: ( lastPanel.x + this.specs.outputWidth / 2 ) / targetWidth,
+			} );
+		} else if ( type === 'watermark' ) {
+			// A small, faded handle at the bottom of the last panel
+			Object.assign( overlay, {
+				text: '@yourhandle',
+				bold: false,
+				size: Math.round( this.specs.outputHeight / 28 ),
+				opacity: 0.7,
+				x: ( lastPanel.x + this.specs.outputWidth / 2 ) / targetWidth,
+				y:
+					( lastPanel.y + this.specs.outputHeight * 0.92 ) /
+					this.specs.targetHeight,
+			} );
+		}
+
+		this.overlays.push( overlay );
+		this.selectOverlay( overlay.id );
+		this.saveState();
+	}
+
+	async addLogoOverlay( file ) {
+		if ( ! this.validateFile( file ) ) {
+			return;
+		}
+
+		try {
+			const imageData = await this.loadImageFile( file );
+			const overlay = {
+				id: Math.random().toString( 36 ).slice( 2, 10 ),
+				type: 'image',
+				src: imageData.src,
+				aspect: imageData.height / imageData.width,
+				width: Math.round( this.specs.outputWidth / 3 ),
+				opacity: 1,
+				x: 0.5,
+				y: 0.5,
+			};
+
+			this.overlayImages[ overlay.id ] = imageData.image;
+			this.overlays.push( overlay );
+			this.selectOverlay( overlay.id );
+			this.saveState();
+		} catch ( error ) {
+			console.error( 'Logo upload error:', error );
+			this.showError(
+				'Failed to load the logo. Please try a different image.'
+			);
+		}
+	}
+
+	async loadOverlayImages() {
+		// Logos are stored as data URLs and need decoding again after a refresh
+		await Promise.all(
+			this.overlays
+				.filter(
+					( overlay ) =>
+						overlay.type === 'image' &&
+						! this.overlayImages[ overlay.id ]
+				)
+				.map( async ( overlay ) => {
+					this.overlayImages[ overlay.id ] =
+						await this.loadImageFromDataUrl( overlay.src );
+				} )
+		);
+	}
+
+	getSelectedOverlay() {
+		return (
+			this.overlays.find(
+				( overlay ) => overlay.id === this.selectedOverlayId
+			) || null
+		);
+	}
+
+	selectOverlay( id ) {
+		this.selectedOverlayId = id;
+		this.renderOverlayEditor();
+		this.refreshOverlays();
+	}
+
+	updateSelectedOverlay( changes ) {
+		const overlay = this.getSelectedOverlay();
+		if ( ! overlay ) {
+			return;
+		}
+
+		const { minOverlaySize, maxOverlaySize, maxOverlayStroke } = this.specs;
+		const clamp = ( value, min, max ) =>
+			Math.max( min, Math.min( value, max ) );
+
+		Object.assign( overlay, changes );
+		overlay.x = clamp( overlay.x, 0, 1 );
+		overlay.y = clamp( overlay.y, 0, 1 );
+		overlay.opacity = clamp( overlay.opacity, 0.1, 1 );
+
+		if ( overlay.type === 'image' ) {
+			overlay.width = clamp( overlay.width, 20, this.specs.targetWidth );
+		} else {
+			overlay.size = clamp(
+				overlay.size,
+				minOverlaySize,
+				maxOverlaySize
+			);
+			overlay.strokeWidth = clamp(
+				overlay.strokeWidth,
+				0,
+				maxOverlayStroke
+			);
+		}
+
+		this.refreshOverlays();
+	}
+
+	removeSelectedOverlay() {
+		this.overlays = this.overlays.filter(
+			( overlay ) => overlay.id !== this.selectedOverlayId
+		);
+		delete this.overlayImages[ this.selectedOverlayId ];
+		this.selectOverlay( null );
+		this.saveState();
+	}
+
+	renderOverlayEditor() {
+		const editor = this.container.querySelector( '#overlay-editor' );
+		if ( editor ) {
+			editor.innerHTML = this.createOverlayEditorHTML();
+		}
+	}
+
+	refreshOverlays() {
+		this.redrawOverlayCanvas();
+		this.updateOverlayWarnings();
+	}
+
+	getOverlayFont( overlay ) {
+		const font =
+			this.overlayFonts[ overlay.font ] || this.overlayFonts.sans;
+		return `${ overlay.bold ? 'bold ' : '' }${ overlay.size }px ${
+			font.family
+		}`;
+	}
+
+	getOverlayBounds( overlay ) {
+		// Bounds in output pixels, used for hit testing and the warnings
+		const centerX = overlay.x * this.specs.targetWidth;
+		const centerY = overlay.y * this.specs.targetHeight;
+		let width;
+		let height;
+
+		if ( overlay.type === 'image' ) {
+			width = overlay.width;
+			height = overlay.width * overlay.aspect;
+		} else {
+			if ( ! this.measureContext ) {
+				this.measureContext = document
+					.createElement( 'canvas' )
+					.getContext( '2d' );
+			}
+
+			let textWidth = overlay.text.length * overlay.size * 0.6;
+			if ( this.measureContext ) {
+				this.measureContext.font = this.getOverlayFont( overlay );
+				textWidth = this.measureContext.measureText(
+					overlay.text
+				).width;
+			}
+
+			width = textWidth + overlay.strokeWidth;
+			height = overlay.size * 1.2 + overlay.strokeWidth;
+		}
+
+		return {
+			x: centerX - width / 2,
+			y: centerY - height / 2,
+			width,
+			height,
+		};
+	}
+
+	getOverlayAt( point ) {
+		// Topmost element first
+		return (
+			[ ...this.overlays ].reverse().find( ( overlay ) => {
+				const bounds = this.getOverlayBounds( overlay );
+				return (
+					point.x >= bounds.x &&
+					point.x <= bounds.x + bounds.width &&
+					point.y >= bounds.y &&
+					point.y <= bounds.y + bounds.height
+				);
+			} ) || null
+		);
+	}
+
+	drawOverlays( ctx, viewScale ) {
+		// Shared by the overlay canvas and the final image
+		this.overlays.forEach( ( overlay ) => {
+			const x = overlay.x * this.specs.targetWidth;
+			const y = overlay.y * this.specs.targetHeight;
+
+			ctx.save();
+			ctx.scale( viewScale, viewScale );
+			ctx.globalAlpha = overlay.opacity;
+
+			if ( overlay.type === 'image' ) {
+				const image = this.overlayImages[ overlay.id ];
+				const bounds = this.getOverlayBounds( overlay );
+				if ( image ) {
+					ctx.drawImage(
+						image,
+						bounds.x,
+						bounds.y,
+						bounds.width,
+						bounds.height
+					);
+				}
+			} else {
+				ctx.font = this.getOverlayFont( overlay );
+				ctx.textAlign = 'center';
+				ctx.textBaseline = 'middle';
+
+				// Shadows ignore the canvas scale, so scale them by hand
+				if ( overlay.shadow ) {
+					ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+					ctx.shadowBlur = overlay.size * 0.15 * viewScale;
+					ctx.shadowOffsetY = overlay.size * 0.05 * viewScale;
+				}
 
-			this.showProgress( 50 );
-			
-			// Move to crop step first
-			await this.goToStep( 'crop' );
+				if ( overlay.strokeWidth > 0 ) {
+					ctx.lineJoin = 'round';
+					ctx.lineWidth = overlay.strokeWidth;
+					ctx.strokeStyle = overlay.strokeColor;
+					ctx.strokeText( overlay.text, x, y );
+					ctx.shadowColor = 'transparent';
+				}
 
-			this.showProgress( 75 );
+				ctx.fillStyle = overlay.color;
+				ctx.fillText( overlay.text, x, y );
+			}
 
-			// Initialize crop interface after step transition
-			await this.initializeCropInterface( imageData );
+			ctx.restore();
+		} );
+	}
 
-			this.showProgress( 100 );
+	getThumbnailArea( panel ) {
+		// The largest centred 3:4 area of the panel
+		const { outputWidth, outputHeight, thumbnailAspect } = this.specs;
+		const width = Math.min( outputWidth, outputHeight * thumbnailAspect );
+		const height = Math.min( outputHeight, outputWidth / thumbnailAspect );
 
-			// Hide progress after short delay
-			setTimeout( () => {
-				this.hideProgress();
-			}, 300 );
-		} catch ( error ) {
-			console.error( 'Image upload error:', error );
-			this.showError(
-				'Failed to process the uploaded image. Please try a different image.'
-			);
-		} finally {
-			this.state.isProcessing = false;
-		}
+		return {
+			x: panel.x + ( outputWidth - width ) / 2,
+			y: panel.y + ( outputHeight - height ) / 2,
+			width,
+			height,
+		};
 	}
 
-	validateFile( file ) {
-		// Check file type
-		if ( ! this.specs.supportedFormats.includes( file.type ) ) {
-			this.showError( 'Please upload a JPEG, PNG, or WebP image.' );
-			return false;
+	getThumbnailPanels() {
+		// Only the first slide of a carousel shows in the profile grid
+		const panels = this.getPanels();
+		return this.specs.mode === 'carousel' ? panels.slice( 0, 1 ) : panels;
+	}
+
+	redrawOverlayCanvas() {
+		const canvas = this.container.querySelector( '#overlay-canvas' );
+		if (
+			! canvas ||
+			! this.state.baseImageData ||
+			! this.overlayViewScale
+		) {
+			return;
 		}
 
-		// Check file size
-		if ( file.size > this.specs.maxFileSize ) {
-			this.showError(
-				'File size is too large. Please upload an image under 10MB.'
+		const view = this.overlayViewScale;
+		const ctx = canvas.getContext( '2d' );
+
+		ctx.clearRect( 0, 0, canvas.width, canvas.height );
+		ctx.drawImage(
+			this.state.baseImageData.canvas,
+			0,
+			0,
+			canvas.width,
+			canvas.height
+		);
+		this.drawOverlays( ctx, view );
+		this.drawPanelOverlay( ctx, view );
+
+		ctx.save();
+		ctx.lineWidth = 1;
+
+		// Mark the thumbnail areas where they are smaller than the panel
+		ctx.strokeStyle = 'rgba(251, 191, 36, 0.9)';
+		ctx.setLineDash( [ 2, 4 ] );
+		this.getThumbnailPanels().forEach( ( panel ) => {
+			const area = this.getThumbnailArea( panel );
+			if (
+				area.width < this.specs.outputWidth ||
+				area.height < this.specs.outputHeight
+			) {
+				ctx.strokeRect(
+					area.x * view,
+					area.y * view,
+					area.width * view,
+					area.height * view
+				);
+			}
+		} );
+
+		// Outline the selected element
+		const selected = this.getSelectedOverlay();
+		if ( selected ) {
+			const bounds = this.getOverlayBounds( selected );
+			ctx.strokeStyle = '#3b82f6';
+			ctx.setLineDash( [] );
+			ctx.strokeRect(
+				bounds.x * view,
+				bounds.y * view,
+				bounds.width * view,
+				bounds.height * view
 			);
-			return false;
 		}
 
-		return true;
+		ctx.restore();
 	}
 
-	loadImageFile( file ) {
-		return new Promise( ( resolve, reject ) => {
-			const reader = new FileReader();
+	getOverlayWarnings() {
+		const panels = this.getPanels();
+		const thumbnailPanels = this.getThumbnailPanels();
+		const { outputWidth, outputHeight, gapSize } = this.specs;
+		const intersect = ( a, b ) => {
+			const x = Math.max( a.x, b.x );
+			const y = Math.max( a.y, b.y );
+			const width = Math.min( a.x + a.width, b.x + b.width ) - x;
+			const height = Math.min( a.y + a.height, b.y + b.height ) - y;
+			return width > 0 && height > 0 ? { x, y, width, height } : null;
+		};
+		const contains = ( outer, inner ) =>
+			inner.x >= outer.x - 0.5 &&
+			inner.y >= outer.y - 0.5 &&
+			inner.x + inner.width <= outer.x + outer.width + 0.5 &&
+			inner.y + inner.height <= outer.y + outer.height + 0.5;
+		const canvasRect = {
+			x: 0,
+			y: 0,
+			width: this.specs.targetWidth,
+			height: this.specs.targetHeight,
+		};
+		const warnings = [];
 
-			reader.onload = ( e ) => {
-				const img = new Image();
+		this.overlays.forEach( ( overlay ) => {
+			const bounds = this.getOverlayBounds( overlay );
+			const name =
+				overlay.type === 'image' ? 'The logo' : `"${ overlay.text }"`;
+			const panelRect = ( panel ) => ( {
+				x: panel.x,
+				y: panel.y,
+				width: outputWidth,
+				height: outputHeight,
+			} );
+			const touched = panels.filter( ( panel ) =>
+				intersect( bounds, panelRect( panel ) )
+			);
 
-				img.onload = () => {
-					resolve( {
-						src: e.target.result,
-						width: img.width,
-						height: img.height,
-						image: img,
-					} );
-				};
+			if ( ! contains( canvasRect, bounds ) ) {
+				warnings.push(
+					`${ name } runs past the edge of the image and will be cut off.`
+				);
+			} else if (
+				gapSize > 0 &&
+				( touched.length > 1 ||
+					! touched.some( ( panel ) =>
+						contains( panelRect( panel ), bounds )
+					) )
+			) {
+				warnings.push(
+					`${ name } crosses a gap between panels, so part of it will be cut out.`
+				);
+			}
 
-				img.onerror = reject;
-				img.src = e.target.result;
-			};
+			const outsideThumbnail = thumbnailPanels.some( ( panel ) => {
+				const visible = intersect( bounds, panelRect( panel ) );
+				return (
+					visible &&
+					! contains( this.getThumbnailArea( panel ), visible )
+				);
+			} );
 
-			reader.onerror = reject;
-			reader.readAsDataURL( file );
+			if ( outsideThumbnail ) {
+				warnings.push(
+					`${ name } reaches outside the centre area shown in profile grid thumbnails.`
+				);
+			}
 		} );
+
+		return warnings;
 	}
 
-	async initializeCropInterface( imageData ) {
-		
-		// Wait for the crop interface to be rendered
-		await new Promise( ( resolve ) => setTimeout( resolve, 200 ) );
-		
-		const canvas = this.container.querySelector( '#crop-canvas' );
-		if ( ! canvas ) {
-			console.error( 'Crop canvas not found in container:', this.container );
-			throw new Error( 'Crop canvas not found' );
+	updateOverlayWarnings() {
+		const list = this.container.querySelector( '#overlay-warnings' );
+		if ( ! list ) {
+			return;
 		}
-		
-		const ctx = canvas.getContext( '2d' );
 
-		// Set canvas size based on aspect ratio (3248x1440)
-		const containerWidth = canvas.parentElement.clientWidth || 800;
-		const aspectRatio = this.specs.targetWidth / this.specs.targetHeight; // 3248/1440
-		const canvasWidth = containerWidth;
-		const canvasHeight = canvasWidth / aspectRatio;
-		
+		const warnings = this.getOverlayWarnings();
+		list.hidden = ! warnings.length;
+		list.innerHTML = warnings
+			.map(
+				( warning ) =>
+					`<li class="blk-overlay-warning">${ this.escapeHtml(
+						warning
+					) }</li>`
+			)
+			.join( '' );
+	}
 
-		// Set canvas to exact aspect ratio
-		canvas.width = canvasWidth;
-		canvas.height = canvasHeight;
-		
-		
-		// For restored images (from page refresh), use the same scaling logic as original uploads
-		// so users can still drag the image around to adjust the crop
-		if ( imageData.isRestored && this.imagePosition ) {
-			// Use the same scaling logic as original uploads to ensure draggability
-			const imageAspect = imageData.width / imageData.height;
-			const canvasAspect = canvas.width / canvas.height;
-			
-			// Make image 150% of canvas size so there's room to drag
-			const scaleFactor = 1.5;
-			let drawWidth, drawHeight;
-			
-			if ( imageAspect > canvasAspect ) {
-				// Scale by height
-				drawHeight = canvas.height * scaleFactor;
-				drawWidth = drawHeight * imageAspect;
-			} else {
-				// Scale by width  
-				drawWidth = canvas.width * scaleFactor;
-				drawHeight = drawWidth / imageAspect;
-			}
-			
-			// Use restored position, or center if not available
-			if (!this.imagePosition) {
-				this.imagePosition = {
-					x: (canvas.width - drawWidth) / 2,
-					y: (canvas.height - drawHeight) / 2
-				};
-			}
-			
-			// Store image info for dragging and cropping
-			this.cropImageInfo = {
-				originalImage: imageData.image,
-				drawWidth,
-				drawHeight,
-				originalWidth: imageData.width,
-				originalHeight: imageData.height,
-				scaleX: drawWidth / imageData.width,
-				scaleY: drawHeight / imageData.height
-			};
-		} else {
-			// Original upload flow - make image larger for cropping
-			const imageAspect = imageData.width / imageData.height;
-			const canvasAspect = canvas.width / canvas.height;
-			
-			// Make image 150% of canvas size so there's room to drag
-			const scaleFactor = 1.5;
-			let drawWidth, drawHeight;
-			
-			if ( imageAspect > canvasAspect ) {
-				// Scale by height
-				drawHeight = canvas.height * scaleFactor;
-				drawWidth = drawHeight * imageAspect;
-			} else {
-				// Scale by width  
-				drawWidth = canvas.width * scaleFactor;
-				drawHeight = drawWidth / imageAspect;
-			}
-			
-			// Initial position (centered)
-			this.imagePosition = {
-				x: (canvas.width - drawWidth) / 2,
-				y: (canvas.height - drawHeight) / 2
-			};
-			
-			// Store image info for dragging and cropping
-			this.cropImageInfo = {
-				originalImage: imageData.image,
-				drawWidth,
-				drawHeight,
-				originalWidth: imageData.width,
-				originalHeight: imageData.height,
-				scaleX: drawWidth / imageData.width,
-				scaleY: drawHeight / imageData.height
+	makeOverlaysDraggable( canvas ) {
+		let drag = null;
+
+		const getPoint = ( e ) => {
+			// Pointer position in output pixels
+			const rect = canvas.getBoundingClientRect();
+			const displayScale = rect.width ? canvas.width / rect.width : 1;
+
+			return {
+				x:
+					( ( e.clientX - rect.left ) * displayScale ) /
+					this.overlayViewScale,
+				y:
+					( ( e.clientY - rect.top ) * displayScale ) /
+					this.overlayViewScale,
 			};
-		}
-		
-		
-		// Draw the image at initial position
-		this.redrawCropCanvas();
-		
-		// Make image draggable - users should be able to adjust crop position even for restored images
-		this.makeImageDraggable( canvas );
-	}
+		};
 
-	redrawCropCanvas() {
-		const canvas = this.container.querySelector( '#crop-canvas' );
-		if ( ! canvas || ! this.cropImageInfo ) return;
-		
-		const ctx = canvas.getContext( '2d' );
-		
-		// Clear canvas
-		ctx.clearRect( 0, 0, canvas.width, canvas.height );
-		
-		// Draw image at current position
-		ctx.drawImage(
-			this.cropImageInfo.originalImage,
-			this.imagePosition.x,
-			this.imagePosition.y,
-			this.cropImageInfo.drawWidth,
-			this.cropImageInfo.drawHeight
-		);
-	}
+		canvas.tabIndex = 0;
 
-	makeImageDraggable( canvas ) {
-		let isDragging = false;
-		let dragStart = { x: 0, y: 0 };
-		let initialPosition = { x: 0, y: 0 };
+		canvas.addEventListener( 'pointerdown', ( e ) => {
+			const point = getPoint( e );
+			const overlay = this.getOverlayAt( point );
 
-		// Set cursor style
-		canvas.style.cursor = 'grab';
+			this.selectOverlay( overlay ? overlay.id : null );
+			canvas.focus();
 
-		canvas.addEventListener( 'mousedown', ( e ) => {
-			isDragging = true;
-			dragStart.x = e.clientX;
-			dragStart.y = e.clientY;
-			initialPosition.x = this.imagePosition.x;
-			initialPosition.y = this.imagePosition.y;
-			
+			if ( ! overlay ) {
+				return;
+			}
+
+			if ( canvas.setPointerCapture ) {
+				canvas.setPointerCapture( e.pointerId );
+			}
+			drag = {
+				pointerId: e.pointerId,
+				start: point,
+				x: overlay.x,
+				y: overlay.y,
+			};
 			canvas.style.cursor = 'grabbing';
 			e.preventDefault();
 		} );
 
-		document.addEventListener( 'mousemove', ( e ) => {
-			if ( ! isDragging ) return;
-
-			const deltaX = e.clientX - dragStart.x;
-			const deltaY = e.clientY - dragStart.y;
-
-			// Calculate new position
-			let newX = initialPosition.x + deltaX;
-			let newY = initialPosition.y + deltaY;
-
-			// Constrain image movement so it can't be dragged completely outside the canvas
-			const minX = canvas.width - this.cropImageInfo.drawWidth;
-			const maxX = 0;
-			const minY = canvas.height - this.cropImageInfo.drawHeight;
-			const maxY = 0;
-			
-			newX = Math.max( minX, Math.min( newX, maxX ) );
-			newY = Math.max( minY, Math.min( newY, maxY ) );
+		canvas.addEventListener( 'pointermove', ( e ) => {
+			if ( ! drag || e.pointerId !== drag.pointerId ) {
+				const hovering = this.getOverlayAt( getPoint( e ) );
+				canvas.style.cursor = hovering ? 'grab' : 'default';
+				return;
+			}
 
-			// Update position and redraw
-			this.imagePosition.x = newX;
-			this.imagePosition.y = newY;
-			
-			this.redrawCropCanvas();
+			const point = getPoint( e );
+			this.updateSelectedOverlay( {
+				x: drag.x + ( point.x - drag.start.x ) / this.specs.targetWidth,
+				y:
+					drag.y +
+					( point.y - drag.start.y ) / this.specs.targetHeight,
+			} );
 		} );
 
-		document.addEventListener( 'mouseup', () => {
-			if ( isDragging ) {
-				isDragging = false;
+		const endDrag = ( e ) => {
+			if ( drag && e.pointerId === drag.pointerId ) {
+				drag = null;
 				canvas.style.cursor = 'grab';
-				// Save the updated position to localStorage
 				this.saveState();
 			}
+		};
+
+		canvas.addEventListener( 'pointerup', endDrag );
+		canvas.addEventListener( 'pointercancel', endDrag );
+
+		// Arrow keys nudge by one output pixel, or ten with Shift
+		const nudges = {
+			ArrowLeft: [ -1, 0 ],
+			ArrowRight: [ 1, 0 ],
+			ArrowUp: [ 0, -1 ],
+			ArrowDown: [ 0, 1 ],
+		};
+
+		canvas.addEventListener( 'keydown', ( e ) => {
+			const overlay = this.getSelectedOverlay();
+			if ( ! overlay ) {
+				return;
+			}
+
+			if ( e.key === 'Delete' || e.key === 'Backspace' ) {
+				e.preventDefault();
+				this.removeSelectedOverlay();
+				return;
+			}
+
+			if ( nudges[ e.key ] ) {
+				e.preventDefault();
+				const distance = e.shiftKey ? 10 : 1;
+				this.updateSelectedOverlay( {
+					x:
+						overlay.x +
+						( nudges[ e.key ][ 0 ] * distance ) /
+							this.specs.targetWidth,
+					y:
+						overlay.y +
+						( nudges[ e.key ][ 1 ] * distance ) /
+							this.specs.targetHeight,
+				} );
+			}
 		} );
 	}
 
-	resetCrop() {
-		if ( this.state.uploadedImage && this.cropImageInfo ) {
-			// Reset image to center position
-			const canvas = this.container.querySelector( '#crop-canvas' );
-			this.imagePosition = {
-				x: (canvas.width - this.cropImageInfo.drawWidth) / 2,
-				y: (canvas.height - this.cropImageInfo.drawHeight) / 2
-			};
-			this.redrawCropCanvas();
-		}
+	composeOverlayImage() {
+		// Flatten the overlays onto the cropped image at full size
+		const canvas = document.createElement( 'canvas' );
+		canvas.width = this.specs.targetWidth;
+		canvas.height = this.specs.targetHeight;
+
+		const ctx = canvas.getContext( '2d' );
+		ctx.drawImage( this.state.baseImageData.canvas, 0, 0 );
+		this.drawOverlays( ctx, 1 );
+
+		return {
+			canvas,
+			dataUrl: canvas.toDataURL( 'image/jpeg', 0.9 ),
+		};
 	}
 
-	async processCroppedImage() {
+	async applyOverlays() {
+		if ( ! this.state.baseImageData ) {
+			return;
+		}
+
 		this.state.isProcessing = true;
 		this.showProgress( 0 );
 
 		try {
-			const canvas = this.container.querySelector( '#crop-canvas' );
-
-			// The entire canvas is the crop area now
-			const cropRect = {
-				x: 0,
-				y: 0,
-				width: canvas.width,
-				height: canvas.height,
-			};
-
-			this.showProgress( 25 );
-
-			// Create cropped image data
-			const croppedImageData = await this.createCroppedImage( cropRect );
-			this.state.croppedImageData = croppedImageData;
+			this.state.croppedImageData = this.composeOverlayImage();
 
 			this.showProgress( 50 );
 
 			// Generate preview images
-			await this.generatePreviewImages( croppedImageData );
+			await this.generatePreviewImages( this.state.croppedImageData );
 
 			this.showProgress( 100 );
 
@@ -716,121 +4382,261 @@ class InstagramBannerCreator {
 				this.hideProgress();
 			}, 500 );
 		} catch ( error ) {
-			console.error( 'Crop processing error:', error );
+			console.error( 'Overlay processing error:', error );
 			this.showError(
-				'Failed to process the cropped image. Please try again.'
+				'Failed to add the overlays to your image. Please try again.'
 			);
 		} finally {
 			this.state.isProcessing = false;
 		}
 	}
 
-	createCroppedImage( cropRect ) {
-		return new Promise( ( resolve ) => {
-			// Create a new canvas for the cropped image
-			const croppedCanvas = document.createElement( 'canvas' );
-			croppedCanvas.width = this.specs.targetWidth;
-			croppedCanvas.height = this.specs.targetHeight;
+	escapeHtml( text ) {
+		const map = {
+			'&': '&amp;',
+			'<': '&lt;',
+			'>': '&gt;',
+			'"': '&quot;',
+			"'": '&#039;',
+		};
+		return String( text ).replace( /[&<>"']/g, ( m ) => map[ m ] );
+	}
 
-			const ctx = croppedCanvas.getContext( '2d' );
+	async createCroppedImage() {
+		let croppedCanvas = null;
+		const state = this.canUseRenderWorker() && this.getRenderState();
 
-			// Calculate which part of the original image is visible in the canvas
-			// The canvas shows a specific region of the original image based on position and scaling
-			
-			// Convert canvas coordinates to original image coordinates
-			const canvas = this.container.querySelector( '#crop-canvas' );
-			
-			// The visible area of the original image (what we want to crop)
-			const visibleX = -this.imagePosition.x / this.cropImageInfo.scaleX;
-			const visibleY = -this.imagePosition.y / this.cropImageInfo.scaleY;
-			const visibleWidth = canvas.width / this.cropImageInfo.scaleX;
-			const visibleHeight = canvas.height / this.cropImageInfo.scaleY;
+		if ( state ) {
+			try {
+				const { image } = await this.runRenderWorker( {
+					type: 'crop',
+					state,
+				} );
+				croppedCanvas = this.createCanvas( image.width, image.height );
+				croppedCanvas.getContext( '2d' ).drawImage( image, 0, 0 );
+				image.close();
+			} catch ( error ) {
+				console.warn(
+					'Banner worker unavailable, drawing on the main thread:',
+					error
+				);
+			}
+		}
 
-			// Ensure we don't go outside original image bounds
-			const clampedX = Math.max( 0, Math.min( visibleX, this.cropImageInfo.originalWidth ) );
-			const clampedY = Math.max( 0, Math.min( visibleY, this.cropImageInfo.originalHeight ) );
-			const clampedWidth = Math.min( visibleWidth, this.cropImageInfo.originalWidth - clampedX );
-			const clampedHeight = Math.min( visibleHeight, this.cropImageInfo.originalHeight - clampedY );
+		if ( ! croppedCanvas ) {
+			croppedCanvas = this.renderCroppedCanvas();
+		}
 
+		return {
+			canvas: croppedCanvas,
+			dataUrl: croppedCanvas.toDataURL( 'image/jpeg', 0.9 ),
+		};
+	}
 
-			// Draw the visible portion scaled to target size
-			ctx.drawImage(
-				this.cropImageInfo.originalImage,
-				clampedX,
-				clampedY,
-				clampedWidth,
-				clampedHeight,
-				0,
-				0,
-				this.specs.targetWidth,
-				this.specs.targetHeight
-			);
+	renderCroppedCanvas() {
+		// Also run by the render worker, so it only uses drawing state
+		const canvas = this.createCanvas(
+			this.specs.targetWidth,
+			this.specs.targetHeight
+		);
 
-			resolve( {
-				canvas: croppedCanvas,
-				dataUrl: croppedCanvas.toDataURL( 'image/jpeg', 0.9 ),
-			} );
+		const ctx = canvas.getContext( '2d' );
+		ctx.imageSmoothingQuality = 'high';
+
+		// Replay the crop step's zoom, rotation, position and adjustments
+		// at full size
+		this.drawCropImage( ctx, 1, true );
+		this.applyAdjustments( ctx, canvas.width, canvas.height );
+
+		return canvas;
+	}
+
+	getRenderState() {
+		// The state the drawing methods read, for the render worker. Only
+		// bitmaps can be posted, so anything else keeps the work here.
+		const { originalImage, fullImage, originalWidth, originalHeight } =
+			this.cropImageInfo;
+		const collageImages = {};
+		this.collage.forEach( ( photo ) => {
+			collageImages[ photo.id ] = this.collageImages[ photo.id ];
 		} );
+		const images = this.isCollage()
+			? Object.values( collageImages )
+			: [ fullImage || originalImage ];
+
+		if (
+			! images.every( ( image ) => image instanceof window.ImageBitmap )
+		) {
+			return null;
+		}
+
+		return {
+			specs: this.specs,
+			cropTransform: this.cropTransform,
+			cropFill: this.cropFill,
+			adjustments: this.adjustments,
+			// Photo data URLs aren't needed for drawing
+			collage: this.collage.map( ( photo ) => ( {
+				...photo,
+				src: null,
+			} ) ),
+			collageImages,
+			cropImageInfo: {
+				originalImage: this.isCollage() ? null : images[ 0 ],
+				originalWidth,
+				originalHeight,
+			},
+		};
 	}
 
-	async generatePreviewImages( croppedImageData ) {
-		const canvas1 = this.container.querySelector( '#preview-canvas-1' );
-		const canvas2 = this.container.querySelector( '#preview-canvas-2' );
-		const canvas3 = this.container.querySelector( '#preview-canvas-3' );
+	canUseRenderWorker() {
+		return (
+			! this.renderWorkerDisabled &&
+			!! this.config.workerUrl &&
+			typeof Worker !== 'undefined' &&
+			typeof OffscreenCanvas !== 'undefined' &&
+			typeof window.createImageBitmap === 'function'
+		);
+	}
 
-		// Set canvas sizes
-		[ canvas1, canvas2, canvas3 ].forEach( ( canvas ) => {
-			canvas.width = this.specs.outputWidth;
-			canvas.height = this.specs.outputHeight;
+	runRenderWorker( message, transfer = [] ) {
+		// One worker serves the whole session, with replies matched to jobs
+		// by id
+		if ( ! this.renderWorker ) {
+			this.renderWorker = new Worker( this.config.workerUrl );
+
+			this.renderWorker.addEventListener( 'message', ( event ) => {
+				const { id, type, fallback } = event.data || {};
+				const job = this.renderJobs.get( id );
+				if ( ! job ) {
+					return;
+				}
+
+				this.renderJobs.delete( id );
+				if ( type === 'result' ) {
+					job.resolve( event.data );
+					return;
+				}
+
+				const error = new Error( event.data.message );
+				if ( fallback ) {
+					this.stopRenderWorker( error );
+				}
+				job.reject( error );
+			} );
+
+			this.renderWorker.addEventListener( 'error', ( event ) => {
+				this.stopRenderWorker(
+					new Error(
+						event.message || 'Banner worker failed to start'
+					)
+				);
+			} );
+		}
+
+		return new Promise( ( resolve, reject ) => {
+			const id = ++this.renderJobId;
+			this.renderJobs.set( id, { resolve, reject } );
+
+			try {
+				this.renderWorker.postMessage(
+					{
+						...message,
+						id,
+						scripts: this.config.workerScripts || [],
+					},
+					transfer
+				);
+			} catch ( error ) {
+				this.renderJobs.delete( id );
+				reject( error );
+			}
 		} );
+	}
 
-		// Split the image into 3 parts
-		const ctx1 = canvas1.getContext( '2d' );
-		const ctx2 = canvas2.getContext( '2d' );
-		const ctx3 = canvas3.getContext( '2d' );
+	stopRenderWorker( error ) {
+		// Later renders stay on the main thread
+		this.renderWorkerDisabled = true;
 
-		// Image 1: 0 to 1080px
-		ctx1.drawImage(
-			croppedImageData.canvas,
-			0,
-			0,
-			this.specs.outputWidth,
-			this.specs.targetHeight,
-			0,
-			0,
-			this.specs.outputWidth,
-			this.specs.outputHeight
-		);
+		if ( this.renderWorker ) {
+			this.renderWorker.terminate();
+			this.renderWorker = null;
+		}
 
-		// Image 2: 1084 to 2164px (accounting for 4px gap)
-		ctx2.drawImage(
-			croppedImageData.canvas,
-			this.specs.outputWidth + this.specs.gapSize,
-			0,
-			this.specs.outputWidth,
-			this.specs.targetHeight,
-			0,
-			0,
-			this.specs.outputWidth,
-			this.specs.outputHeight
-		);
+		this.renderJobs.forEach( ( job ) => job.reject( error ) );
+		this.renderJobs.clear();
+	}
 
-		// Image 3: 2168 to 3248px (accounting for 4px gap)
-		ctx3.drawImage(
-			croppedImageData.canvas,
-			( this.specs.outputWidth + this.specs.gapSize ) * 2,
-			0,
-			this.specs.outputWidth,
-			this.specs.targetHeight,
+	async splitInWorker( source ) {
+		// Resolves to one bitmap per panel, or null to cut them here
+		if ( ! this.canUseRenderWorker() ) {
+			return null;
+		}
+
+		try {
+			const image = await window.createImageBitmap( source );
+			const { images } = await this.runRenderWorker(
+				{ type: 'split', state: { specs: this.specs }, image },
+				[ image ]
+			);
+			return images;
+		} catch ( error ) {
+			console.warn(
+				'Banner worker unavailable, splitting on the main thread:',
+				error
+			);
+			return null;
+		}
+	}
+
+	drawPanel( ctx, source, panel ) {
+		const { outputWidth, outputHeight } = this.specs;
+
+		ctx.drawImage(
+			source,
+			panel.x,
+			panel.y,
+			outputWidth,
+			outputHeight,
 			0,
 			0,
-			this.specs.outputWidth,
-			this.specs.outputHeight
+			outputWidth,
+			outputHeight
 		);
+	}
+
+	async generatePreviewImages( croppedImageData ) {
+		const canvases = [];
+		const panelImages = await this.splitInWorker( croppedImageData.canvas );
+
+		// Cut each panel out of the cropped image, skipping the gaps
+		this.getPanels().forEach( ( panel, position ) => {
+			const canvas = this.container.querySelector(
+				`#preview-canvas-${ panel.index }`
+			);
+			if ( ! canvas ) {
+				return;
+			}
+
+			canvas.width = this.specs.outputWidth;
+			canvas.height = this.specs.outputHeight;
+
+			const ctx = canvas.getContext( '2d' );
+			if ( panelImages ) {
+				ctx.drawImage( panelImages[ position ], 0, 0 );
+			} else {
+				this.drawPanel( ctx, croppedImageData.canvas, panel );
+			}
+			canvases.push( canvas );
+		} );
+
+		if ( panelImages ) {
+			panelImages.forEach( ( image ) => image.close() );
+		}
 
 		// Apply blur effect for guest users
 		if ( ! this.config.isLoggedIn ) {
-			this.applyGuestBlur( [ canvas1, canvas2, canvas3 ] );
+			this.applyGuestBlur( canvases );
 		}
 	}
 
@@ -860,26 +4666,220 @@ class InstagramBannerCreator {
 		} );
 	}
 
-	downloadAllImages() {
-		for ( let i = 1; i <= 3; i++ ) {
-			this.downloadSingleImage( i );
+	async downloadAllImages() {
+		// Without JSZip, fall back to one download per panel
+		if ( typeof JSZip === 'undefined' ) {
+			for ( const panel of this.getPanels() ) {
+				await this.downloadSingleImage( panel.index );
+			}
+			return;
+		}
+
+		await this.runExport( async () => {
+			const zip = new JSZip();
+			const files = await this.exportAllPanels();
+
+			files.forEach( ( file ) => zip.file( file.name, file ) );
+
+			const archive = await zip.generateAsync( { type: 'blob' } );
+			this.triggerDownload( archive, `${ this.getExportPrefix() }.zip` );
+		} );
+	}
+
+	async downloadSingleImage( index ) {
+		await this.runExport( async () => {
+			const file = await this.exportPanel( index );
+			if ( file ) {
+				this.triggerDownload( file, file.name );
+			}
+		} );
+	}
+
+	async shareImages() {
+		await this.runExport( async () => {
+			const files = await this.exportAllPanels();
+
+			try {
+				await navigator.share( {
+					files,
+					title:
+						this.specs.mode === 'carousel'
+							? 'Instagram carousel'
+							: 'Instagram banner',
+				} );
+			} catch ( error ) {
+				// Closing the share sheet isn't an error
+				if ( error.name !== 'AbortError' ) {
+					throw error;
+				}
+			}
+		} );
+	}
+
+	async runExport( task ) {
+		if ( this.state.isProcessing ) {
+			return;
+		}
+
+		this.state.isProcessing = true;
+		this.hideError();
+		this.setExportButtonsDisabled( true );
+
+		try {
+			await task();
+		} catch ( error ) {
+			console.error( 'Banner export error:', error );
+			this.showError(
+				'Failed to prepare the images for download. Please try again.'
+			);
+		} finally {
+			this.state.isProcessing = false;
+			this.setExportButtonsDisabled( false );
+			this.hideProgress();
+		}
+	}
+
+	setExportButtonsDisabled( disabled ) {
+		this.container
+			.querySelectorAll(
+				'#download-all-btn, #share-images-btn, .blk-individual-downloads button'
+			)
+			.forEach( ( button ) => {
+				button.disabled = disabled;
+			} );
+	}
+
+	async exportAllPanels() {
+		const panels = this.getPanels();
+		const files = [];
+
+		for ( const panel of panels ) {
+			this.showProgress(
+				Math.round( ( files.length / panels.length ) * 100 )
+			);
+
+			const file = await this.exportPanel( panel.index );
+			if ( file ) {
+				files.push( file );
+			}
 		}
+
+		return files;
 	}
 
-	downloadSingleImage( index ) {
+	async exportPanel( index ) {
 		const canvas = this.container.querySelector(
 			`#preview-canvas-${ index }`
 		);
-		if ( ! canvas ) return;
+		if ( ! canvas ) {
+			return null;
+		}
+
+		const exportFormat = this.exportFormats[ this.exportSettings.format ];
+		const blob = await this.encodeCanvas( canvas, exportFormat );
+
+		return new File( [ blob ], this.getExportFilename( index ), {
+			type: blob.type,
+		} );
+	}
+
+	async encodeCanvas( canvas, exportFormat ) {
+		const { quality, maxFileSize } = this.exportSettings;
+		const blob = await this.canvasToBlob(
+			canvas,
+			exportFormat.mimeType,
+			quality
+		);
+
+		if (
+			! exportFormat.lossy ||
+			! maxFileSize ||
+			blob.size <= maxFileSize * 1024
+		) {
+			return blob;
+		}
+
+		// Search for the highest quality that fits, settling for the lowest
+		// allowed quality when nothing does
+		let low = this.specs.minExportQuality;
+		let high = quality;
+		let best = null;
+
+		for ( let step = 0; step < 6; step++ ) {
+			const attempt = ( low + high ) / 2;
+			const candidate = await this.canvasToBlob(
+				canvas,
+				exportFormat.mimeType,
+				attempt
+			);
+
+			if ( candidate.size <= maxFileSize * 1024 ) {
+				best = candidate;
+				low = attempt;
+			} else {
+				high = attempt;
+			}
+		}
+
+		return (
+			best ||
+			this.canvasToBlob(
+				canvas,
+				exportFormat.mimeType,
+				this.specs.minExportQuality
+			)
+		);
+	}
+
+	canvasToBlob( canvas, mimeType, quality ) {
+		return new Promise( ( resolve, reject ) => {
+			canvas.toBlob(
+				( blob ) =>
+					blob
+						? resolve( blob )
+						: reject( new Error( 'Could not encode image' ) ),
+				mimeType,
+				quality
+			);
+		} );
+	}
+
+	getExportPrefix() {
+		return this.specs.mode === 'carousel'
+			? 'instagram-carousel'
+			: 'instagram-banner';
+	}
+
+	getExportFilename( index ) {
+		// Zero-padded so the files sort in panel order
+		const number = String( index ).padStart(
+			String( this.specs.panelCount ).length,
+			'0'
+		);
+		const { extension } = this.exportFormats[ this.exportSettings.format ];
+
+		return `${ this.getExportPrefix() }-${ number }.${ extension }`;
+	}
 
+	triggerDownload( blob, filename ) {
+		const url = URL.createObjectURL( blob );
 		const link = document.createElement( 'a' );
-		link.download = `instagram-banner-${ index }.jpg`;
-		link.href = canvas.toDataURL( 'image/jpeg', 0.9 );
+		link.download = filename;
+		link.href = url;
 		link.click();
+
+		// Give the browser a moment to start the download before releasing it
+		setTimeout( () => URL.revokeObjectURL( url ), 1000 );
 	}
 
 	// Navigation methods
 	async goToStep( step ) {
+		// The overlay step draws over a fresh crop, which doesn't survive a
+		// page refresh, so go back to the crop step to rebuild it
+		if ( step === 'overlay' && ! this.state.baseImageData ) {
+			step = 'crop';
+		}
+
 		// Hide all steps
 		this.container
 			.querySelectorAll( '.blk-creator-step' )
@@ -897,7 +4897,11 @@ class InstagramBannerCreator {
 		}
 
 		// Special handling for crop step - initialize crop interface if needed
-		if ( step === 'crop' && this.state.uploadedImage && !this.cropImageInfo ) {
+		if (
+			step === 'crop' &&
+			this.state.uploadedImage &&
+			( ! this.cropImageInfo || ! this.cropImageInfo.viewScale )
+		) {
 			try {
 				await this.initializeCropInterface( this.state.uploadedImage );
 			} catch ( error ) {
@@ -906,6 +4910,16 @@ class InstagramBannerCreator {
 			}
 		}
 
+		if ( step === 'overlay' ) {
+			this.initializeOverlayInterface();
+		}
+
+		// Projects are saved once there is an image to work on
+		const projectBar = this.container.querySelector( '#project-bar' );
+		if ( projectBar ) {
+			projectBar.hidden = step === 'upload';
+		}
+
 		// Update state
 		this.saveState();
 	}
@@ -918,10 +4932,20 @@ class InstagramBannerCreator {
 		) {
 			this.state = {
 				uploadedImage: null,
+				baseImageData: null,
 				croppedImageData: null,
 				currentStep: 'upload',
 				isProcessing: false,
 			};
+			this.overlays = [];
+			this.overlayImages = {};
+			this.selectedOverlayId = null;
+			this.clearCollage();
+			this.cropFill = this.getDefaultCropFill();
+			this.syncCropFillControls();
+			this.adjustments = this.getDefaultAdjustments();
+			this.syncAdjustmentControls();
+			this.setCurrentProject( null );
 
 			this.clearState();
 			await this.goToStep( 'upload' );
@@ -938,6 +4962,8 @@ class InstagramBannerCreator {
 			currentStep: this.state.currentStep,
 			hasUploadedImage: !! this.state.uploadedImage,
 			hasCroppedImage: !! this.state.croppedImageData,
+			adjustments: this.adjustments,
+			project: this.currentProject,
 			timestamp: Date.now(),
 		};
 
@@ -953,7 +4979,15 @@ class InstagramBannerCreator {
 		const savedState = this.stateManager.getFormState();
 		if ( savedState && savedState.timestamp > Date.now() - 3600000 ) {
 			// 1 hour
-			
+
+			if ( savedState.adjustments ) {
+				this.updateAdjustments( savedState.adjustments );
+			}
+
+			if ( savedState.project ) {
+				this.setCurrentProject( savedState.project );
+			}
+
 			// Try to restore saved banner data first
 			await this.loadStoredBannerData();
 			
@@ -977,7 +5011,11 @@ class InstagramBannerCreator {
 			originalImageDataUrl: this.state.uploadedImage ? this.state.uploadedImage.src : null,
 			originalImageWidth: this.state.uploadedImage ? this.state.uploadedImage.width : null,
 			originalImageHeight: this.state.uploadedImage ? this.state.uploadedImage.height : null,
-			imagePosition: this.imagePosition || null,
+			cropTransform: this.cropTransform || null,
+			cropFill: this.cropFill,
+			overlays: this.overlays,
+			collage: this.collage,
+			settings: this.settings,
 			timestamp: Date.now(),
 			currentStep: this.state.currentStep
 		};
@@ -985,6 +5023,12 @@ class InstagramBannerCreator {
 		const success = this.stateManager.setItem( 'banner_data', bannerData );
 		if ( ! success ) {
 			console.warn( 'Could not save banner data. Results may not persist.' );
+
+			// Only shown to logged-in users, who can save to the server
+			this.setProjectStatus(
+				'Too large to keep in this browser. Save the project to keep your work.',
+				true
+			);
 		}
 		return success;
 	}
@@ -993,6 +5037,13 @@ class InstagramBannerCreator {
 		try {
 			const storedData = this.stateManager.getItem( 'banner_data' );
 			if ( storedData && storedData.croppedImageDataUrl ) {
+				// The stored crop was made for its own layout, so switch back to it
+				if ( storedData.settings ) {
+					this.applySettings( storedData.settings );
+					this.renderLayout();
+					this.syncSettingsControls();
+				}
+
 				// Recreate the cropped image data from stored data URL
 				this.state.croppedImageData = {
 					dataUrl: storedData.croppedImageDataUrl,
@@ -1001,25 +5052,47 @@ class InstagramBannerCreator {
 				
 				// Recreate the uploaded image state from the original image data (if available)
 				// This is needed for the crop interface to work properly after page refresh
-				if (storedData.originalImageDataUrl) {
-					const originalImage = new Image();
-					await new Promise((resolve, reject) => {
-						originalImage.onload = resolve;
-						originalImage.onerror = reject;
-						originalImage.src = storedData.originalImageDataUrl;
-					});
-					
+				if ( storedData.originalImageDataUrl ) {
 					this.state.uploadedImage = {
-						src: storedData.originalImageDataUrl,
-						width: storedData.originalImageWidth || originalImage.width,
-						height: storedData.originalImageHeight || originalImage.height,
-						image: originalImage,
+						...( await this.loadSourceFromDataUrl(
+							storedData.originalImageDataUrl
+						) ),
 						isRestored: true // Flag to indicate this is restored from storage
 					};
 					
-					// Restore image position if available
-					if (storedData.imagePosition) {
-						this.imagePosition = storedData.imagePosition;
+					// Restore the crop position, zoom and rotation if available
+					if ( storedData.cropTransform ) {
+						this.cropTransform = storedData.cropTransform;
+					}
+
+					if ( storedData.cropFill ) {
+						this.cropFill = {
+							...this.getDefaultCropFill(),
+							...storedData.cropFill,
+						};
+						this.syncCropFillControls();
+					}
+
+					// Let the preview redraw from the original image when the
+					// adjustments change. The crop canvas sets its own scale
+					// when the crop step opens.
+					this.cropImageInfo = {
+						originalImage: this.state.uploadedImage.image,
+						fullImage: this.state.uploadedImage.fullImage,
+						originalWidth: this.state.uploadedImage.width,
+						originalHeight: this.state.uploadedImage.height,
+						viewScale: null,
+					};
+
+					// Overlays are kept so the crop step can rebuild them
+					if ( Array.isArray( storedData.overlays ) ) {
+						this.overlays = storedData.overlays;
+						await this.loadOverlayImages();
+					}
+
+					if ( Array.isArray( storedData.collage ) ) {
+						this.collage = storedData.collage;
+						await this.loadCollageImages();
 					}
 				} else {
 					// Fallback to cropped image if original isn't available (backward compatibility)
@@ -1052,6 +5125,23 @@ class InstagramBannerCreator {
 		return false;
 	}
 
+	syncSettingsControls() {
+		const values = {
+			'#banner-mode': this.settings.mode,
+			'#carousel-slides': this.settings.slides,
+			'#banner-layout': this.settings.layout,
+			'#banner-aspect': this.settings.aspect,
+			'#banner-gap': this.settings.gapSize,
+		};
+
+		Object.entries( values ).forEach( ( [ selector, value ] ) => {
+			const control = this.container.querySelector( selector );
+			if ( control ) {
+				control.value = value;
+			}
+		} );
+	}
+
 	createCanvasFromDataUrl( dataUrl ) {
 		return new Promise( ( resolve, reject ) => {
 			const img = new Image();
@@ -1068,6 +5158,359 @@ class InstagramBannerCreator {
 		} );
 	}
 
+	async loadImageFromDataUrl( dataUrl ) {
+		// Unlike createCanvasFromDataUrl(), keeps the image's own size, up to
+		// the editing limit that uploaded photos and logos get
+		return this.decodeImage(
+			await this.dataUrlToBlob( dataUrl ),
+			this.specs.maxEditPixels
+		);
+	}
+
+	// Saved project methods
+	async sendProjectRequest( action, fields = {}, images = {} ) {
+		// Sent as form data so the images can go up as files
+		const body = new FormData();
+		body.append( 'action', action );
+		body.append( 'nonce', this.config.nonce );
+
+		Object.entries( fields ).forEach( ( [ name, value ] ) => {
+			body.append( name, value );
+		} );
+		Object.entries( images ).forEach( ( [ key, blob ] ) => {
+			const format = Object.values( this.exportFormats ).find(
+				( exportFormat ) => exportFormat.mimeType === blob.type
+			);
+			body.append(
+				`images[${ key }]`,
+				blob,
+				`${ key }.${ format ? format.extension : 'jpg' }`
+			);
+		} );
+
+		const response = await fetch( this.config.ajaxUrl, {
+			method: 'POST',
+			credentials: 'same-origin',
+			body,
+		} );
+
+		const result = await response.json();
+		if ( ! result.success ) {
+			throw new Error( result.message || 'Request failed' );
+		}
+
+		return result.data;
+	}
+
+	async fetchProjectImage( projectId, key ) {
+		const body = new FormData();
+		body.append( 'action', 'rwp_get_banner_project_image' );
+		body.append( 'nonce', this.config.nonce );
+		body.append( 'project_id', projectId );
+		body.append( 'key', key );
+
+		const response = await fetch( this.config.ajaxUrl, {
+			method: 'POST',
+			credentials: 'same-origin',
+			body,
+		} );
+		if ( ! response.ok ) {
+			throw new Error( `Failed to load the project image ${ key }` );
+		}
+
+		return this.readBlob( await response.blob(), 'readAsDataURL' );
+	}
+
+	async loadProjects() {
+		if ( ! this.config.isLoggedIn ) {
+			return;
+		}
+
+		try {
+			this.projects =
+				( await this.sendProjectRequest(
+					'rwp_get_banner_projects'
+				) ) || [];
+			this.renderProjectList();
+		} catch ( error ) {
+			console.warn( 'Could not load saved projects:', error );
+		}
+	}
+
+	renderProjectList() {
+		const projects = this.container.querySelector( '#banner-projects' );
+		const projectList = this.container.querySelector( '#project-list' );
+
+		if ( projects && projectList ) {
+			projectList.innerHTML = this.createProjectListHTML();
+			projects.hidden = ! this.projects.length;
+		}
+	}
+
+	setCurrentProject( project ) {
+		this.currentProject = project
+			? { id: project.id, name: project.name }
+			: null;
+
+		const nameInput = this.container.querySelector( '#project-name' );
+		if ( nameInput ) {
+			nameInput.value = this.currentProject
+				? this.currentProject.name
+				: '';
+		}
+		this.setProjectStatus( '' );
+	}
+
+	setProjectStatus( message, isError = false ) {
+		const status = this.container.querySelector( '#project-status' );
+		if ( status ) {
+			status.textContent = message;
+			status.classList.toggle( 'blk-project-status--error', isError );
+		}
+	}
+
+	getProjectData() {
+		// Images are sent as files, so the settings refer to them by key
+		const images = { source: this.state.uploadedImage.src };
+
+		const overlays = this.overlays.map( ( overlay ) => {
+			if ( overlay.type !== 'image' ) {
+				return overlay;
+			}
+
+			const key = `logo-${ overlay.id }`;
+			images[ key ] = overlay.src;
+			return { ...overlay, src: key };
+		} );
+
+		const collage = this.collage.map( ( photo ) => {
+			const key = `collage-${ photo.id }`;
+			images[ key ] = photo.src;
+			return { ...photo, src: key };
+		} );
+
+		return {
+			data: {
+				settings: this.settings,
+				cropTransform: this.cropTransform,
+				cropFill: this.cropFill,
+				adjustments: this.adjustments,
+				overlays,
+				collage,
+			},
+			images,
+		};
+	}
+
+	async createProjectThumbnail() {
+		// A small copy of the finished banner for the project list
+		if ( ! this.cropImageInfo || ! this.cropTransform ) {
+			return null;
+		}
+
+		const scale = 480 / this.specs.targetWidth;
+		const canvas = document.createElement( 'canvas' );
+		canvas.width = Math.round( this.specs.targetWidth * scale );
+		canvas.height = Math.round( this.specs.targetHeight * scale );
+
+		const ctx = canvas.getContext( '2d' );
+		this.drawCropImage( ctx, scale );
+		this.applyAdjustments( ctx, canvas.width, canvas.height );
+		this.drawOverlays( ctx, scale );
+
+		return this.canvasToBlob( canvas, 'image/jpeg', 0.8 );
+	}
+
+	async saveProject() {
+		if ( ! this.state.uploadedImage || this.state.isProcessing ) {
+			return;
+		}
+
+		const saveBtn = this.container.querySelector( '#save-project-btn' );
+		const nameInput = this.container.querySelector( '#project-name' );
+
+		if ( saveBtn ) {
+			saveBtn.disabled = true;
+		}
+		this.setProjectStatus( 'Saving…' );
+
+		try {
+			const { data, images } = this.getProjectData();
+			const files = {};
+
+			await Promise.all(
+				Object.entries( images ).map( async ( [ key, dataUrl ] ) => {
+					files[ key ] = await this.dataUrlToBlob( dataUrl );
+				} )
+			);
+
+			const thumbnail = await this.createProjectThumbnail();
+			if ( thumbnail ) {
+				files.thumbnail = thumbnail;
+			}
+
+			const result = await this.sendProjectRequest(
+				'rwp_save_banner_project',
+				{
+					project_id: this.currentProject
+						? this.currentProject.id
+						: '',
+					name: nameInput ? nameInput.value.trim() : '',
+					data: JSON.stringify( data ),
+				},
+				files
+			);
+
+			this.projects = result.projects;
+			this.renderProjectList();
+			this.setCurrentProject( result.project );
+			this.setProjectStatus( 'Saved' );
+
+			// Keep saving to this project after a refresh
+			this.saveState();
+		} catch ( error ) {
+			console.error( 'Project save error:', error );
+			this.setProjectStatus(
+				error.message || 'Failed to save the project.',
+				true
+			);
+		} finally {
+			if ( saveBtn ) {
+				saveBtn.disabled = false;
+			}
+		}
+	}
+
+	async openProject( id ) {
+		this.state.isProcessing = true;
+		this.showProgress( 0 );
+		this.hideError();
+
+		try {
+			const project = await this.sendProjectRequest(
+				'rwp_get_banner_project',
+				{ project_id: id }
+			);
+			const { data = {}, images: imageKeys = [] } = project;
+
+			if ( ! imageKeys.includes( 'source' ) ) {
+				throw new Error( 'The project has no source image' );
+			}
+
+			// One request per image, so the server never reads the whole
+			// project at once
+			const images = {};
+			for ( let index = 0; index < imageKeys.length; index++ ) {
+				images[ imageKeys[ index ] ] = await this.fetchProjectImage(
+					id,
+					imageKeys[ index ]
+				);
+				this.showProgress(
+					10 + ( 40 * ( index + 1 ) ) / imageKeys.length
+				);
+			}
+
+			const source = await this.loadSourceFromDataUrl( images.source );
+			this.state = {
+				...this.state,
+				uploadedImage: {
+					...source,
+					// Keeps the saved crop when the crop step opens
+					isRestored: true,
+				},
+				baseImageData: null,
+				croppedImageData: null,
+			};
+
+			this.applySettings( data.settings );
+			this.renderLayout();
+			this.syncSettingsControls();
+
+			this.cropTransform = data.cropTransform || null;
+			this.cropFill = {
+				...this.getDefaultCropFill(),
+				...data.cropFill,
+			};
+			this.updateAdjustments( {
+				...this.getDefaultAdjustments(),
+				...data.adjustments,
+			} );
+
+			// Swap the image keys back for the images themselves, leaving
+			// out any that didn't come back
+			this.overlays = ( data.overlays || [] )
+				.map( ( overlay ) =>
+					overlay.type === 'image'
+						? { ...overlay, src: images[ overlay.src ] }
+						: overlay
+				)
+				.filter(
+					( overlay ) => overlay.type !== 'image' || overlay.src
+				);
+			this.overlayImages = {};
+			this.selectedOverlayId = null;
+			await this.loadOverlayImages();
+
+			this.clearCollage();
+			this.collage = ( data.collage || [] )
+				.map( ( photo ) => ( { ...photo, src: images[ photo.src ] } ) )
+				.filter( ( photo ) => photo.src );
+			await this.loadCollageImages();
+
+			this.setCurrentProject( project );
+
+			// Rebuild the crop canvas for the project's image and layout
+			this.cropImageInfo = null;
+			await this.goToStep( 'crop' );
+
+			this.showProgress( 100 );
+			setTimeout( () => {
+				this.hideProgress();
+			}, 300 );
+		} catch ( error ) {
+			console.error( 'Project open error:', error );
+			this.hideProgress();
+			this.showError( 'Failed to open the project. Please try again.' );
+		} finally {
+			this.state.isProcessing = false;
+		}
+	}
+
+	async duplicateProject( id ) {
+		try {
+			const result = await this.sendProjectRequest(
+				'rwp_duplicate_banner_project',
+				{ project_id: id }
+			);
+			this.projects = result.projects;
+			this.renderProjectList();
+		} catch ( error ) {
+			console.error( 'Project duplicate error:', error );
+			this.showError(
+				error.message || 'Failed to duplicate the project.'
+			);
+		}
+	}
+
+	async deleteProject( id ) {
+		try {
+			this.projects = await this.sendProjectRequest(
+				'rwp_delete_banner_project',
+				{ project_id: id }
+			);
+			this.renderProjectList();
+
+			// Saving again creates a new project
+			if ( this.currentProject && this.currentProject.id === id ) {
+				this.setCurrentProject( null );
+				this.saveState();
+			}
+		} catch ( error ) {
+			console.error( 'Project delete error:', error );
+			this.showError( error.message || 'Failed to delete the project.' );
+		}
+	}
+
 	// Utility methods
 	getLoginUrl() {
 		return (
@@ -1119,14 +5562,17 @@ class InstagramBannerCreator {
 	}
 }
 
-// Initialize the app when the DOM is ready
-document.addEventListener( 'DOMContentLoaded', function () {
-	// Check if we're on a page with the Instagram Banner block
-	const container = document.getElementById( 'instagram-banner-app' );
-	if ( container && typeof rwpInstagramBanner !== 'undefined' ) {
-		new InstagramBannerCreator(
-			'instagram-banner-app',
-			rwpInstagramBanner
-		);
-	}
-} );
+// Initialize the app when the DOM is ready. The render worker loads this file
+// too, for the drawing methods, and has no document.
+if ( typeof document !== 'undefined' ) {
+	document.addEventListener( 'DOMContentLoaded', function () {
+		// Check if we're on a page with the Instagram Banner block
+		const container = document.getElementById( 'instagram-banner-app' );
+		if ( container && typeof rwpInstagramBanner !== 'undefined' ) {
+			new InstagramBannerCreator(
+				'instagram-banner-app',
+				rwpInstagramBanner
+			);
+		}
+	} );
+}
@@ -0,0 +1,1528 @@
+/**
+ * Instagram Export Parser
+ *
+ * Extracts follower relationships from Instagram data export ZIP files, as
+ * well as TikTok's user_data.json and X's archive. Shared by the analyzer on
+ * the main thread and by its Web Worker, so it must not depend on the DOM
+ * being available.
+ *
+ * Each file is read by the most confident of the registered parser
+ * strategies. A strategy declares the kind of file and formats it handles,
+ * and its detect() returns 'high', 'medium' or 'low' confidence for a given
+ * file, or null if it doesn't recognise it. Results that only a low-confidence
+ * strategy could produce are reported in the diagnostics and left out.
+ * Strategies without a platform are used for Instagram exports.
+ */
+
+class InstagramExportParser {
+	constructor( options = {} ) {
+		this.onProgress = options.onProgress || ( () => {} );
+		this.cancelled = false;
+
+		// Relationship lists in the export, keyed by result property, with the
+		// file basenames each is exported under
+		this.relationshipFiles = {
+			followers: [ 'followers' ],
+			following: [ 'following' ],
+			closeFriends: [ 'close_friends' ],
+			pendingRequests: [ 'pending_follow_requests' ],
+			recentRequests: [ 'recent_follow_requests' ],
+			recentlyUnfollowed: [
+				'recently_unfollowed_accounts',
+				'recently_unfollowed_profiles',
+			],
+			blocked: [ 'blocked_accounts', 'blocked_profiles' ],
+			restricted: [ 'restricted_accounts', 'restricted_profiles' ],
+		};
+
+		// Follower list files in other platforms' archives. TikTok keeps both
+		// lists in one file, X splits large lists into numbered parts.
+		this.platformFiles = {
+			tiktok: {
+				followers: /^user_data(_tiktok)?\.json$/,
+				following: /^user_data(_tiktok)?\.json$/,
+			},
+			x: {
+				followers: /^follower(-part\d+)?\.js$/,
+				following: /^following(-part\d+)?\.js$/,
+			},
+		};
+
+		// Files of the user's own posts, read only to learn the handles of
+		// accounts that X archives otherwise list by numeric ID
+		this.handleFiles = {
+			x: /^tweets?(-part\d+)?\.js$/,
+		};
+
+		// Activity folders whose files record interactions with other accounts
+		this.interactionFolders = {
+			likes: 'likes',
+			comments: 'comments',
+			storyInteractions: 'story_interactions',
+		};
+
+		this.confidenceLevels = { high: 3, medium: 2, low: 1 };
+
+		// Built-in strategies first; an add-on can replace one by reusing its ID
+		this.strategies = [];
+		[
+			...this.getDefaultStrategies(),
+			...InstagramExportParser.customStrategies,
+			...( options.strategies || [] ),
+		].forEach( ( strategy ) => this.registerStrategy( strategy ) );
+
+		this.dayNames = [
+			'Sunday',
+			'Monday',
+			'Tuesday',
+			'Wednesday',
+			'Thursday',
+			'Friday',
+			'Saturday',
+		];
+	}
+
+	registerStrategy( strategy ) {
+		if (
+			! strategy ||
+			! strategy.id ||
+			! strategy.kind ||
+			! Array.isArray( strategy.formats ) ||
+			typeof strategy.detect !== 'function' ||
+			typeof strategy.parse !== 'function'
+		) {
+			throw new Error( 'Invalid export parser strategy' );
+		}
+
+		// Registering an existing ID replaces that strategy
+		this.strategies = this.strategies.filter(
+			( existing ) => existing.id !== strategy.id
+		);
+		this.strategies.push( strategy );
+	}
+
+	getDefaultStrategies() {
+		return [
+			{
+				id: 'relationships-json',
+				platform: 'instagram',
+				label: 'Relationships JSON',
+				layout: 'string_list_data entries, bare or under a relationships_* key',
+				kind: 'relationships',
+				formats: [ 'json' ],
+				detect: ( { json } ) => {
+					const entries = this.getJSONRelationshipEntries( json );
+
+					// An empty list is still a file we recognise
+					if ( entries.length === 0 ) {
+						return Array.isArray( json ) ||
+							this.findRelationshipsKey( json )
+							? 'high'
+							: null;
+					}
+
+					return entries.every(
+						( entry ) =>
+							entry &&
+							( Array.isArray( entry.string_list_data ) ||
+								entry.title )
+					)
+						? 'high'
+						: 'low';
+				},
+				parse: ( { json } ) =>
+					this.parseRelationshipEntries(
+						this.getJSONRelationshipEntries( json )
+					),
+			},
+			{
+				id: 'relationships-html',
+				platform: 'instagram',
+				label: 'Relationships HTML',
+				layout: 'One instagram.com profile link per account',
+				kind: 'relationships',
+				formats: [ 'html' ],
+				detect: ( { content } ) =>
+					/<a\b[^>]*href=["'][^"']*instagram\.com\//i.test( content )
+						? 'high'
+						: null,
+				parse: ( { content } ) => this.parseInstagramMarkup( content ),
+			},
+			{
+				id: 'html-links',
+				platform: 'instagram',
+				label: 'Generic link scan',
+				layout: 'Any link whose text looks like a username',
+				kind: 'relationships',
+				formats: [ 'html' ],
+				detect: ( { content } ) =>
+					/<a\b[^>]*href=/i.test( content ) ? 'low' : null,
+				parse: ( { content } ) => this.parseLinkText( content ),
+			},
+			{
+				id: 'text-scrape',
+				platform: 'instagram',
+				label: 'Text scan',
+				layout: 'Any word in the page that could be a username',
+				kind: 'relationships',
+				formats: [ 'html' ],
+				detect: () => 'low',
+				parse: ( { content } ) =>
+					this.scrapeUsernames( this.stripTags( content ) ).map(
+						( username ) => ( {
+							username: this.sanitizeString( username ),
+							profileUrl: `https://instagram.com/${ username }`,
+							timestamp: '',
+						} )
+					),
+			},
+			{
+				id: 'activity-json',
+				platform: 'instagram',
+				label: 'Activity JSON',
+				layout: 'Like, comment and story interaction entries',
+				kind: 'interactions',
+				formats: [ 'json' ],
+				// Likes and story interactions have a string_list_data,
+				// comments a string_map_data
+				detect: ( { json } ) =>
+					this.detectJSONEntries(
+						json,
+						( entry ) =>
+							Array.isArray( entry.string_list_data ) ||
+							( !! entry.string_map_data &&
+								typeof entry.string_map_data === 'object' )
+					),
+				parse: ( { json, type } ) =>
+					this.parseInteractionData( json, type ),
+			},
+			{
+				id: 'activity-html',
+				platform: 'instagram',
+				label: 'Activity HTML',
+				layout: 'Account headings or Media Owner / Username rows',
+				kind: 'interactions',
+				formats: [ 'html' ],
+				detect: ( { content } ) =>
+					/<h2|Media Owner|Username/i.test( content )
+						? 'medium'
+						: null,
+				parse: ( { content, type } ) =>
+					this.parseInteractionHTML( content, type ),
+			},
+			{
+				id: 'posts-json',
+				platform: 'instagram',
+				label: 'Posts JSON',
+				layout: 'Media entries with a creation_timestamp',
+				kind: 'posts',
+				formats: [ 'json' ],
+				detect: ( { json } ) =>
+					this.detectJSONEntries(
+						json,
+						( entry ) =>
+							Array.isArray( entry.media ) ||
+							Number( entry.creation_timestamp ) > 0
+					),
+				parse: ( { json } ) => this.parsePostData( json ),
+			},
+			{
+				id: 'posts-html',
+				platform: 'instagram',
+				label: 'Posts HTML',
+				layout: 'Post boxes with a caption heading and date',
+				kind: 'posts',
+				formats: [ 'html' ],
+				detect: ( { content } ) =>
+					/uiBoxWhite/i.test( content ) ? 'medium' : null,
+				parse: ( { content } ) => this.parsePostsHTML( content ),
+			},
+			{
+				id: 'tiktok-user-data',
+				platform: 'tiktok',
+				label: 'TikTok user data',
+				layout: 'Following and FansList arrays in user_data.json',
+				kind: 'relationships',
+				formats: [ 'json' ],
+				detect: ( { json, type } ) =>
+					this.findTikTokList( json, type ) ? 'high' : null,
+				parse: ( { json, type } ) =>
+					this.parseTikTokList( this.findTikTokList( json, type ) ),
+			},
+			{
+				id: 'x-archive',
+				platform: 'x',
+				label: 'X archive',
+				layout: 'window.YTD follower and following parts',
+				kind: 'relationships',
+				formats: [ 'js' ],
+				detect: ( { json, type } ) =>
+					Array.isArray( json ) &&
+					json.every(
+						( entry ) => entry && entry[ this.getXEntryKey( type ) ]
+					)
+						? 'high'
+						: null,
+				parse: ( { json, type } ) => this.parseXEntries( json, type ),
+			},
+			{
+				id: 'x-tweet-mentions',
+				platform: 'x',
+				label: 'X tweet mentions',
+				layout: 'window.YTD tweet parts with user_mentions',
+				kind: 'handles',
+				formats: [ 'js' ],
+				detect: ( { json } ) =>
+					Array.isArray( json ) &&
+					json.every( ( entry ) => entry && entry.tweet )
+						? 'high'
+						: null,
+				parse: ( { json } ) => this.parseXMentions( json ),
+			},
+		];
+	}
+
+	getFileKind( type ) {
+		if ( this.interactionFolders[ type ] ) {
+			return 'interactions';
+		}
+
+		if ( type === 'handles' ) {
+			return 'handles';
+		}
+
+		return type === 'posts' ? 'posts' : 'relationships';
+	}
+
+	getJSONEntries( data ) {
+		// Activity and post files either are an array or wrap one or more
+		// arrays, e.g. { likes_media_likes: [...] } or { comments_reels_comments: [...] }
+		if ( Array.isArray( data ) ) {
+			return data;
+		}
+
+		return data && typeof data === 'object'
+			? Object.values( data ).filter( Array.isArray ).flat()
+			: [];
+	}
+
+	detectJSONEntries( json, isEntry ) {
+		const entries = this.getJSONEntries( json );
+
+		// An empty list is still a file we recognise
+		if ( entries.length === 0 ) {
+			return Array.isArray( json ) ||
+				Object.values( json || {} ).some( Array.isArray )
+				? 'high'
+				: null;
+		}
+
+		const matches = entries.filter(
+			( entry ) => entry && typeof entry === 'object' && isEntry( entry )
+		).length;
+
+		if ( matches === entries.length ) {
+			return 'high';
+		}
+
+		return matches > 0 ? 'low' : null;
+	}
+
+	detectStrategies( kind, input ) {
+		return this.strategies
+			.filter(
+				( strategy ) =>
+					( strategy.platform || 'instagram' ) === input.platform &&
+					strategy.kind === kind &&
+					strategy.formats.includes( input.format )
+			)
+			.map( ( strategy ) => {
+				try {
+					return { strategy, confidence: strategy.detect( input ) };
+				} catch ( error ) {
+					return { strategy, confidence: null };
+				}
+			} )
+			.filter( ( { confidence } ) => this.confidenceLevels[ confidence ] )
+			.sort(
+				( a, b ) =>
+					this.confidenceLevels[ b.confidence ] -
+					this.confidenceLevels[ a.confidence ]
+			);
+	}
+
+	cancel() {
+		this.cancelled = true;
+	}
+
+	throwIfCancelled() {
+		if ( this.cancelled ) {
+			throw new DOMException( 'Analysis cancelled', 'AbortError' );
+		}
+	}
+
+	reportProgress( percentage, message = '' ) {
+		this.onProgress( Math.min( 100, Math.round( percentage ) ), message );
+	}
+
+	async analyzeExportFile( file ) {
+		// TikTok also offers its export as a bare user_data.json, which is
+		// wrapped in an in-memory ZIP so it goes through the same steps
+		if ( file.name && file.name.toLowerCase().endsWith( '.json' ) ) {
+			if ( typeof JSZip === 'undefined' ) {
+				throw new Error( 'JSZip library not loaded' );
+			}
+
+			this.reportProgress( 5, 'Reading export file' );
+
+			const zipContent = new JSZip();
+			zipContent.file( 'user_data.json', await file.text() );
+			this.throwIfCancelled();
+
+			return this.analyzeZipContent( zipContent );
+		}
+
+		return this.analyzeZipFile( file );
+	}
+
+	async analyzeZipFile( file ) {
+		// Check if JSZip is available
+		if ( typeof JSZip === 'undefined' ) {
+			throw new Error( 'JSZip library not loaded' );
+		}
+
+		this.reportProgress( 5, 'Reading ZIP file' );
+
+		const zip = new JSZip();
+		const zipContent = await zip.loadAsync( file );
+		this.throwIfCancelled();
+
+		return this.analyzeZipContent( zipContent );
+	}
+
+	async analyzeZipContent( zipContent ) {
+		const platform = this.detectPlatform( zipContent );
+
+		// Decompressing and parsing the export files takes 20% to 90%
+		const jobs = [];
+		const accounts = {};
+
+		const interactions = [];
+		const posts = [];
+		const handles = [];
+		const diagnostics = { files: [], ignoredFiles: 0, warnings: [] };
+
+		if ( platform === 'instagram' ) {
+			Object.keys( this.relationshipFiles ).forEach( ( type ) => {
+				accounts[ type ] = [];
+				this.findExportFiles( zipContent, type ).forEach( ( entry ) => {
+					jobs.push( { entry, type } );
+				} );
+			} );
+
+			Object.keys( this.interactionFolders ).forEach( ( type ) => {
+				this.findInteractionFiles( zipContent, type ).forEach(
+					( entry ) => {
+						jobs.push( { entry, type } );
+					}
+				);
+			} );
+
+			this.findPostFiles( zipContent ).forEach( ( entry ) => {
+				jobs.push( { entry, type: 'posts' } );
+			} );
+		} else {
+			// Other platforms' archives only provide the two follower lists, and
+			// on X the user's own posts to look up handles
+			Object.keys( this.platformFiles[ platform ] ).forEach( ( type ) => {
+				accounts[ type ] = [];
+				this.findPlatformFiles( zipContent, platform, type ).forEach(
+					( entry ) => {
+						jobs.push( { entry, type } );
+					}
+				);
+			} );
+
+			const handleFiles = this.handleFiles[ platform ]
+				? this.findPlatformFiles( zipContent, platform, 'handles' )
+				: [];
+			handleFiles.forEach( ( entry ) => {
+				jobs.push( { entry, type: 'handles' } );
+			} );
+		}
+
+		const jobFiles = new Set( jobs.map( ( job ) => job.entry.name ) );
+		zipContent.forEach( ( relativePath, zipEntry ) => {
+			if ( ! zipEntry.dir && ! jobFiles.has( zipEntry.name ) ) {
+				diagnostics.ignoredFiles++;
+			}
+		} );
+
+		const share = 70 / Math.max( jobs.length, 1 );
+
+		this.reportProgress( 20, `Found ${ jobs.length } files to analyze` );
+
+		for ( let index = 0; index < jobs.length; index++ ) {
+			const { entry, type } = jobs[ index ];
+			const basename = entry.name.split( '/' ).pop();
+			const base = 20 + index * share;
+
+			const { items, diagnostic } = await this.parseExportFile(
+				entry,
+				type,
+				( percent ) => {
+					this.reportProgress(
+						base + ( share * percent ) / 100,
+						`Reading ${ basename }`
+					);
+				},
+				platform
+			);
+			diagnostics.files.push( diagnostic );
+			if ( accounts[ type ] ) {
+				accounts[ type ].push( ...items );
+			} else if ( type === 'handles' ) {
+				handles.push( ...items );
+			} else {
+				( type === 'posts' ? posts : interactions ).push( ...items );
+			}
+
+			this.throwIfCancelled();
+			this.reportProgress( base + share, `Parsed ${ basename }` );
+		}
+
+		this.reportProgress( 95, 'Comparing followers and following' );
+
+		const { followers, following, ...otherLists } = accounts;
+		const result = this.analyzeFollowerData(
+			followers,
+			following,
+			otherLists
+		);
+
+		// Engagement can only be measured when the export has activity files
+		if ( jobs.some( ( job ) => this.interactionFolders[ job.type ] ) ) {
+			Object.assign(
+				result,
+				this.analyzeEngagement( result.following, interactions )
+			);
+			result.stats.neverEngagedCount = result.neverEngaged.length;
+		}
+
+		// Posting insights need the user's own content/posts_*.json|html
+		if ( jobs.some( ( job ) => job.type === 'posts' ) ) {
+			result.postInsights = this.analyzePosts( posts );
+		}
+
+		if ( handles.length > 0 ) {
+			result.accountHandles = this.mapAccountHandles(
+				handles,
+				result.followers.concat( result.following )
+			);
+		}
+
+		result.platform = platform;
+		result.diagnostics = this.summarizeDiagnostics( diagnostics );
+
+		this.reportProgress( 100, 'Analysis complete' );
+
+		return result;
+	}
+
+	async parseExportFile(
+		entry,
+		type,
+		onUpdate = () => {},
+		platform = 'instagram'
+	) {
+		const extension = entry.name.toLowerCase().split( '.' ).pop();
+		const format = [ 'json', 'js' ].includes( extension )
+			? extension
+			: 'html';
+		const diagnostic = {
+			file: entry.name,
+			type,
+			format,
+			parser: '',
+			confidence: '',
+			count: 0,
+			status: 'skipped',
+			reason: '',
+		};
+
+		try {
+			const content = await entry.async( 'text', ( metadata ) => {
+				this.throwIfCancelled();
+				onUpdate( metadata.percent );
+			} );
+
+			const input = { content, format, type, platform, file: entry.name };
+			if ( format !== 'html' ) {
+				try {
+					// X archive files assign their JSON to window.YTD.*
+					input.json = JSON.parse(
+						format === 'js'
+							? content.replace( /^[^=[{]*=\s*/, '' )
+							: content
+					);
+				} catch ( error ) {
+					diagnostic.reason = 'Not valid JSON';
+					return { items: [], diagnostic };
+				}
+			}
+
+			const candidates = this.detectStrategies(
+				this.getFileKind( type ),
+				input
+			);
+			if ( candidates.length === 0 ) {
+				diagnostic.reason = 'No parser recognises this file layout';
+				return { items: [], diagnostic };
+			}
+
+			// Less confident strategies only get a go when the better ones
+			// come up empty
+			let match = null;
+			for ( const candidate of candidates ) {
+				const items = candidate.strategy.parse( input ) || [];
+				if ( items.length > 0 ) {
+					match = { ...candidate, items };
+					break;
+				}
+			}
+
+			if ( ! match ) {
+				// A recognised file with nothing in it, e.g. no blocked accounts
+				Object.assign( diagnostic, {
+					parser: candidates[ 0 ].strategy.label,
+					confidence: candidates[ 0 ].confidence,
+					status: 'empty',
+				} );
+				return { items: [], diagnostic };
+			}
+
+			Object.assign( diagnostic, {
+				parser: match.strategy.label,
+				confidence: match.confidence,
+				count: match.items.length,
+			} );
+
+			if ( match.confidence === 'low' ) {
+				diagnostic.reason =
+					'Only a low-confidence parser could read this file';
+				return { items: [], diagnostic };
+			}
+
+			diagnostic.status = 'parsed';
+			return { items: match.items, diagnostic };
+		} catch ( error ) {
+			if ( error.name === 'AbortError' ) {
+				throw error;
+			}
+
+			console.warn(
+				`Error processing ${ type } file:`,
+				entry.name,
+				error
+			);
+			diagnostic.reason = error.message;
+			return { items: [], diagnostic };
+		}
+	}
+
+	summarizeDiagnostics( diagnostics ) {
+		const warnings = [];
+		const readable = ( type ) =>
+			diagnostics.files.some(
+				( file ) => file.type === type && file.status !== 'skipped'
+			);
+
+		[ 'followers', 'following' ].forEach( ( type ) => {
+			if ( ! diagnostics.files.some( ( file ) => file.type === type ) ) {
+				warnings.push( `No ${ type } file was found in this export.` );
+			}
+		} );
+
+		diagnostics.files
+			.filter( ( file ) => file.status === 'skipped' )
+			.forEach( ( file ) => {
+				const basename = file.file.split( '/' ).pop();
+				warnings.push(
+					file.confidence === 'low'
+						? `${ basename } could only be read by guessing (${ file.count } possible entries), so it was left out rather than risk showing wrong results.`
+						: `${ basename } was skipped: ${ file.reason }.`
+				);
+			} );
+
+		return {
+			...diagnostics,
+			warnings,
+			// Follower comparisons are only trustworthy when both lists were
+			// read in full
+			complete:
+				readable( 'followers' ) &&
+				readable( 'following' ) &&
+				! diagnostics.files.some(
+					( file ) =>
+						[ 'followers', 'following' ].includes( file.type ) &&
+						file.status === 'skipped'
+				),
+		};
+	}
+
+	detectPlatform( zipContent ) {
+		const basenames = [];
+		zipContent.forEach( ( relativePath, zipEntry ) => {
+			if ( ! zipEntry.dir ) {
+				basenames.push( relativePath.toLowerCase().split( '/' ).pop() );
+			}
+		} );
+
+		return (
+			Object.keys( this.platformFiles ).find( ( platform ) =>
+				basenames.some( ( basename ) =>
+					this.platformFiles[ platform ].followers.test( basename )
+				)
+			) || 'instagram'
+		);
+	}
+
+	findPlatformFiles( zipContent, platform, type ) {
+		const files = [];
+		const pattern =
+			type === 'handles'
+				? this.handleFiles[ platform ]
+				: this.platformFiles[ platform ][ type ];
+
+		zipContent.forEach( ( relativePath, zipEntry ) => {
+			const basename = relativePath.toLowerCase().split( '/' ).pop();
+
+			if ( ! zipEntry.dir && pattern.test( basename ) ) {
+				files.push( zipEntry );
+			}
+		} );
+
+		return files;
+	}
+
+	findTikTokList( data, type, depth = 0 ) {
+		const key = type === 'followers' ? 'FansList' : 'Following';
+
+		if ( ! data || typeof data !== 'object' || depth > 4 ) {
+			return null;
+		}
+
+		// The lists sit a few levels down, e.g. Activity > Follower List >
+		// FansList, and the section names vary between export versions
+		if ( Array.isArray( data[ key ] ) ) {
+			return data[ key ];
+		}
+
+		for ( const value of Object.values( data ) ) {
+			if (
+				value &&
+				typeof value === 'object' &&
+				! Array.isArray( value )
+			) {
+				const list = this.findTikTokList( value, type, depth + 1 );
+				if ( list ) {
+					return list;
+				}
+			}
+		}
+
+		return null;
+	}
+
+	parseTikTokList( entries ) {
+		const accounts = [];
+
+		entries.forEach( ( entry ) => {
+			const username = String(
+				( entry && ( entry.UserName || entry.Username ) ) || ''
+			).replace( /^@/, '' );
+
+			if ( ! /^[a-zA-Z0-9_.]{1,30}$/.test( username ) ) {
+				return;
+			}
+
+			// Dates are UTC, written as "2023-01-31 18:05:12"
+			const date = new Date(
+				`${ String( entry.Date || '' ).replace( ' ', 'T' ) }Z`
+			);
+
+			accounts.push( {
+				username: this.sanitizeString( username ),
+				profileUrl: `https://www.tiktok.com/@${ username }`,
+				timestamp: isNaN( date ) ? '' : date.toISOString(),
+			} );
+		} );
+
+		return accounts;
+	}
+
+	getXEntryKey( type ) {
+		return type === 'followers' ? 'follower' : 'following';
+	}
+
+	parseXEntries( entries, type ) {
+		const accounts = [];
+		const key = this.getXEntryKey( type );
+
+		// X archives only identify accounts by their numeric ID
+		entries.forEach( ( entry ) => {
+			const accountId = String( entry[ key ].accountId || '' );
+
+			if ( ! /^\d{1,30}$/.test( accountId ) ) {
+				return;
+			}
+
+			accounts.push( {
+				username: accountId,
+				profileUrl: `https://x.com/i/user/${ accountId }`,
+				timestamp: '',
+			} );
+		} );
+
+		return accounts;
+	}
+
+	parseXMentions( entries ) {
+		const mentions = [];
+		const add = ( id, handle ) => {
+			const accountId = String( id || '' );
+			const username = String( handle || '' ).toLowerCase();
+
+			if (
+				/^\d{1,30}$/.test( accountId ) &&
+				/^[a-z0-9_]{1,15}$/.test( username )
+			) {
+				mentions.push( { accountId, username } );
+			}
+		};
+
+		// Replies and @mentions are the only places the archive pairs
+		// another account's ID with its handle
+		entries.forEach( ( { tweet } ) => {
+			add( tweet.in_reply_to_user_id_str, tweet.in_reply_to_screen_name );
+
+			const userMentions =
+				( tweet.entities && tweet.entities.user_mentions ) || [];
+			userMentions.forEach( ( mention ) => {
+				add( mention.id_str || mention.id, mention.screen_name );
+			} );
+		} );
+
+		return mentions;
+	}
+
+	mapAccountHandles( mentions, accounts ) {
+		const ids = new Set( accounts.map( ( account ) => account.username ) );
+		const map = {};
+
+		// Only accounts in the follower lists are kept
+		mentions.forEach( ( { accountId, username } ) => {
+			if ( ids.has( accountId ) && ! map[ accountId ] ) {
+				map[ accountId ] = username;
+			}
+		} );
+
+		return map;
+	}
+
+	findExportFiles( zipContent, type ) {
+		const files = [];
+
+		// Matches followers.html, followers_1.json, following.json, etc. but
+		// not neighbours such as following_hashtags.json
+		const basenames = this.relationshipFiles[ type ] || [ type ];
+		const pattern = new RegExp(
+			`^(${ basenames.join( '|' ) })(_\\d+)?\\.(html|json)$`
+		);
+
+		zipContent.forEach( ( relativePath, zipEntry ) => {
+			const basename = relativePath.toLowerCase().split( '/' ).pop(); // Get just the filename without path
+
+			if ( ! zipEntry.dir && pattern.test( basename ) ) {
+				files.push( zipEntry );
+			}
+		} );
+
+		return files;
+	}
+
+	findInteractionFiles( zipContent, type ) {
+		const files = [];
+		const folder = this.interactionFolders[ type ];
+
+		zipContent.forEach( ( relativePath, zipEntry ) => {
+			const segments = relativePath.toLowerCase().split( '/' );
+			const basename = segments.pop();
+
+			if (
+				! zipEntry.dir &&
+				segments.includes( folder ) &&
+				/\.(html|json)$/.test( basename )
+			) {
+				files.push( zipEntry );
+			}
+		} );
+
+		return files;
+	}
+
+	findPostFiles( zipContent ) {
+		const files = [];
+
+		zipContent.forEach( ( relativePath, zipEntry ) => {
+			const segments = relativePath.toLowerCase().split( '/' );
+			const basename = segments.pop();
+
+			if (
+				! zipEntry.dir &&
+				segments.includes( 'content' ) &&
+				/^posts(_\d+)?\.(html|json)$/.test( basename )
+			) {
+				files.push( zipEntry );
+			}
+		} );
+
+		return files;
+	}
+
+	parseInteractionData( data, type ) {
+		const interactions = [];
+
+		try {
+			this.getJSONEntries( data ).forEach( ( entry ) => {
+				const interaction = this.extractInteractionInfo( entry, type );
+				if ( interaction ) {
+					interactions.push( interaction );
+				}
+			} );
+		} catch ( error ) {
+			console.error( `Error parsing Instagram ${ type } JSON:`, error );
+		}
+
+		return interactions;
+	}
+
+	extractInteractionInfo( entry, type ) {
+		if ( ! entry || typeof entry !== 'object' ) {
+			return null;
+		}
+
+		const mapData = entry.string_map_data || {};
+		const listData = Array.isArray( entry.string_list_data )
+			? entry.string_list_data[ 0 ] || {}
+			: {};
+
+		// Likes and story interactions are titled with the account, comments
+		// name it in their string map
+		const username = (
+			entry.title ||
+			( mapData[ 'Media Owner' ] && mapData[ 'Media Owner' ].value ) ||
+			( mapData.Username && mapData.Username.value ) ||
+			''
+		)
+			.toString()
+			.replace( /^@/, '' );
+
+		if ( ! /^[a-zA-Z0-9_.]{1,30}$/.test( username ) ) {
+			return null;
+		}
+
+		const timestamp = Number(
+			listData.timestamp || ( mapData.Time && mapData.Time.timestamp )
+		);
+
+		return {
+			username: this.sanitizeString( username ),
+			type,
+			timestamp:
+				timestamp > 0 ? new Date( timestamp * 1000 ).toISOString() : '',
+		};
+	}
+
+	parseInteractionHTML( htmlContent, type ) {
+		const interactions = [];
+
+		// Each entry is headed by the account name, or names it in a
+		// "Media Owner" / "Username" table row
+		const patterns = [
+			/<h2[^>]*>\s*@?([a-zA-Z0-9_.]{1,30})\s*<\/h2>/gi,
+			/>\s*(?:Media Owner|Username)\s*<\/td>\s*<td[^>]*>(?:\s*<[^>]+>)*\s*@?([a-zA-Z0-9_.]{1,30})\s*</gi,
+		];
+
+		patterns.forEach( ( pattern ) => {
+			for ( const match of htmlContent.matchAll( pattern ) ) {
+				const nextEntry = htmlContent.indexOf(
+					'<h2',
+					match.index + match[ 0 ].length
+				);
+				interactions.push( {
+					username: this.sanitizeString( match[ 1 ] ),
+					type,
+					timestamp: this.findMarkupTimestamp(
+						htmlContent.slice(
+							match.index + match[ 0 ].length,
+							nextEntry > -1 ? nextEntry : undefined
+						)
+					),
+				} );
+			}
+		} );
+
+		return interactions;
+	}
+
+	analyzeEngagement( following, interactions ) {
+		// The likes, comments and story interaction files list the accounts
+		// *you* interacted with. The export has no record of who interacts
+		// with your posts, so engagement is measured against who you follow.
+		const activity = new Map();
+
+		interactions.forEach( ( interaction ) => {
+			const key = interaction.username.toLowerCase();
+			const record = activity.get( key ) || {
+				interactions: 0,
+				likes: 0,
+				comments: 0,
+				storyInteractions: 0,
+				lastInteraction: '',
+			};
+
+			record.interactions++;
+			record[ interaction.type ]++;
+			if ( interaction.timestamp > record.lastInteraction ) {
+				record.lastInteraction = interaction.timestamp;
+			}
+
+			activity.set( key, record );
+		} );
+
+		const neverEngaged = [];
+		const engagedFollowing = [];
+
+		following.forEach( ( account ) => {
+			const record = activity.get( account.username.toLowerCase() );
+			if ( record ) {
+				engagedFollowing.push( { ...account, ...record } );
+			} else {
+				neverEngaged.push( account );
+			}
+		} );
+
+		engagedFollowing.sort(
+			( a, b ) =>
+				b.interactions - a.interactions ||
+				a.username.localeCompare( b.username )
+		);
+
+		return {
+			neverEngaged,
+			engagedFollowing,
+			engagement: {
+				totalInteractions: interactions.length,
+				engagedCount: engagedFollowing.length,
+				engagementRate:
+					following.length > 0
+						? Math.round(
+								( engagedFollowing.length / following.length ) *
+									100
+						  )
+						: 0,
+			},
+		};
+	}
+
+	parsePostData( data ) {
+		const posts = [];
+
+		try {
+			this.getJSONEntries( data ).forEach( ( entry ) => {
+				if ( ! entry || typeof entry !== 'object' ) {
+					return;
+				}
+
+				// Single photo posts keep the caption and date on the media
+				// item, carousels on the post itself
+				const media = Array.isArray( entry.media )
+					? entry.media[ 0 ] || {}
+					: {};
+				const timestamp = Number(
+					entry.creation_timestamp || media.creation_timestamp
+				);
+
+				if ( ! ( timestamp > 0 ) ) {
+					return;
+				}
+
+				posts.push( {
+					caption: this.decodeExportText(
+						entry.title || media.title || ''
+					),
+					timestamp: new Date( timestamp * 1000 ).toISOString(),
+				} );
+			} );
+		} catch ( error ) {
+			console.error( 'Error parsing Instagram posts JSON:', error );
+		}
+
+		return posts;
+	}
+
+	parsePostsHTML( htmlContent ) {
+		const posts = [];
+
+		// Each post is a box holding an optional caption heading, the media
+		// and the date it was posted
+		const blocks = htmlContent
+			.split( /<div[^>]*class=["'][^"']*uiBoxWhite[^"']*["'][^>]*>/i )
+			.slice( 1 );
+
+		blocks.forEach( ( block ) => {
+			const captionMatch = block.match( /<h2[^>]*>([\s\S]*?)<\/h2>/i );
+			const timestamp = this.findMarkupTimestamp(
+				captionMatch ? block.replace( captionMatch[ 0 ], '' ) : block
+			);
+
+			if ( ! timestamp ) {
+				return;
+			}
+
+			posts.push( {
+				caption: captionMatch
+					? this.decodeEntities( this.stripTags( captionMatch[ 1 ] ) )
+					: '',
+				timestamp,
+			} );
+		} );
+
+		return posts;
+	}
+
+	decodeExportText( text ) {
+		// JSON exports store UTF-8 bytes as escaped Latin-1 characters
+		try {
+			return decodeURIComponent( escape( String( text ) ) );
+		} catch ( error ) {
+			return String( text );
+		}
+	}
+
+	decodeEntities( text ) {
+		return text
+			.replace( /&#(\d+);/g, ( match, code ) =>
+				String.fromCodePoint( Number( code ) )
+			)
+			.replace( /&#x([0-9a-f]+);/gi, ( match, code ) =>
+				String.fromCodePoint( parseInt( code, 16 ) )
+			)
+			.replace( /&quot;/g, '"' )
+			.replace( /&apos;/g, "'" )
+			.replace( /&lt;/g, '<' )
+			.replace( /&gt;/g, '>' )
+			.replace( /&nbsp;/g, ' ' )
+			.replace( /&amp;/g, '&' );
+	}
+
+	extractHashtags( caption ) {
+		return Array.from(
+			caption.matchAll( /#([\p{L}\p{N}_]+)/gu ),
+			( match ) => match[ 1 ].toLowerCase()
+		);
+	}
+
+	analyzePosts( posts ) {
+		const months = new Map();
+		const hashtags = new Map();
+		const heatmap = this.dayNames.map( () => new Array( 24 ).fill( 0 ) );
+		let captionLengthTotal = 0;
+
+		const sorted = [ ...posts ].sort( ( a, b ) =>
+			a.timestamp.localeCompare( b.timestamp )
+		);
+
+		sorted.forEach( ( post ) => {
+			// Group by the user's local time, which is when they posted
+			const date = new Date( post.timestamp );
+			const month = `${ date.getFullYear() }-${ String(
+				date.getMonth() + 1
+			).padStart( 2, '0' ) }`;
+			const record = months.get( month ) || {
+				month,
+				posts: 0,
+				captionLength: 0,
+			};
+
+			record.posts++;
+			record.captionLength += post.caption.length;
+			months.set( month, record );
+
+			heatmap[ date.getDay() ][ date.getHours() ]++;
+			captionLengthTotal += post.caption.length;
+
+			this.extractHashtags( post.caption ).forEach( ( hashtag ) => {
+				hashtags.set( hashtag, ( hashtags.get( hashtag ) || 0 ) + 1 );
+			} );
+		} );
+
+		// Fill in quiet months so gaps show up in the frequency chart
+		const frequency = [];
+		if ( sorted.length > 0 ) {
+			const cursor = new Date( sorted[ 0 ].timestamp );
+			const last = new Date( sorted[ sorted.length - 1 ].timestamp );
+			cursor.setDate( 1 );
+
+			while ( cursor <= last ) {
+				const month = `${ cursor.getFullYear() }-${ String(
+					cursor.getMonth() + 1
+				).padStart( 2, '0' ) }`;
+				const record = months.get( month ) || {
+					month,
+					posts: 0,
+					captionLength: 0,
+				};
+
+				frequency.push( {
+					month,
+					posts: record.posts,
+					averageCaptionLength:
+						record.posts > 0
+							? Math.round( record.captionLength / record.posts )
+							: 0,
+				} );
+				cursor.setMonth( cursor.getMonth() + 1 );
+			}
+		}
+
+		// The busiest day and hour, if there are any posts at all
+		let busiest = null;
+		heatmap.forEach( ( hours, day ) => {
+			hours.forEach( ( count, hour ) => {
+				if ( count > 0 && ( ! busiest || count > busiest.posts ) ) {
+					busiest = { day: this.dayNames[ day ], hour, posts: count };
+				}
+			} );
+		} );
+
+		return {
+			totalPosts: sorted.length,
+			firstPost: sorted.length > 0 ? sorted[ 0 ].timestamp : '',
+			lastPost:
+				sorted.length > 0 ? sorted[ sorted.length - 1 ].timestamp : '',
+			postsPerMonth:
+				frequency.length > 0
+					? Math.round( ( sorted.length / frequency.length ) * 10 ) /
+					  10
+					: 0,
+			averageCaptionLength:
+				sorted.length > 0
+					? Math.round( captionLengthTotal / sorted.length )
+					: 0,
+			frequency,
+			heatmap,
+			busiest,
+			topHashtags: Array.from( hashtags, ( [ hashtag, count ] ) => ( {
+				hashtag,
+				count,
+			} ) )
+				.sort(
+					( a, b ) =>
+						b.count - a.count ||
+						a.hashtag.localeCompare( b.hashtag )
+				)
+				.slice( 0, 30 ),
+			uniqueHashtags: hashtags.size,
+		};
+	}
+
+	parseRelationshipEntries( entries ) {
+		const accounts = [];
+
+		entries.forEach( ( entry ) => {
+			const account = this.extractJSONAccountInfo( entry );
+			if ( account ) {
+				accounts.push( account );
+			}
+		} );
+
+		return accounts;
+	}
+
+	getJSONRelationshipEntries( data ) {
+		// followers_1.json is a bare array of entries
+		if ( Array.isArray( data ) ) {
+			return data;
+		}
+
+		// following.json wraps its entries, e.g. { relationships_following: [...] }
+		const key = this.findRelationshipsKey( data );
+
+		return key ? data[ key ] : [];
+	}
+
+	findRelationshipsKey( data ) {
+		if ( ! data || typeof data !== 'object' ) {
+			return null;
+		}
+
+		return (
+			Object.keys( data ).find(
+				( candidate ) =>
+					candidate.startsWith( 'relationships_' ) &&
+					Array.isArray( data[ candidate ] )
+			) || null
+		);
+	}
+
+	extractJSONAccountInfo( entry ) {
+		if ( ! entry || typeof entry !== 'object' ) {
+			return null;
+		}
+
+		const listData = Array.isArray( entry.string_list_data )
+			? entry.string_list_data[ 0 ] || {}
+			: {};
+
+		// Older exports put the username in "value", newer ones in the entry title
+		let username = listData.value || entry.title || '';
+		let profileUrl = listData.href || '';
+
+		if ( ! username && profileUrl ) {
+			username = this.getUsernameFromProfileUrl( profileUrl );
+		}
+
+		username = String( username ).replace( /^@/, '' );
+		if ( ! username ) {
+			return null;
+		}
+
+		if ( ! profileUrl ) {
+			profileUrl = `https://instagram.com/${ username }`;
+		}
+
+		// Export timestamps are Unix seconds
+		const timestamp = Number( listData.timestamp );
+
+		return {
+			username: this.sanitizeString( username ),
+			profileUrl,
+			timestamp:
+				timestamp > 0 ? new Date( timestamp * 1000 ).toISOString() : '',
+		};
+	}
+
+	getUsernameFromProfileUrl( profileUrl ) {
+		// Newer exports link to instagram.com/_u/username
+		const urlMatch = profileUrl.match(
+			/instagram\.com\/(?:_u\/)?([^/?#]+)/
+		);
+		return urlMatch ? urlMatch[ 1 ].replace( /^@/, '' ) : '';
+	}
+
+	scrapeUsernames( textContent ) {
+		const usernames = [];
+
+		// Look for Instagram username patterns in text
+		const usernameRegex = /@?([a-zA-Z0-9_.]{1,30})/g;
+		let match;
+
+		while ( ( match = usernameRegex.exec( textContent ) ) !== null ) {
+			const username = match[ 1 ];
+
+			// Skip very short or very common words
+			if (
+				username.length < 3 ||
+				/^(the|and|for|you|are|with|com|www)$/i.test( username )
+			) {
+				continue;
+			}
+
+			usernames.push( username );
+		}
+
+		return usernames;
+	}
+
+	parseInstagramMarkup( htmlContent ) {
+		const accounts = [];
+		const linkRegex =
+			/<a\b[^>]*href=["']([^"']*instagram\.com\/[^"']*)["'][^>]*>[\s\S]*?<\/a>/gi;
+		const links = Array.from( htmlContent.matchAll( linkRegex ) );
+
+		links.forEach( ( match, index ) => {
+			const profileUrl = match[ 1 ];
+			// Only the link decides the account. Link text is left to the
+			// low-confidence link scan.
+			const username = this.getUsernameFromProfileUrl( profileUrl );
+
+			if ( ! username ) {
+				return;
+			}
+
+			// The follow date sits in a sibling element before the next link
+			const nextIndex =
+				index + 1 < links.length
+					? links[ index + 1 ].index
+					: htmlContent.length;
+			const timestamp = this.findMarkupTimestamp(
+				htmlContent.slice( match.index + match[ 0 ].length, nextIndex )
+			);
+
+			accounts.push( {
+				username: this.sanitizeString( username ),
+				profileUrl,
+				timestamp: timestamp || '',
+			} );
+		} );
+
+		return accounts;
+	}
+
+	parseLinkText( htmlContent ) {
+		const accounts = [];
+		const linkRegex = /<a\b[^>]*href=["'][^"']*["'][^>]*>([\s\S]*?)<\/a>/gi;
+
+		for ( const match of htmlContent.matchAll( linkRegex ) ) {
+			const textMatch = this.stripTags( match[ 1 ] ).match(
+				/^@?([a-zA-Z0-9_.]{1,30})$/
+			);
+
+			if ( textMatch ) {
+				accounts.push( {
+					username: this.sanitizeString( textMatch[ 1 ] ),
+					profileUrl: `https://instagram.com/${ textMatch[ 1 ] }`,
+					timestamp: '',
+				} );
+			}
+		}
+
+		return accounts;
+	}
+
+	findMarkupTimestamp( markup ) {
+		const datetimeMatch = markup.match( /datetime=["']([^"']+)["']/i );
+		if ( datetimeMatch ) {
+			return datetimeMatch[ 1 ];
+		}
+
+		const textRegex = />([^<>]{6,40})</g;
+		let match;
+
+		while ( ( match = textRegex.exec( markup ) ) !== null ) {
+			const parsed = Date.parse( match[ 1 ].trim() );
+			if ( ! isNaN( parsed ) ) {
+				return new Date( parsed ).toISOString();
+			}
+		}
+
+		return '';
+	}
+
+	stripTags( markup ) {
+		return markup
+			.replace( /<[^>]*>/g, ' ' )
+			.replace( /\s+/g, ' ' )
+			.trim();
+	}
+
+	sanitizeString( str ) {
+		// Remove potentially dangerous characters and trim
+		return str
+			.replace( /[<>\"'&]/g, '' )
+			.trim()
+			.substring( 0, 50 );
+	}
+
+	analyzeFollowerData( followers, following, otherLists = {} ) {
+		// Remove duplicates and create lookup maps
+		const uniqueFollowers = this.removeDuplicates( followers );
+		const uniqueFollowing = this.removeDuplicates( following );
+		const byUsername = ( a, b ) => a.username.localeCompare( b.username );
+
+		// Create Sets of usernames for fast lookup
+		const followerSet = new Set(
+			uniqueFollowers.map( ( account ) => account.username.toLowerCase() )
+		);
+		const followingSet = new Set(
+			uniqueFollowing.map( ( account ) => account.username.toLowerCase() )
+		);
+
+		// Find accounts you're following that don't follow you back
+		const notFollowingBack = uniqueFollowing.filter( ( account ) => {
+			return ! followerSet.has( account.username.toLowerCase() );
+		} );
+
+		// Find accounts that follow you that you don't follow back
+		const fans = uniqueFollowers.filter( ( account ) => {
+			return ! followingSet.has( account.username.toLowerCase() );
+		} );
+
+		// Accounts that follow each other, keeping the date you followed them
+		const mutuals = uniqueFollowing.filter( ( account ) => {
+			return followerSet.has( account.username.toLowerCase() );
+		} );
+
+		// Sort accounts by username for consistent display
+		uniqueFollowers.sort( byUsername );
+		uniqueFollowing.sort( byUsername );
+		notFollowingBack.sort( byUsername );
+		fans.sort( byUsername );
+		mutuals.sort( byUsername );
+
+		const result = {
+			followers: uniqueFollowers,
+			following: uniqueFollowing,
+			notFollowingBack,
+			fans,
+			mutuals,
+			stats: {
+				totalFollowers: uniqueFollowers.length,
+				totalFollowing: uniqueFollowing.length,
+				notFollowingBackCount: notFollowingBack.length,
+				fansCount: fans.length,
+				mutualCount: mutuals.length,
+				followerToFollowingRatio:
+					uniqueFollowers.length > 0
+						? (
+								uniqueFollowing.length / uniqueFollowers.length
+						  ).toFixed( 2 )
+						: 0,
+			},
+		};
+
+		// Close friends, requests, blocked accounts, etc. are listed as-is
+		Object.keys( otherLists ).forEach( ( key ) => {
+			result[ key ] = this.removeDuplicates( otherLists[ key ] ).sort(
+				byUsername
+			);
+			result.stats[ `${ key }Count` ] = result[ key ].length;
+		} );
+
+		return result;
+	}
+
+	removeDuplicates( accounts ) {
+		const seen = new Set();
+		const unique = [];
+
+		for ( const account of accounts ) {
+			const key = account.username.toLowerCase();
+			if ( ! seen.has( key ) ) {
+				seen.add( key );
+				unique.push( account );
+			}
+		}
+
+		return unique;
+	}
+}
+
+// Strategies registered by add-ons, picked up by every parser instance. Add-on
+// scripts must also be loaded into the analyzer worker to take part there.
+InstagramExportParser.customStrategies = [];
+InstagramExportParser.registerStrategy = ( strategy ) => {
+	InstagramExportParser.customStrategies.push( strategy );
+};
@@ -139,6 +139,7 @@ class StateManager {
 			if ( this.storage.available ) {
 				const engine = this.getStorageEngine();
 				engine.setItem( fullKey, JSON.stringify( storageData ) );
+				delete this.fallbackData[ fullKey ];
 			} else {
 				// Fallback to memory storage
 				this.fallbackData[ fullKey ] = storageData;
@@ -173,14 +174,13 @@ class StateManager {
 		try {
 			let rawData = null;
 
-			if ( this.storage.available ) {
+			// The memory fallback also holds writes that didn't fit in
+			// storage, which are newer than what storage still has
+			if ( this.fallbackData[ fullKey ] ) {
+				rawData = JSON.stringify( this.fallbackData[ fullKey ] );
+			} else if ( this.storage.available ) {
 				const engine = this.getStorageEngine();
 				rawData = engine.getItem( fullKey );
-			} else {
-				// Use memory fallback
-				rawData = this.fallbackData[ fullKey ]
-					? JSON.stringify( this.fallbackData[ fullKey ] )
-					: null;
 			}
 
 			if ( ! rawData ) {
@@ -190,7 +190,9 @@ class StateManager {
 			const storageData = JSON.parse( rawData );
 
 			// Check if data is expired
-			if ( this.isExpired( storageData.timestamp ) ) {
+			if (
+				this.isExpired( storageData.timestamp, storageData.options )
+			) {
 				this.removeItem( key );
 				return null;
 			}
@@ -218,8 +220,11 @@ class StateManager {
 		}
 	}
 
-	isExpired( timestamp ) {
-		return Date.now() - timestamp > this.config.maxDataAge;
+	isExpired( timestamp, options = {} ) {
+		// Items may carry their own maxAge, otherwise use the configured default
+		const maxAge =
+			options && options.maxAge ? options.maxAge : this.config.maxDataAge;
+		return Date.now() - timestamp > maxAge;
 	}
 
 	cleanupExpiredData() {
@@ -228,7 +233,7 @@ class StateManager {
 			Object.keys( this.fallbackData ).forEach( ( key ) => {
 				if ( key.startsWith( this.config.storagePrefix ) ) {
 					const data = this.fallbackData[ key ];
-					if ( this.isExpired( data.timestamp ) ) {
+					if ( this.isExpired( data.timestamp, data.options ) ) {
 						delete this.fallbackData[ key ];
 					}
 				}
@@ -246,7 +251,12 @@ class StateManager {
 					const rawData = engine.getItem( key );
 					if ( rawData ) {
 						const storageData = JSON.parse( rawData );
-						if ( this.isExpired( storageData.timestamp ) ) {
+						if (
+							this.isExpired(
+								storageData.timestamp,
+								storageData.options
+							)
+						) {
 							keysToRemove.push( key );
 						}
 					}
@@ -309,17 +319,47 @@ class StateManager {
 		return this.getItem( 'analysis_data' );
 	}
 
-	saveWhitelist( whitelist ) {
-		return this.setItem( 'whitelist', whitelist, { type: 'whitelist' } );
+	getPlatformKey( key, platform = 'instagram' ) {
+		// Instagram keeps the original keys so existing data carries over
+		return platform === 'instagram' ? key : `${ key }_${ platform }`;
+	}
+
+	saveWhitelist( whitelist, platform = 'instagram' ) {
+		return this.setItem(
+			this.getPlatformKey( 'whitelist', platform ),
+			whitelist,
+			{ type: 'whitelist', platform }
+		);
 	}
 
-	getWhitelist() {
-		return this.getItem( 'whitelist' ) || [];
+	getWhitelist( platform = 'instagram' ) {
+		return (
+			this.getItem( this.getPlatformKey( 'whitelist', platform ) ) || []
+		);
+	}
+
+	saveWhitelistDetails( details, platform = 'instagram' ) {
+		return this.setItem(
+			this.getPlatformKey( 'whitelist_details', platform ),
+			details,
+			{ type: 'whitelist', platform }
+		);
+	}
+
+	getWhitelistDetails( platform = 'instagram' ) {
+		return (
+			this.getItem(
+				this.getPlatformKey( 'whitelist_details', platform )
+			) || {}
+		);
 	}
 
 	saveUserPreferences( preferences ) {
+		// Preferences also hold saved filter presets, which should outlast
+		// the default data age
 		return this.setItem( 'preferences', preferences, {
 			type: 'preferences',
+			maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year for preferences
 		} );
 	}
 
@@ -352,25 +392,84 @@ class StateManager {
 		this.removeItem( 'form_state' );
 	}
 
-	saveViewedAccounts( viewedAccounts ) {
-		return this.setItem( 'viewed_accounts', viewedAccounts, { type: 'viewed' } );
+	saveViewedAccounts( viewedAccounts, platform = 'instagram' ) {
+		return this.setItem(
+			this.getPlatformKey( 'viewed_accounts', platform ),
+			viewedAccounts,
+			{ type: 'viewed', platform }
+		);
 	}
 
-	getViewedAccounts() {
-		return this.getItem( 'viewed_accounts' ) || [];
+	getViewedAccounts( platform = 'instagram' ) {
+		return (
+			this.getItem(
+				this.getPlatformKey( 'viewed_accounts', platform )
+			) || []
+		);
 	}
 
-	markAccountAsViewed( username ) {
-		const viewedAccounts = this.getViewedAccounts();
+	markAccountAsViewed( username, platform = 'instagram' ) {
+		const viewedAccounts = this.getViewedAccounts( platform );
 		if ( ! viewedAccounts.includes( username ) ) {
 			viewedAccounts.push( username );
-			this.saveViewedAccounts( viewedAccounts );
+			this.saveViewedAccounts( viewedAccounts, platform );
 		}
 		return true;
 	}
 
-	clearViewedAccounts() {
-		this.removeItem( 'viewed_accounts' );
+	clearViewedAccounts( platform = 'instagram' ) {
+		this.removeItem( this.getPlatformKey( 'viewed_accounts', platform ) );
+	}
+
+	saveSnapshots( snapshots ) {
+		// The snapshot list only has dates and counts. Follower lists are
+		// kept per snapshot so one large account can't fill the quota.
+		return this.setItem( 'snapshots', snapshots, {
+			type: 'snapshots',
+			maxAge: 2 * 365 * 24 * 60 * 60 * 1000, // 2 years for follower history
+		} );
+	}
+
+	getSnapshots() {
+		return this.getItem( 'snapshots' ) || [];
+	}
+
+	saveSnapshotLists( id, lists ) {
+		return this.setItem( `snapshot_lists_${ id }`, lists, {
+			type: 'snapshots',
+			maxAge: 2 * 365 * 24 * 60 * 60 * 1000, // 2 years for follower history
+		} );
+	}
+
+	getSnapshotLists( id ) {
+		return this.getItem( `snapshot_lists_${ id }` );
+	}
+
+	removeSnapshotLists( id ) {
+		this.removeItem( `snapshot_lists_${ id }` );
+	}
+
+	saveCleanupLedger( ledger, platform = 'instagram' ) {
+		return this.setItem(
+			this.getPlatformKey( 'cleanup_ledger', platform ),
+			ledger,
+			{
+				type: 'cleanup',
+				platform,
+				maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year for cleanup progress
+			}
+		);
+	}
+
+	getCleanupLedger( platform = 'instagram' ) {
+		return (
+			this.getItem(
+				this.getPlatformKey( 'cleanup_ledger', platform )
+			) || {
+				entries: [],
+				updatedAt: null,
+			}
+		);
 	}
 }
 
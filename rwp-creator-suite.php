@@ -221,6 +221,9 @@ class RWP_Creator_Suite {
 
         // Instagram Analyzer Module
         require_once RWP_CREATOR_SUITE_PLUGIN_DIR . 'src/modules/instagram-analyzer/class-instagram-analyzer-api.php';
+
+        // Instagram Banner Module
+        require_once RWP_CREATOR_SUITE_PLUGIN_DIR . 'src/modules/instagram-banner/class-instagram-banner-api.php';
         
         // Caption Writer Module
         require_once RWP_CREATOR_SUITE_PLUGIN_DIR . 'src/modules/caption-writer/class-key-manager.php';
@@ -419,6 +422,18 @@ class RWP_Creator_Suite {
             
             // Instagram analyzer
             'instagram_analyzer_whitelist',
+            'instagram_analyzer_whitelist_tiktok',
+            'instagram_analyzer_whitelist_x',
+            'instagram_analyzer_whitelist_details',
+            'instagram_analyzer_whitelist_details_tiktok',
+            'instagram_analyzer_whitelist_details_x',
+            'instagram_analyzer_snapshots',
+            'instagram_analyzer_cleanup',
+            'instagram_analyzer_cleanup_tiktok',
+            'instagram_analyzer_cleanup_x',
+
+            // Instagram banner
+            'instagram_banner_projects',
         );
 
         foreach ( $meta_keys_to_delete as $meta_key ) {
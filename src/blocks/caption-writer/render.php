@@ -178,6 +178,10 @@ $wrapper_attributes = get_block_wrapper_attributes( array(
                     </select>
                 </div>
                 
+                <div class="template-form-section" data-template-form style="display: none;">
+                    <!-- The chosen template's fill-in form is built via JavaScript -->
+                </div>
+                
                 <div class="templates-grid" data-templates-grid>
                     <!-- Templates will be loaded via JavaScript -->
                 </div>
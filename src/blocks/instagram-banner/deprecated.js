@@ -0,0 +1,25 @@
+import { useBlockProps } from '@wordpress/block-editor';
+
+// Before 1.1.0 the block had no settings and saved an empty app container
+const v1 = {
+	attributes: {
+		alignment: {
+			type: 'string',
+			default: 'none',
+		},
+	},
+	save() {
+		const blockProps = useBlockProps.save();
+
+		return (
+			<div { ...blockProps }>
+				<div
+					className="blk-instagram-banner-container"
+					id="instagram-banner-app"
+				></div>
+			</div>
+		);
+	},
+};
+
+export default [ v1 ];
@@ -1,20 +1,240 @@
-import { __ } from '@wordpress/i18n';
-import { useBlockProps } from '@wordpress/block-editor';
-import { Placeholder, Icon } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import { useBlockProps, InspectorControls } from '@wordpress/block-editor';
+import {
+	Placeholder,
+	Icon,
+	PanelBody,
+	SelectControl,
+	RangeControl,
+	CheckboxControl,
+	RadioControl,
+} from '@wordpress/components';
 
-export default function Edit() {
+// Matches the layouts the front-end app offers
+const LAYOUT_OPTIONS = [
+	...Array.from( { length: 9 }, ( _, index ) => ( {
+		label: sprintf(
+			/* translators: %d: number of panels */
+			__( '%d panels in a row', 'rwp-creator-suite' ),
+			index + 2
+		),
+		value: `row-${ index + 2 }`,
+	} ) ),
+	{ label: __( '3 × 2 grid', 'rwp-creator-suite' ), value: 'grid-3x2' },
+	{ label: __( '3 × 3 grid', 'rwp-creator-suite' ), value: 'grid-3x3' },
+];
+
+const ASPECT_OPTIONS = [
+	{ label: __( 'Portrait 4:5', 'rwp-creator-suite' ), value: '4:5' },
+	{ label: __( 'Portrait 3:4', 'rwp-creator-suite' ), value: '3:4' },
+	{ label: __( 'Square 1:1', 'rwp-creator-suite' ), value: '1:1' },
+];
+
+const EXPORT_FORMATS = [
+	{ label: __( 'JPEG', 'rwp-creator-suite' ), value: 'jpeg' },
+	{ label: __( 'PNG', 'rwp-creator-suite' ), value: 'png' },
+	{ label: __( 'WebP', 'rwp-creator-suite' ), value: 'webp' },
+];
+
+export default function Edit( { attributes, setAttributes } ) {
 	const blockProps = useBlockProps();
+	const {
+		mode,
+		layout,
+		slides,
+		aspect,
+		gapSize,
+		exportFormats,
+		maxUploadSize,
+		guestAccess,
+	} = attributes;
+
+	const toggleExportFormat = ( format, checked ) => {
+		// Kept in the order the download menu lists them
+		setAttributes( {
+			exportFormats: EXPORT_FORMATS.map(
+				( option ) => option.value
+			).filter( ( value ) =>
+				value === format ? checked : exportFormats.includes( value )
+			),
+		} );
+	};
 
 	return (
-		<div { ...blockProps }>
-			<Placeholder
-				icon={ <Icon icon="format-gallery" /> }
-				label={ __( 'Instagram Banner Creator', 'rwp-creator-suite' ) }
-				instructions={ __(
-					'This block will display an Instagram banner creation interface on the frontend where users can upload and split images.',
-					'rwp-creator-suite'
-				) }
-			/>
-		</div>
+		<>
+			<InspectorControls>
+				<PanelBody
+					title={ __( 'Layout', 'rwp-creator-suite' ) }
+					initialOpen={ true }
+				>
+					<p className="components-base-control__help">
+						{ __(
+							'The starting layout. Visitors can still change it, and their last choice is remembered.',
+							'rwp-creator-suite'
+						) }
+					</p>
+
+					<SelectControl
+						label={ __( 'Mode', 'rwp-creator-suite' ) }
+						value={ mode }
+						options={ [
+							{
+								label: __(
+									'Banner / grid',
+									'rwp-creator-suite'
+								),
+								value: 'grid',
+							},
+							{
+								label: __(
+									'Panoramic carousel',
+									'rwp-creator-suite'
+								),
+								value: 'carousel',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { mode: value } )
+						}
+					/>
+
+					{ mode === 'carousel' ? (
+						<RangeControl
+							label={ __( 'Slides', 'rwp-creator-suite' ) }
+							value={ slides }
+							onChange={ ( value ) =>
+								setAttributes( { slides: value } )
+							}
+							min={ 2 }
+							max={ 10 }
+							help={ __(
+								'Carousel slides are always 4:5 with no gap.',
+								'rwp-creator-suite'
+							) }
+						/>
+					) : (
+						<>
+							<SelectControl
+								label={ __( 'Panels', 'rwp-creator-suite' ) }
+								value={ layout }
+								options={ LAYOUT_OPTIONS }
+								onChange={ ( value ) =>
+									setAttributes( { layout: value } )
+								}
+							/>
+
+							<SelectControl
+								label={ __(
+									'Panel aspect ratio',
+									'rwp-creator-suite'
+								) }
+								value={ aspect }
+								options={ ASPECT_OPTIONS }
+								onChange={ ( value ) =>
+									setAttributes( { aspect: value } )
+								}
+							/>
+
+							<RangeControl
+								label={ __( 'Gap (px)', 'rwp-creator-suite' ) }
+								value={ gapSize }
+								onChange={ ( value ) =>
+									setAttributes( { gapSize: value } )
+								}
+								min={ 0 }
+								max={ 40 }
+								help={ __(
+									'Space cut out between panels, matching the gaps in the profile grid.',
+									'rwp-creator-suite'
+								) }
+							/>
+						</>
+					) }
+				</PanelBody>
+
+				<PanelBody
+					title={ __( 'Uploads & Downloads', 'rwp-creator-suite' ) }
+					initialOpen={ false }
+				>
+					<RangeControl
+						label={ __(
+							'Max upload size (MB)',
+							'rwp-creator-suite'
+						) }
+						value={ maxUploadSize }
+						onChange={ ( value ) =>
+							setAttributes( { maxUploadSize: value } )
+						}
+						min={ 1 }
+						max={ 10 }
+					/>
+
+					<p className="components-base-control__label">
+						{ __( 'Download formats', 'rwp-creator-suite' ) }
+					</p>
+					{ EXPORT_FORMATS.map( ( format ) => (
+						<CheckboxControl
+							key={ format.value }
+							label={ format.label }
+							checked={ exportFormats.includes( format.value ) }
+							// At least one format has to stay available
+							disabled={
+								exportFormats.length === 1 &&
+								exportFormats.includes( format.value )
+							}
+							onChange={ ( checked ) =>
+								toggleExportFormat( format.value, checked )
+							}
+						/>
+					) ) }
+				</PanelBody>
+
+				<PanelBody
+					title={ __( 'Guest Access', 'rwp-creator-suite' ) }
+					initialOpen={ false }
+				>
+					<RadioControl
+						label={ __(
+							'Visitors who are not logged in',
+							'rwp-creator-suite'
+						) }
+						selected={ guestAccess }
+						options={ [
+							{
+								label: __(
+									'Can create a banner and see a blurred preview, then log in to download',
+									'rwp-creator-suite'
+								),
+								value: 'teaser',
+							},
+							{
+								label: __(
+									'See a login prompt instead of the creator',
+									'rwp-creator-suite'
+								),
+								value: 'login',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { guestAccess: value } )
+						}
+					/>
+				</PanelBody>
+			</InspectorControls>
+
+			<div { ...blockProps }>
+				<Placeholder
+					icon={ <Icon icon="format-gallery" /> }
+					label={ __(
+						'Instagram Banner Creator',
+						'rwp-creator-suite'
+					) }
+					instructions={ __(
+						'This block will display an Instagram banner creation interface on the frontend where users can upload and split images.',
+						'rwp-creator-suite'
+					) }
+				/>
+			</div>
+		</>
 	);
 }
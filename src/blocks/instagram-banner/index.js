@@ -2,10 +2,12 @@ import { registerBlockType } from '@wordpress/blocks';
 
 import Edit from './edit';
 import save from './save';
+import deprecated from './deprecated';
 import metadata from './block.json';
 
 registerBlockType( metadata.name, {
 	...metadata,
 	edit: Edit,
 	save,
+	deprecated,
 } );
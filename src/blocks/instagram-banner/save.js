@@ -1,13 +1,34 @@
 import { useBlockProps } from '@wordpress/block-editor';
 
-export default function save() {
+export default function save( { attributes } ) {
 	const blockProps = useBlockProps.save();
+	const {
+		mode,
+		layout,
+		slides,
+		aspect,
+		gapSize,
+		exportFormats,
+		maxUploadSize,
+		guestAccess,
+	} = attributes;
 
+	// The front-end app reads its starting settings from data-config
 	return (
 		<div { ...blockProps }>
 			<div
 				className="blk-instagram-banner-container"
 				id="instagram-banner-app"
+				data-config={ JSON.stringify( {
+					mode,
+					layout,
+					slides,
+					aspect,
+					gapSize,
+					exportFormats,
+					maxUploadSize,
+					guestAccess,
+				} ) }
 			></div>
 		</div>
 	);
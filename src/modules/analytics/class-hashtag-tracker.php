@@ -76,13 +76,13 @@ class RWP_Creator_Suite_Hashtag_Tracker {
                 ),
                 'feature' => array(
                     'type'     => 'string',
-                    'enum'     => array( 'caption_writer', 'content_repurposer', 'template', 'manual' ),
+                    'enum'     => array( 'caption_writer', 'content_repurposer', 'template', 'manual', 'instagram_analyzer' ),
                     'default'  => 'manual',
                     'sanitize_callback' => 'sanitize_text_field',
                 ),
                 'source' => array(
                     'type'     => 'string',
-                    'enum'     => array( 'user_input', 'template_customization', 'manual_addition' ),
+                    'enum'     => array( 'user_input', 'template_customization', 'manual_addition', 'export_history' ),
                     'default'  => 'user_input',
                     'sanitize_callback' => 'sanitize_text_field',
                 ),
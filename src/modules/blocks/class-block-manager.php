@@ -13,6 +13,11 @@ class RWP_Creator_Suite_Block_Manager {
      * Instagram Analyzer API instance.
      */
     private $instagram_api;
+
+    /**
+     * Instagram Banner API instance.
+     */
+    private $banner_api;
     
     /**
      * Track which assets have been enqueued to prevent duplicates.
@@ -32,6 +37,10 @@ class RWP_Creator_Suite_Block_Manager {
         // Initialize Instagram Analyzer API
         $this->instagram_api = new RWP_Creator_Suite_Instagram_Analyzer_API();
         $this->instagram_api->init();
+
+        // Initialize Instagram Banner API
+        $this->banner_api = new RWP_Creator_Suite_Instagram_Banner_API();
+        $this->banner_api->init();
     }
 
     /**
@@ -164,9 +173,15 @@ class RWP_Creator_Suite_Block_Manager {
     }
 
     /**
-     * Enqueue Instagram Analyzer specific assets.
+     * Enqueue the JSZip library shared by the analyzer and the banner creator.
+     *
+     * @return string Versioned JSZip URL, for workers that load it themselves.
      */
-    private function enqueue_instagram_analyzer_assets() {
+    private function enqueue_jszip() {
+        if ( isset( $this->enqueued_assets['jszip'] ) ) {
+            return $this->enqueued_assets['jszip']; // Already enqueued
+        }
+
         // Enhanced JSZip library loading with better fallback handling
         $jszip_local_path = RWP_CREATOR_SUITE_PLUGIN_DIR . 'assets/vendor/jszip.min.js';
         $jszip_version = '3.10.1';
@@ -231,6 +246,17 @@ class RWP_Creator_Suite_Block_Manager {
         ";
         wp_add_inline_script( 'jszip', $jszip_error_handler, 'after' );
 
+        $this->enqueued_assets['jszip'] = add_query_arg( 'ver', $jszip_version, $jszip_url );
+
+        return $this->enqueued_assets['jszip'];
+    }
+
+    /**
+     * Enqueue Instagram Analyzer specific assets.
+     */
+    private function enqueue_instagram_analyzer_assets() {
+        $jszip_script_url = $this->enqueue_jszip();
+
         // Enqueue State Manager
         wp_enqueue_script(
             'rwp-state-manager',
@@ -240,11 +266,21 @@ class RWP_Creator_Suite_Block_Manager {
             true
         );
 
+        // Enqueue export parser (shared with the analyzer Web Worker)
+        $parser_url = RWP_CREATOR_SUITE_PLUGIN_URL . 'assets/js/instagram-export-parser.js';
+        wp_enqueue_script(
+            'rwp-instagram-export-parser',
+            $parser_url,
+            array( 'jszip' ),
+            RWP_CREATOR_SUITE_VERSION,
+            true
+        );
+
         // Enqueue Instagram Analyzer app
         wp_enqueue_script(
             'rwp-instagram-analyzer-app',
             RWP_CREATOR_SUITE_PLUGIN_URL . 'assets/js/instagram-analyzer.js',
-            array( 'jszip', 'rwp-state-manager' ),
+            array( 'jszip', 'rwp-state-manager', 'rwp-instagram-export-parser' ),
             RWP_CREATOR_SUITE_VERSION,
             true
         );
@@ -258,6 +294,21 @@ class RWP_Creator_Suite_Block_Manager {
                 'nonce' => wp_create_nonce( 'rwp_instagram_analyzer_nonce' ),
                 'isLoggedIn' => is_user_logged_in(),
                 'currentUserId' => get_current_user_id(),
+                // REST access for the analytics consent check and hashtag tracking
+                'restUrl' => rest_url( 'rwp-creator-suite/v1/' ),
+                'restNonce' => wp_create_nonce( 'wp_rest' ),
+                // Worker scripts are loaded with importScripts(), so they carry their own cache busting
+                'workerUrl' => add_query_arg( 'ver', RWP_CREATOR_SUITE_VERSION, RWP_CREATOR_SUITE_PLUGIN_URL . 'assets/js/instagram-analyzer-worker.js' ),
+                // Add-ons registering extra parser strategies add their scripts here
+                'workerScripts' => apply_filters(
+                    'rwp_creator_suite_instagram_parser_scripts',
+                    array(
+                        $jszip_script_url,
+                        add_query_arg( 'ver', RWP_CREATOR_SUITE_VERSION, $parser_url ),
+                    )
+                ),
+                // Unfollows per day before the cleanup session warns about the platform's action limits
+                'dailyUnfollowLimit' => absint( apply_filters( 'rwp_creator_suite_instagram_daily_unfollow_limit', 150 ) ),
                 'strings' => array(
                     'uploadPrompt' => __( 'Upload your Instagram data export ZIP file', 'rwp-creator-suite' ),
                     'processing' => __( 'Processing...', 'rwp-creator-suite' ),
@@ -276,11 +327,14 @@ class RWP_Creator_Suite_Block_Manager {
             return; // Already enqueued
         }
 
+        // JSZip bundles the panels into a single download
+        $this->enqueue_jszip();
+
         // Enqueue Instagram Banner app (state manager already loaded by shared dependencies)
         wp_enqueue_script(
             'rwp-instagram-banner-app',
             RWP_CREATOR_SUITE_PLUGIN_URL . 'assets/js/instagram-banner.js',
-            array( 'rwp-state-manager' ),
+            array( 'rwp-state-manager', 'jszip' ),
             RWP_CREATOR_SUITE_VERSION,
             true
         );
@@ -296,12 +350,17 @@ class RWP_Creator_Suite_Block_Manager {
                 'nonce' => wp_create_nonce( 'rwp_instagram_banner_nonce' ),
                 'isLoggedIn' => is_user_logged_in(),
                 'currentUserId' => get_current_user_id(),
+                // The render worker loads the app script itself for its drawing methods
+                'workerUrl' => add_query_arg( 'ver', RWP_CREATOR_SUITE_VERSION, RWP_CREATOR_SUITE_PLUGIN_URL . 'assets/js/instagram-banner-worker.js' ),
+                'workerScripts' => array(
+                    add_query_arg( 'ver', RWP_CREATOR_SUITE_VERSION, RWP_CREATOR_SUITE_PLUGIN_URL . 'assets/js/instagram-banner.js' ),
+                ),
                 'strings' => array(
                     'uploadPrompt' => __( 'Upload an image to create Instagram banner', 'rwp-creator-suite' ),
                     'processing' => __( 'Processing...', 'rwp-creator-suite' ),
-                    'cropPrompt' => __( 'Crop your image to 3248x1440 aspect ratio', 'rwp-creator-suite' ),
                     'loginRequired' => __( 'Login required to download images', 'rwp-creator-suite' ),
-                    'download' => __( 'Download Images', 'rwp-creator-suite' ),
+                    'download' => __( 'Download All (ZIP)', 'rwp-creator-suite' ),
+                    'share' => __( 'Share to Instagram', 'rwp-creator-suite' ),
                     'preview' => __( 'Preview', 'rwp-creator-suite' ),
                 )
             )
@@ -397,6 +456,10 @@ class RWP_Creator_Suite_Block_Manager {
                     'templateSuccess' => __( 'Saved as template!', 'rwp-creator-suite' ),
                     'errorGeneral' => __( 'Something went wrong. Please try again.', 'rwp-creator-suite' ),
                     'errorDescription' => __( 'Please enter a description for your content', 'rwp-creator-suite' ),
+                    'templateFilling' => __( 'Filling in the blanks...', 'rwp-creator-suite' ),
+                    'templateFilled' => __( 'Blanks filled in. Check them over before inserting.', 'rwp-creator-suite' ),
+                    'templateNeedsDescription' => __( 'Describe your content in the AI Generator tab first, so the AI knows what to write', 'rwp-creator-suite' ),
+                    'templateMissingValues' => __( 'Please fill in:', 'rwp-creator-suite' ),
                 ),
                 'characterLimits' => $this->get_platform_character_limits(),
                 'platformsConfig' => RWP_Creator_Suite_Caption_Admin_Settings::get_platforms_config(),
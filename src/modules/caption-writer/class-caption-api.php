@@ -69,6 +69,45 @@ class RWP_Creator_Suite_Caption_API {
             ),
         ) );
         
+        // Fill a caption template's blanks with AI
+        register_rest_route( $this->namespace, '/captions/fill-template', array(
+            'methods'             => 'POST',
+            'callback'            => array( $this, 'fill_template' ),
+            'permission_callback' => array( $this, 'verify_nonce_permission' ),
+            'args'                => array(
+                'template' => array(
+                    'required' => true,
+                    'type'     => 'string',
+                    'sanitize_callback' => 'sanitize_textarea_field',
+                ),
+                'variables' => array(
+                    'required' => true,
+                    'type'     => 'array',
+                    'items'    => array(
+                        'type' => 'string',
+                    ),
+                    'sanitize_callback' => array( $this, 'sanitize_template_variables' ),
+                ),
+                'description' => array(
+                    'required' => true,
+                    'type'     => 'string',
+                    'sanitize_callback' => array( $this, 'sanitize_description' ),
+                    'validate_callback' => array( $this, 'validate_description' ),
+                ),
+                'tone' => array(
+                    'type'     => 'string',
+                    'enum'     => array( 'witty', 'inspirational', 'question', 'professional', 'casual' ),
+                    'default'  => 'casual',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ),
+                'platform' => array(
+                    'type'     => 'string',
+                    'enum'     => array( 'instagram', 'tiktok', 'twitter', 'linkedin', 'facebook' ),
+                    'default'  => 'instagram',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ),
+            ),
+        ) );
         
         // Save/get user favorites
         register_rest_route( $this->namespace, '/favorites', array(
@@ -247,6 +286,48 @@ class RWP_Creator_Suite_Caption_API {
         ) );
     }
     
+    /**
+     * Fill template variables with AI.
+     */
+    public function fill_template( $request ) {
+        $template = $request->get_param( 'template' );
+        $variables = $request->get_param( 'variables' );
+        $description = $request->get_param( 'description' );
+        $tone = $request->get_param( 'tone' );
+        $platform = $request->get_param( 'platform' );
+        
+        if ( empty( $variables ) ) {
+            return new WP_Error(
+                'no_variables',
+                __( 'This template has no blanks to fill.', 'rwp-creator-suite' ),
+                array( 'status' => 400 )
+            );
+        }
+        
+        $ai_service = new RWP_Creator_Suite_AI_Service();
+        
+        // Shares the caption generation quota
+        $rate_limit_result = $ai_service->check_rate_limit( 'caption_generation' );
+        if ( is_wp_error( $rate_limit_result ) ) {
+            return $rate_limit_result;
+        }
+        
+        $values = $ai_service->fill_template_variables( $template, $variables, $description, $tone, $platform );
+        
+        if ( is_wp_error( $values ) ) {
+            return $values;
+        }
+        
+        $ai_service->track_usage( 1, 'caption_generation' );
+        
+        return rest_ensure_response( array(
+            'success' => true,
+            'data'    => $values,
+            'meta'    => array(
+                'remaining_quota' => $ai_service->get_usage_stats()['remaining'],
+            ),
+        ) );
+    }
     
     /**
      * Get user favorites.
@@ -475,6 +556,22 @@ class RWP_Creator_Suite_Caption_API {
         return true;
     }
     
+    /**
+     * Sanitize template variable names.
+     */
+    public function sanitize_template_variables( $param ) {
+        if ( ! is_array( $param ) ) {
+            return array();
+        }
+        
+        // Variable names are placeholder keys like "product" or "feature1"
+        $variables = array_filter( array_map( function( $variable ) {
+            return preg_replace( '/[^a-zA-Z0-9_]/', '', (string) $variable );
+        }, $param ) );
+        
+        return array_slice( array_values( array_unique( $variables ) ), 0, 20 );
+    }
+    
     /**
      * Sanitize description parameter.
      */
@@ -112,6 +112,23 @@ class RWP_Creator_Suite_AI_Service {
         return $this->parse_multi_platform_content( $result, $platforms );
     }
     
+    /**
+     * Fill a caption template's variables from a content description.
+     */
+    public function fill_template_variables( $template, $variables, $description, $tone, $platform ) {
+        $prompt = $this->build_template_fill_prompt( $template, $variables, $description, $tone, $platform );
+        
+        $result = $this->generate_content( $prompt, 'template_fill' );
+        
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+        
+        // Not clean_ai_response(), whose italic stripping would eat the
+        // underscores in names like inspirational_message
+        return $this->parse_template_values( str_replace( array( '**', '__' ), '', $result ), $variables );
+    }
+    
     /**
      * Generate content using OpenAI API.
      */
@@ -259,6 +276,8 @@ class RWP_Creator_Suite_AI_Service {
             return $this->generate_mock_captions_content( $prompt );
         } elseif ( $context === 'repurpose' ) {
             return $this->generate_mock_repurpose_content( $prompt );
+        } elseif ( $context === 'template_fill' ) {
+            return $this->generate_mock_template_fill_content( $prompt );
         }
         
         return "Mock AI response for: " . substr( $prompt, 0, 100 ) . "...";
@@ -294,6 +313,49 @@ class RWP_Creator_Suite_AI_Service {
         }, $mock_versions, array_keys( $mock_versions ) ) );
     }
     
+    /**
+     * Generate mock template values.
+     */
+    private function generate_mock_template_fill_content( $prompt ) {
+        // Answer every "name: [value]" line the prompt asks for
+        preg_match_all( '/^([a-zA-Z0-9_]+): \[value\]$/m', $prompt, $matches );
+        
+        return implode( "\n", array_map( function( $variable ) {
+            if ( str_contains( $variable, 'hashtag' ) ) {
+                return $variable . ': #creator #contentcreator #newpost';
+            }
+            return $variable . ': Sample ' . str_replace( '_', ' ', $variable );
+        }, $matches[1] ) );
+    }
+    
+    /**
+     * Build the AI prompt for filling template variables.
+     */
+    private function build_template_fill_prompt( $template, $variables, $description, $tone, $platform ) {
+        $format = implode( "\n", array_map( function( $variable ) {
+            return $variable . ': [value]';
+        }, $variables ) );
+        
+        return sprintf(
+            "Fill in the blanks of this %s caption template for %s, based on this content description: \"%s\"\n\n" .
+            "TEMPLATE:\n%s\n\n" .
+            "CRITICAL FORMATTING REQUIREMENTS:\n" .
+            "- Respond with exactly one line per blank, in this format:\n%s\n" .
+            "- Each value must be a single line that reads naturally where its {placeholder} sits in the template\n" .
+            "- Do NOT repeat the template or add any other text\n" .
+            "- Do NOT use markdown formatting (no **, __, or other markup)\n\n" .
+            "CONTENT REQUIREMENTS:\n" .
+            "- Keep each value short, since the template supplies the surrounding text\n" .
+            "- Blanks with \"hashtag\" in the name get 5 to 8 relevant hashtags separated by spaces\n" .
+            "- Focus on engagement and authenticity",
+            $tone,
+            $platform,
+            $description,
+            $template,
+            $format
+        );
+    }
+    
     /**
      * Build the AI prompt for caption generation.
      */
@@ -624,6 +686,48 @@ class RWP_Creator_Suite_AI_Service {
         return $this->parse_numbered_content( $content );
     }
     
+    /**
+     * Parse "name: value" lines into template variable values.
+     */
+    private function parse_template_values( $content, $variables ) {
+        $values = array_fill_keys( $variables, '' );
+        $found = 0;
+        
+        foreach ( explode( "\n", $content ) as $line ) {
+            if ( ! preg_match( '/^\s*[-*]?\s*([a-zA-Z0-9_]+)\s*:\s*(.+)$/', $line, $matches ) ) {
+                continue;
+            }
+            
+            $variable = $matches[1];
+            if ( ! array_key_exists( $variable, $values ) ) {
+                continue;
+            }
+            
+            $value = trim( sanitize_text_field( $matches[2] ), " \t\"'[]" );
+            
+            // Make sure every hashtag starts with #
+            if ( str_contains( $variable, 'hashtag' ) ) {
+                $tags = preg_split( '/[\s,]+/', $value, -1, PREG_SPLIT_NO_EMPTY );
+                $value = implode( ' ', array_map( function( $tag ) {
+                    return '#' . ltrim( $tag, '#' );
+                }, $tags ) );
+            }
+            
+            $values[ $variable ] = $value;
+            $found++;
+        }
+        
+        if ( $found === 0 ) {
+            return new WP_Error(
+                'invalid_format',
+                __( 'The AI response could not be read. Please try again.', 'rwp-creator-suite' ),
+                array( 'status' => 500 )
+            );
+        }
+        
+        return $values;
+    }
+    
     /**
      * Validate AI response format for consistency.
      */
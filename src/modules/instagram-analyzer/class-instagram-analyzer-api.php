@@ -9,6 +9,41 @@ defined( 'ABSPATH' ) || exit;
 
 class RWP_Creator_Suite_Instagram_Analyzer_API {
 
+    /**
+     * Maximum number of follower snapshots kept per user.
+     */
+    const MAX_SNAPSHOTS = 24;
+
+    /**
+     * Schema version of the snapshots table.
+     */
+    const SNAPSHOTS_DB_VERSION = '1.1';
+
+    /**
+     * Platforms whose data archives the analyzer can read.
+     */
+    const PLATFORMS = array( 'instagram', 'tiktok', 'x' );
+
+    /**
+     * Categories whitelisted accounts can be filed under.
+     */
+    const WHITELIST_CATEGORIES = array( 'friends', 'brands', 'celebrities', 'collaborators' );
+
+    /**
+     * Maximum length of a whitelist note.
+     */
+    const MAX_NOTE_LENGTH = 200;
+
+    /**
+     * Maximum number of cleanup session decisions kept per platform.
+     */
+    const MAX_CLEANUP_ENTRIES = 5000;
+
+    /**
+     * Decisions a cleanup session can record for an account.
+     */
+    const CLEANUP_ACTIONS = array( 'unfollowed', 'keep', 'skip' );
+
     /**
      * Initialize the API endpoints.
      */
@@ -16,9 +51,17 @@ class RWP_Creator_Suite_Instagram_Analyzer_API {
         // Whitelist management endpoints
         add_action( 'wp_ajax_rwp_sync_instagram_whitelist', array( $this, 'sync_whitelist' ) );
         add_action( 'wp_ajax_rwp_get_instagram_whitelist', array( $this, 'get_whitelist' ) );
-        
-        
-        
+
+        // Follower snapshot history endpoints
+        add_action( 'init', array( $this, 'maybe_create_snapshots_table' ) );
+        add_action( 'wp_ajax_rwp_save_instagram_snapshot', array( $this, 'save_snapshot' ) );
+        add_action( 'wp_ajax_rwp_get_instagram_snapshots', array( $this, 'get_snapshots' ) );
+        add_action( 'wp_ajax_rwp_get_instagram_snapshot', array( $this, 'get_snapshot' ) );
+        add_action( 'rwp_creator_suite_user_data_cleanup', array( $this, 'delete_user_snapshots' ) );
+
+        // Cleanup session ledger endpoints
+        add_action( 'wp_ajax_rwp_save_instagram_cleanup', array( $this, 'save_cleanup_ledger' ) );
+        add_action( 'wp_ajax_rwp_get_instagram_cleanup', array( $this, 'get_cleanup_ledger' ) );
     }
 
     /**
@@ -40,7 +83,9 @@ class RWP_Creator_Suite_Instagram_Analyzer_API {
             }
 
             $user_id = get_current_user_id();
+            $platform = $this->sanitize_platform( $_POST['platform'] ?? '' );
             $whitelist_data = sanitize_textarea_field( wp_unslash( $_POST['whitelist'] ?? '' ) );
+            $details_data = sanitize_textarea_field( wp_unslash( $_POST['details'] ?? '' ) );
             
             // Validate and sanitize whitelist data
             $whitelist = json_decode( $whitelist_data, true );
@@ -64,10 +109,15 @@ class RWP_Creator_Suite_Instagram_Analyzer_API {
                 }
             }
 
-            // Save to user meta
-            $result = update_user_meta( $user_id, 'instagram_analyzer_whitelist', $sanitized_whitelist );
-            
-            if ( $result !== false ) {
+            // Categories and notes are optional, and only kept for whitelisted accounts
+            $details = $this->sanitize_whitelist_details( json_decode( $details_data, true ), $sanitized_whitelist );
+
+            // Save to user meta. Changing only a category or note leaves the
+            // whitelist itself as it was, so both writes are checked.
+            $saved = $this->save_user_meta( $user_id, $this->get_platform_meta_key( 'instagram_analyzer_whitelist', $platform ), $sanitized_whitelist );
+            $saved = $this->save_user_meta( $user_id, $this->get_platform_meta_key( 'instagram_analyzer_whitelist_details', $platform ), $details ) && $saved;
+
+            if ( $saved ) {
                 $this->send_json_success( 'Whitelist synchronized', $sanitized_whitelist );
             } else {
                 error_log( 'RWP Creator Suite: Failed to save whitelist for user ' . $user_id );
@@ -97,24 +147,548 @@ class RWP_Creator_Suite_Instagram_Analyzer_API {
         }
 
         $user_id = get_current_user_id();
-        $whitelist = get_user_meta( $user_id, 'instagram_analyzer_whitelist', true );
+        $platform = $this->sanitize_platform( $_POST['platform'] ?? '' );
+        $whitelist = get_user_meta( $user_id, $this->get_platform_meta_key( 'instagram_analyzer_whitelist', $platform ), true );
         
         if ( ! is_array( $whitelist ) ) {
             $whitelist = array();
         }
 
-        $this->send_json_success( 'Whitelist retrieved', $whitelist );
+        $details = get_user_meta( $user_id, $this->get_platform_meta_key( 'instagram_analyzer_whitelist_details', $platform ), true );
+
+        $this->send_json_success(
+            'Whitelist retrieved',
+            array(
+                'whitelist' => $whitelist,
+                // An object even when empty, so it decodes the same way in JavaScript
+                'details'   => ! empty( $details ) && is_array( $details ) ? $details : new stdClass(),
+            )
+        );
+    }
+
+    /**
+     * Sanitize whitelist categories and notes.
+     *
+     * @param mixed $details   Decoded details, keyed by username.
+     * @param array $whitelist Sanitized whitelisted usernames.
+     * @return array Details for whitelisted accounts that have any.
+     */
+    private function sanitize_whitelist_details( $details, $whitelist ) {
+        $sanitized = array();
+        if ( ! is_array( $details ) ) {
+            return $sanitized;
+        }
+
+        foreach ( $whitelist as $username ) {
+            if ( empty( $details[ $username ] ) || ! is_array( $details[ $username ] ) ) {
+                continue;
+            }
+
+            $entry = $details[ $username ];
+            $category = is_string( $entry['category'] ?? null ) ? sanitize_key( $entry['category'] ) : '';
+            $note = is_string( $entry['note'] ?? null ) ? sanitize_text_field( $entry['note'] ) : '';
+
+            $clean = array();
+            if ( in_array( $category, self::WHITELIST_CATEGORIES, true ) ) {
+                $clean['category'] = $category;
+            }
+            if ( '' !== $note ) {
+                $clean['note'] = mb_substr( $note, 0, self::MAX_NOTE_LENGTH );
+            }
+
+            if ( $clean ) {
+                $sanitized[ $username ] = $clean;
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Save a follower snapshot to the user's history.
+     */
+    public function save_snapshot() {
+        try {
+            // Sanitize and verify nonce
+            $nonce = sanitize_text_field( $_POST['nonce'] ?? '' );
+            if ( ! wp_verify_nonce( $nonce, 'rwp_instagram_analyzer_nonce' ) ) {
+                $this->send_json_error( 'Invalid nonce', 403 );
+                return;
+            }
+
+            // Check user authentication
+            if ( ! is_user_logged_in() ) {
+                $this->send_json_error( 'User not authenticated', 401 );
+                return;
+            }
+
+            $user_id = get_current_user_id();
+            $snapshot_data = sanitize_textarea_field( wp_unslash( $_POST['snapshot'] ?? '' ) );
+
+            $snapshot = json_decode( $snapshot_data, true );
+            if ( json_last_error() !== JSON_ERROR_NONE ) {
+                error_log( 'RWP Creator Suite JSON Decode Error: ' . json_last_error_msg() );
+                $this->send_json_error( 'Invalid JSON data provided', 400 );
+                return;
+            }
+
+            $snapshot = $this->sanitize_snapshot( $snapshot );
+            if ( ! $snapshot ) {
+                $this->send_json_error( 'Invalid snapshot data format', 400 );
+                return;
+            }
+
+            // Replaces any snapshot with the same ID. Unlike update_user_meta(),
+            // re-saving an identical snapshot still counts as success.
+            $result = $this->store_snapshot( $user_id, $snapshot );
+
+            if ( $result !== false ) {
+                $this->prune_snapshots( $user_id );
+                $this->send_json_success( 'Snapshot saved', array( 'id' => $snapshot['id'] ) );
+            } else {
+                error_log( 'RWP Creator Suite: Failed to save snapshot for user ' . $user_id );
+                $this->send_json_error( 'Failed to save snapshot', 500 );
+            }
+        } catch ( Exception $e ) {
+            error_log( 'RWP Creator Suite Snapshot Save Exception: ' . $e->getMessage() );
+            $this->send_json_error( 'An unexpected error occurred', 500 );
+        }
+    }
+
+    /**
+     * Get the user's follower snapshot history, with counts but not the lists.
+     */
+    public function get_snapshots() {
+        // Sanitize and verify nonce
+        $nonce = sanitize_text_field( $_POST['nonce'] ?? '' );
+        if ( ! wp_verify_nonce( $nonce, 'rwp_instagram_analyzer_nonce' ) ) {
+            $this->send_json_error( 'Invalid nonce', 403 );
+            return;
+        }
+
+        // Check user authentication
+        if ( ! is_user_logged_in() ) {
+            $this->send_json_error( 'User not authenticated', 401 );
+            return;
+        }
+
+        $this->send_json_success( 'Snapshots retrieved', $this->get_user_snapshots( get_current_user_id() ) );
+    }
+
+    /**
+     * Get the follower and following lists of one of the user's snapshots.
+     */
+    public function get_snapshot() {
+        // Sanitize and verify nonce
+        $nonce = sanitize_text_field( $_POST['nonce'] ?? '' );
+        if ( ! wp_verify_nonce( $nonce, 'rwp_instagram_analyzer_nonce' ) ) {
+            $this->send_json_error( 'Invalid nonce', 403 );
+            return;
+        }
+
+        // Check user authentication
+        if ( ! is_user_logged_in() ) {
+            $this->send_json_error( 'User not authenticated', 401 );
+            return;
+        }
+
+        $snapshot_id = substr( sanitize_key( wp_unslash( $_POST['snapshot_id'] ?? '' ) ), 0, 64 );
+        $snapshot = $snapshot_id ? $this->get_user_snapshot( get_current_user_id(), $snapshot_id ) : null;
+
+        if ( ! $snapshot ) {
+            $this->send_json_error( 'Snapshot not found', 404 );
+            return;
+        }
+
+        $this->send_json_success( 'Snapshot retrieved', $snapshot );
+    }
+
+    /**
+     * Get the snapshots table name.
+     *
+     * @return string Table name with the site prefix.
+     */
+    private function get_snapshots_table() {
+        global $wpdb;
+
+        return $wpdb->prefix . 'rwp_instagram_snapshots';
+    }
+
+    /**
+     * Create or upgrade the snapshots table.
+     *
+     * Snapshots hold full follower lists, so each one gets its own row rather
+     * than living in user meta, which WordPress loads in full on every request.
+     */
+    public function maybe_create_snapshots_table() {
+        if ( get_option( 'rwp_instagram_snapshots_db_version' ) === self::SNAPSHOTS_DB_VERSION ) {
+            return;
+        }
+
+        global $wpdb;
+
+        $table_name = $this->get_snapshots_table();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE {$table_name} (
+            id BIGINT(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            user_id BIGINT(20) UNSIGNED NOT NULL,
+            snapshot_id VARCHAR(64) NOT NULL,
+            platform VARCHAR(20) NOT NULL DEFAULT 'instagram',
+            created_at DATETIME NOT NULL,
+            followers_count INT(10) UNSIGNED NOT NULL DEFAULT 0,
+            following_count INT(10) UNSIGNED NOT NULL DEFAULT 0,
+            followers LONGTEXT NOT NULL,
+            following LONGTEXT NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY user_snapshot (user_id, snapshot_id),
+            KEY user_created (user_id, created_at)
+        ) $charset_collate;";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta( $sql );
+
+        if ( $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table_name ) ) === $table_name ) {
+            update_option( 'rwp_instagram_snapshots_db_version', self::SNAPSHOTS_DB_VERSION );
+        } else {
+            error_log( 'RWP Creator Suite: Failed to create snapshots table: ' . $wpdb->last_error );
+        }
+    }
+
+    /**
+     * Insert or replace a sanitized snapshot.
+     *
+     * @param int   $user_id  User ID.
+     * @param array $snapshot Sanitized snapshot.
+     * @return int|false Number of rows affected, or false on error.
+     */
+    private function store_snapshot( $user_id, $snapshot ) {
+        global $wpdb;
+
+        return $wpdb->replace(
+            $this->get_snapshots_table(),
+            array(
+                'user_id'     => $user_id,
+                'snapshot_id' => $snapshot['id'],
+                'platform'    => $snapshot['platform'],
+                'created_at'      => gmdate( 'Y-m-d H:i:s', strtotime( $snapshot['createdAt'] ) ),
+                'followers_count' => count( $snapshot['followers'] ),
+                'following_count' => count( $snapshot['following'] ),
+                'followers'       => wp_json_encode( $snapshot['followers'] ),
+                'following'       => wp_json_encode( $snapshot['following'] ),
+            ),
+            array( '%d', '%s', '%s', '%s', '%d', '%d', '%s', '%s' )
+        );
+    }
+
+    /**
+     * Delete all but the newest snapshots for a user.
+     *
+     * @param int $user_id User ID.
+     */
+    private function prune_snapshots( $user_id ) {
+        global $wpdb;
+
+        $table_name = $this->get_snapshots_table();
+        $stale_ids = $wpdb->get_col( $wpdb->prepare(
+            "SELECT id FROM {$table_name} WHERE user_id = %d ORDER BY created_at DESC, id DESC LIMIT %d, 18446744073709551615",
+            $user_id,
+            self::MAX_SNAPSHOTS
+        ) );
+
+        if ( empty( $stale_ids ) ) {
+            return;
+        }
+
+        $placeholders = implode( ', ', array_fill( 0, count( $stale_ids ), '%d' ) );
+        $wpdb->query( $wpdb->prepare(
+            "DELETE FROM {$table_name} WHERE id IN ({$placeholders})",
+            $stale_ids
+        ) );
     }
 
+    /**
+     * Get a user's stored snapshots without their lists, which can be large.
+     *
+     * @param int $user_id User ID.
+     * @return array Snapshot IDs, dates, platforms and list sizes, oldest first.
+     */
+    private function get_user_snapshots( $user_id ) {
+        global $wpdb;
 
+        $table_name = $this->get_snapshots_table();
+        $rows = $wpdb->get_results( $wpdb->prepare(
+            "SELECT snapshot_id, platform, created_at, followers_count, following_count FROM {$table_name} WHERE user_id = %d ORDER BY created_at ASC, id ASC",
+            $user_id
+        ), ARRAY_A );
 
+        return array_map(
+            function ( $row ) {
+                return array(
+                    'id'             => $row['snapshot_id'],
+                    'createdAt'      => gmdate( 'c', strtotime( $row['created_at'] . ' UTC' ) ),
+                    'platform'       => $row['platform'],
+                    'followersCount' => (int) $row['followers_count'],
+                    'followingCount' => (int) $row['following_count'],
+                );
+            },
+            $rows ? $rows : array()
+        );
+    }
 
+    /**
+     * Get the lists of one of a user's snapshots.
+     *
+     * @param int    $user_id User ID.
+     * @param string $snapshot_id Sanitized snapshot ID.
+     * @return array|null The snapshot's lists, or null if the user has no such snapshot.
+     */
+    private function get_user_snapshot( $user_id, $snapshot_id ) {
+        global $wpdb;
 
+        $table_name = $this->get_snapshots_table();
+        $row = $wpdb->get_row( $wpdb->prepare(
+            "SELECT snapshot_id, followers, following FROM {$table_name} WHERE user_id = %d AND snapshot_id = %s",
+            $user_id,
+            $snapshot_id
+        ), ARRAY_A );
 
+        if ( ! $row ) {
+            return null;
+        }
 
+        $followers = json_decode( $row['followers'], true );
+        $following = json_decode( $row['following'], true );
+
+        return array(
+            'id'        => $row['snapshot_id'],
+            'followers' => is_array( $followers ) ? $followers : array(),
+            'following' => is_array( $following ) ? $following : array(),
+        );
+    }
+
+    /**
+     * Delete a user's snapshots when their account is removed.
+     *
+     * @param int $user_id User ID.
+     */
+    public function delete_user_snapshots( $user_id ) {
+        global $wpdb;
 
+        $wpdb->delete( $this->get_snapshots_table(), array( 'user_id' => $user_id ), array( '%d' ) );
+    }
 
+    /**
+     * Sanitize a follower snapshot.
+     *
+     * @param mixed $snapshot Decoded snapshot data.
+     * @return array|false The sanitized snapshot or false if invalid.
+     */
+    private function sanitize_snapshot( $snapshot ) {
+        if ( ! is_array( $snapshot ) || empty( $snapshot['id'] ) || empty( $snapshot['createdAt'] ) ) {
+            return false;
+        }
 
+        $created_at = strtotime( $snapshot['createdAt'] );
+        if ( ! $created_at ) {
+            return false;
+        }
+
+        $id = substr( sanitize_key( $snapshot['id'] ), 0, 64 );
+        if ( '' === $id ) {
+            return false;
+        }
+
+        $sanitized = array(
+            'id'        => $id,
+            'createdAt' => gmdate( 'c', $created_at ),
+            'platform'  => $this->sanitize_platform( $snapshot['platform'] ?? '' ),
+            'followers' => array(),
+            'following' => array(),
+        );
+
+        foreach ( array( 'followers', 'following' ) as $list ) {
+            if ( empty( $snapshot[ $list ] ) || ! is_array( $snapshot[ $list ] ) ) {
+                continue;
+            }
+
+            foreach ( $snapshot[ $list ] as $username ) {
+                $clean_username = is_string( $username ) ? $this->sanitize_instagram_username( $username ) : false;
+                if ( $clean_username ) {
+                    $sanitized[ $list ][] = $clean_username;
+                }
+            }
+
+            $sanitized[ $list ] = array_values( array_unique( $sanitized[ $list ] ) );
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Sanitize a platform name, defaulting to Instagram.
+     *
+     * @param mixed $platform Raw platform value.
+     * @return string A supported platform.
+     */
+    private function sanitize_platform( $platform ) {
+        $platform = is_string( $platform ) ? sanitize_key( wp_unslash( $platform ) ) : '';
+
+        return in_array( $platform, self::PLATFORMS, true ) ? $platform : 'instagram';
+    }
+
+    /**
+     * Save the user's cleanup session ledger.
+     */
+    public function save_cleanup_ledger() {
+        try {
+            // Sanitize and verify nonce
+            $nonce = sanitize_text_field( $_POST['nonce'] ?? '' );
+            if ( ! wp_verify_nonce( $nonce, 'rwp_instagram_analyzer_nonce' ) ) {
+                $this->send_json_error( 'Invalid nonce', 403 );
+                return;
+            }
+
+            // Check user authentication
+            if ( ! is_user_logged_in() ) {
+                $this->send_json_error( 'User not authenticated', 401 );
+                return;
+            }
+
+            $user_id = get_current_user_id();
+            $platform = $this->sanitize_platform( $_POST['platform'] ?? '' );
+            $ledger_data = sanitize_textarea_field( wp_unslash( $_POST['ledger'] ?? '' ) );
+
+            $ledger = json_decode( $ledger_data, true );
+            if ( json_last_error() !== JSON_ERROR_NONE ) {
+                error_log( 'RWP Creator Suite JSON Decode Error: ' . json_last_error_msg() );
+                $this->send_json_error( 'Invalid JSON data provided', 400 );
+                return;
+            }
+
+            $ledger = $this->sanitize_cleanup_ledger( $ledger );
+            if ( ! $ledger ) {
+                $this->send_json_error( 'Invalid cleanup ledger format', 400 );
+                return;
+            }
+
+            $result = update_user_meta( $user_id, $this->get_platform_meta_key( 'instagram_analyzer_cleanup', $platform ), $ledger );
+
+            if ( $result !== false ) {
+                $this->send_json_success( 'Cleanup ledger saved', $ledger );
+            } else {
+                error_log( 'RWP Creator Suite: Failed to save cleanup ledger for user ' . $user_id );
+                $this->send_json_error( 'Failed to save cleanup ledger', 500 );
+            }
+        } catch ( Exception $e ) {
+            error_log( 'RWP Creator Suite Cleanup Ledger Save Exception: ' . $e->getMessage() );
+            $this->send_json_error( 'An unexpected error occurred', 500 );
+        }
+    }
+
+    /**
+     * Get the user's cleanup session ledger.
+     */
+    public function get_cleanup_ledger() {
+        // Sanitize and verify nonce
+        $nonce = sanitize_text_field( $_POST['nonce'] ?? '' );
+        if ( ! wp_verify_nonce( $nonce, 'rwp_instagram_analyzer_nonce' ) ) {
+            $this->send_json_error( 'Invalid nonce', 403 );
+            return;
+        }
+
+        // Check user authentication
+        if ( ! is_user_logged_in() ) {
+            $this->send_json_error( 'User not authenticated', 401 );
+            return;
+        }
+
+        $platform = $this->sanitize_platform( $_POST['platform'] ?? '' );
+        $ledger = get_user_meta( get_current_user_id(), $this->get_platform_meta_key( 'instagram_analyzer_cleanup', $platform ), true );
+
+        if ( ! is_array( $ledger ) ) {
+            $ledger = array(
+                'entries'   => array(),
+                'updatedAt' => null,
+            );
+        }
+
+        $this->send_json_success( 'Cleanup ledger retrieved', $ledger );
+    }
+
+    /**
+     * Sanitize a cleanup session ledger.
+     *
+     * @param mixed $ledger Decoded ledger data.
+     * @return array|false The sanitized ledger or false if invalid.
+     */
+    private function sanitize_cleanup_ledger( $ledger ) {
+        if ( ! is_array( $ledger ) || ! isset( $ledger['entries'] ) || ! is_array( $ledger['entries'] ) ) {
+            return false;
+        }
+
+        $entries = array();
+        foreach ( $ledger['entries'] as $entry ) {
+            if ( ! is_array( $entry ) || empty( $entry['username'] ) || ! is_string( $entry['username'] ) ) {
+                continue;
+            }
+
+            $username = $this->sanitize_instagram_username( $entry['username'] );
+            $action = sanitize_key( $entry['action'] ?? '' );
+            $at = strtotime( $entry['at'] ?? '' );
+
+            if ( ! $username || ! in_array( $action, self::CLEANUP_ACTIONS, true ) || ! $at ) {
+                continue;
+            }
+
+            $entries[] = array(
+                'username'         => $username,
+                'action'           => $action,
+                'at'               => gmdate( 'c', $at ),
+                'addedToWhitelist' => ! empty( $entry['addedToWhitelist'] ),
+            );
+        }
+
+        $updated_at = strtotime( $ledger['updatedAt'] ?? '' );
+
+        return array(
+            // Entries are in the order they were made, so keep the newest
+            'entries'   => array_slice( $entries, -self::MAX_CLEANUP_ENTRIES ),
+            'updatedAt' => gmdate( 'c', $updated_at ? $updated_at : time() ),
+        );
+    }
+
+    /**
+     * Save a user meta value.
+     *
+     * update_user_meta() returns false both when the write fails and when the
+     * stored value is already the same, so the latter is checked first.
+     *
+     * @param int    $user_id User ID.
+     * @param string $key Meta key.
+     * @param mixed  $value Value to store.
+     * @return bool Whether the value is now stored.
+     */
+    private function save_user_meta( $user_id, $key, $value ) {
+        if ( get_user_meta( $user_id, $key, true ) === $value ) {
+            return true;
+        }
+
+        return false !== update_user_meta( $user_id, $key, $value );
+    }
+
+    /**
+     * Get the user meta key for a platform's copy of per-platform data.
+     *
+     * Instagram keeps the original keys so existing data carries over.
+     *
+     * @param string $key      Base user meta key.
+     * @param string $platform Sanitized platform.
+     * @return string User meta key.
+     */
+    private function get_platform_meta_key( $key, $platform ) {
+        return 'instagram' === $platform ? $key : $key . '_' . $platform;
+    }
 
     /**
      * Sanitize Instagram username.
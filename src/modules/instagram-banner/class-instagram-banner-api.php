@@ -0,0 +1,1036 @@
+<?php
+/**
+ * Instagram Banner API
+ *
+ * Handles AJAX endpoints for saving Instagram Banner projects to the server,
+ * so logged-in users can reopen their work later or on another device.
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+class RWP_Creator_Suite_Instagram_Banner_API {
+
+    /**
+     * User meta key holding the project list.
+     */
+    const META_KEY = 'instagram_banner_projects';
+
+    /**
+     * Default maximum number of projects kept per user.
+     */
+    const MAX_PROJECTS = 20;
+
+    /**
+     * Maximum length of a project name.
+     */
+    const MAX_NAME_LENGTH = 80;
+
+    /**
+     * Maximum number of images (source, collage photos, logos and thumbnail) in a project.
+     */
+    const MAX_IMAGES = 24;
+
+    /**
+     * Maximum size of a single project image, matching the banner creator's upload limit.
+     */
+    const MAX_IMAGE_SIZE = 10485760; // 10MB
+
+    /**
+     * Default maximum total size of a user's stored project images.
+     */
+    const MAX_STORAGE = 209715200; // 200MB
+
+    /**
+     * Largest thumbnail sent inline with the project list.
+     */
+    const MAX_THUMBNAIL_SIZE = 262144; // 256KB
+
+    /**
+     * Maximum length of the project settings JSON. Images are sent as files, not in the JSON.
+     */
+    const MAX_DATA_LENGTH = 262144;
+
+    /**
+     * Maximum nesting of the project settings JSON: an object of lists of objects.
+     */
+    const MAX_DATA_DEPTH = 4;
+
+    /**
+     * Maximum number of text and logo overlays in a project.
+     */
+    const MAX_OVERLAYS = 50;
+
+    /**
+     * Maximum length of an overlay's text.
+     */
+    const MAX_OVERLAY_TEXT_LENGTH = 200;
+
+    /**
+     * Image types a project can store, with their file extensions.
+     */
+    const IMAGE_TYPES = array(
+        'image/jpeg' => 'jpg',
+        'image/png'  => 'png',
+        'image/webp' => 'webp',
+    );
+
+    /**
+     * Initialize the API endpoints.
+     */
+    public function init() {
+        add_action( 'wp_ajax_rwp_save_banner_project', array( $this, 'save_project' ) );
+        add_action( 'wp_ajax_rwp_get_banner_projects', array( $this, 'get_projects' ) );
+        add_action( 'wp_ajax_rwp_get_banner_project', array( $this, 'get_project' ) );
+        add_action( 'wp_ajax_rwp_get_banner_project_image', array( $this, 'get_project_image' ) );
+        add_action( 'wp_ajax_rwp_duplicate_banner_project', array( $this, 'duplicate_project' ) );
+        add_action( 'wp_ajax_rwp_delete_banner_project', array( $this, 'delete_project' ) );
+
+        // Project images live outside user meta, so remove them with the user's other data
+        add_action( 'rwp_creator_suite_user_data_cleanup', array( $this, 'delete_user_files' ) );
+    }
+
+    /**
+     * Save a new project, or update one of the user's existing projects.
+     */
+    public function save_project() {
+        try {
+            if ( ! $this->verify_request() ) {
+                return;
+            }
+
+            $user_id = get_current_user_id();
+            $project_id = $this->sanitize_project_id( $_POST['project_id'] ?? '' );
+            $name = $this->sanitize_project_name( wp_unslash( $_POST['name'] ?? '' ) );
+            $data_json = wp_unslash( $_POST['data'] ?? '' );
+
+            if ( strlen( $data_json ) > self::MAX_DATA_LENGTH ) {
+                $this->send_json_error( 'Project data is too large', 413 );
+                return;
+            }
+
+            $data = json_decode( $data_json, true, self::MAX_DATA_DEPTH );
+            if ( json_last_error() === JSON_ERROR_DEPTH ) {
+                $this->send_json_error( 'Project data is nested too deeply', 400 );
+                return;
+            }
+
+            if ( json_last_error() !== JSON_ERROR_NONE ) {
+                error_log( 'RWP Creator Suite JSON Decode Error: ' . json_last_error_msg() );
+                $this->send_json_error( 'Invalid JSON data provided', 400 );
+                return;
+            }
+
+            if ( ! is_array( $data ) ) {
+                $this->send_json_error( 'Invalid project data format', 400 );
+                return;
+            }
+
+            $data = $this->validate_project_data( $data );
+            if ( is_wp_error( $data ) ) {
+                $this->send_json_error( $data->get_error_message(), 400 );
+                return;
+            }
+
+            $projects = $this->get_user_projects( $user_id );
+            $existing = $project_id && isset( $projects[ $project_id ] ) ? $projects[ $project_id ] : null;
+
+            if ( ! $existing && count( $projects ) >= $this->get_max_projects() ) {
+                $this->send_json_error(
+                    sprintf( 'You can keep up to %d projects. Delete one to save a new project.', $this->get_max_projects() ),
+                    400
+                );
+                return;
+            }
+
+            if ( ! $existing ) {
+                $project_id = wp_generate_uuid4();
+            }
+
+            $images = $this->store_uploaded_images( $user_id, $project_id, $existing ? $existing['images'] : array() );
+            if ( is_wp_error( $images ) ) {
+                $this->send_json_error( $images->get_error_message(), 400 );
+                return;
+            }
+
+            $now = gmdate( 'c' );
+            $projects[ $project_id ] = array(
+                'id'        => $project_id,
+                'name'      => $name,
+                'createdAt' => $existing ? $existing['createdAt'] : $now,
+                'updatedAt' => $now,
+                'data'      => $data,
+                'images'    => $images,
+            );
+
+            $result = update_user_meta( $user_id, self::META_KEY, $projects );
+
+            if ( $result !== false ) {
+                // Images from the previous save are no longer used
+                if ( $existing ) {
+                    $this->delete_images( $user_id, $existing['images'] );
+                }
+
+                $this->send_json_success(
+                    'Project saved',
+                    array(
+                        'project'  => $this->get_project_summary( $user_id, $projects[ $project_id ] ),
+                        'projects' => $this->get_project_summaries( $user_id, $projects ),
+                    )
+                );
+            } else {
+                $this->delete_images( $user_id, $images );
+                error_log( 'RWP Creator Suite: Failed to save banner project for user ' . $user_id );
+                $this->send_json_error( 'Failed to save project', 500 );
+            }
+        } catch ( Exception $e ) {
+            error_log( 'RWP Creator Suite Banner Project Save Exception: ' . $e->getMessage() );
+            $this->send_json_error( 'An unexpected error occurred', 500 );
+        }
+    }
+
+    /**
+     * Get the user's projects, newest first, without their settings or full-size images.
+     */
+    public function get_projects() {
+        if ( ! $this->verify_request() ) {
+            return;
+        }
+
+        $user_id = get_current_user_id();
+
+        $this->send_json_success(
+            'Projects retrieved',
+            $this->get_project_summaries( $user_id, $this->get_user_projects( $user_id ) )
+        );
+    }
+
+    /**
+     * Get one project with its settings and the keys of its images, ready to reopen.
+     */
+    public function get_project() {
+        if ( ! $this->verify_request() ) {
+            return;
+        }
+
+        $user_id = get_current_user_id();
+        $project = $this->find_project( $user_id, $_POST['project_id'] ?? '' );
+
+        if ( ! $project ) {
+            $this->send_json_error( 'Project not found', 404 );
+            return;
+        }
+
+        // Each image is then fetched through get_project_image(), so a large
+        // project is never held in memory at once
+        $images = array();
+        foreach ( $project['images'] as $key => $filename ) {
+            if ( 'thumbnail' !== $key && $this->get_image_mime( $this->get_user_dir( $user_id, false ) . $filename ) ) {
+                $images[] = $key;
+            }
+        }
+
+        $this->send_json_success(
+            'Project retrieved',
+            array(
+                'id'        => $project['id'],
+                'name'      => $project['name'],
+                'createdAt' => $project['createdAt'],
+                'updatedAt' => $project['updatedAt'],
+                'data'      => $project['data'],
+                'images'    => $images,
+            )
+        );
+    }
+
+    /**
+     * Send one of a project's images, so they stay out of public URLs.
+     */
+    public function get_project_image() {
+        if ( ! $this->verify_request() ) {
+            return;
+        }
+
+        $user_id = get_current_user_id();
+        $project = $this->find_project( $user_id, $_POST['project_id'] ?? '' );
+        $key = sanitize_key( $_POST['key'] ?? '' );
+
+        if ( ! $project || ! $key || ! isset( $project['images'][ $key ] ) ) {
+            $this->send_json_error( 'Image not found', 404 );
+            return;
+        }
+
+        $path = $this->get_user_dir( $user_id, false ) . basename( $project['images'][ $key ] );
+        $mime_type = $this->get_image_mime( $path );
+        if ( ! $mime_type ) {
+            $this->send_json_error( 'Image not found', 404 );
+            return;
+        }
+
+        nocache_headers();
+        header( 'Content-Type: ' . $mime_type );
+        header( 'Content-Length: ' . filesize( $path ) );
+        header( 'X-Content-Type-Options: nosniff' );
+
+        readfile( $path );
+        exit;
+    }
+
+    /**
+     * Copy one of the user's projects, images included.
+     */
+    public function duplicate_project() {
+        try {
+            if ( ! $this->verify_request() ) {
+                return;
+            }
+
+            $user_id = get_current_user_id();
+            $project = $this->find_project( $user_id, $_POST['project_id'] ?? '' );
+
+            if ( ! $project ) {
+                $this->send_json_error( 'Project not found', 404 );
+                return;
+            }
+
+            $projects = $this->get_user_projects( $user_id );
+            if ( count( $projects ) >= $this->get_max_projects() ) {
+                $this->send_json_error(
+                    sprintf( 'You can keep up to %d projects. Delete one to duplicate this project.', $this->get_max_projects() ),
+                    400
+                );
+                return;
+            }
+
+            $dir = $this->get_user_dir( $user_id );
+            if ( ! $dir ) {
+                $this->send_json_error( 'Project storage is unavailable', 500 );
+                return;
+            }
+
+            if ( $this->get_storage_used( $user_id ) + $this->get_images_size( $user_id, $project['images'] ) > $this->get_max_storage() ) {
+                $this->send_json_error( $this->get_storage_full_message(), 400 );
+                return;
+            }
+
+            $copy_id = wp_generate_uuid4();
+            $images = array();
+
+            foreach ( $project['images'] as $key => $filename ) {
+                // Filenames start with the project ID, so swap in the copy's
+                $copy_filename = $copy_id . substr( $filename, strlen( $project['id'] ) );
+                if ( file_exists( $dir . $filename ) && copy( $dir . $filename, $dir . $copy_filename ) ) {
+                    $images[ $key ] = $copy_filename;
+                }
+            }
+
+            $now = gmdate( 'c' );
+            $projects[ $copy_id ] = array_merge(
+                $project,
+                array(
+                    'id'        => $copy_id,
+                    'name'      => $this->sanitize_project_name( sprintf( '%s (copy)', $project['name'] ) ),
+                    'createdAt' => $now,
+                    'updatedAt' => $now,
+                    'images'    => $images,
+                )
+            );
+
+            $result = update_user_meta( $user_id, self::META_KEY, $projects );
+
+            if ( $result !== false ) {
+                $this->send_json_success(
+                    'Project duplicated',
+                    array(
+                        'project'  => $this->get_project_summary( $user_id, $projects[ $copy_id ] ),
+                        'projects' => $this->get_project_summaries( $user_id, $projects ),
+                    )
+                );
+            } else {
+                $this->delete_images( $user_id, $images );
+                error_log( 'RWP Creator Suite: Failed to duplicate banner project for user ' . $user_id );
+                $this->send_json_error( 'Failed to duplicate project', 500 );
+            }
+        } catch ( Exception $e ) {
+            error_log( 'RWP Creator Suite Banner Project Duplicate Exception: ' . $e->getMessage() );
+            $this->send_json_error( 'An unexpected error occurred', 500 );
+        }
+    }
+
+    /**
+     * Delete one of the user's projects and its images.
+     */
+    public function delete_project() {
+        if ( ! $this->verify_request() ) {
+            return;
+        }
+
+        $user_id = get_current_user_id();
+        $project = $this->find_project( $user_id, $_POST['project_id'] ?? '' );
+
+        if ( ! $project ) {
+            $this->send_json_error( 'Project not found', 404 );
+            return;
+        }
+
+        $projects = $this->get_user_projects( $user_id );
+        unset( $projects[ $project['id'] ] );
+
+        if ( empty( $projects ) ) {
+            delete_user_meta( $user_id, self::META_KEY );
+        } else {
+            update_user_meta( $user_id, self::META_KEY, $projects );
+        }
+
+        $this->delete_images( $user_id, $project['images'] );
+
+        $this->send_json_success( 'Project deleted', $this->get_project_summaries( $user_id, $projects ) );
+    }
+
+    /**
+     * Remove a user's project images when their data is cleaned up.
+     *
+     * @param int $user_id User ID.
+     */
+    public function delete_user_files( $user_id ) {
+        $dir = $this->get_user_dir( $user_id, false );
+        if ( ! is_dir( $dir ) ) {
+            return;
+        }
+
+        foreach ( glob( $dir . '*' ) as $file ) {
+            if ( is_file( $file ) ) {
+                unlink( $file );
+            }
+        }
+
+        // Hidden files such as .htaccess aren't matched by the glob above
+        if ( file_exists( $dir . '.htaccess' ) ) {
+            unlink( $dir . '.htaccess' );
+        }
+
+        rmdir( $dir );
+    }
+
+    /**
+     * Verify the nonce and that a user is logged in, sending an error if not.
+     *
+     * @return bool Whether the request may continue.
+     */
+    private function verify_request() {
+        // Sanitize and verify nonce
+        $nonce = sanitize_text_field( $_POST['nonce'] ?? '' );
+        if ( ! wp_verify_nonce( $nonce, 'rwp_instagram_banner_nonce' ) ) {
+            $this->send_json_error( 'Invalid nonce', 403 );
+            return false;
+        }
+
+        // Check user authentication
+        if ( ! is_user_logged_in() ) {
+            $this->send_json_error( 'User not authenticated', 401 );
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the maximum number of projects a user can keep.
+     *
+     * @return int
+     */
+    private function get_max_projects() {
+        return max( 1, absint( apply_filters( 'rwp_creator_suite_banner_max_projects', self::MAX_PROJECTS ) ) );
+    }
+
+    /**
+     * Get the maximum total size of a user's stored project images, in bytes.
+     *
+     * @return int
+     */
+    private function get_max_storage() {
+        return absint( apply_filters( 'rwp_creator_suite_banner_max_storage', self::MAX_STORAGE ) );
+    }
+
+    /**
+     * Get the message shown when a save would go over the storage limit.
+     *
+     * @return string
+     */
+    private function get_storage_full_message() {
+        return sprintf(
+            'Your saved projects can use up to %s. Delete a project to make room.',
+            size_format( $this->get_max_storage() )
+        );
+    }
+
+    /**
+     * Get the total size of a user's stored project images.
+     *
+     * @param int $user_id User ID.
+     * @return int Size in bytes.
+     */
+    private function get_storage_used( $user_id ) {
+        $dir = $this->get_user_dir( $user_id, false );
+        $files = is_dir( $dir ) ? glob( $dir . '*' ) : array();
+        $size = 0;
+
+        foreach ( (array) $files as $file ) {
+            if ( is_file( $file ) ) {
+                $size += filesize( $file );
+            }
+        }
+
+        return $size;
+    }
+
+    /**
+     * Get the total size of some of a user's project images.
+     *
+     * @param int   $user_id User ID.
+     * @param array $filenames Filenames in the user's project directory.
+     * @return int Size in bytes.
+     */
+    private function get_images_size( $user_id, $filenames ) {
+        $dir = $this->get_user_dir( $user_id, false );
+        $size = 0;
+
+        foreach ( $filenames as $filename ) {
+            $path = $dir . basename( $filename );
+            if ( is_file( $path ) ) {
+                $size += filesize( $path );
+            }
+        }
+
+        return $size;
+    }
+
+    /**
+     * Get stored projects for a user.
+     *
+     * @param int $user_id User ID.
+     * @return array Stored projects keyed by ID.
+     */
+    private function get_user_projects( $user_id ) {
+        $projects = get_user_meta( $user_id, self::META_KEY, true );
+
+        return is_array( $projects ) ? $projects : array();
+    }
+
+    /**
+     * Find one of the user's projects by a requested ID.
+     *
+     * @param int    $user_id User ID.
+     * @param string $project_id Requested project ID.
+     * @return array|null The project or null if the user has no such project.
+     */
+    private function find_project( $user_id, $project_id ) {
+        $project_id = $this->sanitize_project_id( $project_id );
+        $projects = $this->get_user_projects( $user_id );
+
+        return $project_id && isset( $projects[ $project_id ] ) ? $projects[ $project_id ] : null;
+    }
+
+    /**
+     * Get the list entry for a project.
+     *
+     * @param int   $user_id User ID.
+     * @param array $project Stored project.
+     * @return array Name, dates and a small thumbnail.
+     */
+    private function get_project_summary( $user_id, $project ) {
+        $thumbnail = null;
+        if ( isset( $project['images']['thumbnail'] ) ) {
+            $path = $this->get_user_dir( $user_id, false ) . $project['images']['thumbnail'];
+
+            // Every summary carries its thumbnail, so only small ones are sent
+            if ( is_file( $path ) && filesize( $path ) <= self::MAX_THUMBNAIL_SIZE ) {
+                $thumbnail = $this->get_image_data_url( $path );
+            }
+        }
+
+        return array(
+            'id'        => $project['id'],
+            'name'      => $project['name'],
+            'createdAt' => $project['createdAt'],
+            'updatedAt' => $project['updatedAt'],
+            'thumbnail' => $thumbnail,
+        );
+    }
+
+    /**
+     * Get the list entries for a user's projects, most recently saved first.
+     *
+     * @param int   $user_id User ID.
+     * @param array $projects Stored projects.
+     * @return array
+     */
+    private function get_project_summaries( $user_id, $projects ) {
+        $summaries = array();
+        foreach ( $projects as $project ) {
+            $summaries[] = $this->get_project_summary( $user_id, $project );
+        }
+
+        usort(
+            $summaries,
+            function ( $a, $b ) {
+                return strcmp( $b['updatedAt'], $a['updatedAt'] );
+            }
+        );
+
+        return $summaries;
+    }
+
+    /**
+     * Store the images uploaded with a project save.
+     *
+     * Files are sent as images[key], where the key is how the project data
+     * refers to the image (for example "source" or "collage-abc123").
+     *
+     * @param int    $user_id User ID.
+     * @param string $project_id Project ID.
+     * @param array  $replaced Filenames of the images this save replaces.
+     * @return array|WP_Error Filenames keyed by image key, or an error.
+     */
+    private function store_uploaded_images( $user_id, $project_id, $replaced = array() ) {
+        $files = $_FILES['images'] ?? null;
+        if ( ! $files || ! is_array( $files['tmp_name'] ) ) {
+            return new WP_Error( 'missing_images', 'The project has no images' );
+        }
+
+        if ( count( $files['tmp_name'] ) > self::MAX_IMAGES ) {
+            return new WP_Error( 'too_many_images', 'The project has too many images' );
+        }
+
+        $dir = $this->get_user_dir( $user_id );
+        if ( ! $dir ) {
+            return new WP_Error( 'storage_unavailable', 'Project storage is unavailable' );
+        }
+
+        // The replaced images are deleted once the save succeeds, so they
+        // don't count towards the limit
+        $size = $this->get_storage_used( $user_id ) - $this->get_images_size( $user_id, $replaced );
+        foreach ( $files['size'] as $file_size ) {
+            $size += (int) $file_size;
+        }
+        if ( $size > $this->get_max_storage() ) {
+            return new WP_Error( 'storage_full', $this->get_storage_full_message() );
+        }
+
+        // Each save writes new files, so a failed save never touches the
+        // images the project already has
+        $version = substr( md5( wp_generate_uuid4() ), 0, 8 );
+
+        $images = array();
+        foreach ( $files['tmp_name'] as $field => $tmp_name ) {
+            $key = sanitize_key( $field );
+
+            if (
+                ! $key ||
+                UPLOAD_ERR_OK !== (int) $files['error'][ $field ] ||
+                (int) $files['size'][ $field ] > self::MAX_IMAGE_SIZE ||
+                ! is_uploaded_file( $tmp_name )
+            ) {
+                $this->delete_images( $user_id, $images );
+                return new WP_Error( 'invalid_image', 'An image could not be uploaded' );
+            }
+
+            // Check the file contents rather than the name or type the browser sent
+            $mime_type = wp_get_image_mime( $tmp_name );
+            if ( ! $mime_type || ! isset( self::IMAGE_TYPES[ $mime_type ] ) ) {
+                $this->delete_images( $user_id, $images );
+                return new WP_Error( 'invalid_image_type', 'Project images must be JPEG, PNG or WebP' );
+            }
+
+            $filename = $project_id . '-' . $key . '-' . $version . '.' . self::IMAGE_TYPES[ $mime_type ];
+            if ( ! move_uploaded_file( $tmp_name, $dir . $filename ) ) {
+                $this->delete_images( $user_id, $images );
+                return new WP_Error( 'image_not_saved', 'An image could not be saved' );
+            }
+
+            $images[ $key ] = $filename;
+        }
+
+        return $images;
+    }
+
+    /**
+     * Delete project image files.
+     *
+     * @param int   $user_id User ID.
+     * @param array $filenames Filenames in the user's project directory.
+     */
+    private function delete_images( $user_id, $filenames ) {
+        $dir = $this->get_user_dir( $user_id, false );
+
+        foreach ( $filenames as $filename ) {
+            $path = $dir . basename( $filename );
+            if ( is_file( $path ) ) {
+                unlink( $path );
+            }
+        }
+    }
+
+    /**
+     * Get the directory holding a user's project images.
+     *
+     * @param int  $user_id User ID.
+     * @param bool $create Whether to create the directory if it is missing.
+     * @return string|false Directory path with a trailing slash, or false if it can't be created.
+     */
+    private function get_user_dir( $user_id, $create = true ) {
+        $upload_dir = wp_upload_dir();
+
+        /**
+         * Filter the directory project images are stored in.
+         *
+         * The default is inside uploads, which the .htaccess written below
+         * only protects on Apache. Other servers need their own rule to deny
+         * it, or a directory outside the web root can be returned here.
+         *
+         * @param string $base_dir Directory holding a folder per user.
+         */
+        $base_dir = apply_filters(
+            'rwp_creator_suite_banner_storage_dir',
+            trailingslashit( $upload_dir['basedir'] ) . 'rwp-banner-projects'
+        );
+        $dir = trailingslashit( $base_dir ) . absint( $user_id ) . '/';
+
+        if ( $create && ! file_exists( $dir ) ) {
+            if ( ! wp_mkdir_p( $dir ) ) {
+                return false;
+            }
+
+            // Images are only served through get_project_image(), never directly
+            file_put_contents( $dir . '.htaccess', 'Deny from all' );
+            file_put_contents( $dir . 'index.php', '<?php // Silence is golden.' );
+        }
+
+        return $dir;
+    }
+
+    /**
+     * Get the type of a stored image.
+     *
+     * @param string $path Image path.
+     * @return string|false The MIME type, or false if the file is missing or not a project image type.
+     */
+    private function get_image_mime( $path ) {
+        if ( ! is_file( $path ) ) {
+            return false;
+        }
+
+        $mime_type = wp_get_image_mime( $path );
+
+        return $mime_type && isset( self::IMAGE_TYPES[ $mime_type ] ) ? $mime_type : false;
+    }
+
+    /**
+     * Read a stored image as a data URL.
+     *
+     * @param string $path Image path.
+     * @return string|null The data URL, or null if the file is missing or not an image.
+     */
+    private function get_image_data_url( $path ) {
+        $mime_type = $this->get_image_mime( $path );
+        if ( ! $mime_type ) {
+            return null;
+        }
+
+        return 'data:' . $mime_type . ';base64,' . base64_encode( file_get_contents( $path ) );
+    }
+
+    /**
+     * Sanitize a project ID.
+     *
+     * @param mixed $project_id Requested project ID.
+     * @return string The ID, or an empty string if it isn't a valid UUID.
+     */
+    private function sanitize_project_id( $project_id ) {
+        $project_id = strtolower( sanitize_text_field( (string) $project_id ) );
+
+        return wp_is_uuid( $project_id ) ? $project_id : '';
+    }
+
+    /**
+     * Sanitize a project name.
+     *
+     * @param mixed $name Requested name.
+     * @return string The name, or a default if it is empty.
+     */
+    private function sanitize_project_name( $name ) {
+        $name = sanitize_text_field( (string) $name );
+        $name = mb_substr( $name, 0, self::MAX_NAME_LENGTH );
+
+        return '' !== $name ? $name : 'Untitled banner';
+    }
+
+    /**
+     * Validate the project settings against the shape the banner creator saves:
+     * layout, crop, fill, adjustments, overlays and collage.
+     *
+     * Only the known fields are kept. A missing or out-of-range field rejects
+     * the whole project rather than being dropped or clamped.
+     *
+     * @param array $data Decoded project data.
+     * @return array|WP_Error The settings, or an error naming the invalid part.
+     */
+    private function validate_project_data( $data ) {
+        $schema = $this->get_project_schema();
+
+        $settings = $this->validate_fields( $data['settings'] ?? null, $schema['settings'] );
+        if ( null === $settings ) {
+            return new WP_Error( 'invalid_project_data', 'The project layout is invalid' );
+        }
+
+        // The crop is only set once the crop step has been opened
+        $crop_transform = null;
+        if ( isset( $data['cropTransform'] ) ) {
+            $crop_transform = $this->validate_fields( $data['cropTransform'], $schema['cropTransform'] );
+            if ( null === $crop_transform ) {
+                return new WP_Error( 'invalid_project_data', 'The project crop is invalid' );
+            }
+        }
+
+        $crop_fill = $this->validate_fields( $data['cropFill'] ?? null, $schema['cropFill'] );
+        if ( null === $crop_fill ) {
+            return new WP_Error( 'invalid_project_data', 'The project fill is invalid' );
+        }
+
+        $adjustments = $this->validate_fields( $data['adjustments'] ?? null, $schema['adjustments'] );
+        if ( null === $adjustments ) {
+            return new WP_Error( 'invalid_project_data', 'The project adjustments are invalid' );
+        }
+
+        $overlays = $data['overlays'] ?? array();
+        if ( ! is_array( $overlays ) || ! wp_is_numeric_array( $overlays ) || count( $overlays ) > self::MAX_OVERLAYS ) {
+            return new WP_Error( 'invalid_project_data', 'The project overlays are invalid' );
+        }
+
+        foreach ( $overlays as $index => $overlay ) {
+            $type = is_array( $overlay ) ? ( $overlay['type'] ?? '' ) : '';
+            if ( ! in_array( $type, array( 'text', 'image' ), true ) ) {
+                return new WP_Error( 'invalid_project_data', 'The project overlays are invalid' );
+            }
+
+            $overlay = $this->validate_fields( $overlay, array_merge( $schema['overlay'], $schema[ $type . 'Overlay' ] ) );
+
+            // Logos refer to their uploaded image by key
+            if ( null === $overlay || ( 'image' === $type && 'logo-' . $overlay['id'] !== $overlay['src'] ) ) {
+                return new WP_Error( 'invalid_project_data', 'The project overlays are invalid' );
+            }
+
+            $overlays[ $index ] = $overlay;
+        }
+
+        $collage = $data['collage'] ?? array();
+        if ( ! is_array( $collage ) || ! wp_is_numeric_array( $collage ) || count( $collage ) > self::MAX_IMAGES ) {
+            return new WP_Error( 'invalid_project_data', 'The project collage is invalid' );
+        }
+
+        foreach ( $collage as $index => $photo ) {
+            $photo = $this->validate_fields( $photo, $schema['collage'] );
+            if ( null === $photo || 'collage-' . $photo['id'] !== $photo['src'] ) {
+                return new WP_Error( 'invalid_project_data', 'The project collage is invalid' );
+            }
+
+            $collage[ $index ] = $photo;
+        }
+
+        return array(
+            'settings'      => $settings,
+            'cropTransform' => $crop_transform,
+            'cropFill'      => $crop_fill,
+            'adjustments'   => $adjustments,
+            'overlays'      => array_values( $overlays ),
+            'collage'       => array_values( $collage ),
+        );
+    }
+
+    /**
+     * Get the fields of each part of the project settings, matching the
+     * limits the banner creator applies.
+     *
+     * @return array Field rules keyed by part, then by field name.
+     */
+    private function get_project_schema() {
+        $layouts = array( 'grid-3x2', 'grid-3x3' );
+        for ( $panels = 2; $panels <= 10; $panels++ ) {
+            $layouts[] = 'row-' . $panels;
+        }
+
+        $adjustment = array( 'type' => 'number', 'min' => -100, 'max' => 100 );
+        $position = array( 'type' => 'number', 'min' => 0, 'max' => 1 );
+
+        return array(
+            'settings'      => array(
+                'mode'    => array( 'type' => 'enum', 'values' => array( 'grid', 'carousel' ) ),
+                'layout'  => array( 'type' => 'enum', 'values' => $layouts ),
+                'aspect'  => array( 'type' => 'enum', 'values' => array( '4:5', '3:4', '1:1' ) ),
+                'gapSize' => array( 'type' => 'integer', 'min' => 0, 'max' => 40 ),
+                'slides'  => array( 'type' => 'integer', 'min' => 2, 'max' => 10 ),
+            ),
+            'cropTransform' => array(
+                'x'            => array( 'type' => 'number' ),
+                'y'            => array( 'type' => 'number' ),
+                'zoom'         => array( 'type' => 'number', 'min' => 0.01, 'max' => 5 ),
+                'rotation'     => array( 'type' => 'number', 'min' => -45, 'max' => 45 ),
+                'quarterTurns' => array( 'type' => 'integer', 'min' => 0, 'max' => 3 ),
+            ),
+            'cropFill'      => array(
+                'mode'        => array( 'type' => 'enum', 'values' => array( 'cover', 'blur', 'color', 'gradient', 'mirror' ) ),
+                'color'       => array( 'type' => 'color' ),
+                'gradientEnd' => array( 'type' => 'color' ),
+            ),
+            'adjustments'   => array(
+                'brightness' => $adjustment,
+                'contrast'   => $adjustment,
+                'saturation' => $adjustment,
+                'warmth'     => $adjustment,
+                'vignette'   => array( 'type' => 'number', 'min' => 0, 'max' => 100 ),
+            ),
+            'overlay'       => array(
+                'id'      => array( 'type' => 'id' ),
+                'type'    => array( 'type' => 'enum', 'values' => array( 'text', 'image' ) ),
+                'opacity' => array( 'type' => 'number', 'min' => 0.1, 'max' => 1 ),
+                'x'       => $position,
+                'y'       => $position,
+            ),
+            'textOverlay'   => array(
+                'text'        => array( 'type' => 'text' ),
+                'font'        => array( 'type' => 'enum', 'values' => array( 'sans', 'serif', 'display', 'mono', 'script' ) ),
+                'bold'        => array( 'type' => 'boolean' ),
+                'size'        => array( 'type' => 'number', 'min' => 12, 'max' => 600 ),
+                'color'       => array( 'type' => 'color' ),
+                'strokeColor' => array( 'type' => 'color' ),
+                'strokeWidth' => array( 'type' => 'number', 'min' => 0, 'max' => 40 ),
+                'shadow'      => array( 'type' => 'boolean' ),
+            ),
+            'imageOverlay'  => array(
+                'src'    => array( 'type' => 'key' ),
+                'aspect' => array( 'type' => 'number', 'min' => 0.01, 'max' => 100 ),
+                'width'  => array( 'type' => 'number', 'min' => 20, 'max' => 20000 ),
+            ),
+            'collage'       => array(
+                'id'          => array( 'type' => 'id' ),
+                'src'         => array( 'type' => 'key' ),
+                'aspect'      => array( 'type' => 'number', 'min' => 0.01, 'max' => 100 ),
+                'x'           => $position,
+                'y'           => $position,
+                'width'       => array( 'type' => 'number', 'min' => 0.05, 'max' => 1 ),
+                'border'      => array( 'type' => 'number', 'min' => 0, 'max' => 40 ),
+                'borderColor' => array( 'type' => 'color' ),
+            ),
+        );
+    }
+
+    /**
+     * Validate an object's fields against their rules.
+     *
+     * @param mixed $value Decoded object.
+     * @param array $rules Field rules keyed by field name.
+     * @return array|null The known fields, or null if any is missing or invalid.
+     */
+    private function validate_fields( $value, $rules ) {
+        if ( ! is_array( $value ) ) {
+            return null;
+        }
+
+        $fields = array();
+        foreach ( $rules as $field => $rule ) {
+            if ( ! array_key_exists( $field, $value ) ) {
+                return null;
+            }
+
+            $item = $value[ $field ];
+
+            // Overlay text is drawn on the canvas as typed, so only the
+            // characters that can't be drawn are removed
+            if ( 'text' === $rule['type'] && is_string( $item ) ) {
+                $item = preg_replace( '/\p{Cc}/u', '', wp_check_invalid_utf8( $item ) );
+            }
+
+            if ( ! $this->is_valid_field( $item, $rule ) ) {
+                return null;
+            }
+
+            $fields[ $field ] = $item;
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Check a single field against its rule.
+     *
+     * @param mixed $value Field value.
+     * @param array $rule Field rule: a type, plus allowed values or a range.
+     * @return bool Whether the value is valid.
+     */
+    private function is_valid_field( $value, $rule ) {
+        switch ( $rule['type'] ) {
+            case 'enum':
+                return in_array( $value, $rule['values'], true );
+
+            case 'boolean':
+                return is_bool( $value );
+
+            case 'color':
+                return is_string( $value ) && (bool) preg_match( '/^#[0-9a-f]{6}$/i', $value );
+
+            case 'text':
+                return is_string( $value ) && mb_strlen( $value ) <= self::MAX_OVERLAY_TEXT_LENGTH;
+
+            case 'id':
+                return is_string( $value ) && (bool) preg_match( '/^[a-z0-9]{1,32}$/', $value );
+
+            case 'key':
+                return is_string( $value ) && (bool) preg_match( '/^[a-z]+-[a-z0-9]{1,32}$/', $value );
+
+            case 'integer':
+            case 'number':
+                $is_number = 'integer' === $rule['type']
+                    ? is_int( $value )
+                    : ( is_int( $value ) || ( is_float( $value ) && is_finite( $value ) ) );
+
+                return $is_number &&
+                    ( ! isset( $rule['min'] ) || $value >= $rule['min'] ) &&
+                    ( ! isset( $rule['max'] ) || $value <= $rule['max'] );
+        }
+
+        return false;
+    }
+
+    /**
+     * Send JSON success response.
+     *
+     * @param string $message Success message.
+     * @param mixed  $data Optional data to include.
+     */
+    private function send_json_success( $message, $data = null ) {
+        $response = array(
+            'success' => true,
+            'message' => $message,
+        );
+
+        if ( $data !== null ) {
+            $response['data'] = $data;
+        }
+
+        wp_send_json( $response );
+    }
+
+    /**
+     * Send JSON error response.
+     *
+     * @param string $message Error message.
+     * @param int    $status_code HTTP status code.
+     */
+    private function send_json_error( $message, $status_code = 400 ) {
+        $response = array(
+            'success' => false,
+            'message' => $message,
+        );
+
+        wp_send_json( $response, $status_code );
+    }
+}
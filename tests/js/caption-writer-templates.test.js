@@ -0,0 +1,223 @@
+/**
+ * Tests for the Caption Writer template form, loaded from assets/js/caption-writer.js
+ */
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+const readScript = ( file ) =>
+	fs.readFileSync(
+		path.resolve( __dirname, '../../assets/js', file ),
+		'utf8'
+	);
+
+// The scripts aren't modules, so they are evaluated the way the page loads them
+global.RWPStateManager = new Function(
+	`${ readScript( 'state-manager.js' ) }\nreturn RWPStateManager;`
+)();
+
+const template = {
+	id: 'launch',
+	name: 'Launch',
+	category: 'business',
+	template: 'Meet {product}: {benefit}\n\n{hashtags}',
+	variables: [ 'product', 'benefit', 'hashtags' ],
+};
+
+// The app is private to its script, so it is started the way the block
+// starts it and read back from its container
+const createApp = () => {
+	document.body.innerHTML = `
+		<div class="rwp-caption-writer-container" data-config="{}">
+			<textarea data-description></textarea>
+			<select data-tone><option value="casual">Casual</option></select>
+			<button data-generate></button>
+			<div data-captions><div class="captions-list"></div></div>
+			<select data-template-category><option value="all">All</option></select>
+			<div data-templates-grid></div>
+			<div data-template-form style="display: none;"></div>
+			<div data-favorites></div>
+			<div class="caption-output-section">
+				<textarea data-final-caption></textarea>
+			</div>
+			<span data-char-count></span>
+			<span data-char-limit></span>
+			<button data-copy></button>
+			<button data-save-favorite></button>
+			<div data-loading></div>
+			<div data-error style="display: none;">
+				<div class="error-message"></div>
+			</div>
+			<div data-quota-display><span class="quota-text"></span></div>
+		</div>
+	`;
+
+	new Function( readScript( 'caption-writer.js' ) )();
+
+	return document.querySelector( '.rwp-caption-writer-container' )
+		.captionWriterApp;
+};
+
+const typeInto = ( variable, value ) => {
+	const input = document.querySelector(
+		`[data-template-variable="${ variable }"]`
+	);
+	input.value = value;
+	input.dispatchEvent( new Event( 'input' ) );
+};
+
+describe( 'Caption Writer templates', () => {
+	let app;
+
+	beforeAll( () => {
+		Object.assign( global.rwpCaptionWriter.strings, {
+			templateFilling: 'Filling in the blanks...',
+			templateFilled:
+				'Blanks filled in. Check them over before inserting.',
+			templateNeedsDescription:
+				'Describe your content in the AI Generator tab first, so the AI knows what to write',
+			templateMissingValues: 'Please fill in:',
+		} );
+	} );
+
+	beforeEach( () => {
+		window.localStorage.clear();
+		app = createApp();
+	} );
+
+	describe( 'fillTemplate', () => {
+		test( 'should fill the blanks that have answers', () => {
+			expect(
+				app.fillTemplate( template, {
+					product: ' Trail Bottle ',
+					benefit: '',
+				} )
+			).toBe( 'Meet Trail Bottle: {benefit}\n\n{hashtags}' );
+		} );
+	} );
+
+	describe( 'parseHashtags', () => {
+		test( 'should read hashtags however they are separated', () => {
+			expect(
+				app.parseHashtags( '#hiking, #Café  outdoors,#trail-life' )
+			).toEqual( [ 'hiking', 'Café', 'outdoors', 'traillife' ] );
+			expect( app.parseHashtags( undefined ) ).toEqual( [] );
+		} );
+	} );
+
+	describe( 'Template Form', () => {
+		beforeEach( () => {
+			app.selectTemplate( template );
+		} );
+
+		test( 'should show a field per blank and a live preview', () => {
+			expect(
+				Array.from(
+					document.querySelectorAll( '[data-template-variable]' ),
+					( input ) => input.dataset.templateVariable
+				)
+			).toEqual( [ 'product', 'benefit', 'hashtags' ] );
+
+			typeInto( 'product', 'Trail <Bottle>' );
+
+			const preview = document.querySelector( '[data-template-preview]' );
+			expect(
+				preview.querySelector( '.template-filled-value' ).textContent
+			).toBe( 'Trail <Bottle>' );
+			expect(
+				Array.from(
+					preview.querySelectorAll( '.template-empty-value' ),
+					( blank ) => blank.textContent
+				)
+			).toEqual( [ '{benefit}', '{hashtags}' ] );
+		} );
+
+		test( 'should toggle picked hashtags in the hashtags field', () => {
+			typeInto( 'product', 'Trail Bottle' );
+
+			const chip = () =>
+				document.querySelector(
+					'.hashtag-chip[data-hashtag="trailbottle"]'
+				);
+			chip().click();
+
+			const input = document.querySelector(
+				'[data-template-variable="hashtags"]'
+			);
+			expect( input.value ).toBe( '#trailbottle' );
+			expect( chip().getAttribute( 'aria-pressed' ) ).toBe( 'true' );
+
+			chip().click();
+			expect( input.value ).toBe( '' );
+		} );
+
+		test( 'should not insert the caption until every blank but the hashtags is filled', () => {
+			typeInto( 'product', 'Trail Bottle' );
+
+			app.insertTemplateCaption();
+
+			expect(
+				document.querySelector( '[data-final-caption]' ).value
+			).toBe( '' );
+			expect(
+				document.querySelector( '.validation-warning' ).textContent
+			).toBe( 'Please fill in: Benefit' );
+
+			typeInto( 'benefit', 'cold water all day' );
+			app.insertTemplateCaption();
+
+			expect(
+				document.querySelector( '[data-final-caption]' ).value
+			).toBe( 'Meet Trail Bottle: cold water all day' );
+		} );
+
+		test( 'should keep typed answers when the AI fills the blanks', async () => {
+			document.querySelector( '[data-description]' ).value =
+				'A reusable water bottle for long hikes';
+			typeInto( 'product', 'Trail Bottle' );
+			typeInto( 'hashtags', '#hiking' );
+			global.fetch.mockResolvedValue( {
+				ok: true,
+				json: async () => ( {
+					success: true,
+					data: {
+						product: 'Sample product',
+						benefit: 'Sample benefit',
+						hashtags: '#Hiking #outdoors',
+					},
+					meta: {},
+				} ),
+			} );
+
+			await app.fillTemplateWithAI();
+
+			const [ , request ] = global.fetch.mock.calls.find( ( [ url ] ) =>
+				url.endsWith( 'captions/fill-template' )
+			);
+			expect( JSON.parse( request.body ) ).toEqual(
+				expect.objectContaining( {
+					variables: template.variables,
+					description: 'A reusable water bottle for long hikes',
+				} )
+			);
+			expect( app.state.getState().templateValues ).toEqual( {
+				product: 'Trail Bottle',
+				benefit: 'Sample benefit',
+				hashtags: '#hiking #outdoors',
+			} );
+		} );
+
+		test( 'should ask for a description before filling with AI', async () => {
+			await app.fillTemplateWithAI();
+
+			expect( global.fetch ).not.toHaveBeenCalledWith(
+				'/wp-json/rwp-creator-suite/v1/captions/fill-template',
+				expect.anything()
+			);
+			expect(
+				document.querySelector( '[data-error] .error-message' )
+					.textContent
+			).toBe( global.rwpCaptionWriter.strings.templateNeedsDescription );
+		} );
+	} );
+} );
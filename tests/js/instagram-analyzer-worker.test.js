@@ -0,0 +1,300 @@
+/**
+ * Tests for the analyzer worker protocol, loaded from assets/js/instagram-analyzer-worker.js
+ * and the worker side of assets/js/instagram-analyzer.js
+ */
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+const readScript = ( file ) =>
+	fs.readFileSync(
+		path.resolve( __dirname, '../../assets/js', file ),
+		'utf8'
+	);
+
+// The scripts aren't modules, so they are evaluated the way the page loads them
+const InstagramAnalyzer = new Function(
+	`${ readScript( 'instagram-analyzer.js' ) }\nreturn InstagramAnalyzer;`
+)();
+
+// Runs the worker script against a stand-in for its global scope, and
+// returns a function that sends it a message
+const startWorker = ( { parser, importScripts } = {} ) => {
+	const scope = {
+		listeners: [],
+		messages: [],
+		addEventListener( type, listener ) {
+			this.listeners.push( listener );
+		},
+		postMessage( message ) {
+			this.messages.push( message );
+		},
+		importScripts: importScripts || jest.fn(),
+	};
+
+	new Function(
+		'self',
+		'JSZip',
+		'InstagramExportParser',
+		readScript( 'instagram-analyzer-worker.js' )
+	)( scope, parser ? {} : undefined, parser );
+
+	scope.send = ( data ) =>
+		Promise.all(
+			scope.listeners.map( ( listener ) => listener( { data } ) )
+		);
+
+	return scope;
+};
+
+// Stands in for the browser Worker, recording what the analyzer sends it
+class FakeWorker {
+	constructor( url ) {
+		this.url = url;
+		this.listeners = {};
+		this.posted = [];
+		this.terminate = jest.fn();
+		FakeWorker.instances.push( this );
+	}
+
+	addEventListener( type, listener ) {
+		this.listeners[ type ] = listener;
+	}
+
+	postMessage( message ) {
+		this.posted.push( message );
+	}
+
+	emit( type, event ) {
+		this.listeners[ type ]( event );
+	}
+}
+
+FakeWorker.instances = [];
+
+const createAnalyzer = () => {
+	const analyzer = Object.create( InstagramAnalyzer.prototype );
+	analyzer.config = {
+		workerUrl: '/assets/js/instagram-analyzer-worker.js',
+		workerScripts: [ '/assets/js/jszip.min.js' ],
+	};
+	analyzer.activeAnalysis = null;
+	analyzer.showProgress = jest.fn();
+
+	return analyzer;
+};
+
+describe( 'Instagram analyzer worker', () => {
+	describe( 'Worker Script', () => {
+		test( 'should post progress and the result of the analysis', async () => {
+			const analyzeExportFile = jest.fn( async function () {
+				this.options.onProgress( 50, 'Reading followers' );
+				return { followers: [ 'alice' ] };
+			} );
+			const parser = jest.fn( function ( options ) {
+				this.options = options;
+				this.analyzeExportFile = analyzeExportFile;
+			} );
+			const worker = startWorker( { parser } );
+			const file = { name: 'export.zip' };
+
+			await worker.send( { type: 'analyze', file, scripts: [] } );
+
+			expect( analyzeExportFile ).toHaveBeenCalledWith( file );
+			expect( worker.importScripts ).not.toHaveBeenCalled();
+			expect( worker.messages ).toEqual( [
+				{
+					type: 'progress',
+					percentage: 50,
+					message: 'Reading followers',
+				},
+				{ type: 'result', data: { followers: [ 'alice' ] } },
+			] );
+		} );
+
+		test( 'should post parser errors without asking for a fallback', async () => {
+			const parser = jest.fn( function () {
+				this.analyzeExportFile = async () => {
+					throw new Error( 'No follower data found' );
+				};
+			} );
+			const worker = startWorker( { parser } );
+
+			await worker.send( { type: 'analyze', file: {} } );
+
+			expect( worker.messages ).toEqual( [
+				{ type: 'error', message: 'No follower data found' },
+			] );
+		} );
+
+		test( 'should load the scripts it is sent when the parser is missing', async () => {
+			const worker = startWorker();
+			const scripts = [ '/jszip.min.js', '/instagram-export-parser.js' ];
+
+			// The stand-in scope can't define globals, so the parser stays missing
+			await worker.send( { type: 'analyze', file: {}, scripts } );
+
+			expect( worker.importScripts ).toHaveBeenCalledWith( ...scripts );
+			expect( worker.messages[ 0 ].type ).toBe( 'error' );
+		} );
+
+		test( 'should ask for a fallback when the scripts fail to load', async () => {
+			const worker = startWorker( {
+				importScripts: () => {
+					throw new Error( 'NetworkError' );
+				},
+			} );
+
+			await worker.send( { type: 'analyze', file: {}, scripts: [] } );
+
+			expect( worker.messages ).toEqual( [
+				{ type: 'error', message: 'NetworkError', fallback: true },
+			] );
+		} );
+
+		test( 'should ignore other messages', async () => {
+			const parser = jest.fn();
+			const worker = startWorker( { parser } );
+
+			await worker.send( { type: 'ping' } );
+			await worker.send( null );
+
+			expect( parser ).not.toHaveBeenCalled();
+			expect( worker.messages ).toEqual( [] );
+		} );
+	} );
+
+	describe( 'processZipInWorker', () => {
+		let analyzer;
+
+		beforeEach( () => {
+			FakeWorker.instances = [];
+			global.Worker = FakeWorker;
+			analyzer = createAnalyzer();
+		} );
+
+		afterEach( () => {
+			delete global.Worker;
+		} );
+
+		test( 'should send the file and scripts to the worker', () => {
+			const file = { name: 'export.zip' };
+
+			analyzer.processZipInWorker( file );
+
+			const [ worker ] = FakeWorker.instances;
+			expect( worker.url ).toBe( analyzer.config.workerUrl );
+			expect( worker.posted ).toEqual( [
+				{
+					type: 'analyze',
+					file,
+					scripts: analyzer.config.workerScripts,
+				},
+			] );
+		} );
+
+		test( 'should show progress and resolve with the result', async () => {
+			const analysis = analyzer.processZipInWorker( {} );
+			const [ worker ] = FakeWorker.instances;
+
+			worker.emit( 'message', {
+				data: { type: 'progress', percentage: 40, message: 'Parsing' },
+			} );
+			worker.emit( 'message', {
+				data: { type: 'result', data: { followers: [] } },
+			} );
+
+			await expect( analysis ).resolves.toEqual( { followers: [] } );
+			expect( analyzer.showProgress ).toHaveBeenCalledWith(
+				40,
+				'Parsing'
+			);
+			expect( worker.terminate ).toHaveBeenCalled();
+			expect( analyzer.activeAnalysis ).toBeNull();
+		} );
+
+		test( 'should reject with the fallback flag the worker sent', async () => {
+			const analysis = analyzer.processZipInWorker( {} );
+			const [ worker ] = FakeWorker.instances;
+
+			worker.emit( 'message', {
+				data: { type: 'error', message: 'Bad export' },
+			} );
+
+			await expect( analysis ).rejects.toMatchObject( {
+				message: 'Bad export',
+				fallback: false,
+			} );
+			expect( worker.terminate ).toHaveBeenCalled();
+		} );
+
+		test( 'should fall back when the worker fails to start', async () => {
+			const analysis = analyzer.processZipInWorker( {} );
+			const [ worker ] = FakeWorker.instances;
+			const event = { preventDefault: jest.fn() };
+
+			worker.emit( 'error', event );
+
+			await expect( analysis ).rejects.toMatchObject( {
+				message: 'Analyzer worker failed to start',
+				fallback: true,
+			} );
+			expect( event.preventDefault ).toHaveBeenCalled();
+		} );
+
+		test( 'should terminate the worker when the analysis is cancelled', async () => {
+			const analysis = analyzer.processZipInWorker( {} );
+			const [ worker ] = FakeWorker.instances;
+
+			analyzer.cancelAnalysis();
+
+			await expect( analysis ).rejects.toMatchObject( {
+				name: 'AbortError',
+			} );
+			expect( worker.terminate ).toHaveBeenCalled();
+			expect( analyzer.activeAnalysis ).toBeNull();
+		} );
+	} );
+
+	describe( 'processZipFile', () => {
+		let analyzer;
+
+		beforeEach( () => {
+			global.Worker = FakeWorker;
+			analyzer = createAnalyzer();
+		} );
+
+		afterEach( () => {
+			delete global.Worker;
+			jest.restoreAllMocks();
+		} );
+
+		test( 'should process on the main thread when the worker asks for a fallback', async () => {
+			const error = new Error( 'NetworkError' );
+			error.fallback = true;
+			jest.spyOn( global.console, 'warn' ).mockImplementation( () => {} );
+			analyzer.processZipInWorker = jest.fn().mockRejectedValue( error );
+			analyzer.processZipOnMainThread = jest
+				.fn()
+				.mockResolvedValue( { followers: [] } );
+
+			await expect( analyzer.processZipFile( {} ) ).resolves.toEqual( {
+				followers: [],
+			} );
+		} );
+
+		test( 'should not fall back when the analysis is cancelled', async () => {
+			analyzer.processZipInWorker = jest
+				.fn()
+				.mockRejectedValue(
+					new DOMException( 'Analysis cancelled', 'AbortError' )
+				);
+			analyzer.processZipOnMainThread = jest.fn();
+
+			await expect( analyzer.processZipFile( {} ) ).rejects.toMatchObject(
+				{ name: 'AbortError' }
+			);
+			expect( analyzer.processZipOnMainThread ).not.toHaveBeenCalled();
+		} );
+	} );
+} );
@@ -0,0 +1,132 @@
+/**
+ * Tests for InstagramAnalyzer result views, loaded from assets/js/instagram-analyzer.js
+ */
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+// The script isn't a module, so it is evaluated the way the page loads it
+const InstagramAnalyzer = new Function(
+	`${ fs.readFileSync(
+		path.resolve( __dirname, '../../assets/js/instagram-analyzer.js' ),
+		'utf8'
+	) }\nreturn InstagramAnalyzer;`
+)();
+
+// Only the result views are under test, not the interface
+const createAnalyzer = () => Object.create( InstagramAnalyzer.prototype );
+
+const accounts = ( ...usernames ) =>
+	usernames.map( ( username ) => ( { username } ) );
+
+describe( 'InstagramAnalyzer', () => {
+	describe( 'getResultTabs', () => {
+		const tabKeys = ( data ) =>
+			createAnalyzer()
+				.getResultTabs( data )
+				.map( ( tab ) => tab.key );
+
+		test( 'should always show the core tabs, even when empty', () => {
+			expect(
+				tabKeys( {
+					notFollowingBack: [],
+					fans: [],
+					mutuals: [],
+					stats: {},
+				} )
+			).toEqual( [ 'notFollowingBack', 'fans', 'mutuals' ] );
+		} );
+
+		test( 'should only show the other lists the export has accounts in', () => {
+			expect(
+				tabKeys( {
+					notFollowingBack: accounts( 'carol' ),
+					fans: accounts( 'dave' ),
+					mutuals: accounts( 'alice' ),
+					closeFriends: accounts( 'alice' ),
+					pendingRequests: [],
+					blocked: accounts( 'mallory' ),
+					stats: {},
+				} )
+			).toEqual( [
+				'notFollowingBack',
+				'fans',
+				'mutuals',
+				'closeFriends',
+				'blocked',
+			] );
+		} );
+
+		test( 'should show the engagement tabs when the export has activity', () => {
+			expect(
+				tabKeys( {
+					notFollowingBack: [],
+					fans: [],
+					mutuals: [],
+					neverEngaged: [],
+					engagedFollowing: accounts( 'alice' ),
+					engagement: { engagedCount: 1, engagementRate: 100 },
+					stats: { totalFollowing: 1 },
+				} )
+			).toEqual( [
+				'notFollowingBack',
+				'fans',
+				'mutuals',
+				'neverEngaged',
+				'engagedFollowing',
+			] );
+		} );
+	} );
+
+	describe( 'pushHashtagsToTracker', () => {
+		let analyzer;
+
+		beforeEach( () => {
+			document.body.innerHTML =
+				'<div><div id="hashtag-push"></div></div>';
+			analyzer = createAnalyzer();
+			analyzer.container = document.body.firstElementChild;
+			analyzer.config = { restUrl: '/wp-json/rwp-creator-suite/v1/' };
+			analyzer.state = {
+				analyticsConsent: true,
+				analysisData: {
+					postInsights: {
+						topHashtags: [
+							{ hashtag: 'travel', count: 3 },
+							{ hashtag: 'café', count: 2 },
+							{ hashtag: 'food', count: 1 },
+						],
+					},
+				},
+			};
+			global.fetch.mockResolvedValue( {
+				json: async () => ( { success: true } ),
+			} );
+		} );
+
+		test( 'should track the hashtags the tracker accepts', async () => {
+			await analyzer.pushHashtagsToTracker();
+
+			expect(
+				global.fetch.mock.calls.map(
+					( [ url, options ] ) =>
+						`${ url } ${ JSON.parse( options.body ).hashtag }`
+				)
+			).toEqual( [
+				'/wp-json/rwp-creator-suite/v1/analytics/track-hashtag travel',
+				'/wp-json/rwp-creator-suite/v1/analytics/track-hashtag food',
+			] );
+			expect(
+				document.querySelector( '.blk-hashtag-push-status' ).textContent
+			).toBe( 'Added 2 of 2 hashtags.' );
+		} );
+
+		test( 'should not track hashtags without analytics consent', async () => {
+			analyzer.state.analyticsConsent = false;
+
+			await analyzer.pushHashtagsToTracker();
+
+			expect( global.fetch ).not.toHaveBeenCalled();
+		} );
+	} );
+} );
@@ -0,0 +1,589 @@
+/**
+ * Tests for InstagramBannerCreator layout, crop and collage math, loaded from assets/js/instagram-banner.js
+ */
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+// The scripts aren't modules, so they are evaluated the way the page loads them
+const loadScript = ( file, name ) =>
+	new Function(
+		`${ fs.readFileSync(
+			path.resolve( __dirname, '../../assets/js', file ),
+			'utf8'
+		) }\nreturn ${ name };`
+	)();
+
+global.StateManager = loadScript( 'state-manager.js', 'StateManager' );
+const InstagramBannerCreator = loadScript(
+	'instagram-banner.js',
+	'InstagramBannerCreator'
+);
+
+const createBanner = ( settings ) => {
+	document.body.innerHTML = '<div id="instagram-banner-app"></div>';
+
+	const banner = new InstagramBannerCreator( 'instagram-banner-app', {} );
+	banner.applySettings( settings );
+
+	return banner;
+};
+
+// Stands in for a 2D context, recording each drawing call in order. Calls
+// return the context, so gradients record their color stops too.
+const createRecordingContext = () => {
+	const calls = [];
+	const ctx = new Proxy(
+		{},
+		{
+			get( target, method ) {
+				return ( ...args ) => {
+					calls.push( [ method, ...args ] );
+					return ctx;
+				};
+			},
+		}
+	);
+
+	return { ctx, calls };
+};
+
+describe( 'InstagramBannerCreator layout', () => {
+	beforeEach( () => {
+		window.localStorage.clear();
+
+		// Only the layout math is under test, not the interface
+		jest.spyOn(
+			InstagramBannerCreator.prototype,
+			'init'
+		).mockImplementation( () => {} );
+	} );
+
+	afterEach( () => {
+		jest.restoreAllMocks();
+	} );
+
+	describe( 'Panels', () => {
+		test( 'should size a row from its panel count, aspect and gap', () => {
+			const banner = createBanner( {
+				mode: 'grid',
+				layout: 'row-5',
+				aspect: '4:5',
+				gapSize: 6,
+			} );
+
+			expect( banner.specs ).toEqual(
+				expect.objectContaining( {
+					columns: 5,
+					rows: 1,
+					panelCount: 5,
+					outputWidth: 1080,
+					outputHeight: 1350,
+					targetWidth: 5 * 1080 + 4 * 6,
+					targetHeight: 1350,
+				} )
+			);
+			expect( banner.getSizeInfo() ).toBe( '5424 × 1350 (5 panels)' );
+		} );
+
+		test( 'should place grid panels in reading order, skipping the gaps', () => {
+			const banner = createBanner( {
+				mode: 'grid',
+				layout: 'grid-3x2',
+				aspect: '1:1',
+				gapSize: 10,
+			} );
+
+			expect( banner.getPanels() ).toEqual( [
+				{ index: 1, x: 0, y: 0 },
+				{ index: 2, x: 1090, y: 0 },
+				{ index: 3, x: 2180, y: 0 },
+				{ index: 4, x: 0, y: 1090 },
+				{ index: 5, x: 1090, y: 1090 },
+				{ index: 6, x: 2180, y: 1090 },
+			] );
+		} );
+
+		test( 'should cut each panel from its own area of the banner', () => {
+			const banner = createBanner( {
+				mode: 'grid',
+				layout: 'row-3',
+				aspect: '3:4',
+				gapSize: 4,
+			} );
+			const ctx = { drawImage: jest.fn() };
+			const source = {};
+
+			banner.drawPanel( ctx, source, banner.getPanels()[ 2 ] );
+
+			expect( ctx.drawImage ).toHaveBeenCalledWith(
+				source,
+				2168,
+				0,
+				1080,
+				1440,
+				0,
+				0,
+				1080,
+				1440
+			);
+		} );
+
+		test( 'should shape the crop canvas like the banner', () => {
+			const banner = createBanner( {
+				mode: 'grid',
+				layout: 'row-4',
+				aspect: '1:1',
+				gapSize: 0,
+			} );
+			const canvas = document.createElement( 'canvas' );
+			document.body.appendChild( canvas );
+			Object.defineProperty( document.body, 'clientWidth', {
+				value: 800,
+				configurable: true,
+			} );
+
+			const viewScale = banner.fitCanvasToLayout( canvas );
+
+			expect( canvas.width ).toBe( 800 );
+			expect( canvas.height ).toBe( 200 );
+			expect( viewScale ).toBe( 800 / 4320 );
+
+			delete document.body.clientWidth;
+		} );
+
+		test( 'should post profile panels last to first', () => {
+			const banner = createBanner( {
+				mode: 'grid',
+				layout: 'grid-3x3',
+			} );
+
+			expect( banner.getPostingOrderText() ).toBe(
+				'Post Image 9 first and Image 1 last so the panels line up on your profile.'
+			);
+		} );
+	} );
+
+	describe( 'Carousel', () => {
+		let banner;
+
+		beforeEach( () => {
+			banner = createBanner( { mode: 'carousel', slides: 4 } );
+		} );
+
+		test( 'should slice the panorama into gapless slides', () => {
+			expect( banner.getPanels() ).toEqual( [
+				{ index: 1, x: 0, y: 0 },
+				{ index: 2, x: 1080, y: 0 },
+				{ index: 3, x: 2160, y: 0 },
+				{ index: 4, x: 3240, y: 0 },
+			] );
+			expect( banner.getSizeInfo() ).toBe( '4320 × 1350 (4 slides)' );
+			expect( banner.getPostingOrderText() ).toBe(
+				'Upload all 4 slides in order, starting with Image 1, as a single carousel post.'
+			);
+		} );
+
+		test( 'should swipe to a slide and mark its dot', () => {
+			document.body.innerHTML = `
+				<div class="blk-banner-preview-wrap">
+					<div class="blk-banner-preview--carousel"></div>
+					${ [ 0, 1, 2, 3 ]
+						.map(
+							( slide ) =>
+								`<button class="blk-carousel-dot" data-slide="${ slide }"></button>`
+						)
+						.join( '' ) }
+				</div>
+			`;
+			const track = document.querySelector(
+				'.blk-banner-preview--carousel'
+			);
+			Object.defineProperty( track, 'clientWidth', { value: 300 } );
+			track.scrollTo = jest.fn();
+
+			banner.goToSlide( track, 9 );
+
+			expect( track.scrollTo ).toHaveBeenCalledWith( {
+				left: 900,
+				behavior: 'smooth',
+			} );
+			expect(
+				Array.from(
+					document.querySelectorAll( '.blk-carousel-dot' ),
+					( dot ) =>
+						dot.classList.contains( 'blk-carousel-dot--active' )
+				)
+			).toEqual( [ false, false, false, true ] );
+
+			track.scrollLeft = 310;
+			expect( banner.getCurrentSlide( track ) ).toBe( 1 );
+		} );
+	} );
+
+	describe( 'Crop Transform', () => {
+		let banner;
+
+		beforeEach( () => {
+			// A 3248 × 1440 banner cropped from a 4000 × 2000 photo
+			banner = createBanner( {
+				mode: 'grid',
+				layout: 'row-3',
+				aspect: '3:4',
+				gapSize: 4,
+			} );
+			banner.cropImageInfo = {
+				originalWidth: 4000,
+				originalHeight: 2000,
+				viewScale: 0.25,
+			};
+			banner.cropTransform = banner.getDefaultCropTransform();
+		} );
+
+		test( 'should just cover the frame at zoom 1', () => {
+			expect( banner.cropTransform ).toEqual( {
+				x: 1624,
+				y: 720,
+				zoom: 1,
+				rotation: 0,
+				quarterTurns: 0,
+			} );
+			expect( banner.getCropScale() ).toBeCloseTo( 3248 / 4000 );
+		} );
+
+		test( 'should grow the image so a rotated crop leaves no empty corners', () => {
+			banner.cropTransform.rotation = 10;
+
+			const scale = banner.getCropScale();
+			const coverage = banner.getCropCoverage();
+
+			expect( 4000 * scale ).toBeGreaterThanOrEqual(
+				coverage.width - 0.001
+			);
+			expect( 2000 * scale ).toBeGreaterThanOrEqual(
+				coverage.height - 0.001
+			);
+			expect( coverage.width ).toBeGreaterThan( 3248 );
+		} );
+
+		test( 'should keep the zoom and frame within the image', () => {
+			Object.assign( banner.cropTransform, {
+				x: -10000,
+				y: -10000,
+				zoom: 2,
+			} );
+
+			banner.constrainCropTransform();
+
+			// At zoom 2 the image is 6496 × 3248, so it can move half the
+			// difference from the frame in each direction
+			expect( banner.cropTransform.x ).toBeCloseTo( 0 );
+			expect( banner.cropTransform.y ).toBeCloseTo( 720 - 904 );
+
+			banner.cropTransform.zoom = 0.5;
+			banner.constrainCropTransform();
+			expect( banner.cropTransform.zoom ).toBe( 1 );
+			expect( banner.cropTransform.x ).toBeCloseTo( 1624 );
+		} );
+
+		test( 'should limit the rotation and wrap quarter turns', () => {
+			Object.assign( banner.cropTransform, {
+				rotation: -90,
+				quarterTurns: -1,
+			} );
+
+			banner.constrainCropTransform();
+
+			expect( banner.cropTransform.rotation ).toBe( -45 );
+			expect( banner.cropTransform.quarterTurns ).toBe( 3 );
+		} );
+
+		test( 'should zoom about the anchor so the point under it stays put', () => {
+			const anchor = { x: 0, y: 720 };
+			const imagePointAt = ( point ) =>
+				( point.x - banner.cropTransform.x ) / banner.getCropScale();
+			const before = imagePointAt( anchor );
+
+			banner.zoomCrop( 2, anchor );
+
+			expect( banner.cropTransform.zoom ).toBe( 2 );
+			expect( imagePointAt( anchor ) ).toBeCloseTo( before );
+
+			banner.zoomCrop( 50 );
+			expect( banner.cropTransform.zoom ).toBe( 5 );
+		} );
+
+		test( 'should snap to the center lines within a few screen pixels', () => {
+			// 8 screen pixels are 32 output pixels at a quarter scale
+			banner.cropTransform.x = 1624 + 30;
+			banner.cropTransform.y = 720 + 40;
+
+			banner.snapCropToCenter();
+
+			expect( banner.cropTransform.x ).toBe( 1624 );
+			expect( banner.cropTransform.y ).toBe( 760 );
+		} );
+
+		test( 'should draw the export with the same transform as the crop step', () => {
+			const { ctx, calls } = createRecordingContext();
+			const fullImage = {};
+			Object.assign( banner.cropImageInfo, {
+				originalImage: {},
+				fullImage,
+			} );
+			Object.assign( banner.cropTransform, {
+				x: 1500,
+				y: 700,
+				zoom: 1.5,
+				rotation: 5,
+				quarterTurns: 2,
+			} );
+			const scale = banner.getCropScale();
+
+			banner.drawCropImage( ctx, 1, true );
+
+			expect( calls ).toEqual( [
+				[ 'save' ],
+				[ 'scale', 1, 1 ],
+				[ 'translate', 1500, 700 ],
+				[ 'rotate', ( 185 * Math.PI ) / 180 ],
+				[ 'scale', scale, scale ],
+				[ 'drawImage', fullImage, -2000, -1000, 4000, 2000 ],
+				[ 'restore' ],
+			] );
+		} );
+	} );
+
+	describe( 'Fit Modes', () => {
+		let banner;
+
+		beforeEach( () => {
+			// A portrait photo placed whole on a 3248 × 1440 banner
+			banner = createBanner( {
+				mode: 'grid',
+				layout: 'row-3',
+				aspect: '3:4',
+				gapSize: 4,
+			} );
+			banner.cropImageInfo = {
+				originalImage: {},
+				originalWidth: 1000,
+				originalHeight: 2000,
+				viewScale: 0.25,
+			};
+			banner.cropTransform = banner.getDefaultCropTransform();
+			banner.cropFill.mode = 'color';
+		} );
+
+		test( 'should fit the whole image inside the frame at zoom 1', () => {
+			expect( banner.getCropScale() ).toBeCloseTo( 1440 / 2000 );
+
+			banner.cropTransform.quarterTurns = 1;
+			expect( banner.getCropScale() ).toBeCloseTo( 1440 / 1000 );
+		} );
+
+		test( 'should let a fitted image shrink and move anywhere in the frame', () => {
+			Object.assign( banner.cropTransform, {
+				x: -50,
+				y: 2000,
+				zoom: 0.01,
+			} );
+
+			banner.constrainCropTransform();
+
+			expect( banner.cropTransform ).toEqual(
+				expect.objectContaining( { x: 0, y: 1440, zoom: 0.2 } )
+			);
+		} );
+
+		test( 'should restart the zoom when switching between crop and fit', () => {
+			banner.cropTransform.zoom = 3;
+
+			banner.updateCropFill( { mode: 'sepia', color: '#000000' } );
+			expect( banner.cropFill ).toEqual(
+				expect.objectContaining( { mode: 'color', color: '#000000' } )
+			);
+			expect( banner.cropTransform.zoom ).toBe( 3 );
+
+			banner.updateCropFill( { mode: 'cover' } );
+			expect( banner.cropTransform.zoom ).toBe( 1 );
+		} );
+
+		test( 'should paint the backdrop before the image', () => {
+			const { ctx, calls } = createRecordingContext();
+			banner.updateCropFill( {
+				mode: 'gradient',
+				color: '#ff0000',
+				gradientEnd: '#0000ff',
+			} );
+
+			banner.drawCropImage( ctx, 1 );
+
+			const methods = calls.map( ( [ method ] ) => method );
+			expect( methods.indexOf( 'fillRect' ) ).toBeLessThan(
+				methods.indexOf( 'drawImage' )
+			);
+			expect( calls ).toContainEqual( [ 'fillRect', 0, 0, 3248, 1440 ] );
+			expect( calls ).toContainEqual( [
+				'createLinearGradient',
+				0,
+				0,
+				3248,
+				0,
+			] );
+		} );
+
+		test( 'should extend the edges with flipped copies of the image', () => {
+			const { ctx, calls } = createRecordingContext();
+			banner.updateCropFill( { mode: 'mirror' } );
+
+			banner.drawCropImage( ctx, 1 );
+
+			// Each tile is moved into place, then flipped or not
+			const tiles = calls
+				.map( ( call, index ) => [ call, calls[ index + 1 ] ] )
+				.filter( ( [ call ] ) => call[ 0 ] === 'translate' )
+				.slice( 1 )
+				.map( ( [ translate, scale ] ) => [
+					...translate.slice( 1 ),
+					...scale.slice( 1 ),
+				] );
+
+			expect( calls.map( ( [ method ] ) => method ) ).not.toContain(
+				'fillRect'
+			);
+			expect( tiles ).toEqual(
+				expect.arrayContaining( [
+					[ -1000, 0, -1, 1 ],
+					[ 0, 0, 1, 1 ],
+					[ 1000, 0, -1, 1 ],
+				] )
+			);
+		} );
+	} );
+
+	describe( 'Collage', () => {
+		let banner;
+
+		const photo = ( width, height ) => ( {
+			src: `data:image/png;base64,${ width }x${ height }`,
+			width,
+			height,
+			image: { width, height },
+		} );
+
+		beforeEach( () => {
+			// Three 1080 × 1440 panels with 4px gaps, 3248 × 1440 in all
+			banner = createBanner( {
+				mode: 'grid',
+				layout: 'row-3',
+				aspect: '3:4',
+				gapSize: 4,
+			} );
+			banner.addCollagePhotos( [
+				photo( 1000, 1000 ),
+				photo( 2000, 1000 ),
+			] );
+		} );
+
+		test( 'should give each photo a panel, fitted inside it', () => {
+			const [ square, wide ] = banner.collage;
+
+			expect( banner.getCollageBounds( square ) ).toEqual( {
+				x: 0,
+				y: 180,
+				width: 1080,
+				height: 1080,
+			} );
+			expect( banner.getCollageBounds( wide ) ).toEqual( {
+				x: 1084,
+				y: 450,
+				width: 1080,
+				height: 540,
+			} );
+			expect( banner.cropFill.mode ).toBe( 'color' );
+		} );
+
+		test( 'should wrap around once every panel has a photo', () => {
+			banner.addCollagePhotos( [
+				photo( 1000, 1000 ),
+				photo( 1000, 1000 ),
+			] );
+
+			expect( banner.collage[ 3 ].x ).toBe( banner.collage[ 0 ].x );
+		} );
+
+		test( 'should pick the topmost photo, including its border', () => {
+			const [ square, wide ] = banner.collage;
+			banner.selectedCollageId = square.id;
+			banner.updateSelectedCollagePhoto( { x: 0.3, border: 20 } );
+
+			// The square now overlaps the wide photo, but is below it
+			expect( banner.getCollagePhotoAt( { x: 1100, y: 500 } ) ).toBe(
+				wide
+			);
+			expect(
+				banner.getCollagePhotoAt( {
+					x: banner.getCollageBounds( square ).x - 10,
+					y: 720,
+				} )
+			).toBe( square );
+			expect( banner.getCollagePhotoAt( { x: 3000, y: 20 } ) ).toBeNull();
+		} );
+
+		test( 'should keep photos in the frame and within the size limits', () => {
+			banner.selectedCollageId = banner.collage[ 0 ].id;
+
+			banner.updateSelectedCollagePhoto( {
+				x: -1,
+				y: 2,
+				width: 0,
+				border: 100,
+			} );
+
+			expect( banner.collage[ 0 ] ).toEqual(
+				expect.objectContaining( {
+					x: 0,
+					y: 1,
+					width: 0.05,
+					border: 40,
+				} )
+			);
+		} );
+
+		test( 'should move the selected photo up and down the layers', () => {
+			const [ square, wide ] = banner.collage;
+			banner.selectedCollageId = square.id;
+
+			banner.moveSelectedCollagePhoto( 1 );
+			expect( banner.collage ).toEqual( [ wide, square ] );
+
+			banner.moveSelectedCollagePhoto( 1 );
+			expect( banner.collage ).toEqual( [ wide, square ] );
+		} );
+
+		test( 'should keep at least one photo', () => {
+			const [ square, wide ] = banner.collage;
+			banner.selectedCollageId = square.id;
+
+			banner.removeSelectedCollagePhoto();
+			expect( banner.collage ).toEqual( [ wide ] );
+			expect( banner.collageImages[ square.id ] ).toBeUndefined();
+
+			banner.selectedCollageId = wide.id;
+			banner.removeSelectedCollagePhoto();
+			expect( banner.collage ).toEqual( [ wide ] );
+		} );
+
+		test( 'should save the arrangement with the banner', () => {
+			banner.state.croppedImageData = {
+				dataUrl: 'data:image/png;base64,',
+			};
+
+			expect( banner.saveBannerData() ).toBe( true );
+			expect(
+				banner.stateManager.getItem( 'banner_data' ).collage
+			).toEqual( banner.collage );
+		} );
+	} );
+} );
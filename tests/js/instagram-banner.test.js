@@ -0,0 +1,232 @@
+/**
+ * Tests for InstagramBannerCreator block and visitor settings, loaded from assets/js/instagram-banner.js
+ */
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+// The scripts aren't modules, so they are evaluated the way the page loads them
+const loadScript = ( file, name ) =>
+	new Function(
+		`${ fs.readFileSync(
+			path.resolve( __dirname, '../../assets/js', file ),
+			'utf8'
+		) }\nreturn ${ name };`
+	)();
+
+global.StateManager = loadScript( 'state-manager.js', 'StateManager' );
+const InstagramBannerCreator = loadScript(
+	'instagram-banner.js',
+	'InstagramBannerCreator'
+);
+
+const createBanner = ( blockConfig ) => {
+	document.body.innerHTML = '<div id="instagram-banner-app"></div>';
+	if ( blockConfig !== undefined ) {
+		document.getElementById( 'instagram-banner-app' ).dataset.config =
+			typeof blockConfig === 'string'
+				? blockConfig
+				: JSON.stringify( blockConfig );
+	}
+
+	return new InstagramBannerCreator( 'instagram-banner-app', {} );
+};
+
+const saveBannerSettings = ( bannerSettings ) => {
+	new global.StateManager( {
+		storagePrefix: 'rwp_instagram_banner_',
+	} ).saveUserPreferences( { bannerSettings } );
+};
+
+describe( 'InstagramBannerCreator settings', () => {
+	beforeEach( () => {
+		window.localStorage.clear();
+
+		// Only the settings are under test, not the interface
+		jest.spyOn(
+			InstagramBannerCreator.prototype,
+			'init'
+		).mockImplementation( () => {} );
+	} );
+
+	afterEach( () => {
+		InstagramBannerCreator.prototype.init.mockRestore();
+		document.body.innerHTML = '';
+	} );
+
+	describe( 'getBlockSettings', () => {
+		test( 'should use the standard settings when the block saved none', () => {
+			const banner = createBanner();
+
+			expect( banner.blockSettings ).toEqual( {
+				mode: 'grid',
+				layout: 'row-3',
+				aspect: '3:4',
+				gapSize: 4,
+				slides: 3,
+				exportFormats: [ 'jpeg', 'png', 'webp' ],
+				maxUploadSize: 10,
+				guestAccess: 'teaser',
+			} );
+		} );
+
+		test( 'should keep valid block settings', () => {
+			const banner = createBanner( {
+				mode: 'carousel',
+				layout: 'grid-3x3',
+				aspect: '1:1',
+				gapSize: 0,
+				slides: 6,
+				exportFormats: [ 'png' ],
+				maxUploadSize: 5,
+				guestAccess: 'login',
+			} );
+
+			expect( banner.blockSettings ).toEqual( {
+				mode: 'carousel',
+				layout: 'grid-3x3',
+				aspect: '1:1',
+				gapSize: 0,
+				slides: 6,
+				exportFormats: [ 'png' ],
+				maxUploadSize: 5,
+				guestAccess: 'login',
+			} );
+			expect( banner.specs.maxFileSize ).toBe( 5 * 1024 * 1024 );
+		} );
+
+		test( 'should clamp or replace out of range block settings', () => {
+			const banner = createBanner( {
+				mode: 'slideshow',
+				layout: 'row-20',
+				aspect: '16:9',
+				gapSize: 500,
+				slides: 1,
+				exportFormats: [ 'gif' ],
+				maxUploadSize: 50,
+				guestAccess: 'nobody',
+			} );
+
+			expect( banner.blockSettings ).toEqual( {
+				mode: 'grid',
+				layout: 'row-3',
+				aspect: '3:4',
+				gapSize: 40,
+				slides: 2,
+				exportFormats: [ 'jpeg', 'png', 'webp' ],
+				maxUploadSize: 10,
+				guestAccess: 'teaser',
+			} );
+		} );
+
+		test( 'should fall back to the standard settings for invalid JSON', () => {
+			const banner = createBanner( '{ not json' );
+
+			expect( banner.blockSettings.layout ).toBe( 'row-3' );
+			expect( global.console.warn ).toHaveBeenCalledWith(
+				'Invalid banner block settings:',
+				expect.any( Error )
+			);
+		} );
+	} );
+
+	describe( 'applySettings', () => {
+		test( 'should start from the block settings', () => {
+			const banner = createBanner( { mode: 'carousel', slides: 4 } );
+
+			expect( banner.settings ).toEqual( {
+				mode: 'carousel',
+				layout: 'row-3',
+				aspect: '3:4',
+				gapSize: 4,
+				slides: 4,
+			} );
+		} );
+
+		test( 'should keep the block mode when saved settings have none', () => {
+			saveBannerSettings( { layout: 'row-4' } );
+			const banner = createBanner( { mode: 'carousel' } );
+
+			expect( banner.settings.mode ).toBe( 'carousel' );
+			expect( banner.settings.layout ).toBe( 'row-4' );
+		} );
+
+		test( "should prefer the visitor's saved settings over the block", () => {
+			saveBannerSettings( { mode: 'grid', aspect: '4:5' } );
+			const banner = createBanner( { mode: 'carousel', aspect: '1:1' } );
+
+			expect( banner.settings.mode ).toBe( 'grid' );
+			expect( banner.settings.aspect ).toBe( '4:5' );
+		} );
+
+		test( 'should replace invalid settings with the block settings', () => {
+			const banner = createBanner( {
+				mode: 'carousel',
+				layout: 'grid-3x2',
+				gapSize: 10,
+				slides: 5,
+			} );
+			banner.applySettings( {
+				mode: 'slideshow',
+				layout: 'row-20',
+				aspect: '2:1',
+				gapSize: 'wide',
+				slides: 99,
+			} );
+
+			expect( banner.settings ).toEqual( {
+				mode: 'carousel',
+				layout: 'grid-3x2',
+				aspect: '3:4',
+				gapSize: 10,
+				slides: 10,
+			} );
+		} );
+
+		test( 'should size a grid from its panels and gaps', () => {
+			const banner = createBanner();
+			banner.applySettings( {
+				mode: 'grid',
+				layout: 'grid-3x2',
+				aspect: '1:1',
+				gapSize: 8,
+			} );
+
+			expect( banner.specs ).toEqual(
+				expect.objectContaining( {
+					mode: 'grid',
+					columns: 3,
+					rows: 2,
+					panelCount: 6,
+					gapSize: 8,
+					targetWidth: 3 * 1080 + 2 * 8,
+					targetHeight: 2 * 1080 + 8,
+				} )
+			);
+		} );
+
+		test( 'should size a carousel as one gapless row of 4:5 slides', () => {
+			const banner = createBanner();
+			banner.applySettings( {
+				mode: 'carousel',
+				aspect: '1:1',
+				gapSize: 8,
+				slides: 4,
+			} );
+
+			expect( banner.specs ).toEqual(
+				expect.objectContaining( {
+					mode: 'carousel',
+					columns: 4,
+					rows: 1,
+					panelCount: 4,
+					gapSize: 0,
+					outputWidth: 1080,
+					outputHeight: 1350,
+					targetWidth: 4 * 1080,
+					targetHeight: 1350,
+				} )
+			);
+		} );
+	} );
+} );
@@ -0,0 +1,735 @@
+/**
+ * Tests for InstagramExportParser strategies, loaded from assets/js/instagram-export-parser.js
+ */
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+// The script isn't a module, so it is evaluated the way the page loads it
+const InstagramExportParser = new Function(
+	`${ fs.readFileSync(
+		path.resolve( __dirname, '../../assets/js/instagram-export-parser.js' ),
+		'utf8'
+	) }\nreturn InstagramExportParser;`
+)();
+
+// Stands in for a JSZip archive, which is all analyzeZipContent() reads
+const createZip = ( files ) => ( {
+	forEach( callback ) {
+		Object.keys( files ).forEach( ( name ) => {
+			callback( name, {
+				name,
+				dir: false,
+				async: async () => files[ name ],
+			} );
+		} );
+	},
+} );
+
+const relationshipEntry = ( username ) => ( {
+	title: '',
+	string_list_data: [
+		{
+			href: `https://www.instagram.com/${ username }`,
+			value: username,
+			timestamp: 1700000000,
+		},
+	],
+} );
+
+const followersJSON = JSON.stringify( [
+	relationshipEntry( 'alice' ),
+	relationshipEntry( 'bob' ),
+] );
+
+const followingJSON = JSON.stringify( {
+	relationships_following: [
+		relationshipEntry( 'alice' ),
+		relationshipEntry( 'carol' ),
+	],
+} );
+
+describe( 'InstagramExportParser', () => {
+	let parser;
+
+	beforeEach( () => {
+		parser = new InstagramExportParser();
+	} );
+
+	describe( 'Strategy Selection', () => {
+		test( 'should read JSON relationship files with high confidence', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.json': followingJSON,
+				} )
+			);
+
+			expect( result.platform ).toBe( 'instagram' );
+			expect(
+				result.notFollowingBack.map( ( account ) => account.username )
+			).toEqual( [ 'carol' ] );
+			expect( result.diagnostics.complete ).toBe( true );
+			expect( result.diagnostics.warnings ).toEqual( [] );
+			expect( result.diagnostics.files ).toEqual(
+				expect.arrayContaining( [
+					expect.objectContaining( {
+						file: 'connections/followers_1.json',
+						type: 'followers',
+						parser: 'Relationships JSON',
+						confidence: 'high',
+						count: 2,
+						status: 'parsed',
+					} ),
+				] )
+			);
+		} );
+
+		test( 'should leave out results only a low-confidence strategy could read', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.html':
+						'<html><body><div>alice</div><div>carol</div></body></html>',
+				} )
+			);
+
+			const following = result.diagnostics.files.find(
+				( file ) => file.type === 'following'
+			);
+
+			expect( following ).toEqual(
+				expect.objectContaining( {
+					confidence: 'low',
+					status: 'skipped',
+					reason: 'Only a low-confidence parser could read this file',
+				} )
+			);
+			expect( following.count ).toBeGreaterThan( 0 );
+			expect( result.following ).toEqual( [] );
+			expect( result.diagnostics.complete ).toBe( false );
+			expect( result.diagnostics.warnings ).toEqual( [
+				expect.stringContaining(
+					'following.html could only be read by guessing'
+				),
+			] );
+		} );
+
+		test( 'should prefer a custom strategy with higher confidence', async () => {
+			parser = new InstagramExportParser( {
+				strategies: [
+					{
+						id: 'custom-html',
+						label: 'Custom HTML',
+						kind: 'relationships',
+						formats: [ 'html' ],
+						detect: ( { content } ) =>
+							content.includes( 'data-account' )
+								? 'medium'
+								: null,
+						parse: ( { content } ) =>
+							[
+								...content.matchAll( /data-account="(\w+)"/g ),
+							].map( ( match ) => ( {
+								username: match[ 1 ],
+								profileUrl: '',
+								timestamp: '',
+							} ) ),
+					},
+				],
+			} );
+
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.html':
+						'<div data-account="alice"></div><div data-account="dave"></div>',
+				} )
+			);
+
+			expect(
+				result.diagnostics.files.find(
+					( file ) => file.type === 'following'
+				)
+			).toEqual(
+				expect.objectContaining( {
+					parser: 'Custom HTML',
+					confidence: 'medium',
+					count: 2,
+					status: 'parsed',
+				} )
+			);
+			expect(
+				result.following.map( ( account ) => account.username )
+			).toEqual( [ 'alice', 'dave' ] );
+		} );
+
+		test( 'should replace a built-in strategy registered under the same ID', () => {
+			parser.registerStrategy( {
+				id: 'text-scrape',
+				kind: 'relationships',
+				formats: [ 'html' ],
+				detect: () => null,
+				parse: () => [],
+			} );
+
+			expect(
+				parser.strategies.filter(
+					( strategy ) => strategy.id === 'text-scrape'
+				)
+			).toHaveLength( 1 );
+			expect(
+				parser.detectStrategies( 'relationships', {
+					platform: 'instagram',
+					format: 'html',
+					content: '<div>alice</div>',
+				} )
+			).toEqual( [] );
+		} );
+
+		test( 'should reject strategies missing required fields', () => {
+			expect( () =>
+				parser.registerStrategy( {
+					id: 'broken',
+					kind: 'relationships',
+				} )
+			).toThrow( 'Invalid export parser strategy' );
+		} );
+	} );
+
+	describe( 'HTML Exports', () => {
+		test( 'should read accounts from profile links only', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.html': `
+						<div role="cell"><a href="https://www.instagram.com/_u/alice">alice</a><div>Nov 14, 2023, 10:13 PM</div></div>
+						<div role="cell"><a href="https://www.instagram.com/carol">carol</a></div>
+						<div role="cell"><a href="https://www.instagram.com/">dave</a></div>
+						<div role="cell">Followed by erin</div>
+					`,
+				} )
+			);
+
+			expect(
+				result.diagnostics.files.find(
+					( file ) => file.type === 'following'
+				)
+			).toEqual(
+				expect.objectContaining( {
+					parser: 'Relationships HTML',
+					confidence: 'high',
+					count: 2,
+				} )
+			);
+			expect( result.following ).toEqual( [
+				{
+					username: 'alice',
+					profileUrl: 'https://www.instagram.com/_u/alice',
+					timestamp: new Date(
+						'Nov 14, 2023, 10:13 PM'
+					).toISOString(),
+				},
+				{
+					username: 'carol',
+					profileUrl: 'https://www.instagram.com/carol',
+					timestamp: '',
+				},
+			] );
+		} );
+	} );
+
+	describe( 'Activity and Posts JSON', () => {
+		const findFile = ( result, type ) =>
+			result.diagnostics.files.find( ( file ) => file.type === type );
+
+		test( 'should read activity and posts in the export layout with high confidence', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.json': followingJSON,
+					'your_instagram_activity/likes/liked_posts.json':
+						JSON.stringify( {
+							likes_media_likes: [
+								{
+									title: 'alice',
+									string_list_data: [
+										{ timestamp: 1700000000 },
+									],
+								},
+							],
+						} ),
+					'your_instagram_activity/comments/post_comments_1.json':
+						JSON.stringify( [
+							{
+								string_map_data: {
+									'Media Owner': { value: 'carol' },
+									Time: { timestamp: 1700000000 },
+								},
+							},
+						] ),
+					'your_instagram_activity/content/posts_1.json':
+						JSON.stringify( [
+							{
+								media: [
+									{
+										title: 'Launch day',
+										creation_timestamp: 1700000000,
+									},
+								],
+							},
+						] ),
+				} )
+			);
+
+			[ 'likes', 'comments', 'posts' ].forEach( ( type ) => {
+				expect( findFile( result, type ) ).toEqual(
+					expect.objectContaining( {
+						confidence: 'high',
+						count: 1,
+						status: 'parsed',
+					} )
+				);
+			} );
+			expect( result.engagement.engagedCount ).toBe( 2 );
+		} );
+
+		test( 'should not recognise JSON without the fields the parsers read', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.json': followingJSON,
+					'your_instagram_activity/likes/liked_posts.json':
+						JSON.stringify( { profile: { title: 'alice' } } ),
+					'your_instagram_activity/content/posts_1.json':
+						JSON.stringify( { posts: [ { title: 'alice' } ] } ),
+				} )
+			);
+
+			[ 'likes', 'posts' ].forEach( ( type ) => {
+				expect( findFile( result, type ) ).toEqual(
+					expect.objectContaining( {
+						reason: 'No parser recognises this file layout',
+					} )
+				);
+			} );
+		} );
+
+		test( 'should only trust JSON where every entry has the expected fields', () => {
+			const input = {
+				platform: 'instagram',
+				format: 'json',
+				json: {
+					likes_media_likes: [
+						relationshipEntry( 'alice' ),
+						{ title: 'bob' },
+					],
+				},
+			};
+
+			expect(
+				parser
+					.detectStrategies( 'interactions', input )
+					.map( ( { strategy, confidence } ) => [
+						strategy.id,
+						confidence,
+					] )
+			).toEqual( [ [ 'activity-json', 'low' ] ] );
+		} );
+	} );
+
+	describe( 'Diagnostics', () => {
+		test( 'should report files that are not valid JSON', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': '{ not json',
+					'connections/following.json': followingJSON,
+				} )
+			);
+
+			expect( result.diagnostics.complete ).toBe( false );
+			expect( result.diagnostics.warnings ).toEqual( [
+				'followers_1.json was skipped: Not valid JSON.',
+			] );
+		} );
+
+		test( 'should warn when a follower list is missing', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'README.txt': 'Not an export file',
+				} )
+			);
+
+			expect( result.diagnostics.complete ).toBe( false );
+			expect( result.diagnostics.ignoredFiles ).toBe( 1 );
+			expect( result.diagnostics.warnings ).toEqual( [
+				'No following file was found in this export.',
+			] );
+		} );
+
+		test( 'should report recognised files with no entries as empty', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.json': followingJSON,
+					'connections/blocked_profiles.json': JSON.stringify( {
+						relationships_blocked_users: [],
+					} ),
+				} )
+			);
+
+			expect(
+				result.diagnostics.files.find(
+					( file ) => file.type === 'blocked'
+				)
+			).toEqual(
+				expect.objectContaining( {
+					parser: 'Relationships JSON',
+					status: 'empty',
+					count: 0,
+				} )
+			);
+			expect( result.diagnostics.complete ).toBe( true );
+		} );
+	} );
+
+	describe( 'X Archives', () => {
+		const xFile = ( name, entries ) =>
+			`window.YTD.${ name }.part0 = ${ JSON.stringify( entries ) }`;
+
+		test( 'should key accounts by ID and map handles from mentions', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'data/follower.js': xFile( 'follower', [
+						{ follower: { accountId: '111' } },
+						{ follower: { accountId: '222' } },
+					] ),
+					'data/following.js': xFile( 'following', [
+						{ following: { accountId: '111' } },
+						{ following: { accountId: '333' } },
+					] ),
+					'data/tweets.js': xFile( 'tweets', [
+						{
+							tweet: {
+								in_reply_to_user_id_str: '333',
+								in_reply_to_screen_name: 'Carol',
+								entities: {
+									user_mentions: [
+										{ id_str: '111', screen_name: 'alice' },
+										{
+											id_str: '999',
+											screen_name: 'stranger',
+										},
+									],
+								},
+							},
+						},
+					] ),
+				} )
+			);
+
+			expect( result.platform ).toBe( 'x' );
+			expect( result.notFollowingBack ).toEqual( [
+				{
+					username: '333',
+					profileUrl: 'https://x.com/i/user/333',
+					timestamp: '',
+				},
+			] );
+			expect( result.accountHandles ).toEqual( {
+				111: 'alice',
+				333: 'carol',
+			} );
+			expect( result.diagnostics.complete ).toBe( true );
+		} );
+
+		test( 'should not map handles without a tweets file', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'data/follower.js': xFile( 'follower', [
+						{ follower: { accountId: '111' } },
+					] ),
+					'data/following.js': xFile( 'following', [] ),
+				} )
+			);
+
+			expect( result.accountHandles ).toBeUndefined();
+			expect( result.diagnostics.files ).toEqual(
+				expect.arrayContaining( [
+					expect.objectContaining( {
+						type: 'following',
+						parser: 'X archive',
+						status: 'empty',
+					} ),
+				] )
+			);
+		} );
+	} );
+
+	describe( 'Relationship Categories', () => {
+		const usernames = ( accounts ) =>
+			accounts.map( ( account ) => account.username );
+
+		test( 'should split followers and following into fans and mutuals', () => {
+			const accounts = ( ...names ) =>
+				names.map( ( username ) => ( { username } ) );
+
+			const result = parser.analyzeFollowerData(
+				accounts( 'dave', 'Alice', 'bob', 'bob' ),
+				accounts( 'carol', 'alice', 'bob' )
+			);
+
+			expect( usernames( result.notFollowingBack ) ).toEqual( [
+				'carol',
+			] );
+			expect( usernames( result.fans ) ).toEqual( [ 'dave' ] );
+			expect( usernames( result.mutuals ) ).toEqual( [ 'alice', 'bob' ] );
+			expect( result.stats ).toEqual(
+				expect.objectContaining( {
+					totalFollowers: 3,
+					totalFollowing: 3,
+					notFollowingBackCount: 1,
+					fansCount: 1,
+					mutualCount: 2,
+				} )
+			);
+		} );
+
+		test( 'should list the other relationship files from the export', async () => {
+			const result = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.json': followingJSON,
+					'connections/followers_and_following/close_friends.json':
+						JSON.stringify( {
+							relationships_close_friends: [
+								relationshipEntry( 'bob' ),
+								relationshipEntry( 'alice' ),
+							],
+						} ),
+					'connections/followers_and_following/pending_follow_requests.json':
+						JSON.stringify( {
+							relationships_follow_requests_sent: [
+								relationshipEntry( 'erin' ),
+							],
+						} ),
+					'connections/followers_and_following/blocked_profiles.json':
+						JSON.stringify( {
+							relationships_blocked_users: [
+								relationshipEntry( 'mallory' ),
+							],
+						} ),
+				} )
+			);
+
+			expect( usernames( result.closeFriends ) ).toEqual( [
+				'alice',
+				'bob',
+			] );
+			expect( usernames( result.pendingRequests ) ).toEqual( [ 'erin' ] );
+			expect( usernames( result.blocked ) ).toEqual( [ 'mallory' ] );
+			expect( result.stats ).toEqual(
+				expect.objectContaining( {
+					closeFriendsCount: 2,
+					pendingRequestsCount: 1,
+					blockedCount: 1,
+				} )
+			);
+			expect( result.restricted ).toEqual( [] );
+		} );
+	} );
+
+	describe( 'Engagement', () => {
+		const following = [
+			{ username: 'alice' },
+			{ username: 'bob' },
+			{ username: 'carol' },
+			{ username: 'dave' },
+		];
+
+		test( 'should flag followed accounts with no interactions', () => {
+			const result = parser.analyzeEngagement( following, [
+				{ username: 'Alice', type: 'likes', timestamp: '' },
+				{ username: 'erin', type: 'comments', timestamp: '' },
+			] );
+
+			expect(
+				result.neverEngaged.map( ( account ) => account.username )
+			).toEqual( [ 'bob', 'carol', 'dave' ] );
+			expect( result.engagement ).toEqual( {
+				totalInteractions: 2,
+				engagedCount: 1,
+				engagementRate: 25,
+			} );
+		} );
+
+		test( 'should rank the most engaged accounts and count each kind', () => {
+			const result = parser.analyzeEngagement( following, [
+				{
+					username: 'carol',
+					type: 'likes',
+					timestamp: '2024-01-01T00:00:00.000Z',
+				},
+				{
+					username: 'bob',
+					type: 'comments',
+					timestamp: '2024-02-01T00:00:00.000Z',
+				},
+				{
+					username: 'carol',
+					type: 'storyInteractions',
+					timestamp: '2024-03-01T00:00:00.000Z',
+				},
+				{
+					username: 'carol',
+					type: 'likes',
+					timestamp: '2023-12-01T00:00:00.000Z',
+				},
+				{ username: 'alice', type: 'likes', timestamp: '' },
+			] );
+
+			expect( result.engagedFollowing ).toEqual( [
+				{
+					username: 'carol',
+					interactions: 3,
+					likes: 2,
+					comments: 0,
+					storyInteractions: 1,
+					lastInteraction: '2024-03-01T00:00:00.000Z',
+				},
+				expect.objectContaining( {
+					username: 'alice',
+					interactions: 1,
+				} ),
+				expect.objectContaining( { username: 'bob', comments: 1 } ),
+			] );
+		} );
+
+		test( 'should only measure engagement when the export has activity files', async () => {
+			const withoutActivity = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.json': followingJSON,
+				} )
+			);
+			const withActivity = await parser.analyzeZipContent(
+				createZip( {
+					'connections/followers_1.json': followersJSON,
+					'connections/following.json': followingJSON,
+					'your_instagram_activity/likes/liked_posts.json':
+						JSON.stringify( {
+							likes_media_likes: [
+								{
+									title: 'carol',
+									string_list_data: [
+										{ timestamp: 1700000000 },
+									],
+								},
+							],
+						} ),
+				} )
+			);
+
+			expect( withoutActivity.neverEngaged ).toBeUndefined();
+			expect( withoutActivity.engagement ).toBeUndefined();
+			expect(
+				withActivity.neverEngaged.map( ( account ) => account.username )
+			).toEqual( [ 'alice' ] );
+			expect( withActivity.stats.neverEngagedCount ).toBe( 1 );
+		} );
+	} );
+
+	describe( 'Posting History', () => {
+		// Posts are grouped by local time, so they are created in it
+		const post = ( caption, ...date ) => ( {
+			caption,
+			timestamp: new Date( ...date ).toISOString(),
+		} );
+
+		test( 'should count posts per month, including quiet months', () => {
+			const insights = parser.analyzePosts( [
+				post( 'Back again #Travel', 2024, 2, 5, 18 ),
+				post( 'First post #travel #food', 2024, 0, 10, 9 ),
+				post( 'Hi', 2024, 0, 20, 9 ),
+			] );
+
+			expect( insights ).toEqual(
+				expect.objectContaining( {
+					totalPosts: 3,
+					firstPost: new Date( 2024, 0, 10, 9 ).toISOString(),
+					lastPost: new Date( 2024, 2, 5, 18 ).toISOString(),
+					postsPerMonth: 1,
+					averageCaptionLength: 15,
+					uniqueHashtags: 2,
+				} )
+			);
+			expect( insights.frequency ).toEqual( [
+				{ month: '2024-01', posts: 2, averageCaptionLength: 13 },
+				{ month: '2024-02', posts: 0, averageCaptionLength: 0 },
+				{ month: '2024-03', posts: 1, averageCaptionLength: 18 },
+			] );
+			expect( insights.topHashtags ).toEqual( [
+				{ hashtag: 'travel', count: 2 },
+				{ hashtag: 'food', count: 1 },
+			] );
+		} );
+
+		test( 'should find the busiest day and hour', () => {
+			// 10 and 17 January 2024 are Wednesdays
+			const insights = parser.analyzePosts( [
+				post( '', 2024, 0, 10, 9 ),
+				post( '', 2024, 0, 17, 9 ),
+				post( '', 2024, 0, 13, 20 ),
+			] );
+
+			expect( insights.heatmap[ 3 ][ 9 ] ).toBe( 2 );
+			expect( insights.heatmap[ 6 ][ 20 ] ).toBe( 1 );
+			expect( insights.busiest ).toEqual( {
+				day: 'Wednesday',
+				hour: 9,
+				posts: 2,
+			} );
+		} );
+
+		test( 'should summarise an export without posts', () => {
+			expect( parser.analyzePosts( [] ) ).toEqual(
+				expect.objectContaining( {
+					totalPosts: 0,
+					postsPerMonth: 0,
+					averageCaptionLength: 0,
+					frequency: [],
+					busiest: null,
+					topHashtags: [],
+				} )
+			);
+		} );
+
+		test( 'should read captions and dates from single posts and carousels', () => {
+			expect(
+				parser.parsePostData( [
+					{
+						media: [
+							{ title: 'Single', creation_timestamp: 1700000000 },
+						],
+					},
+					{
+						title: 'Carousel',
+						creation_timestamp: 1700003600,
+						media: [ { title: '' }, { title: '' } ],
+					},
+					{ media: [ { title: 'Undated' } ] },
+				] )
+			).toEqual( [
+				{
+					caption: 'Single',
+					timestamp: new Date( 1700000000000 ).toISOString(),
+				},
+				{
+					caption: 'Carousel',
+					timestamp: new Date( 1700003600000 ).toISOString(),
+				},
+			] );
+		} );
+	} );
+} );
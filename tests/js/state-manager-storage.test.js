@@ -0,0 +1,191 @@
+/**
+ * Tests for StateManager storage lifetimes, loaded from assets/js/state-manager.js
+ */
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+// The script isn't a module, so it is evaluated the way the page loads it
+const StateManager = new Function(
+	`${ fs.readFileSync(
+		path.resolve( __dirname, '../../assets/js/state-manager.js' ),
+		'utf8'
+	) }\nreturn StateManager;`
+)();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe( 'StateManager storage', () => {
+	let now;
+	let stateManager;
+
+	beforeEach( () => {
+		window.localStorage.clear();
+		now = 1700000000000;
+		jest.spyOn( Date, 'now' ).mockImplementation( () => now );
+		stateManager = new StateManager();
+	} );
+
+	afterEach( () => {
+		Date.now.mockRestore();
+	} );
+
+	describe( 'maxAge', () => {
+		test( 'should expire items without their own maxAge after the default age', () => {
+			stateManager.setItem( 'test-key', 'test-value' );
+
+			now += DAY - 1;
+			expect( stateManager.getItem( 'test-key' ) ).toBe( 'test-value' );
+
+			now += 2;
+			expect( stateManager.getItem( 'test-key' ) ).toBeNull();
+			expect(
+				window.localStorage.getItem( 'rwp_instagram_analyzer_test-key' )
+			).toBeNull();
+		} );
+
+		test( 'should keep items for their own maxAge', () => {
+			stateManager.setItem( 'test-key', 'test-value', {
+				maxAge: 7 * DAY,
+			} );
+
+			now += 6 * DAY;
+			expect( stateManager.getItem( 'test-key' ) ).toBe( 'test-value' );
+
+			now += 2 * DAY;
+			expect( stateManager.getItem( 'test-key' ) ).toBeNull();
+		} );
+
+		test( 'should keep follower snapshots well past the default age', () => {
+			const snapshots = [
+				{ id: 'a', followersCount: 1, followingCount: 0 },
+			];
+			stateManager.saveSnapshots( snapshots );
+
+			now += 365 * DAY;
+			expect( stateManager.getSnapshots() ).toEqual( snapshots );
+
+			now += 2 * 365 * DAY;
+			expect( stateManager.getSnapshots() ).toEqual( [] );
+		} );
+
+		test( 'should keep saved filter presets past the default age', () => {
+			stateManager.saveUserPreferences( {
+				filterPresets: [ { name: 'Brands', filters: {} } ],
+			} );
+
+			now += 30 * DAY;
+			expect(
+				stateManager.getUserPreferences().filterPresets
+			).toHaveLength( 1 );
+		} );
+
+		test( 'should only clean up items past their own maxAge on init', () => {
+			stateManager.setItem( 'short', 'value' );
+			stateManager.setItem( 'long', 'value', { maxAge: 7 * DAY } );
+
+			now += 2 * DAY;
+			new StateManager();
+
+			expect(
+				window.localStorage.getItem( 'rwp_instagram_analyzer_short' )
+			).toBeNull();
+			expect(
+				window.localStorage.getItem( 'rwp_instagram_analyzer_long' )
+			).not.toBeNull();
+		} );
+	} );
+
+	describe( 'Fallback Storage', () => {
+		test( 'should read back writes that only fit in memory', () => {
+			jest.spyOn( global.console, 'error' ).mockImplementation(
+				() => {}
+			);
+			jest.spyOn( stateManager, 'showWarning' ).mockImplementation(
+				() => {}
+			);
+			stateManager.setItem( 'test-key', 'old' );
+
+			const setItem = jest
+				.spyOn( window.Storage.prototype, 'setItem' )
+				.mockImplementation( () => {
+					throw new Error( 'QuotaExceededError' );
+				} );
+			expect( stateManager.setItem( 'test-key', 'new' ) ).toBe( true );
+			expect( stateManager.getItem( 'test-key' ) ).toBe( 'new' );
+
+			setItem.mockRestore();
+			stateManager.setItem( 'test-key', 'newest' );
+			expect( stateManager.getItem( 'test-key' ) ).toBe( 'newest' );
+
+			global.console.error.mockRestore();
+		} );
+	} );
+
+	describe( 'Snapshot Lists', () => {
+		test( 'should keep each snapshot list under its own key', () => {
+			const lists = { followers: [ 'one' ], following: [ 'two' ] };
+			stateManager.saveSnapshotLists( 'a', lists );
+
+			expect(
+				window.localStorage.getItem(
+					'rwp_instagram_analyzer_snapshot_lists_a'
+				)
+			).not.toBeNull();
+			expect( stateManager.getSnapshotLists( 'a' ) ).toEqual( lists );
+			expect( stateManager.getSnapshotLists( 'b' ) ).toBeNull();
+
+			now += 365 * DAY;
+			expect( stateManager.getSnapshotLists( 'a' ) ).toEqual( lists );
+
+			stateManager.removeSnapshotLists( 'a' );
+			expect( stateManager.getSnapshotLists( 'a' ) ).toBeNull();
+		} );
+	} );
+
+	describe( 'Platform Keys', () => {
+		test( 'should keep the original keys for Instagram', () => {
+			stateManager.saveWhitelist( [ 'alice' ] );
+
+			expect(
+				window.localStorage.getItem(
+					'rwp_instagram_analyzer_whitelist'
+				)
+			).not.toBeNull();
+			expect( stateManager.getWhitelist( 'instagram' ) ).toEqual( [
+				'alice',
+			] );
+		} );
+
+		test( "should keep each platform's whitelist separately", () => {
+			stateManager.saveWhitelist( [ 'alice' ], 'instagram' );
+			stateManager.saveWhitelist( [ '12345' ], 'x' );
+
+			expect(
+				window.localStorage.getItem(
+					'rwp_instagram_analyzer_whitelist_x'
+				)
+			).not.toBeNull();
+			expect( stateManager.getWhitelist( 'instagram' ) ).toEqual( [
+				'alice',
+			] );
+			expect( stateManager.getWhitelist( 'x' ) ).toEqual( [ '12345' ] );
+			expect( stateManager.getWhitelist( 'tiktok' ) ).toEqual( [] );
+		} );
+
+		test( 'should mark and clear viewed accounts per platform', () => {
+			stateManager.markAccountAsViewed( 'alice', 'tiktok' );
+			stateManager.markAccountAsViewed( 'bob' );
+
+			expect( stateManager.getViewedAccounts( 'tiktok' ) ).toEqual( [
+				'alice',
+			] );
+			expect( stateManager.getViewedAccounts() ).toEqual( [ 'bob' ] );
+
+			stateManager.clearViewedAccounts( 'tiktok' );
+
+			expect( stateManager.getViewedAccounts( 'tiktok' ) ).toEqual( [] );
+			expect( stateManager.getViewedAccounts() ).toEqual( [ 'bob' ] );
+		} );
+	} );
+} );
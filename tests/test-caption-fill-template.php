@@ -0,0 +1,120 @@
+<?php
+/**
+ * Tests for the caption template fill endpoint
+ */
+
+class Test_Caption_Fill_Template extends WP_UnitTestCase {
+
+    protected $server;
+    protected $user_id;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_rest_server;
+        $this->server = $wp_rest_server = new WP_REST_Server();
+        do_action( 'rest_api_init' );
+
+        // The mock provider answers every blank without a network request
+        update_option( 'rwp_creator_suite_ai_provider', 'mock' );
+
+        $this->user_id = self::factory()->user->create();
+        wp_set_current_user( $this->user_id );
+    }
+
+    public function tearDown(): void {
+        global $wp_rest_server;
+        $wp_rest_server = null;
+
+        parent::tearDown();
+    }
+
+    protected function fill_template( $params, $nonce = true ) {
+        $request = new WP_REST_Request( 'POST', '/rwp-creator-suite/v1/captions/fill-template' );
+        if ( $nonce ) {
+            $request->set_header( 'X-WP-Nonce', wp_create_nonce( 'wp_rest' ) );
+        }
+        $request->set_body_params( array_merge(
+            array(
+                'template'    => 'Meet {product}: {benefit} {hashtags}',
+                'variables'   => array( 'product', 'benefit', 'hashtags' ),
+                'description' => 'A reusable water bottle for long hikes',
+                'tone'        => 'casual',
+                'platform'    => 'instagram',
+            ),
+            $params
+        ) );
+
+        return $this->server->dispatch( $request );
+    }
+
+    public function test_route_is_registered() {
+        $this->assertArrayHasKey( '/rwp-creator-suite/v1/captions/fill-template', $this->server->get_routes() );
+    }
+
+    public function test_fill_template_requires_a_nonce() {
+        $response = $this->fill_template( array(), false );
+
+        $this->assertEquals( 403, $response->get_status() );
+    }
+
+    public function test_fill_template_returns_a_value_for_each_variable() {
+        $response = $this->fill_template( array() );
+        $data = $response->get_data();
+
+        $this->assertEquals( 200, $response->get_status() );
+        $this->assertTrue( $data['success'] );
+        $this->assertEquals(
+            array(
+                'product'  => 'Sample product',
+                'benefit'  => 'Sample benefit',
+                'hashtags' => '#creator #contentcreator #newpost',
+            ),
+            $data['data']
+        );
+        $this->assertArrayHasKey( 'remaining_quota', $data['meta'] );
+    }
+
+    public function test_fill_template_cleans_variable_names() {
+        $response = $this->fill_template( array(
+            'variables' => array( 'feature 1', 'feature1', '{product}', '!!' ),
+        ) );
+
+        $this->assertEquals(
+            array(
+                'feature1' => 'Sample feature1',
+                'product'  => 'Sample product',
+            ),
+            $response->get_data()['data']
+        );
+    }
+
+    public function test_fill_template_needs_variables() {
+        $response = $this->fill_template( array( 'variables' => array( '!!' ) ) );
+
+        $this->assertEquals( 400, $response->get_status() );
+        $this->assertEquals( 'no_variables', $response->get_data()['code'] );
+    }
+
+    public function test_fill_template_validates_the_description() {
+        $response = $this->fill_template( array( 'description' => 'Too short' ) );
+
+        $this->assertEquals( 400, $response->get_status() );
+        $this->assertEquals( 'rest_invalid_param', $response->get_data()['code'] );
+    }
+
+    public function test_fill_template_validates_the_tone() {
+        $response = $this->fill_template( array( 'tone' => 'angry' ) );
+
+        $this->assertEquals( 400, $response->get_status() );
+    }
+
+    public function test_fill_template_shares_the_caption_quota() {
+        add_filter( 'rwp_creator_suite_rate_limit', '__return_zero' );
+
+        $response = $this->fill_template( array() );
+
+        $this->assertEquals( 429, $response->get_status() );
+        $this->assertEquals( 'rate_limit_exceeded', $response->get_data()['code'] );
+    }
+}
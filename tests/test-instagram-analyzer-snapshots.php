@@ -0,0 +1,164 @@
+<?php
+/**
+ * Tests for the Instagram Analyzer follower snapshot endpoints
+ */
+
+class Test_Instagram_Analyzer_Snapshots extends WP_Ajax_UnitTestCase {
+
+    protected $api;
+    protected $owner_id;
+    protected $other_id;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        $this->api = new RWP_Creator_Suite_Instagram_Analyzer_API();
+        $this->owner_id = self::factory()->user->create();
+        $this->other_id = self::factory()->user->create();
+    }
+
+    protected function call_ajax( $action, $params = array() ) {
+        $_POST = array_merge(
+            array( 'nonce' => wp_create_nonce( 'rwp_instagram_analyzer_nonce' ) ),
+            $params
+        );
+        $this->_last_response = '';
+
+        try {
+            $this->_handleAjax( $action );
+        } catch ( WPAjaxDieContinueException $e ) {
+            unset( $e );
+        }
+
+        return json_decode( $this->_last_response, true );
+    }
+
+    protected function save_snapshot( $id, $created_at, $followers = array( 'alice', 'bob' ), $following = array( 'carol' ) ) {
+        return $this->call_ajax( 'rwp_save_instagram_snapshot', array(
+            'snapshot' => wp_json_encode( array(
+                'id'        => $id,
+                'createdAt' => $created_at,
+                'platform'  => 'instagram',
+                'followers' => $followers,
+                'following' => $following,
+            ) ),
+        ) );
+    }
+
+    public function test_snapshots_require_login() {
+        wp_set_current_user( 0 );
+
+        foreach ( array( 'rwp_save_instagram_snapshot', 'rwp_get_instagram_snapshots', 'rwp_get_instagram_snapshot' ) as $action ) {
+            $response = $this->call_ajax( $action );
+
+            $this->assertFalse( $response['success'] );
+            $this->assertEquals( 'User not authenticated', $response['message'] );
+        }
+    }
+
+    public function test_snapshots_require_a_valid_nonce() {
+        wp_set_current_user( $this->owner_id );
+
+        $response = $this->call_ajax( 'rwp_get_instagram_snapshots', array( 'nonce' => 'invalid' ) );
+
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'Invalid nonce', $response['message'] );
+    }
+
+    public function test_history_has_counts_but_not_lists() {
+        wp_set_current_user( $this->owner_id );
+
+        $response = $this->save_snapshot( 'snapshot-1', '2026-01-01T10:00:00Z' );
+        $this->assertTrue( $response['success'] );
+        $this->save_snapshot( 'snapshot-2', '2026-02-01T10:00:00Z', array( 'alice', 'bob', 'dave' ), array() );
+
+        $response = $this->call_ajax( 'rwp_get_instagram_snapshots' );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertEquals(
+            array(
+                array(
+                    'id'             => 'snapshot-1',
+                    'createdAt'      => '2026-01-01T10:00:00+00:00',
+                    'platform'       => 'instagram',
+                    'followersCount' => 2,
+                    'followingCount' => 1,
+                ),
+                array(
+                    'id'             => 'snapshot-2',
+                    'createdAt'      => '2026-02-01T10:00:00+00:00',
+                    'platform'       => 'instagram',
+                    'followersCount' => 3,
+                    'followingCount' => 0,
+                ),
+            ),
+            $response['data']
+        );
+    }
+
+    public function test_get_snapshot_returns_its_lists() {
+        wp_set_current_user( $this->owner_id );
+        $this->save_snapshot( 'snapshot-1', '2026-01-01T10:00:00Z', array( 'alice', '@bob', 'alice', 'bob' ) );
+
+        $response = $this->call_ajax( 'rwp_get_instagram_snapshot', array( 'snapshot_id' => 'snapshot-1' ) );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertEquals(
+            array(
+                'id'        => 'snapshot-1',
+                'followers' => array( 'alice', 'bob' ),
+                'following' => array( 'carol' ),
+            ),
+            $response['data']
+        );
+    }
+
+    public function test_get_snapshot_only_returns_the_users_own() {
+        wp_set_current_user( $this->owner_id );
+        $this->save_snapshot( 'snapshot-1', '2026-01-01T10:00:00Z' );
+
+        wp_set_current_user( $this->other_id );
+
+        $response = $this->call_ajax( 'rwp_get_instagram_snapshot', array( 'snapshot_id' => 'snapshot-1' ) );
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'Snapshot not found', $response['message'] );
+
+        $response = $this->call_ajax( 'rwp_get_instagram_snapshots' );
+        $this->assertEquals( array(), $response['data'] );
+    }
+
+    public function test_resaving_a_snapshot_replaces_it() {
+        wp_set_current_user( $this->owner_id );
+        $this->save_snapshot( 'snapshot-1', '2026-01-01T10:00:00Z' );
+
+        $response = $this->save_snapshot( 'snapshot-1', '2026-01-01T10:00:00Z', array( 'erin' ) );
+        $this->assertTrue( $response['success'] );
+
+        $response = $this->call_ajax( 'rwp_get_instagram_snapshots' );
+        $this->assertCount( 1, $response['data'] );
+        $this->assertEquals( 1, $response['data'][0]['followersCount'] );
+    }
+
+    public function test_only_the_newest_snapshots_are_kept() {
+        wp_set_current_user( $this->owner_id );
+
+        for ( $month = 1; $month <= 25; $month++ ) {
+            $this->save_snapshot( 'snapshot-' . $month, gmdate( 'c', gmmktime( 0, 0, 0, $month, 1, 2024 ) ) );
+        }
+
+        $response = $this->call_ajax( 'rwp_get_instagram_snapshots' );
+
+        $this->assertCount( RWP_Creator_Suite_Instagram_Analyzer_API::MAX_SNAPSHOTS, $response['data'] );
+        $this->assertEquals( 'snapshot-2', $response['data'][0]['id'] );
+    }
+
+    public function test_deleted_users_lose_their_snapshots() {
+        wp_set_current_user( $this->owner_id );
+        $this->save_snapshot( 'snapshot-1', '2026-01-01T10:00:00Z' );
+
+        $this->api->delete_user_snapshots( $this->owner_id );
+
+        $response = $this->call_ajax( 'rwp_get_instagram_snapshot', array( 'snapshot_id' => 'snapshot-1' ) );
+        $this->assertFalse( $response['success'] );
+    }
+}
@@ -0,0 +1,377 @@
+<?php
+/**
+ * Tests for the Instagram Banner project API
+ */
+
+class Test_Instagram_Banner_API extends WP_Ajax_UnitTestCase {
+
+    protected $api;
+    protected $owner_id;
+    protected $other_id;
+    protected $storage_dir;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        $this->api = new RWP_Creator_Suite_Instagram_Banner_API();
+        $this->owner_id = self::factory()->user->create();
+        $this->other_id = self::factory()->user->create();
+
+        // Keep test images out of the site's uploads
+        $this->storage_dir = get_temp_dir() . 'rwp-banner-test-' . wp_generate_password( 8, false, false );
+        add_filter( 'rwp_creator_suite_banner_storage_dir', array( $this, 'get_storage_dir' ) );
+    }
+
+    public function tearDown(): void {
+        $this->api->delete_user_files( $this->owner_id );
+        $this->api->delete_user_files( $this->other_id );
+        if ( is_dir( $this->storage_dir ) ) {
+            rmdir( $this->storage_dir );
+        }
+
+        $_FILES = array();
+        parent::tearDown();
+    }
+
+    public function get_storage_dir() {
+        return $this->storage_dir;
+    }
+
+    /**
+     * Project settings as the banner creator saves them.
+     */
+    protected function get_project_data() {
+        return array(
+            'settings'      => array(
+                'mode'    => 'grid',
+                'layout'  => 'row-3',
+                'aspect'  => '4:5',
+                'gapSize' => 0,
+                'slides'  => 3,
+            ),
+            'cropTransform' => array(
+                'x'            => 1620,
+                'y'            => 675.5,
+                'zoom'         => 1.25,
+                'rotation'     => -4,
+                'quarterTurns' => 1,
+            ),
+            'cropFill'      => array(
+                'mode'        => 'gradient',
+                'color'       => '#ffffff',
+                'gradientEnd' => '#d1d5db',
+            ),
+            'adjustments'   => array(
+                'brightness' => 5,
+                'contrast'   => 20,
+                'saturation' => -35,
+                'warmth'     => 0,
+                'vignette'   => 45,
+            ),
+            'overlays'      => array(
+                array(
+                    'id'          => 'k3j9x2ab',
+                    'type'        => 'text',
+                    'text'        => 'I <3 this & 100%20 off',
+                    'font'        => 'display',
+                    'bold'        => true,
+                    'size'        => 135,
+                    'color'       => '#ffffff',
+                    'strokeColor' => '#000000',
+                    'strokeWidth' => 0,
+                    'shadow'      => true,
+                    'opacity'     => 1,
+                    'x'           => 0.5,
+                    'y'           => 0.5,
+                ),
+                array(
+                    'id'      => 'a1b2c3d4',
+                    'type'    => 'image',
+                    'src'     => 'logo-a1b2c3d4',
+                    'aspect'  => 0.5,
+                    'width'   => 360,
+                    'opacity' => 0.7,
+                    'x'       => 0.9,
+                    'y'       => 0.1,
+                ),
+            ),
+            'collage'       => array(
+                array(
+                    'id'          => 'p9q8r7s6',
+                    'src'         => 'collage-p9q8r7s6',
+                    'aspect'      => 1.5,
+                    'x'           => 0.25,
+                    'y'           => 0.5,
+                    'width'       => 0.3,
+                    'border'      => 8,
+                    'borderColor' => '#ffffff',
+                ),
+            ),
+        );
+    }
+
+    /**
+     * Store a project for a user, writing each image's contents to their directory.
+     */
+    protected function create_project( $user_id, $images = array() ) {
+        $project_id = wp_generate_uuid4();
+        $dir = trailingslashit( $this->storage_dir ) . $user_id . '/';
+        wp_mkdir_p( $dir );
+
+        $filenames = array();
+        foreach ( $images as $key => $contents ) {
+            $filenames[ $key ] = $project_id . '-' . $key . '.png';
+            file_put_contents( $dir . $filenames[ $key ], $contents );
+        }
+
+        update_user_meta( $user_id, 'instagram_banner_projects', array(
+            $project_id => array(
+                'id'        => $project_id,
+                'name'      => 'Launch banner',
+                'createdAt' => gmdate( 'c' ),
+                'updatedAt' => gmdate( 'c' ),
+                'data'      => $this->get_project_data(),
+                'images'    => $filenames,
+            ),
+        ) );
+
+        return $project_id;
+    }
+
+    protected function get_png() {
+        return base64_decode( 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==' );
+    }
+
+    protected function call_ajax( $action, $params = array() ) {
+        $_POST = array_merge(
+            array( 'nonce' => wp_create_nonce( 'rwp_instagram_banner_nonce' ) ),
+            $params
+        );
+        $this->_last_response = '';
+
+        try {
+            $this->_handleAjax( $action );
+        } catch ( WPAjaxDieContinueException $e ) {
+            unset( $e );
+        }
+
+        return json_decode( $this->_last_response, true );
+    }
+
+    protected function validate_project_data( $data ) {
+        $reflection = new ReflectionClass( $this->api );
+        $method = $reflection->getMethod( 'validate_project_data' );
+        $method->setAccessible( true );
+
+        return $method->invokeArgs( $this->api, array( $data ) );
+    }
+
+    public function test_projects_require_login() {
+        wp_set_current_user( 0 );
+
+        $response = $this->call_ajax( 'rwp_get_banner_projects' );
+
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'User not authenticated', $response['message'] );
+    }
+
+    public function test_other_users_cannot_open_a_project() {
+        $project_id = $this->create_project( $this->owner_id, array( 'source' => $this->get_png() ) );
+        wp_set_current_user( $this->other_id );
+
+        $response = $this->call_ajax( 'rwp_get_banner_project', array( 'project_id' => $project_id ) );
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'Project not found', $response['message'] );
+
+        $response = $this->call_ajax( 'rwp_get_banner_project_image', array(
+            'project_id' => $project_id,
+            'key'        => 'source',
+        ) );
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'Image not found', $response['message'] );
+    }
+
+    public function test_other_users_cannot_duplicate_or_delete_a_project() {
+        $project_id = $this->create_project( $this->owner_id, array( 'source' => $this->get_png() ) );
+        wp_set_current_user( $this->other_id );
+
+        $response = $this->call_ajax( 'rwp_duplicate_banner_project', array( 'project_id' => $project_id ) );
+        $this->assertFalse( $response['success'] );
+
+        $response = $this->call_ajax( 'rwp_delete_banner_project', array( 'project_id' => $project_id ) );
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'Project not found', $response['message'] );
+
+        $this->assertArrayHasKey( $project_id, get_user_meta( $this->owner_id, 'instagram_banner_projects', true ) );
+        $this->assertEmpty( get_user_meta( $this->other_id, 'instagram_banner_projects', true ) );
+    }
+
+    public function test_owner_can_open_a_project() {
+        $project_id = $this->create_project( $this->owner_id, array( 'source' => $this->get_png() ) );
+        wp_set_current_user( $this->owner_id );
+
+        $response = $this->call_ajax( 'rwp_get_banner_project', array( 'project_id' => $project_id ) );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertEquals( $this->get_project_data(), $response['data']['data'] );
+        $this->assertEquals( array( 'source' ), $response['data']['images'] );
+    }
+
+    public function test_stored_files_that_are_not_images_are_not_served() {
+        $project_id = $this->create_project( $this->owner_id, array(
+            'source'        => $this->get_png(),
+            'logo-a1b2c3d4' => '<html><script>alert(1)</script></html>',
+        ) );
+        wp_set_current_user( $this->owner_id );
+
+        $response = $this->call_ajax( 'rwp_get_banner_project', array( 'project_id' => $project_id ) );
+        $this->assertEquals( array( 'source' ), $response['data']['images'] );
+
+        $response = $this->call_ajax( 'rwp_get_banner_project_image', array(
+            'project_id' => $project_id,
+            'key'        => 'logo-a1b2c3d4',
+        ) );
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'Image not found', $response['message'] );
+    }
+
+    public function test_save_project_rejects_uploads_over_the_storage_limit() {
+        wp_set_current_user( $this->owner_id );
+        add_filter( 'rwp_creator_suite_banner_max_storage', function () {
+            return 1024;
+        } );
+
+        $_FILES = array(
+            'images' => array(
+                'name'     => array( 'source' => 'banner.png' ),
+                'type'     => array( 'source' => 'image/png' ),
+                'tmp_name' => array( 'source' => wp_tempnam( 'banner.png' ) ),
+                'error'    => array( 'source' => UPLOAD_ERR_OK ),
+                'size'     => array( 'source' => 4096 ),
+            ),
+        );
+
+        $response = $this->call_ajax( 'rwp_save_banner_project', array(
+            'name' => 'Launch banner',
+            'data' => wp_json_encode( $this->get_project_data() ),
+        ) );
+
+        unlink( $_FILES['images']['tmp_name']['source'] );
+
+        $this->assertFalse( $response['success'] );
+        $this->assertStringContainsString( 'Delete a project to make room', $response['message'] );
+        $this->assertEmpty( get_user_meta( $this->owner_id, 'instagram_banner_projects', true ) );
+    }
+
+    public function test_save_project_rejects_over_deep_data() {
+        wp_set_current_user( $this->owner_id );
+
+        $data = $this->get_project_data();
+        $data['overlays'][0]['text'] = array( array( array( 'too deep' ) ) );
+
+        $response = $this->call_ajax( 'rwp_save_banner_project', array(
+            'name' => 'Launch banner',
+            'data' => wp_json_encode( $data ),
+        ) );
+
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'Project data is nested too deeply', $response['message'] );
+    }
+
+    public function test_save_project_rejects_invalid_settings() {
+        wp_set_current_user( $this->owner_id );
+
+        $data = $this->get_project_data();
+        $data['settings']['layout'] = 'row-11';
+
+        $response = $this->call_ajax( 'rwp_save_banner_project', array(
+            'name' => 'Launch banner',
+            'data' => wp_json_encode( $data ),
+        ) );
+
+        $this->assertFalse( $response['success'] );
+        $this->assertEquals( 'The project layout is invalid', $response['message'] );
+    }
+
+    public function test_validate_project_data_round_trip() {
+        $data = $this->get_project_data();
+
+        $this->assertEquals( $data, $this->validate_project_data( $data ) );
+    }
+
+    public function test_validate_project_data_keeps_overlay_text_as_typed() {
+        $data = $this->get_project_data();
+        $data['overlays'][0]['text'] = "I <3 this\x07 <b>%41</b>\n";
+
+        $result = $this->validate_project_data( $data );
+
+        $this->assertEquals( 'I <3 this <b>%41</b>', $result['overlays'][0]['text'] );
+    }
+
+    public function test_validate_project_data_drops_unknown_fields() {
+        $data = $this->get_project_data();
+        $data['extra'] = 'value';
+        $data['settings']['<script>'] = 'value';
+        $data['overlays'][0]['onclick'] = 'value';
+
+        $this->assertEquals( $this->get_project_data(), $this->validate_project_data( $data ) );
+    }
+
+    public function test_validate_project_data_allows_a_missing_crop() {
+        $data = $this->get_project_data();
+        $data['cropTransform'] = null;
+
+        $this->assertEquals( $data, $this->validate_project_data( $data ) );
+    }
+
+    public function test_validate_project_data_rejects_invalid_values() {
+        $invalid = array(
+            array( 'settings', 'mode', 'slideshow' ),
+            array( 'settings', 'gapSize', 41 ),
+            array( 'settings', 'slides', '3' ),
+            array( 'cropTransform', 'zoom', 6 ),
+            array( 'cropTransform', 'quarterTurns', 1.5 ),
+            array( 'cropFill', 'mode', 'stretch' ),
+            array( 'cropFill', 'color', 'red; background: url(x)' ),
+            array( 'adjustments', 'vignette', -1 ),
+            array( 'adjustments', 'warmth', null ),
+        );
+
+        foreach ( $invalid as list( $part, $field, $value ) ) {
+            $data = $this->get_project_data();
+            $data[ $part ][ $field ] = $value;
+
+            $this->assertWPError( $this->validate_project_data( $data ), "$part.$field" );
+        }
+    }
+
+    public function test_validate_project_data_rejects_invalid_overlays_and_photos() {
+        $data = $this->get_project_data();
+        $data['overlays'][0]['font'] = 'comic';
+        $this->assertEquals( 'The project overlays are invalid', $this->validate_project_data( $data )->get_error_message() );
+
+        $data = $this->get_project_data();
+        $data['overlays'][0]['text'] = str_repeat( 'a', 201 );
+        $this->assertWPError( $this->validate_project_data( $data ) );
+
+        $data = $this->get_project_data();
+        $data['overlays'][1]['src'] = 'source';
+        $this->assertWPError( $this->validate_project_data( $data ) );
+
+        $data = $this->get_project_data();
+        $data['overlays'][1]['type'] = 'video';
+        $this->assertWPError( $this->validate_project_data( $data ) );
+
+        $data = $this->get_project_data();
+        $data['overlays'] = array( 'first' => $data['overlays'][0] );
+        $this->assertWPError( $this->validate_project_data( $data ) );
+
+        $data = $this->get_project_data();
+        $data['collage'][0]['src'] = 'collage-other';
+        $this->assertEquals( 'The project collage is invalid', $this->validate_project_data( $data )->get_error_message() );
+
+        $data = $this->get_project_data();
+        $data['collage'][0]['width'] = 0;
+        $this->assertWPError( $this->validate_project_data( $data ) );
+    }
+}